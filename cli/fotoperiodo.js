@@ -0,0 +1,240 @@
+/**
+ * fotoperiodo.js — Consultas y exports desde la terminal
+ * - Lee un archivo de "Exportar JSON" y/o flags (--start, --on, --off, --days)
+ * - Estado actual, próximos cambios, días super ciclo, balance energético y
+ *   calendario Día × Hora en texto (con colores ANSI si la salida es una terminal)
+ * - Escribe los mismos exports que la app: JSON, .ics y CSV
+ * - Textos, errores y exports en el idioma de --lang (es/en, ver locale.js)
+ * - Todo sale del motor de src/engine: la CLI y la app no pueden diferir
+ */
+
+import { writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { buildCalendar, cycleIndexAt, energyBalance, nextTransition, stateAt } from "../src/engine/photoperiod.js";
+import { formatLocalDateTime } from "../src/engine/timezone.js";
+import { DEFAULT_LANGUAGE, engineText, normalizeLanguage } from "../src/engine/locale.js";
+import { buildIcs } from "../src/engine/ics.js";
+import { buildControllerExport } from "../src/engine/controllers.js";
+import { BASELINE_PRESETS } from "../src/engine/energy.js";
+import { configFromGrow } from "../src/config.js";
+import { createGrow, defaultSchedule } from "../src/grows.js";
+import { readConfigFile, scheduleFromConfig } from "../server/loadConfig.js";
+
+/** Ayuda de la CLI en el idioma de --lang */
+export function usage(lang) {
+  return engineText(lang, "cli.usage");
+}
+
+const OPTIONS = {
+  start: { type: "string" },
+  on: { type: "string" },
+  off: { type: "string" },
+  days: { type: "string" },
+  tz: { type: "string" },
+  wallclock: { type: "boolean" },
+  name: { type: "string" },
+  now: { type: "string" },
+  next: { type: "string", default: "5" },
+  baseline: { type: "string", default: "12/12" },
+  calendar: { type: "boolean" },
+  "no-color": { type: "boolean" },
+  json: { type: "string" },
+  ics: { type: "string" },
+  alarm: { type: "string", default: "0" },
+  csv: { type: "string" },
+  lang: { type: "string", default: DEFAULT_LANGUAGE },
+  help: { type: "boolean", short: "h" },
+};
+
+const ANSI = { reset: "\x1b[0m", bold: "\x1b[1m", dim: "\x1b[2m", yellow: "\x1b[33m", blue: "\x1b[34m", magenta: "\x1b[35m", green: "\x1b[32m", red: "\x1b[31m" };
+
+function numberFlag(value, name, { min = 0, integer = false, lang } = {}) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || (integer && !Number.isInteger(n))) {
+    throw new Error(engineText(lang, "cli.badFlag", { name, value }));
+  }
+  return n;
+}
+
+function parseBaseline(value, lang) {
+  if (BASELINE_PRESETS[value]) return BASELINE_PRESETS[value];
+  const match = /^(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/.exec(value);
+  if (!match || Number(match[1]) + Number(match[2]) <= 0) throw new Error(engineText(lang, "cli.badBaseline", { value }));
+  return { hoursLight: Number(match[1]), hoursDark: Number(match[2]) };
+}
+
+/** Config (formato de config.js) a partir del archivo y los flags */
+export function configFromArgs(fileConfig, values, now, lang = DEFAULT_LANGUAGE) {
+  const config = fileConfig
+    ? { ...fileConfig }
+    : configFromGrow(createGrow({ name: engineText(lang, "cli.defaultGrow"), schedule: defaultSchedule(now) }));
+  if (!fileConfig) config.phases = config.phases.map((p, i) => ({ ...p, name: engineText(lang, "cli.defaultPhase", { n: i + 1 }) }));
+  if (values.start) config.startDate = values.start;
+  if (values.tz) config.timeZone = values.tz;
+  if (values.wallclock) config.clockMode = "wallclock";
+  if (values.days !== undefined) config.durationDays = numberFlag(values.days, "days", { min: 1, integer: true, lang });
+  if (values.on !== undefined || values.off !== undefined) {
+    const [first] = Array.isArray(config.phases) ? config.phases : [];
+    config.phases = [{
+      name: first?.name || engineText(lang, "cli.defaultPhase", { n: 1 }),
+      hoursLight: values.on !== undefined ? numberFlag(values.on, "on", { lang }) : first?.hoursLight,
+      hoursDark: values.off !== undefined ? numberFlag(values.off, "off", { lang }) : first?.hoursDark,
+      length: 0,
+      unit: "days",
+    }];
+  }
+  if (values.name) config.grow = { ...config.grow, name: values.name };
+  return config;
+}
+
+/* ---------- Texto ---------- */
+function localText(date, timeZone) {
+  return formatLocalDateTime(date, timeZone).replace("T", " ");
+}
+
+function stateLabel(isLight, paint) {
+  return isLight ? paint("yellow", "ON ") : paint("blue", "OFF");
+}
+
+// "Ahora:" y los demás rótulos del resumen, alineados en una columna
+const LABEL_WIDTH = 18;
+
+export function formatSummary(schedule, { now, next, baseline, name, lang = DEFAULT_LANGUAGE }, paint) {
+  const text = (key, params) => engineText(lang, key, params);
+  const label = (key) => text(key).padEnd(LABEL_WIDTH - 1);
+  const st = stateAt(schedule, now);
+  const superDays = Math.max(0, cycleIndexAt(schedule, now));
+  const balance = energyBalance(schedule, now, baseline.hoursLight / (baseline.hoursLight + baseline.hoursDark));
+  const balanceText = text(balance > 0 ? "cli.balance.saving" : balance < 0 ? "cli.balance.extra" : "cli.balance.neutral");
+  const balanceIcon = balance > 0 ? paint("green", "▲") : balance < 0 ? paint("red", "▼") : "—";
+  const phase = st.phase;
+  const lines = [
+    paint("bold", `${text("app.name")}${name ? ` — ${name}` : ""}`) + paint("dim", ` (${schedule.timeZone}, ${text(schedule.clockMode === "wallclock" ? "cli.wallclock" : "cli.elapsed")})`),
+    `${label("cli.start")} ${localText(schedule.startDate, schedule.timeZone)}${st.started ? "" : text("cli.notStarted")}`,
+    `${label("cli.now")} ${localText(now, schedule.timeZone)}  ${stateLabel(st.isLight, paint)}${st.isLight && st.intensity < 1 ? ` ${Math.round(st.intensity * 100)}%` : ""}  ${phase.name} (${phase.hoursLight}/${phase.hoursDark})`,
+    `${label("cli.superDays")} ${text("cli.superDaysValue", { days: superDays, hours: st.cycleLength.toFixed(1) })}`,
+    text("cli.balance", { baseline: `${baseline.hoursLight}L/${baseline.hoursDark}D`, icon: balanceIcon, hours: Math.abs(balance).toFixed(2), text: balanceText }),
+  ];
+
+  const upcoming = [];
+  let cursor = now;
+  // nextTransition en cadena: la misma lógica que "Próximo evento"
+  while (upcoming.length < next) {
+    const tr = nextTransition(schedule, cursor);
+    if (!tr) break;
+    upcoming.push(tr);
+    cursor = new Date(tr.date.getTime() + 1);
+  }
+  lines.push("", paint("bold", upcoming.length ? text("cli.upcoming", { count: upcoming.length }) : text("cli.noUpcoming")));
+  for (const tr of upcoming) {
+    lines.push(`  ${localText(tr.date, schedule.timeZone)}  ${stateLabel(tr.isLight, paint)}  ${tr.phase.name}`);
+  }
+  return lines.join("\n");
+}
+
+// Un carácter por hora: █ luz, ▒ hora con cambio o rampa, · oscuridad
+function cellChar(cell, paint) {
+  if (cell.skipped) return " ";
+  if (cell.lightFraction >= 1 - 1e-9 && !cell.ramped) return paint("yellow", "█");
+  if (cell.lightFraction <= 1e-9) return paint("blue", "·");
+  return paint("yellow", "▒");
+}
+
+export function formatCalendar(schedule, durationDays, now, paint, lang = DEFAULT_LANGUAGE) {
+  const text = (key) => engineText(lang, key);
+  const rows = buildCalendar(schedule, durationDays);
+  const nowMs = now.getTime();
+  const header = `${text("cli.col.day").padStart(4)} ${text("cli.col.date").padEnd(10)} ${text("cli.col.phase").padEnd(12)} 0     6     12    18     ${text("cli.col.light")}`;
+  const lines = [paint("bold", header)];
+  rows.forEach((row, d) => {
+    const lightHours = row.cells.reduce((sum, c) => sum + c.lightFraction * (c.hoursSpan || 0), 0);
+    const dayEnd = row.date.getTime() + row.hoursInDay * 3600 * 1000;
+    const isToday = nowMs >= row.date.getTime() && nowMs < dayEnd;
+    const grid = row.cells.map((cell, h) => {
+      const char = cellChar(cell, paint);
+      const hourStart = row.date.getTime() + h * 3600 * 1000;
+      return isToday && row.hoursInDay === 24 && nowMs >= hourStart && nowMs < hourStart + 3600 * 1000
+        ? paint("magenta", "◆")
+        : char;
+    }).join("");
+    const phaseName = stateAt(schedule, new Date(row.date.getTime() + 1)).phase.name.slice(0, 12);
+    lines.push(`${String(d + 1).padStart(4)} ${localText(row.date, schedule.timeZone).slice(0, 10)} ${phaseName.padEnd(12)} ${grid} ${lightHours.toFixed(1).padStart(5)} h`);
+  });
+  lines.push(paint("dim", text("cli.legend")));
+  return lines.join("\n");
+}
+
+/* ---------- Programa ---------- */
+function makePaint(color) {
+  return (style, text) => (color ? `${ANSI[style]}${text}${ANSI.reset}` : text);
+}
+
+async function output(target, text, io, lang) {
+  if (target === "-") io.stdout(text.replace(/\n$/, ""));
+  else {
+    await io.writeFile(target, text);
+    io.stderr(engineText(lang, "cli.written", { path: target }));
+  }
+}
+
+/**
+ * Corre la CLI con `argv` (sin "node" ni el script) y devuelve el código de salida.
+ * `io` permite reemplazar la consola, el reloj y el disco en los tests.
+ */
+export async function run(argv, io = {}) {
+  const env = {
+    stdout: (text) => console.log(text),
+    stderr: (text) => console.error(text),
+    writeFile: (path, text) => writeFile(path, text, "utf8"),
+    now: () => new Date(),
+    color: Boolean(process.stdout.isTTY) && !process.env.NO_COLOR,
+    ...io,
+  };
+  // Hasta leer --lang los errores salen en el idioma por defecto
+  let lang = DEFAULT_LANGUAGE;
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    lang = normalizeLanguage(values.lang);
+    if (values.help) {
+      env.stdout(usage(lang));
+      return 0;
+    }
+    if (positionals.length > 1) throw new Error(`${engineText(lang, "cli.oneFile")}\n\n${usage(lang)}`);
+
+    const now = values.now ? new Date(values.now) : env.now();
+    if (Number.isNaN(now.getTime())) throw new Error(engineText(lang, "cli.badFlag", { name: "now", value: values.now }));
+    const next = numberFlag(values.next, "next", { integer: true, lang });
+    const baseline = parseBaseline(values.baseline, lang);
+    const alarmMinutes = numberFlag(values.alarm, "alarm", { integer: true, lang });
+
+    const fileConfig = positionals[0] ? (await readConfigFile(positionals[0], lang)).config : null;
+    const { config, settings, schedule, warnings } = scheduleFromConfig(configFromArgs(fileConfig, values, now, lang), lang);
+    for (const w of warnings) env.stderr(engineText(lang, "cli.warning", { text: `${w.path ? `${w.path}: ` : ""}${w.message}` }));
+
+    const paint = makePaint(env.color && !values["no-color"]);
+    const name = config.grow?.name;
+    const exporting = values.json || values.ics || values.csv;
+    if (!exporting || values.calendar) {
+      env.stdout(formatSummary(schedule, { now, next, baseline, name, lang }, paint));
+    }
+    if (values.calendar) env.stdout(`\n${formatCalendar(schedule, settings.durationDays, now, paint, lang)}`);
+
+    if (values.json) {
+      const grow = createGrow({ ...config.grow, schedule: settings, journal: config.journal, milestones: config.milestones });
+      await output(values.json, JSON.stringify(configFromGrow(grow), null, 2) + "\n", env, lang);
+    }
+    if (values.ics) {
+      const calendarName = `${engineText(lang, "app.name")} — ${name || engineText(lang, "cli.defaultGrow")}`;
+      await output(values.ics, buildIcs(schedule, { durationDays: settings.durationDays, alarmMinutes, calendarName, now, lang }), env, lang);
+    }
+    if (values.csv) {
+      // Desde 1 ms antes del inicio para incluir el primer encendido, como el .ics
+      const from = new Date(schedule.startDate.getTime() - 1);
+      await output(values.csv, buildControllerExport("csv", schedule, { from, days: settings.durationDays, name, lang }), env, lang);
+    }
+    return 0;
+  } catch (err) {
+    env.stderr(err.message);
+    return 1;
+  }
+}
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import { mkdtemp, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { run } from "./fotoperiodo.js";
+
+const flags = ["--start", "2024-07-01T07:30", "--on", "13", "--off", "14", "--days", "3", "--tz", "Europe/Madrid"];
+
+async function cli(argv) {
+  const out = [];
+  const err = [];
+  const files = {};
+  const code = await run(argv, {
+    stdout: (text) => out.push(text),
+    stderr: (text) => err.push(text),
+    writeFile: async (path, text) => { files[path] = text; },
+    now: () => new Date("2024-07-02T10:00:00Z"),
+    color: false,
+  });
+  return { code, out: out.join("\n"), err: err.join("\n"), files };
+}
+
+describe("fotoperiodo CLI", () => {
+  it("prints state, next changes, superciclo days and energy balance", async () => {
+    const { code, out } = await cli([...flags, "--next", "2"]);
+    expect(code).toBe(0);
+    expect(out).toContain("Ahora:            2024-07-02 12:00  ON   Fase 1 (13/14)");
+    expect(out).toContain("Días super ciclo: 1 (ciclos de 27.0 h)");
+    expect(out).toContain("Balance (vs 12L/12D): ▼ 0.25 h gasto extra de luz");
+    expect(out).toContain("Próximos 2 cambios:\n  2024-07-02 23:30  OFF  Fase 1\n  2024-07-03 13:30  ON   Fase 1");
+  });
+
+  it("draws the calendar as a text grid with the current hour marked", async () => {
+    const { out } = await cli([...flags, "--calendar"]);
+    expect(out).toContain("   1 2024-07-01 Fase 1       ·······▒████████████▒···  13.0 h");
+    expect(out).toMatch(/ {3}2 2024-07-02 Fase 1 {7}·{10}▒█◆█{10}▒ {2}13\.0 h/);
+    expect(out).not.toContain("\x1b[");
+  });
+
+  it("writes the JSON, ICS and CSV exports", async () => {
+    const { code, files, err } = await cli([...flags, "--name", "Carpa", "--json", "c.json", "--ics", "c.ics", "--csv", "c.csv"]);
+    expect(code).toBe(0);
+    expect(err).toContain("Escrito c.ics");
+    expect(JSON.parse(files["c.json"])).toMatchObject({
+      version: 2,
+      startDate: "2024-07-01T07:30",
+      timeZone: "Europe/Madrid",
+      durationDays: 3,
+      phases: [{ hoursLight: 13, hoursDark: 14 }],
+      grow: { name: "Carpa" },
+    });
+    expect(files["c.ics"]).toContain("DTSTART:20240701T053000Z");
+    expect(files["c.csv"].split("\n")[1]).toBe("2024-07-01T05:30:00.000Z,2024-07-01T07:30:00+02:00,ON,Fase 1,0,,2024-07-01T07:30:00+02:00");
+  });
+
+  it("keeps the journal and milestones of the config file in the JSON export", async () => {
+    const journal = [{ id: "j1", type: "watering", at: "2024-07-01T10:00", note: "2 L" }];
+    const milestones = [{ id: "m1", name: "Cambio a flora", kind: "elapsed", days: 21 }];
+    const path = join(await mkdtemp(join(tmpdir(), "fotoperiodo-")), "config.json");
+    await writeFile(path, JSON.stringify({ version: 2, startDate: "2024-07-01T07:30", durationDays: 3, phases: [{ hoursLight: 13, hoursDark: 14 }], journal, milestones }));
+    const { code, files } = await cli([path, "--json", "c.json"]);
+    expect(code).toBe(0);
+    const exported = JSON.parse(files["c.json"]);
+    expect(exported.journal).toMatchObject(journal);
+    expect(exported.milestones).toMatchObject(milestones);
+  });
+
+  it("writes the summary, errors and exports in the --lang language", async () => {
+    const { out } = await cli([...flags, "--lang", "en", "--next", "1"]);
+    expect(out).toContain("Now:              2024-07-02 12:00  ON   Phase 1 (13/14)");
+    expect(out).toContain("Superciclo days:  1 (27.0 h cycles)");
+    expect(out).toContain("Balance (vs 12L/12D): ▼ 0.25 h extra light");
+    expect(out).toContain("Next switch:\n  2024-07-02 23:30  OFF  Phase 1");
+
+    const { files, err } = await cli([...flags, "--lang", "en", "--name", "Tent", "--ics", "c.ics"]);
+    expect(err).toContain("Wrote c.ics");
+    expect(files["c.ics"]).toContain("X-WR-CALNAME:Photoperiod — Tent");
+    expect(files["c.ics"]).toContain("SUMMARY:🔆 ON — Lights on");
+    expect((await cli(["--lang", "en", "--on", "x"])).err).toContain('Invalid --on: "x".');
+  });
+
+  it("fails with a message on invalid input", async () => {
+    expect((await cli(["--on", "x"])).err).toContain("--on inválido");
+    const { code, err } = await cli([...flags, "--start", "ayer"]);
+    expect(code).toBe(1);
+    expect(err).toContain("startDate");
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * sw.js — Service worker de Fotoperiodo
+ * - Recibe la lista de avisos desde la página (mensaje SCHEDULE_ALERTS)
+ * - Con Notification Triggers (TimestampTrigger, solo algunos Chromium) el
+ *   sistema los entrega aunque la pestaña esté cerrada; si no, se programan
+ *   con timers mientras el worker siga vivo: el navegador lo detiene poco
+ *   después de cerrar la última pestaña, así que hace falta una abierta (la
+ *   página reenvía la lista en cada tick para mantenerlo activo)
+ * - Al disparar un aviso avisa a las pestañas abiertas (ALERT_FIRED) para el
+ *   sonido y el registro
+ * - Precachea el build (lista inyectada por vite.config.js) y sirve la app
+ *   offline-first; una versión nueva queda en espera hasta que la página
+ *   confirme con SKIP_WAITING (aviso "Nueva versión disponible")
+ */
+
+// Reemplazados en el build; en desarrollo la lista queda vacía y no se cachea nada
+const BUILD_VERSION = "dev";
+const PRECACHE_MANIFEST = [];
+
+const CACHE_PREFIX = "fotoperiodo-";
+const PRECACHE = `${CACHE_PREFIX}precache-${BUILD_VERSION}`;
+const RUNTIME = `${CACHE_PREFIX}runtime`;
+const RUNTIME_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+const NOTIFICATION_TAG_PREFIX = "fotoperiodo-alert-";
+
+let timers = new Map();
+const fired = new Set();
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    if (PRECACHE_MANIFEST.length > 0) {
+      const cache = await caches.open(PRECACHE);
+      await cache.addAll(PRECACHE_MANIFEST);
+    }
+    // Primera instalación: no hay versión previa que esperar
+    if (!self.registration.active) await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter((key) => key.startsWith(`${CACHE_PREFIX}precache-`) && key !== PRECACHE)
+      .map((key) => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+// App shell: navegaciones → index.html cacheado; assets con hash → cache-first;
+// fuentes externas → stale-while-revalidate
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || PRECACHE_MANIFEST.length === 0) return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (request.mode === "navigate") {
+      event.respondWith((async () => {
+        const cached = await caches.match("/index.html", { cacheName: PRECACHE });
+        if (cached) return cached;
+        return fetch(request);
+      })());
+      return;
+    }
+    event.respondWith((async () => {
+      const cached = await caches.match(request, { cacheName: PRECACHE, ignoreSearch: true });
+      return cached || fetch(request);
+    })());
+    return;
+  }
+
+  if (RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith((async () => {
+      const cache = await caches.open(RUNTIME);
+      const cached = await cache.match(request);
+      const network = fetch(request)
+        .then((response) => {
+          if (response.ok || response.type === "opaque") cache.put(request, response.clone());
+          return response;
+        })
+        .catch(() => cached);
+      return cached || network;
+    })());
+  }
+});
+
+async function broadcast(message) {
+  const clients = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+  for (const client of clients) client.postMessage(message);
+}
+
+async function fireAlert(alert) {
+  if (fired.has(alert.id)) return;
+  fired.add(alert.id);
+  timers.delete(alert.id);
+  await self.registration.showNotification(alert.title, {
+    body: alert.body,
+    tag: NOTIFICATION_TAG_PREFIX + alert.id,
+    icon: "/favicon.png",
+    badge: "/favicon.png",
+    requireInteraction: false,
+    data: alert,
+  });
+  await broadcast({ type: "ALERT_FIRED", alert, firedAt: Date.now() });
+}
+
+async function scheduleAlerts(alerts) {
+  for (const id of timers.keys()) clearTimeout(timers.get(id));
+  timers = new Map();
+
+  const supportsTriggers = "showTrigger" in Notification.prototype && "TimestampTrigger" in self;
+  if (supportsTriggers) {
+    // Reemplaza los avisos programados por el sistema con la lista nueva
+    const pending = await self.registration.getNotifications({ includeTriggered: false });
+    for (const n of pending) {
+      if (n.tag?.startsWith(NOTIFICATION_TAG_PREFIX)) n.close();
+    }
+  }
+
+  for (const alert of alerts) {
+    if (fired.has(alert.id)) continue;
+    const delay = alert.fireAt - Date.now();
+    if (delay < 0) continue;
+    if (supportsTriggers) {
+      await self.registration.showNotification(alert.title, {
+        body: alert.body,
+        tag: NOTIFICATION_TAG_PREFIX + alert.id,
+        icon: "/favicon.png",
+        showTrigger: new self.TimestampTrigger(alert.fireAt),
+        data: alert,
+      });
+    }
+    // El timer también corre con triggers: es el que avisa a la página (sonido + registro)
+    timers.set(alert.id, setTimeout(() => {
+      if (supportsTriggers) {
+        fired.add(alert.id);
+        broadcast({ type: "ALERT_FIRED", alert, firedAt: Date.now() });
+      } else {
+        fireAlert(alert);
+      }
+    }, delay));
+  }
+}
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "SCHEDULE_ALERTS") {
+    event.waitUntil(scheduleAlerts(Array.isArray(msg.alerts) ? msg.alerts : []));
+  } else if (msg.type === "CANCEL_ALERTS") {
+    event.waitUntil(scheduleAlerts([]));
+  } else if (msg.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const clients = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    if (clients.length > 0) return clients[0].focus();
+    return self.clients.openWindow("/");
+  })());
+});
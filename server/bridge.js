@@ -0,0 +1,173 @@
+/**
+ * bridge.js — Puente local HTTP/WebSocket con el estado de las luces
+ * - GET /state: ¿ON u OFF ahora?, intensidad de la rampa, fase y próximo cambio
+ * - GET /next: próximo cambio
+ * - GET /transitions?from&to: cambios en el intervalo (ISO 8601 o ms epoch)
+ * - WebSocket (cualquier ruta): al conectar manda el estado y luego cada cambio
+ * - El reloj es inyectable ({ now, setTimeout, clearTimeout }) para los tests
+ */
+
+import { createServer } from "node:http";
+import { WebSocketServer } from "ws";
+import { MS_PER_DAY, nextTransition, stateAt, transitionsBetween } from "../src/engine/photoperiod.js";
+
+export const DEFAULT_PORT = 8787;
+export const DEFAULT_TRANSITIONS_HOURS = 24;
+export const MAX_TRANSITIONS_DAYS = 366;
+
+// setTimeout no acepta más de ~24,8 días: los cambios lejanos se esperan en tramos
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+export const systemClock = {
+  now: () => new Date(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+function transitionJson(tr) {
+  return {
+    at: tr.date.toISOString(),
+    state: tr.isLight ? "ON" : "OFF",
+    isLight: tr.isLight,
+    phaseIndex: tr.phaseIndex,
+    phase: tr.phase.name,
+  };
+}
+
+export function nextJson(schedule, now) {
+  const next = nextTransition(schedule, now);
+  if (!next) return null;
+  return { ...transitionJson(next), inMinutes: Math.round(next.hoursToNext * 60) };
+}
+
+export function stateJson(schedule, now) {
+  const st = stateAt(schedule, now);
+  return {
+    now: now.toISOString(),
+    timeZone: schedule.timeZone,
+    state: st.isLight ? "ON" : "OFF",
+    isLight: st.isLight,
+    intensity: Math.round(st.intensity * 1000) / 1000,
+    started: st.started,
+    phaseIndex: st.phaseIndex,
+    phase: st.phase.name,
+    cycleIndex: st.cycleIndex,
+    next: nextJson(schedule, now),
+  };
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ISO 8601 o ms desde epoch; sin valor → fallback
+function parseInstant(searchParams, name, fallback) {
+  const value = searchParams.get(name);
+  if (value === null || value === "") return fallback;
+  const date = /^-?\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  if (Number.isNaN(date.getTime())) throw new HttpError(400, `Parámetro ${name} inválido: usar ISO 8601 o ms desde epoch.`);
+  return date;
+}
+
+export function transitionsJson(schedule, searchParams, now) {
+  const from = parseInstant(searchParams, "from", now);
+  const to = parseInstant(searchParams, "to", new Date(from.getTime() + DEFAULT_TRANSITIONS_HOURS * 3600 * 1000));
+  if (to < from) throw new HttpError(400, "to debe ser posterior a from.");
+  if (to - from > MAX_TRANSITIONS_DAYS * MS_PER_DAY) throw new HttpError(400, `El intervalo no puede superar ${MAX_TRANSITIONS_DAYS} días.`);
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    initialState: stateAt(schedule, from).isLight ? "ON" : "OFF",
+    transitions: transitionsBetween(schedule, from, to).map(transitionJson),
+  };
+}
+
+const ROUTES = {
+  "/state": (schedule, url, now) => stateJson(schedule, now),
+  "/next": (schedule, url, now) => nextJson(schedule, now),
+  "/transitions": (schedule, url, now) => transitionsJson(schedule, url.searchParams, now),
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Servidor HTTP + WebSocket para un schedule (ver loadConfig.js).
+ * @param {{ schedule: object, clock?: typeof systemClock }} options
+ * @returns {{ server: import("node:http").Server, listen: (port?: number, host?: string) => Promise<{ port: number, host: string }>, close: () => Promise<void> }}
+ */
+export function createBridge({ schedule, clock = systemClock }) {
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const route = ROUTES[url.pathname.replace(/\/+$/, "") || "/"];
+    if (!route) return sendJson(res, 404, { error: `Ruta desconocida: ${url.pathname}`, routes: Object.keys(ROUTES) });
+    if (req.method !== "GET") return sendJson(res, 405, { error: "Solo GET." });
+    try {
+      sendJson(res, 200, route(schedule, url, clock.now()));
+    } catch (err) {
+      sendJson(res, err.status || 500, { error: err.message });
+    }
+  });
+
+  const wss = new WebSocketServer({ server });
+  wss.on("connection", (socket) => {
+    socket.send(JSON.stringify({ type: "state", ...stateJson(schedule, clock.now()) }));
+  });
+
+  const broadcast = (message) => {
+    const text = JSON.stringify(message);
+    for (const client of wss.clients) {
+      if (client.readyState === client.OPEN) client.send(text);
+    }
+  };
+
+  // Un único timer hasta el próximo cambio; al vencer avisa y se rearma
+  let timer = null;
+  let lastSentMs = -Infinity;
+  const arm = () => {
+    const now = clock.now();
+    // dateAtHours redondea al ms: buscar después del último cambio avisado
+    const next = nextTransition(schedule, new Date(Math.max(now.getTime(), lastSentMs + 1)));
+    if (!next) return;
+    const atMs = next.date.getTime();
+    timer = clock.setTimeout(() => {
+      timer = null;
+      const firedAt = clock.now();
+      if (firedAt.getTime() >= atMs) {
+        lastSentMs = atMs;
+        broadcast({ type: "transition", ...transitionJson(next), next: nextJson(schedule, new Date(atMs + 1)) });
+      }
+      arm();
+    }, Math.min(MAX_TIMER_MS, Math.max(0, atMs - now.getTime())));
+  };
+
+  return {
+    server,
+    listen(port = DEFAULT_PORT, host = "127.0.0.1") {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          server.off("error", reject);
+          arm();
+          const address = server.address();
+          resolve({ port: address.port, host: address.address });
+        });
+      });
+    },
+    close() {
+      if (timer !== null) clock.clearTimeout(timer);
+      timer = null;
+      for (const client of wss.clients) client.terminate();
+      return new Promise((resolve) => wss.close(() => server.close(() => resolve())));
+    },
+  };
+}
@@ -0,0 +1,110 @@
+import { afterEach, describe, expect, it } from "vitest";
+import WebSocket from "ws";
+import { createBridge } from "./bridge.js";
+import { scheduleFromConfig } from "./loadConfig.js";
+
+const config = {
+  version: 2,
+  startDate: "2024-01-01T06:00",
+  timeZone: "UTC",
+  durationDays: 30,
+  phases: [{ name: "Flora", hoursLight: 12, hoursDark: 12, length: 0, unit: "days" }],
+};
+
+// Reloj manual: los timers vencen solo al avanzar
+function manualClock(iso) {
+  let now = Date.parse(iso);
+  let timers = [];
+  return {
+    now: () => new Date(now),
+    setTimeout(fn, ms) {
+      const timer = { at: now + ms, fn };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout(timer) {
+      timers = timers.filter((t) => t !== timer);
+    },
+    advance(ms) {
+      const end = now + ms;
+      for (;;) {
+        timers.sort((a, b) => a.at - b.at);
+        const timer = timers[0];
+        if (!timer || timer.at > end) break;
+        timers.shift();
+        now = timer.at;
+        timer.fn();
+      }
+      now = end;
+    },
+  };
+}
+
+let bridge = null;
+
+async function start(clock) {
+  bridge = createBridge({ schedule: scheduleFromConfig(config).schedule, clock });
+  const { port } = await bridge.listen(0);
+  return `127.0.0.1:${port}`;
+}
+
+afterEach(async () => {
+  await bridge?.close();
+  bridge = null;
+});
+
+describe("bridge HTTP", () => {
+  it("reports the current state and the next change", async () => {
+    const clock = manualClock("2024-01-02T10:00:00Z");
+    const host = await start(clock);
+    const state = await (await fetch(`http://${host}/state`)).json();
+    expect(state).toMatchObject({ state: "ON", isLight: true, phase: "Flora", cycleIndex: 1 });
+    expect(state.next).toMatchObject({ at: "2024-01-02T18:00:00.000Z", state: "OFF", inMinutes: 480 });
+
+    clock.advance(9 * 3600 * 1000);
+    const next = await (await fetch(`http://${host}/next`)).json();
+    expect(next).toMatchObject({ at: "2024-01-03T06:00:00.000Z", state: "ON" });
+  });
+
+  it("lists transitions in a range and rejects bad parameters", async () => {
+    const host = await start(manualClock("2024-01-02T00:00:00Z"));
+    const body = await (await fetch(`http://${host}/transitions?from=2024-01-02T00:00:00Z&to=2024-01-03T00:00:00Z`)).json();
+    expect(body.initialState).toBe("OFF");
+    expect(body.transitions.map((t) => [t.at, t.state])).toEqual([
+      ["2024-01-02T06:00:00.000Z", "ON"],
+      ["2024-01-02T18:00:00.000Z", "OFF"],
+    ]);
+
+    const bad = await fetch(`http://${host}/transitions?from=ayer`);
+    expect(bad.status).toBe(400);
+    expect((await bad.json()).error).toMatch(/from/);
+    expect((await fetch(`http://${host}/otra`)).status).toBe(404);
+  });
+});
+
+describe("bridge WebSocket", () => {
+  it("sends the state on connect and pushes each change", async () => {
+    const clock = manualClock("2024-01-02T17:00:00Z");
+    const host = await start(clock);
+    const socket = new WebSocket(`ws://${host}`);
+    const messages = [];
+    const received = (n) => new Promise((resolve) => {
+      const check = () => (messages.length >= n ? resolve() : setTimeout(check, 5));
+      check();
+    });
+    socket.on("message", (data) => messages.push(JSON.parse(data)));
+
+    await received(1);
+    expect(messages[0]).toMatchObject({ type: "state", state: "ON" });
+
+    clock.advance(2 * 3600 * 1000);
+    await received(2);
+    expect(messages[1]).toMatchObject({ type: "transition", at: "2024-01-02T18:00:00.000Z", state: "OFF" });
+    expect(messages[1].next.at).toBe("2024-01-03T06:00:00.000Z");
+
+    clock.advance(24 * 3600 * 1000);
+    await received(4);
+    expect(messages.slice(2).map((m) => m.state)).toEqual(["ON", "OFF"]);
+    socket.close();
+  });
+});
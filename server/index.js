@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * index.js — Arranca el puente local
+ *   node server/index.js fotoperiodo-config.json [--port 8787] [--host 127.0.0.1]
+ */
+
+import { parseArgs } from "node:util";
+import { DEFAULT_PORT, createBridge } from "./bridge.js";
+import { readConfigFile } from "./loadConfig.js";
+
+const USAGE = "Uso: node server/index.js <config.json> [--port 8787] [--host 127.0.0.1]";
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      port: { type: "string", default: String(DEFAULT_PORT) },
+      host: { type: "string", default: "127.0.0.1" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  const { schedule, config, warnings } = await readConfigFile(positionals[0]);
+  for (const w of warnings) console.warn(`Aviso: ${w.path ? `${w.path}: ` : ""}${w.message}`);
+
+  const bridge = createBridge({ schedule });
+  const { port, host } = await bridge.listen(Number(values.port), values.host);
+  console.log(`Fotoperiodo${config.grow?.name ? ` — ${config.grow.name}` : ""} en http://${host}:${port} (/state, /next, /transitions, WebSocket)`);
+
+  const stop = () => bridge.close().then(() => process.exit(0));
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,39 @@
+/**
+ * loadConfig.js — Archivo de configuración (formato de "Exportar JSON") → schedule
+ * - Misma validación y migración que "Importar config" (src/config.js)
+ * - Mismo armado del schedule que la app: scheduleFromObject + createSchedule
+ */
+
+import { readFile } from "node:fs/promises";
+import { formatValidationErrors, validateConfig } from "../src/config.js";
+import { scheduleFromObject } from "../src/grows.js";
+import { createSchedule } from "../src/engine/photoperiod.js";
+import { DEFAULT_LANGUAGE, engineText } from "../src/engine/locale.js";
+
+/**
+ * Config ya parseada → { config, settings, schedule, warnings }.
+ * `settings` es el schedule guardado (con durationDays y light); `schedule`, el
+ * objeto del motor. Lanza un Error con la lista de problemas (en `lang`) si no es válida.
+ */
+export function scheduleFromConfig(raw, lang = DEFAULT_LANGUAGE) {
+  const result = validateConfig(raw, lang);
+  if (!result.ok) throw new Error(`${engineText(lang, "config.invalid")}\n${formatValidationErrors(result.errors)}`);
+  const settings = scheduleFromObject(result.config);
+  return {
+    config: result.config,
+    settings,
+    schedule: createSchedule(settings),
+    warnings: result.warnings,
+  };
+}
+
+export async function readConfigFile(path, lang = DEFAULT_LANGUAGE) {
+  const text = await readFile(path, "utf8");
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new Error(engineText(lang, "config.badJson", { path, error: err.message }));
+  }
+  return scheduleFromConfig(raw, lang);
+}
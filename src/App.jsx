@@ -4,19 +4,78 @@
  * - Mejoras visuales (Inter, indigo + acentos rosados)
  * - Superciclo en rojo, ON/OFF con emoji
  * - Celda actual con contorno llamativo
- * - Export PNG/JPEG del calendario con html2canvas (scale=3)
+ * - Calendario virtualizado (CalendarGrid) y export PNG/JPEG por páginas
+ *   con html2canvas (scale=3, ver calendarImage.jsx)
  * - CSS separado en src/App.css
+ * - Textos en src/i18n.js (es/en); el idioma elegido se guarda en prefs.lang
+ * - Avisos del esquema (engine/sanity.js) junto a cada campo y en el estado
  *
  * Requisitos:
  * npm i html2canvas lucide-react
  */
 
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { Sun, Moon, Download, Upload, RefreshCw, Zap } from "lucide-react";
-import html2canvas from "html2canvas";
+import { Sun, Moon, Download, Upload, RefreshCw, Zap, Plus, Trash2, CalendarPlus, Bell, BellOff, WifiOff, Link2, QrCode } from "lucide-react";
+import QRCode from "qrcode";
+import {
+  createSchedule,
+  stateAt,
+  cycleIndexAt,
+  energyBalance as computeEnergyBalance,
+  nextTransition,
+  buildCalendar,
+  calendarDays,
+  hoursSinceStart,
+} from "./engine/photoperiod";
+import {
+  availableTimeZones,
+  formatLocalDateTime,
+  isValidTimeZone,
+  localTimeZone,
+  parseLocalDateTime,
+  zonedDayDiff,
+  zonedParts,
+} from "./engine/timezone";
+import { buildIcs } from "./engine/ics";
+import { alertMessage, upcomingAlerts } from "./engine/alerts";
+import { applyServiceWorkerUpdate, onServiceWorkerMessage, onServiceWorkerUpdate } from "./serviceWorker";
+import { createGrow, defaultSchedule, loadGrowStore, saveGrowStore, scheduleFromObject } from "./grows";
+import { useGrowState } from "./useGrowState";
+import { configFromGrow, diffConfig, formatValidationErrors, validateConfig } from "./config";
+import { tariffFromObject } from "./engine/energy";
+import { busyHoursFromObject, checkSchedule, warningsByField } from "./engine/sanity";
+import { DEFAULT_LIGHT, dliPerCalendarDay, dliPerCycle, dliStatus } from "./engine/dli";
+import EnergyPanel from "./components/EnergyPanel";
+import DliPanel from "./components/DliPanel";
+import ControllerPanel from "./components/ControllerPanel";
+import JournalPanel from "./components/JournalPanel";
+import MilestonePanel from "./components/MilestonePanel";
+import SanityNotes from "./components/SanityNotes";
+import ActualPanel from "./components/ActualPanel";
+import ComparePanel from "./components/ComparePanel";
+import PrintPanel from "./components/PrintPanel";
+import CalendarGrid from "./components/CalendarGrid";
+import CycleView from "./components/CycleView";
+import MonthView from "./components/MonthView";
+import TimelineView from "./components/TimelineView";
+import { exportCalendarImages } from "./calendarImage";
+import { CALENDAR_EXPORT_MAX_PAGES, CALENDAR_PAGE_DAYS, createCalendarPages } from "./calendarLayout";
+import { JOURNAL_TYPE_IDS, journalByCell } from "./journal";
+import { countdownText, equivalentDaysAt, milestonesByDay, resolveMilestones } from "./milestones";
+import { MISMATCH_MINUTES, actualCellMap, actualCycleIndex, actualDayRange, actualEnergyBalance, actualTransitions } from "./engine/actual";
+import { decodeShareConfig, readShareHash, shareUrl } from "./shareLink";
+import { playAlarmSound, requestNotificationPermission, scheduleAlerts } from "./notifications";
+import { LANGUAGES, browserLanguage, createI18n, normalizeLanguage } from "./i18n";
+import { I18nContext } from "./i18nContext";
 import "./App.css";
 
-const STORAGE_KEY = "fotoperiodo_settings_v1";
+const ALERT_LOG_KEY = "fotoperiodo_alert_log_v1";
+const ALERT_LOG_MAX = 50;
+// Etiquetas en calendar.view.<id>
+const CALENDAR_VIEWS = ["grid", "cycles", "month", "timeline"];
+
+// Notification Triggers: el sistema entrega los avisos con la pestaña cerrada (solo algunos Chromium)
+const ALERT_TRIGGERS = typeof Notification !== "undefined" && "showTrigger" in Notification.prototype && "TimestampTrigger" in window;
 
 /* ---------- Helpers ---------- */
 function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
@@ -25,65 +84,115 @@ function safeParseJSON(str, fallback) {
   try { return JSON.parse(str); } catch (e) { return fallback; }
 }
 
-function fmtDateTimeLocal(d) {
-  if (!(d instanceof Date) || isNaN(d.getTime())) return "";
-  const pad = (n) => n.toString().padStart(2, "0");
-  const y = d.getFullYear();
-  const m = pad(d.getMonth() + 1);
-  const day = pad(d.getDate());
-  const h = pad(d.getHours());
-  const min = pad(d.getMinutes());
-  return `${y}-${m}-${day}T${h}:${min}`;
+function downloadText(text, mime, filename) {
+  const blob = new Blob([text], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
 }
 
 /* ---------- Component ---------- */
 export default function App() {
   // ---- State ----
-  const [startDate, setStartDate] = useState(() => {
-    const d = new Date(); d.setHours(0, 0, 0, 0);
-    return fmtDateTimeLocal(d);
+  // Cultivos guardados (la primera carga migra la configuración única anterior)
+  const [initialStore] = useState(() => loadGrowStore(localStorage));
+
+  // Idioma de la interfaz y de los exports (la primera vez, el del navegador)
+  const [lang, setLang] = useState(() => (initialStore.prefs.lang ? normalizeLanguage(initialStore.prefs.lang) : browserLanguage()));
+  const i18n = useMemo(() => createI18n(lang), [lang]);
+  const { t, number, date, dayMonth } = i18n;
+  useEffect(() => { document.documentElement.lang = lang; }, [lang]);
+
+  // Cultivo activo: sus setters escriben siempre en el que está en pantalla
+  const phaseName = useCallback((n) => t("settings.phaseName", { n }), [t]);
+  const {
+    grows, setGrows, activeGrow, setActiveGrowId, updateActiveGrow,
+    updateActiveEnergy, updateActiveJournal, updateActiveMilestones, updateActiveActual,
+    setStartDate, setPhases, setDurationDays, setTimeZone, setClockMode, setLight,
+    updatePhase, updateRamp, addPhase, removePhase,
+  } = useGrowState(initialStore, phaseName);
+  const { startDate, phases, durationDays, timeZone, clockMode } = activeGrow.schedule;
+  const light = activeGrow.schedule.light || DEFAULT_LIGHT;
+
+  const [icsAlarmMinutes, setIcsAlarmMinutes] = useState(0);
+
+  // Avisos (opt-in): minutos de anticipación, sonido y registro de disparos
+  const savedAlerts = initialStore.prefs.alerts || {};
+  const [alertsEnabled, setAlertsEnabled] = useState(Boolean(savedAlerts.enabled));
+  const [alertLeadMinutes, setAlertLeadMinutes] = useState(Number.isFinite(Number(savedAlerts.leadMinutes)) ? Number(savedAlerts.leadMinutes) : 10);
+  const [alertSound, setAlertSound] = useState(typeof savedAlerts.sound === "boolean" ? savedAlerts.sound : true);
+  const [alertPermission, setAlertPermission] = useState(() => (typeof Notification !== "undefined" ? Notification.permission : "unsupported"));
+  const [alertLog, setAlertLog] = useState(() => safeParseJSON(localStorage.getItem(ALERT_LOG_KEY), []) || []);
+
+  // Tarifa eléctrica común a todos los cultivos
+  const [tariff, setTariff] = useState(() => tariffFromObject(initialStore.prefs.tariff));
+
+  // Horas ocupadas (0–23), comunes a todos los cultivos: avisan si la oscuridad cae ahí
+  const [busyHours, setBusyHours] = useState(() => busyHoursFromObject(initialStore.prefs.busyHours));
+  const toggleBusyHour = useCallback((h) => {
+    setBusyHours((prev) => busyHoursFromObject(prev.includes(h) ? prev.filter((x) => x !== h) : [...prev, h]));
+  }, []);
+
+  // Bitácora: tipos visibles (lista y marcadores) y celda elegida en el calendario
+  const [journalFilter, setJournalFilter] = useState(() => {
+    const saved = initialStore.prefs.journalFilter;
+    return new Set(Array.isArray(saved) ? saved.filter((id) => JOURNAL_TYPE_IDS.includes(id)) : JOURNAL_TYPE_IDS);
   });
+  const [journalPick, setJournalPick] = useState("");
 
-  const [hoursLight, setHoursLight] = useState(13);
-  const [hoursDark, setHoursDark] = useState(14);
-  const [durationDays, setDurationDays] = useState(60);
+  // Vista del calendario (grilla, por ciclo, mes o línea de tiempo)
+  const [calendarView, setCalendarView] = useState(() => (
+    CALENDAR_VIEWS.includes(initialStore.prefs.calendarView) ? initialStore.prefs.calendarView : "grid"
+  ));
 
   const [now, setNow] = useState(new Date());
   const [errorMsg, setErrorMsg] = useState("");
+  // Vista previa de importación (archivo o enlace): { source, config, warnings, migratedFrom, diff }
+  const [importPreview, setImportPreview] = useState(null);
+  // Enlace para compartir: "copiado" temporal y QR (data URL) bajo demanda
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [showQr, setShowQr] = useState(false);
+  const [qrDataUrl, setQrDataUrl] = useState("");
 
-  // ref for calendar export
-  const calendarRef = useRef(null);
-  // Centrar automáticamente la celda actual en el calendario
-useEffect(() => {
-  if (!calendarRef.current) return;
-  const el = calendarRef.current.querySelector(".now-cell");
-  if (el) {
-    el.scrollIntoView({ behavior: "smooth", block: "center", inline: "center" });
-  }
-}, [currentDayIndex24h, currentHourIndex]);
+  // PWA: versión nueva en espera y estado de conexión
+  const [waitingWorker, setWaitingWorker] = useState(null);
+  const [online, setOnline] = useState(() => (typeof navigator !== "undefined" ? navigator.onLine : true));
 
-
-  // ---- Load saved settings on mount ----
-  useEffect(() => {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return;
-    const obj = safeParseJSON(raw, null);
-    if (!obj) return;
-    if (obj.startDate) setStartDate(String(obj.startDate));
-    if (Number.isFinite(Number(obj.hoursLight))) setHoursLight(Number(obj.hoursLight));
-    if (Number.isFinite(Number(obj.hoursDark))) setHoursDark(Number(obj.hoursDark));
-    if (Number.isFinite(Number(obj.durationDays))) setDurationDays(Number(obj.durationDays));
-  }, []);
+  // Export de imagen del calendario en curso: { page, total }
+  const [imageProgress, setImageProgress] = useState(null);
+  const timeZoneOptions = useMemo(() => availableTimeZones(), []);
 
   // ---- Autosave (debounced simple) ----
   useEffect(() => {
-    const payload = { startDate, hoursLight, hoursDark, durationDays };
+    const store = {
+      activeGrowId: activeGrow.id,
+      grows,
+      prefs: { alerts: { enabled: alertsEnabled, leadMinutes: alertLeadMinutes, sound: alertSound }, tariff, busyHours, journalFilter: [...journalFilter], calendarView, lang },
+    };
     const id = setTimeout(() => {
-      try { localStorage.setItem(STORAGE_KEY, JSON.stringify(payload)); }
+      try { saveGrowStore(localStorage, store); }
       catch (e) { console.warn("No se pudo guardar en localStorage:", e); }
     }, 300);
     return () => clearTimeout(id);
-  }, [startDate, hoursLight, hoursDark, durationDays]);
+  }, [grows, activeGrow.id, alertsEnabled, alertLeadMinutes, alertSound, tariff, busyHours, journalFilter, calendarView, lang]);
+
+  useEffect(() => {
+    try { localStorage.setItem(ALERT_LOG_KEY, JSON.stringify(alertLog)); }
+    catch (e) { console.warn("No se pudo guardar el registro de avisos:", e); }
+  }, [alertLog]);
+
+  useEffect(() => onServiceWorkerUpdate(setWaitingWorker), []);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
 
   // ---- Tick for 'now' ----
   useEffect(() => {
@@ -94,94 +203,68 @@ useEffect(() => {
   // ---- Validation helpers ----
   const validateInputs = useCallback(() => {
     setErrorMsg("");
-    if (!startDate) { setErrorMsg("La fecha de inicio es requerida."); return false; }
-    const d = new Date(startDate);
-    if (isNaN(d.getTime())) { setErrorMsg("Formato de fecha inválido."); return false; }
-    if (!Number.isFinite(Number(hoursLight)) || Number(hoursLight) < 0) { setErrorMsg("Horas de luz inválidas."); return false; }
-    if (!Number.isFinite(Number(hoursDark)) || Number(hoursDark) < 0) { setErrorMsg("Horas de oscuridad inválidas."); return false; }
-    if (!Number.isFinite(Number(durationDays)) || Number(durationDays) < 1) { setErrorMsg("Duración debe ser >= 1 día."); return false; }
+    if (!startDate) { setErrorMsg(t("validation.startRequired")); return false; }
+    if (!parseLocalDateTime(startDate, timeZone)) { setErrorMsg(t("validation.startInvalid")); return false; }
+    if (!isValidTimeZone(timeZone)) { setErrorMsg(t("validation.timeZone")); return false; }
+    for (const [i, phase] of phases.entries()) {
+      if (!Number.isFinite(Number(phase.hoursLight)) || Number(phase.hoursLight) < 0) { setErrorMsg(t("validation.hoursLight", { n: i + 1 })); return false; }
+      if (!Number.isFinite(Number(phase.hoursDark)) || Number(phase.hoursDark) < 0) { setErrorMsg(t("validation.hoursDark", { n: i + 1 })); return false; }
+      if (Number(phase.hoursLight) + Number(phase.hoursDark) <= 0) { setErrorMsg(t("validation.zeroCycle", { n: i + 1 })); return false; }
+      if (!Number.isFinite(Number(phase.length)) || Number(phase.length) < 0) { setErrorMsg(t("validation.length", { n: i + 1 })); return false; }
+    }
+    if (!Number.isFinite(Number(durationDays)) || Number(durationDays) < 1) { setErrorMsg(t("validation.duration")); return false; }
     return true;
-  }, [startDate, hoursLight, hoursDark, durationDays]);
+  }, [startDate, phases, durationDays, timeZone, t]);
 
   // ---- Derived / computed values (same logic original) ----
+  // Zona efectiva: si la ingresada no es válida se usa la del navegador
+  const zone = useMemo(() => (isValidTimeZone(timeZone) ? timeZone : localTimeZone()), [timeZone]);
+
   const startDateObj = useMemo(() => {
-    const d = new Date(startDate);
+    const d = parseLocalDateTime(startDate, zone) || new Date(startDate);
     if (isNaN(d.getTime())) return new Date();
     return d;
-  }, [startDate]);
-
-  const cycleLength = useMemo(() => {
-    const sum = Number(hoursLight) + Number(hoursDark);
-    return sum > 0 ? sum : 0.0000001; // avoid zero
-  }, [hoursLight, hoursDark]);
-
-  const fractionalStartOffset = useMemo(() => {
-    return startDateObj.getHours() + startDateObj.getMinutes() / 60 + startDateObj.getSeconds() / 3600;
-  }, [startDateObj]);
-
-  const hoursSinceStartNow = useMemo(() => {
-    return (now.getTime() - startDateObj.getTime()) / (1000 * 60 * 60);
-  }, [now, startDateObj]);
-
-  const currentInCycle = useMemo(() => {
-    return ((hoursSinceStartNow % cycleLength) + cycleLength) % cycleLength;
-  }, [hoursSinceStartNow, cycleLength]);
-
-  const isNowLight = useMemo(() => currentInCycle < Number(hoursLight), [currentInCycle, hoursLight]);
-
-  // Días "superciclo" (ciclos custom completos)
-  const customCycleDayIndex = useMemo(() => Math.floor(hoursSinceStartNow / cycleLength), [hoursSinceStartNow, cycleLength]);
-
- // calendar helpers (24h-based)
-const currentHourIndex = useMemo(() => now.getHours(), [now]);
-const currentDayIndex24h = useMemo(() => {
-  const startOfDayNow = new Date(now);
-  startOfDayNow.setHours(0, 0, 0, 0);
-  const startOfDayStart = new Date(startDateObj);
-  startOfDayStart.setHours(0, 0, 0, 0);
-  const daysSinceStart =
-    (startOfDayNow.getTime() - startOfDayStart.getTime()) /
-    (1000 * 60 * 60 * 24);
-  return Math.floor(daysSinceStart);
-}, [now, startDateObj]);
-
-function isLightAtAbsoluteHours(hoursSinceStart) {
-  const inCycle = ((hoursSinceStart % cycleLength) + cycleLength) % cycleLength;
-  return inCycle < Number(hoursLight);
-}
+  }, [startDate, zone]);
 
-// === Centrar automáticamente la celda actual del calendario al abrir ===
-useEffect(() => {
-  if (!calendarRef.current) return;
-
-  const el = calendarRef.current.querySelector(".now-cell");
-  if (el) {
-    // Evita mover el scroll si el usuario ya desplazó manualmente
-    const alreadyScrolled =
-      calendarRef.current.scrollTop > 50 || calendarRef.current.scrollLeft > 50;
-
-    if (!alreadyScrolled) {
-      el.scrollIntoView({
-        behavior: "smooth",
-        block: "center",
-        inline: "center",
-      });
-    }
-  }
-}, []); // ← Solo se ejecuta una vez al montar
+  const schedule = useMemo(
+    () => createSchedule({ startDate: startDateObj, phases, timeZone: zone, clockMode }),
+    [startDateObj, phases, zone, clockMode]
+  );
+
+  // Horas del esquema: en modo reloj local cuentan horas de reloj, no transcurridas
+  const hoursSinceStartNow = useMemo(() => hoursSinceStart(schedule, now), [schedule, now]);
+
+  // Fase activa y posición dentro de su ciclo
+  const currentState = useMemo(() => stateAt(schedule, now), [schedule, now]);
+  const cycleLength = currentState.cycleLength;
+  const isNowLight = currentState.isLight;
+
+  // Historial real de ON/OFF (si se eligió, reemplaza al plan en el contador y el balance)
+  const actualTr = useMemo(() => actualTransitions(activeGrow.actual.events), [activeGrow.actual.events]);
+  const useActualStats = activeGrow.actual.useForStats && actualTr.length > 0;
+
+  // Días "superciclo" (ciclos custom completos, sumando todas las fases)
+  const plannedCycleIndex = useMemo(() => cycleIndexAt(schedule, now), [schedule, now]);
+  const actualCycles = useMemo(() => actualCycleIndex(schedule, actualTr, now), [schedule, actualTr, now]);
+  const customCycleDayIndex = useActualStats ? actualCycles : plannedCycleIndex;
+
+ // calendar helpers (días locales en la zona del esquema)
+const currentHourIndex = useMemo(() => zonedParts(now, zone).hour, [now, zone]);
+const currentDayIndex24h = useMemo(() => zonedDayDiff(startDateObj, now, zone), [now, startDateObj, zone]);
+
+// Tocar una celda precarga ese día y hora en la bitácora
+const pickCalendarCell = useCallback((row, h) => {
+  setJournalPick(`${formatLocalDateTime(row.date, zone).slice(0, 10)}T${String(h).padStart(2, "0")}:00`);
+}, [zone]);
 
 
 
-  // energy balance vs 12/12
-  const energyBalance = useMemo(() => {
-    if (hoursSinceStartNow < 0) return 0;
-    const hoursLightCustom = Number(hoursLight);
-    const cycleLenCustom = cycleLength;
-    const lightHoursConsumedCustom = (hoursLightCustom / cycleLenCustom) * hoursSinceStartNow;
-    const lightHoursConsumedStandard = 0.5 * hoursSinceStartNow;
-    const totalBalance = lightHoursConsumedStandard - lightHoursConsumedCustom;
-    return totalBalance;
-  }, [hoursLight, hoursSinceStartNow, cycleLength]);
+  // energy balance vs el esquema de referencia elegido en "Energía y costo"
+  const { baseline } = activeGrow.energy;
+  const baselineRatio = baseline.hoursLight / (baseline.hoursLight + baseline.hoursDark);
+  const plannedBalance = useMemo(() => computeEnergyBalance(schedule, now, baselineRatio), [schedule, now, baselineRatio]);
+  const actualBalance = useMemo(() => actualEnergyBalance(schedule, actualTr, now, baselineRatio), [schedule, actualTr, now, baselineRatio]);
+  const energyBalance = useActualStats ? actualBalance : plannedBalance;
 
   // formatted time elapsed
   const formattedTimeElapsed = useMemo(() => {
@@ -195,123 +278,333 @@ useEffect(() => {
     if (days > 0) parts.push(`${days} d`);
     if (hours > 0 || (days === 0 && minutes > 0)) parts.push(`${hours} h`);
     if (minutes > 0 && days === 0 && hours === 0) parts.push(`${minutes} m`);
-    return { days, hours, minutes, display: parts.length > 0 ? parts.join(' y ') : '0 d' };
-  }, [hoursSinceStartNow]);
+    return { days, hours, minutes, display: parts.length > 0 ? parts.join(t("status.elapsedJoin")) : '0 d' };
+  }, [hoursSinceStartNow, t]);
 
   // ---- Build calendar data (days x 24) ----
-  const calendar = useMemo(() => {
-    const rows = [];
-    const days = clamp(Number(durationDays) || 0, 1, 9999);
-    const startOfDayStart = new Date(startDateObj);
-    startOfDayStart.setHours(0, 0, 0, 0);
-    const MS_PER_DAY = 1000 * 60 * 60 * 24;
-    for (let d = 0; d < days; d++) {
-      const row = [];
-      const dateForDay = new Date(startOfDayStart.getTime() + d * MS_PER_DAY);
-      const dateDisplay = dateForDay.toLocaleDateString([], { day: '2-digit', month: '2-digit' }).replace(/\//g, '/');
-      for (let h = 0; h < 24; h++) {
-        const hoursSinceStart = d * 24 + h - fractionalStartOffset;
-        row.push({
-          isLight: Boolean(isLightAtAbsoluteHours(hoursSinceStart)),
-          dateDisplay
-        });
-      }
-      rows.push(row);
-    }
-    return rows;
-  }, [durationDays, fractionalStartOffset, hoursLight, hoursDark, cycleLength, startDateObj]);
+  // Los días (sin celdas) alcanzan para el DLI, la vista mensual y el alto de la grilla
+  const calendarDayList = useMemo(() => calendarDays(schedule, durationDays), [schedule, durationDays]);
+  const calendarDayInfo = useMemo(() => {
+    const dli = dliPerCalendarDay(schedule, calendarDayList, light);
+    return calendarDayList.map((day, d) => {
+      const local = zonedParts(day.date, zone);
+      return {
+        dateDisplay: dayMonth(local.year, local.month, local.day),
+        dli: dli[d],
+        dliStatus: dliStatus(dli[d], light),
+      };
+    });
+  }, [schedule, calendarDayList, zone, light, dayMonth]);
+  // Las celdas se arman de a páginas y solo las que se miran (grilla, export, historial real)
+  const calendar = useMemo(
+    () => createCalendarPages(calendarDayList.length, (start, end) => (
+      buildCalendar(schedule, end, start).map((row, i) => ({ ...row, ...calendarDayInfo[start + i] }))
+    )),
+    [schedule, calendarDayList.length, calendarDayInfo],
+  );
+
+  const dliCycles = useMemo(() => dliPerCycle(schedule, durationDays, light), [schedule, durationDays, light]);
+
+  // Entradas de la bitácora por celda "día:hora" (solo los tipos visibles)
+  const journalCells = useMemo(
+    () => journalByCell(schedule, activeGrow.journal, durationDays, journalFilter),
+    [schedule, activeGrow.journal, durationDays, journalFilter],
+  );
+
+  // Avisos del esquema (0/0, poca oscuridad en flora, inicio lejano...); se recalculan una vez por minuto
+  const warningMinute = Math.floor(now.getTime() / 60000);
+  const scheduleWarnings = useMemo(
+    () => checkSchedule({ schedule, durationDays, now: new Date(warningMinute * 60000), busyHours }),
+    [schedule, durationDays, warningMinute, busyHours],
+  );
+  const warningsFor = useMemo(() => warningsByField(scheduleWarnings), [scheduleWarnings]);
+
+  // Hitos con fecha y cuenta regresiva, y por día para marcarlos en el calendario
+  const resolvedMilestones = useMemo(
+    () => resolveMilestones(schedule, activeGrow.milestones, now),
+    [schedule, activeGrow.milestones, now],
+  );
+  const milestoneDays = useMemo(
+    () => milestonesByDay(schedule, resolvedMilestones, durationDays),
+    [schedule, resolvedMilestones, durationDays],
+  );
+  const upcomingMilestones = resolvedMilestones.filter((m) => m.date && !m.passed).slice(0, 3);
+
+  // Celdas cubiertas por el historial real (solo hasta ahora)
+  const actualCells = useMemo(() => {
+    const { from, to } = actualDayRange(schedule, actualTr, now, calendar.length);
+    return actualCellMap(schedule, calendar.rows(from, to), actualTr, now, from);
+  }, [schedule, calendar, actualTr, now]);
+  const actualComparison = useMemo(() => {
+    let mismatches = 0;
+    for (const real of actualCells.values()) if (real.mismatch) mismatches++;
+    return {
+      planCycles: plannedCycleIndex,
+      actualCycles,
+      planBalance: plannedBalance,
+      actualBalance,
+      baselineLabel: `${number(baseline.hoursLight)}L/${number(baseline.hoursDark)}D`,
+      mismatches,
+    };
+  }, [actualCells, plannedCycleIndex, actualCycles, plannedBalance, actualBalance, baseline, number]);
 
   // next event calc
   const nextChangeEvent = useMemo(() => {
-    let hoursToNext;
-    let nextState;
-    if (isNowLight) {
-      hoursToNext = Number(hoursLight) - currentInCycle;
-      nextState = 'OFF';
-    } else {
-      hoursToNext = cycleLength - currentInCycle;
-      nextState = 'ON';
+    const transition = nextTransition(schedule, now);
+    if (!transition) {
+      return { hoursToNext: null, date: '--', time: '--', nextState: '--', action: t("state.none") };
     }
-    if (!Number.isFinite(hoursToNext) || hoursToNext < 0) hoursToNext = 0;
-    const nextDate = new Date(now.getTime() + Math.round(hoursToNext * 3600000));
+    const nextState = transition.isLight ? 'ON' : 'OFF';
+    const nextDate = transition.date;
     return {
-      hoursToNext: hoursToNext,
-      date: nextDate.toLocaleDateString([], { month: 'short', day: 'numeric' }),
-      time: nextDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+      hoursToNext: transition.hoursToNext,
+      date: date(nextDate, { month: 'short', day: 'numeric', timeZone: zone }),
+      time: date(nextDate, { hour: '2-digit', minute: '2-digit', timeZone: zone }),
       nextState,
-      action: nextState === 'ON' ? 'Encendido' : 'Apagado'
+      action: t(nextState === 'ON' ? "state.on" : "state.off"),
+      phaseName: transition.phase.name
     };
-  }, [now, isNowLight, currentInCycle, hoursLight, hoursDark, cycleLength]);
+  }, [now, schedule, zone, t, date]);
+
+  // ---- Avisos antes de cada cambio ----
+  const alertSoundRef = useRef(alertSound);
+  useEffect(() => { alertSoundRef.current = alertSound; }, [alertSound]);
+
+  const handleAlertFired = useCallback((alert, firedAt) => {
+    setAlertLog((prev) => {
+      if (prev.some((entry) => entry.id === alert.id)) return prev;
+      const entry = { id: alert.id, firedAt, transitionAt: alert.transitionAt, nextState: alert.nextState, title: alert.title };
+      return [entry, ...prev].slice(0, ALERT_LOG_MAX);
+    });
+    if (alertSoundRef.current) playAlarmSound();
+  }, []);
+
+  useEffect(() => onServiceWorkerMessage((msg) => {
+    if (msg.type === "ALERT_FIRED" && msg.alert) handleAlertFired(msg.alert, msg.firedAt || Date.now());
+  }), [handleAlertFired]);
+
+  // Se reprograma en cada tick: mantiene vivo al service worker y sigue cambios del esquema
+  useEffect(() => {
+    if (!alertsEnabled) return undefined;
+    const alerts = upcomingAlerts(schedule, now, { leadMinutes: alertLeadMinutes })
+      .map((alert) => ({ ...alert, ...alertMessage(alert, zone, lang) }));
+    let cancel = null;
+    let cancelled = false;
+    scheduleAlerts(alerts, handleAlertFired).then((fn) => {
+      if (cancelled) fn(); else cancel = fn;
+    });
+    return () => { cancelled = true; if (cancel) cancel(); };
+  }, [alertsEnabled, alertLeadMinutes, schedule, now, zone, lang, handleAlertFired]);
+
+  const toggleAlerts = useCallback(async () => {
+    if (alertsEnabled) { setAlertsEnabled(false); return; }
+    const permission = await requestNotificationPermission();
+    setAlertPermission(permission);
+    setAlertsEnabled(true);
+  }, [alertsEnabled]);
+
+  const testAlert = useCallback(() => {
+    const transitionAt = Date.now() + alertLeadMinutes * 60000;
+    const alert = { id: `test-${Date.now()}`, fireAt: Date.now(), transitionAt, nextState: isNowLight ? "OFF" : "ON", phaseName: currentState.phase.name };
+    const msg = alertMessage(alert, zone, lang);
+    if (alertPermission === "granted") new Notification(msg.title, { body: msg.body, icon: "/favicon.png" });
+    handleAlertFired({ ...alert, ...msg }, Date.now());
+  }, [alertLeadMinutes, isNowLight, currentState, zone, lang, alertPermission, handleAlertFired]);
+
+  // Resumen de todos los cultivos para el tablero
+  const growSummaries = useMemo(() => grows.map((g) => {
+    const tz = isValidTimeZone(g.schedule.timeZone) ? g.schedule.timeZone : localTimeZone();
+    const sched = createSchedule({ ...g.schedule, timeZone: tz });
+    const state = stateAt(sched, now);
+    const next = nextTransition(sched, now);
+    return {
+      grow: g,
+      isLight: state.isLight,
+      started: state.started,
+      phaseName: state.phase.name,
+      cycleDay: Math.max(0, cycleIndexAt(sched, now)),
+      next: next && {
+        state: next.isLight ? "ON" : "OFF",
+        time: date(next.date, { hour: '2-digit', minute: '2-digit', timeZone: tz }),
+        date: date(next.date, { month: 'short', day: 'numeric', timeZone: tz }),
+        hoursToNext: next.hoursToNext,
+      },
+    };
+  }), [grows, now, date]);
 
   // export / import / reset
   const handleExport = useCallback(() => {
-    const payload = { startDate, hoursLight, hoursDark, durationDays };
-    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url; a.download = 'fotoperiodo-config.json'; a.click();
-    URL.revokeObjectURL(url);
-  }, [startDate, hoursLight, hoursDark, durationDays]);
+    const payload = configFromGrow(activeGrow);
+    downloadText(JSON.stringify(payload, null, 2), 'application/json', 'fotoperiodo-config.json');
+  }, [activeGrow]);
 
+  // iCalendar con cada ON/OFF del período (misma lógica que "Próximo evento")
+  const handleExportIcs = useCallback(() => {
+    const ics = buildIcs(schedule, { durationDays, alarmMinutes: icsAlarmMinutes, calendarName: `${t("app.name")} — ${activeGrow.name}`, lang });
+    downloadText(ics, 'text/calendar;charset=utf-8', 'fotoperiodo.ics');
+  }, [schedule, durationDays, icsAlarmMinutes, activeGrow.name, lang, t]);
+
+  // Importar: valida y migra; si está todo bien muestra la vista previa antes de aplicar
   const handleImport = useCallback((file) => {
     if (!file) return;
     const reader = new FileReader();
     reader.onload = (e) => {
+      let obj;
       try {
-        const obj = JSON.parse(e.target.result);
-        if (obj.startDate) setStartDate(String(obj.startDate));
-        if (Number.isFinite(Number(obj.hoursLight))) setHoursLight(Number(obj.hoursLight));
-        if (Number.isFinite(Number(obj.hoursDark))) setHoursDark(Number(obj.hoursDark));
-        if (Number.isFinite(Number(obj.durationDays))) setDurationDays(Number(obj.durationDays));
+        obj = JSON.parse(e.target.result);
       } catch (err) {
-        alert('Archivo inválido o con formato incorrecto.');
+        setImportPreview(null);
+        setErrorMsg(t("import.invalidJson", { name: file.name, error: err.message }));
+        return;
+      }
+      const result = validateConfig(obj, lang);
+      if (!result.ok) {
+        setImportPreview(null);
+        setErrorMsg(t("import.invalid", { name: file.name, errors: formatValidationErrors(result.errors) }));
+        return;
       }
+      setErrorMsg("");
+      setImportPreview({
+        source: `"${file.name}"`,
+        config: result.config,
+        warnings: result.warnings,
+        migratedFrom: result.migratedFrom,
+        diff: diffConfig(configFromGrow(activeGrow), result.config, lang),
+      });
     };
     reader.readAsText(file);
-  }, []);
+  }, [activeGrow, lang, t]);
+
+  const applyImport = useCallback(() => {
+    if (!importPreview) return;
+    const { config } = importPreview;
+    updateActiveGrow((g) => ({ ...g, ...(config.grow || {}), schedule: scheduleFromObject(config, g.schedule), journal: config.journal || g.journal, milestones: config.milestones || g.milestones }));
+    setImportPreview(null);
+  }, [importPreview, updateActiveGrow]);
+
+  // Alternativa que no pisa nada: la config importada como cultivo aparte
+  const applyImportAsNewGrow = useCallback(() => {
+    if (!importPreview) return;
+    const { config } = importPreview;
+    const grow = createGrow({ ...(config.grow || {}), schedule: scheduleFromObject(config), journal: config.journal, milestones: config.milestones }, grows.length);
+    setGrows((prev) => [...prev, grow]);
+    setActiveGrowId(grow.id);
+    setImportPreview(null);
+  }, [importPreview, grows.length, setGrows, setActiveGrowId]);
+
+  // ---- Enlace para compartir ----
+  // Solo viaja el nombre del cultivo: las notas quedan en este navegador
+  const shareLink = useMemo(() => shareUrl(window.location.href, configFromGrow(activeGrow)), [activeGrow]);
+
+  const copyShareLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(shareLink);
+      setLinkCopied(true);
+    } catch {
+      // Sin permiso de portapapeles: que lo copie a mano
+      window.prompt(t("settings.copyLinkPrompt"), shareLink);
+    }
+  }, [shareLink, t]);
+
+  useEffect(() => {
+    if (!linkCopied) return;
+    const id = setTimeout(() => setLinkCopied(false), 2000);
+    return () => clearTimeout(id);
+  }, [linkCopied]);
+
+  // QR generado en el navegador (sin servicios externos)
+  useEffect(() => {
+    if (!showQr) return;
+    let cancelled = false;
+    QRCode.toDataURL(shareLink, { margin: 1, width: 220, errorCorrectionLevel: "L" })
+      .then((url) => { if (!cancelled) setQrDataUrl(url); })
+      .catch(() => { if (!cancelled) setQrDataUrl(""); });
+    return () => { cancelled = true; };
+  }, [showQr, shareLink]);
 
   const resetDefaults = useCallback(() => {
-    const d = new Date(); d.setHours(0,0,0,0);
-    setStartDate(fmtDateTimeLocal(d));
-    setHoursLight(13); setHoursDark(14); setDurationDays(60);
-  }, []);
+    updateActiveGrow((g) => ({ ...g, schedule: defaultSchedule() }));
+  }, [updateActiveGrow]);
+
+  // ---- Cultivos ----
+  const updateGrowInfo = useCallback((patch) => {
+    updateActiveGrow((g) => ({ ...g, ...patch }));
+  }, [updateActiveGrow]);
+
+  const addGrow = useCallback(() => {
+    const grow = createGrow({}, grows.length);
+    setGrows((prev) => [...prev, grow]);
+    setActiveGrowId(grow.id);
+  }, [grows.length, setGrows, setActiveGrowId]);
+
+  const removeGrow = useCallback(() => {
+    if (grows.length <= 1) return;
+    if (!window.confirm(t("app.deleteGrowConfirm", { name: activeGrow.name }))) return;
+    const remaining = grows.filter((g) => g.id !== activeGrow.id);
+    setGrows(remaining);
+    setActiveGrowId(remaining[0].id);
+  }, [grows, activeGrow, t, setGrows, setActiveGrowId]);
 
   const formatStartDate = useCallback((dObj) => {
     if (!dObj || isNaN(dObj.getTime())) return '--';
-    return dObj.toLocaleString();
-  }, []);
+    return `${date(dObj, { dateStyle: "medium", timeStyle: "short", timeZone: zone })} (${zone})`;
+  }, [zone, date]);
 
   // run validation to show errors early
   useEffect(() => { validateInputs(); }, [validateInputs]);
 
-  // download calendar image using html2canvas (scale = 3 for higher res)
+  // Al abrir un enlace compartido (#s=...): vista previa y confirmación antes de pisar lo guardado.
+  // El enlace se consume una sola vez; va después de la validación inicial, que limpia errorMsg
+  const shareHashRead = useRef(false);
+  useEffect(() => {
+    if (shareHashRead.current) return;
+    shareHashRead.current = true;
+    const encoded = readShareHash(window.location.hash);
+    if (!encoded) return;
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    const result = decodeShareConfig(encoded, lang);
+    if (!result.ok) {
+      setErrorMsg(t("import.invalidLink", { errors: formatValidationErrors(result.errors) }));
+      return;
+    }
+    setImportPreview({
+      source: t("import.sharedLink"),
+      config: result.config,
+      warnings: result.warnings,
+      migratedFrom: result.migratedFrom,
+      diff: diffConfig(configFromGrow(activeGrow), result.config, lang),
+    });
+  }, [activeGrow, lang, t]);
+
+  // download calendar image using html2canvas (scale = 3 for higher res), de a páginas de días desde hoy
   const downloadCalendarImage = useCallback(async (format = "png", scale = 3) => {
-    if (!calendarRef.current) return;
+    if (imageProgress) return;
+    setImageProgress({ page: 0, total: 0 });
     try {
-      const canvas = await html2canvas(calendarRef.current, {
-        backgroundColor: null,
-        useCORS: true,
-        scale
+      await exportCalendarImages(calendar, {
+        format,
+        scale,
+        currentDay: currentDayIndex24h,
+        tableProps: { currentDayIndex: currentDayIndex24h, currentHourIndex, journalCells, actualCells, milestoneDays, timeZone: zone },
+        i18n,
+        onProgress: (page, total) => setImageProgress({ page, total }),
       });
-      const mime = format === "jpeg" ? "image/jpeg" : "image/png";
-      const dataUrl = canvas.toDataURL(mime, format === "jpeg" ? 0.92 : 1.0);
-      const a = document.createElement('a');
-      a.href = dataUrl;
-      a.download = `fotoperiodo_calendar.${format}`;
-      a.click();
     } catch (err) {
       console.error("Error exportando calendario:", err);
-      alert("No se pudo exportar la imagen. Ver consola para más info.");
+      alert(t("calendar.exportError"));
+    } finally {
+      setImageProgress(null);
     }
-  }, []);
+  }, [imageProgress, calendar, currentDayIndex24h, currentHourIndex, journalCells, actualCells, milestoneDays, zone, i18n, t]);
 
   // UI helpers
   const balanceColor = energyBalance > 0 ? 'text-emerald-400' : energyBalance < 0 ? 'text-rose-400' : 'text-gray-400';
   const balanceIcon = energyBalance > 0 ? '▲' : energyBalance < 0 ? '▼' : '—';
-  const balanceText = energyBalance > 0 ? 'Ahorro de' : energyBalance < 0 ? 'Gasto Extra de' : 'Balance Neutral de';
+  const balanceKey = energyBalance > 0 ? "status.balance.saving" : energyBalance < 0 ? "status.balance.extra" : "status.balance.neutral";
 
   /* ----------------- JSX ----------------- */
   return (
+    <I18nContext.Provider value={i18n}>
     <div className="app-root min-h-screen font-inter" style={{ backgroundColor: "#0b1020" }}>
       <div className="max-w-6xl mx-auto rounded-3xl shadow-2xl p-4 sm:p-8 border border-gray-700" style={{ background: 'transparent' }}>
         <header className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4 mb-6">
@@ -321,109 +614,414 @@ useEffect(() => {
             </div>
             <div>
               <h1 className="text-2xl sm:text-3xl font-extrabold leading-tight" style={{ color: 'var(--accent)' }}>SUPERCICLO</h1>
-              <p className="text-sm" style={{ color: 'var(--muted)' }}>Configura tu SuperCiclo y visualiza tu calendario</p>
+              <p className="text-sm" style={{ color: 'var(--muted)' }}>{t("app.tagline")}</p>
 
             </div>
           </div>
 
           <div className="ml-auto flex items-center gap-3">
-            <div className="text-sm text-gray-400 hide-sm"></div>
+            <select value={lang} onChange={(e) => setLang(e.target.value)} title={t("app.language")} aria-label={t("app.language")}
+              className="p-2 rounded-lg text-sm" style={{ background: 'rgba(255,255,255,0.05)' }}>
+              {LANGUAGES.map((l) => <option key={l.id} value={l.id}>{l.label}</option>)}
+            </select>
+            <div className="flex items-center gap-2">
+              <select value={activeGrow.id} onChange={(e) => setActiveGrowId(e.target.value)}
+                className="p-2 rounded-lg text-sm max-w-[12rem]" style={{ background: 'rgba(255,255,255,0.05)' }} title={t("app.activeGrow")}>
+                {grows.map((g) => (
+                  <option key={g.id} value={g.id}>{g.name}{g.room ? ` · ${g.room}` : ""}</option>
+                ))}
+              </select>
+              <button onClick={addGrow} title={t("app.newGrow")} className="p-2 text-sm bg-indigo-500 text-white rounded-lg shadow-md hover:bg-indigo-600 transition">
+                <Plus className="w-4 h-4"/>
+              </button>
+              <button onClick={removeGrow} disabled={grows.length <= 1} title={t("app.deleteGrow")}
+                className="p-2 text-sm bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition disabled:opacity-40">
+                <Trash2 className="w-4 h-4"/>
+              </button>
+            </div>
+            {!online && (
+              <div className="flex items-center gap-1 px-2 py-1 text-xs rounded-full bg-gray-700 text-white" title={t("app.offlineHint")}>
+                <WifiOff className="w-3 h-3"/> {t("app.offline")}
+              </div>
+            )}
           </div>
         </header>
 
+        {waitingWorker && (
+          <div className="update-banner flex items-center justify-between gap-3 mb-4 p-3 rounded-xl text-sm">
+            <span>{t("app.updateAvailable")}</span>
+            <div className="flex gap-2">
+              <button onClick={() => applyServiceWorkerUpdate(waitingWorker)} className="px-3 py-1 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600 transition">{t("app.update")}</button>
+              <button onClick={() => setWaitingWorker(null)} className="px-3 py-1 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition">{t("app.later")}</button>
+            </div>
+          </div>
+        )}
+
+        {/* Tablero: todos los cultivos lado a lado */}
+        {grows.length > 1 && (
+          <section className="grow-dashboard grid sm:grid-cols-2 lg:grid-cols-4 gap-3 mb-6">
+            {growSummaries.map(({ grow, isLight, started, phaseName, cycleDay, next }) => (
+              <button key={grow.id} onClick={() => setActiveGrowId(grow.id)}
+                className={`grow-card text-left p-3 rounded-xl border transition ${grow.id === activeGrow.id ? "grow-card-active" : ""}`}>
+                <div className="flex items-center justify-between gap-2">
+                  <div className="font-semibold text-white truncate">{grow.name}</div>
+                  <span className="px-2 py-0.5 rounded-full text-xs font-bold"
+                    style={{ background: isLight ? "linear-gradient(90deg,#facc15,#f472b6)" : "var(--accent)", color: isLight ? "#111827" : "#fff" }}>
+                    {isLight ? "ON 🔆" : "OFF 🌙"}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-400 truncate">{[grow.room, grow.strain].filter(Boolean).join(" · ") || "—"}</div>
+                <div className="text-xs text-gray-400 mt-1">{started ? t("dashboard.cycleDay", { phase: phaseName, day: cycleDay }) : t("dashboard.notStarted")}</div>
+                <div className="text-xs text-gray-300 mt-1">
+                  {next ? t("dashboard.next", { state: next.state, time: next.time, date: next.date, hours: number(next.hoursToNext, 1) }) : t("dashboard.noChanges")}
+                </div>
+              </button>
+            ))}
+          </section>
+        )}
+
         <main className="grid lg:grid-cols-3 gap-6">
           {/* Configuration */}
           <section className="lg:col-span-2 p-4 sm:p-6 rounded-xl border shadow-lg" style={{ background: 'rgba(255,255,255,0.02)' }}>
-            <h2 className="text-lg font-semibold mb-4" style={{ color: 'var(--accent-700)' }}>Configuración</h2>
+            <h2 className="text-lg font-semibold mb-4" style={{ color: 'var(--accent-700)' }}>{t("settings.title")}</h2>
 
             <div className="space-y-4">
+              <div className="grid sm:grid-cols-3 gap-3">
+                <div>
+                  <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>{t("settings.growName")}</label>
+                  <input type="text" value={activeGrow.name} onChange={(e) => updateGrowInfo({ name: e.target.value })}
+                    className="w-full p-3 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                </div>
+                <div>
+                  <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>{t("settings.room")}</label>
+                  <input type="text" value={activeGrow.room} onChange={(e) => updateGrowInfo({ room: e.target.value })}
+                    className="w-full p-3 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                </div>
+                <div>
+                  <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>{t("settings.strain")}</label>
+                  <input type="text" value={activeGrow.strain} onChange={(e) => updateGrowInfo({ strain: e.target.value })}
+                    className="w-full p-3 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                </div>
+              </div>
+
               <div>
-                <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>Fecha y hora de inicio</label>
+                <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>{t("settings.notes")}</label>
+                <textarea rows={2} value={activeGrow.notes} onChange={(e) => updateGrowInfo({ notes: e.target.value })}
+                  className="w-full p-3 rounded-lg border border-transparent outline-none text-sm" style={{ background: 'rgba(255,255,255,0.02)' }} />
+              </div>
+
+              <div>
+                <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>{t("settings.startDate")}</label>
                 <input type="datetime-local" value={startDate} onChange={(e) => setStartDate(e.target.value)}
                   className="w-full p-3 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                <SanityNotes warnings={warningsFor.startDate} timeZone={zone} className="mt-1" />
               </div>
 
-              <div className="grid sm:grid-cols-3 gap-3">
+              <div className="grid sm:grid-cols-2 gap-3">
                 <div>
-                  <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>ON (hs)</label>
-                  <input type="number" min="0" step="0.5" value={hoursLight}
-                    onChange={(e) => setHoursLight(clamp(Number(e.target.value), 0, 9999))}
+                  <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>{t("settings.timeZone")}</label>
+                  <input type="text" list="tz-list" value={timeZone} onChange={(e) => setTimeZone(e.target.value.trim())}
                     className="w-full p-3 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                  <datalist id="tz-list">
+                    {timeZoneOptions.map((tz) => <option key={tz} value={tz} />)}
+                  </datalist>
                 </div>
 
                 <div>
-                  <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>OFF (hs)</label>
-                  <input type="number" min="0" step="0.5" value={hoursDark}
-                    onChange={(e) => setHoursDark(clamp(Number(e.target.value), 0, 9999))}
-                    className="w-full p-3 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                  <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>{t("settings.clockMode")}</label>
+                  <div className="flex gap-2">
+                    {[["elapsed", t("settings.clock.elapsed")], ["wallclock", t("settings.clock.wallclock")]].map(([mode, label]) => (
+                      <button key={mode} onClick={() => setClockMode(mode)}
+                        className={`flex-1 px-3 py-3 text-sm rounded-lg transition ${clockMode === mode ? "bg-indigo-500 text-white shadow-md" : "bg-gray-700 text-white hover:bg-gray-600"}`}>
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="text-xs text-gray-400 mt-1">
+                    {clockMode === "wallclock"
+                      ? t("settings.clock.wallclockHint")
+                      : t("settings.clock.elapsedHint")}
+                  </div>
+                </div>
+              </div>
+
+              {/* Fases: se aplican en orden; la última sigue hasta el final */}
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <label className="text-sm block" style={{ color: 'var(--muted)' }}>{t("settings.phases")}</label>
+                  <button onClick={addPhase} className="flex items-center gap-1 px-2 py-1 text-xs bg-indigo-500 text-white rounded-lg shadow-md hover:bg-indigo-600 transition">
+                    <Plus className="w-3 h-3"/> {t("settings.addPhase")}
+                  </button>
                 </div>
 
+                {phases.map((phase, i) => {
+                  const isLast = i === phases.length - 1;
+                  const isActive = i === currentState.phaseIndex && currentState.started;
+                  return (
+                    <div key={i} className={`phase-row grid grid-cols-2 sm:grid-cols-7 gap-2 items-end p-2 rounded-lg ${isActive ? "phase-active" : ""}`}>
+                      <div className="col-span-2">
+                        <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("common.name")}</label>
+                        <input type="text" value={phase.name}
+                          onChange={(e) => updatePhase(i, { name: e.target.value })}
+                          className="w-full p-2 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                      </div>
+
+                      <div>
+                        <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("settings.hoursOn")}</label>
+                        <input type="number" min="0" step="0.5" value={phase.hoursLight}
+                          onChange={(e) => updatePhase(i, { hoursLight: clamp(Number(e.target.value), 0, 9999) })}
+                          className="w-full p-2 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                      </div>
+
+                      <div>
+                        <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("settings.hoursOff")}</label>
+                        <input type="number" min="0" step="0.5" value={phase.hoursDark}
+                          onChange={(e) => updatePhase(i, { hoursDark: clamp(Number(e.target.value), 0, 9999) })}
+                          className="w-full p-2 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                      </div>
+
+                      <div>
+                        <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }} title={t("settings.phasePpfd")}>PPFD</label>
+                        <input type="number" min="0" max="5000" step="10" value={phase.ppfd ?? ""} placeholder={String(light.ppfd)}
+                          onChange={(e) => updatePhase(i, { ppfd: e.target.value === "" ? undefined : clamp(Number(e.target.value), 0, 5000) })}
+                          className="w-full p-2 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                      </div>
+
+                      <div>
+                        <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("settings.length")}</label>
+                        {isLast ? (
+                          <div className="p-2 text-xs text-gray-400">{t("settings.untilEnd")}</div>
+                        ) : (
+                          <div className="flex gap-1">
+                            <input type="number" min="0" step="1" value={phase.length}
+                              onChange={(e) => updatePhase(i, { length: clamp(Number(e.target.value), 0, 9999) })}
+                              className="w-full p-2 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                            <select value={phase.unit} onChange={(e) => updatePhase(i, { unit: e.target.value })}
+                              className="p-2 rounded-lg text-xs" style={{ background: 'rgba(255,255,255,0.05)' }}>
+                              <option value="days">{t("common.unit.days")}</option>
+                              <option value="cycles">{t("common.unit.cycles")}</option>
+                            </select>
+                          </div>
+                        )}
+                      </div>
+
+                      <div className="flex justify-end">
+                        <button onClick={() => removePhase(i)} disabled={phases.length <= 1} title={t("settings.removePhase")}
+                          className="p-2 text-xs bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition disabled:opacity-40">
+                          <Trash2 className="w-3 h-3"/>
+                        </button>
+                      </div>
+
+                      <div className="col-span-full flex flex-wrap items-center gap-2 text-xs" style={{ color: 'var(--muted)' }}>
+                        <span title={t("settings.rampHint")}>{t("settings.ramp")}</span>
+                        <label className="flex items-center gap-1">↗
+                          <input type="number" min="0" max="720" step="5" value={phase.ramp?.up ?? 0} title={t("settings.rampUp")}
+                            onChange={(e) => updateRamp(i, { up: clamp(Number(e.target.value) || 0, 0, 720) })}
+                            className="w-16 p-1 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                        </label>
+                        <label className="flex items-center gap-1">↘
+                          <input type="number" min="0" max="720" step="5" value={phase.ramp?.down ?? 0} title={t("settings.rampDown")}
+                            onChange={(e) => updateRamp(i, { down: clamp(Number(e.target.value) || 0, 0, 720) })}
+                            className="w-16 p-1 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                        </label>
+                        <span>min</span>
+                        <select value={phase.ramp?.curve || "linear"} onChange={(e) => updateRamp(i, { curve: e.target.value })}
+                          className="p-1 rounded-lg text-xs" style={{ background: 'rgba(255,255,255,0.05)' }}>
+                          <option value="linear">{t("common.curve.linear")}</option>
+                          <option value="sigmoid">{t("common.curve.sigmoid")}</option>
+                        </select>
+                      </div>
+
+                      <SanityNotes warnings={warningsFor[`phases[${i}]`]} timeZone={zone} className="col-span-full" />
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div className="grid sm:grid-cols-3 gap-3">
                 <div>
-                  <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>Duración (días)</label>
+                  <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>{t("settings.durationDays")}</label>
                   <input type="number" min="1" max="9999" value={durationDays}
                     onChange={(e) => setDurationDays(clamp(Number(e.target.value), 1, 9999))}
                     className="w-full p-3 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                  <SanityNotes warnings={warningsFor.durationDays} timeZone={zone} className="mt-1" />
+                </div>
+
+                <div className="sm:col-span-2">
+                  <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }} title={t("settings.busyHoursHint")}>{t("settings.busyHours")}</label>
+                  <div className="busy-hours grid grid-cols-12 gap-1 text-xs" role="group" aria-label={t("settings.busyHours")}>
+                    {Array.from({ length: 24 }, (_, h) => (
+                      <button key={h} onClick={() => toggleBusyHour(h)} aria-pressed={busyHours.includes(h)}
+                        className={`py-1 rounded transition ${busyHours.includes(h) ? 'bg-rose-500 text-white' : 'bg-white/5 text-gray-400 hover:bg-white/10'}`}>
+                        {h}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="text-xs text-gray-400 mt-1">{t("settings.busyHoursHint")}</div>
+                  <SanityNotes warnings={warningsFor.busyHours} timeZone={zone} className="mt-1" />
                 </div>
               </div>
 
               <div className="flex flex-wrap gap-2 mt-2">                
                 <label className="flex items-center gap-2 px-3 py-2 text-sm bg-emerald-600 text-white rounded-lg cursor-pointer shadow-md hover:bg-emerald-700 transition">
-                  <Upload className="w-4 h-4"/> Importar config
-                  <input type="file" accept="application/json" onChange={(e) => handleImport(e.target.files?.[0])} className="hidden" />
+                  <Upload className="w-4 h-4"/> {t("settings.importConfig")}
+                  <input type="file" accept="application/json" onChange={(e) => { handleImport(e.target.files?.[0]); e.target.value = ""; }} className="hidden" />
                 </label>
 
-                <button onClick={handleExport} className="flex items-center gap-2 px-3 py-2 text-sm bg-indigo-500 text-white rounded-lg shadow-md hover:bg-indigo-600 transition"> Exportar JSON </button>
+                <button onClick={handleExport} className="flex items-center gap-2 px-3 py-2 text-sm bg-indigo-500 text-white rounded-lg shadow-md hover:bg-indigo-600 transition"> {t("settings.exportJson")} </button>
+
+                <div className="flex items-center gap-1">
+                  <button onClick={handleExportIcs} className="flex items-center gap-2 px-3 py-2 text-sm bg-pink-500 text-white rounded-lg shadow-md hover:bg-pink-600 transition">
+                    <CalendarPlus className="w-4 h-4"/> {t("settings.exportIcs")}
+                  </button>
+                  <input type="number" min="0" max="1440" value={icsAlarmMinutes} title={t("settings.icsAlarm")}
+                    onChange={(e) => setIcsAlarmMinutes(clamp(Number(e.target.value) || 0, 0, 1440))}
+                    className="w-16 p-2 text-sm rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                  <span className="text-xs text-gray-400">{t("settings.icsAlarmUnit")}</span>
+                </div>
+
+                <button onClick={copyShareLink} className="flex items-center gap-2 px-3 py-2 text-sm bg-sky-600 text-white rounded-lg shadow-md hover:bg-sky-700 transition">
+                  <Link2 className="w-4 h-4"/> {linkCopied ? t("common.copied") : t("settings.copyLink")}
+                </button>
+                <button onClick={() => setShowQr((v) => !v)} title={t("settings.showQr")} aria-pressed={showQr}
+                  className={`flex items-center gap-2 px-3 py-2 text-sm rounded-lg shadow-md transition ${showQr ? 'bg-sky-700 text-white' : 'bg-gray-700 text-gray-200 hover:bg-gray-600'}`}>
+                  <QrCode className="w-4 h-4"/> QR
+                </button>
 
-                <button onClick={resetDefaults} className="ml-auto flex items-center gap-2 px-3 py-2 text-sm bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition"> <RefreshCw className="w-4 h-4"/> Reset</button>
+                <button onClick={resetDefaults} className="ml-auto flex items-center gap-2 px-3 py-2 text-sm bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition"> <RefreshCw className="w-4 h-4"/> {t("settings.reset")}</button>
               </div>
 
-              {errorMsg && <div className="text-sm text-red-400 mt-2 p-2 bg-red-900/20 rounded-lg">{errorMsg}</div>}
+              {showQr && (
+                <div className="share-qr mt-2 p-3 rounded-lg flex flex-col sm:flex-row items-center gap-3">
+                  {qrDataUrl
+                    ? <img src={qrDataUrl} width="220" height="220" alt={t("settings.qrAlt")} className="rounded bg-white" />
+                    : <div className="text-xs text-amber-300">{t("settings.qrTooLong")}</div>}
+                  <div className="text-xs text-gray-400 break-all">{shareLink}</div>
+                </div>
+              )}
+
+              {errorMsg && <div className="text-sm text-red-400 mt-2 p-2 bg-red-900/20 rounded-lg whitespace-pre-line">{errorMsg}</div>}
+
+              {importPreview && (
+                <div className="import-preview text-sm mt-2 p-3 rounded-lg space-y-2">
+                  <div className="font-semibold text-white">
+                    {t("import.title", { source: importPreview.source })}
+                    {importPreview.migratedFrom < importPreview.config.version && (
+                      <span className="ml-2 text-xs text-amber-300">{t("import.migrated", { from: importPreview.migratedFrom, to: importPreview.config.version })}</span>
+                    )}
+                  </div>
+
+                  {importPreview.diff.length === 0 ? (
+                    <div className="text-xs text-gray-400">{t("import.noChanges")}</div>
+                  ) : (
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-gray-400">
+                          <th className="text-left p-1">{t("import.field")}</th>
+                          <th className="text-left p-1">{t("import.current")}</th>
+                          <th className="text-left p-1">{t("import.new")}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {importPreview.diff.map((row) => (
+                          <tr key={row.field}>
+                            <td className="p-1 text-gray-300">{t(`config.field.${row.field}`)}</td>
+                            <td className="p-1 font-mono text-rose-300 line-through">{row.before}</td>
+                            <td className="p-1 font-mono text-emerald-300">{row.after}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+
+                  {importPreview.warnings.length > 0 && (
+                    <div className="text-xs text-amber-300 whitespace-pre-line">{formatValidationErrors(importPreview.warnings)}</div>
+                  )}
+
+                  <div className="flex gap-2 justify-end">
+                    <button onClick={() => setImportPreview(null)} className="px-3 py-1 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition">{t("common.cancel")}</button>
+                    <button onClick={applyImportAsNewGrow} className="px-3 py-1 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600 transition">{t("import.asNewGrow")}</button>
+                    <button onClick={applyImport} className="px-3 py-1 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition" title={t("import.applyHint", { name: activeGrow.name })}>{t("import.applyTo", { name: activeGrow.name })}</button>
+                  </div>
+                </div>
+              )}
             </div>
           </section>
 
           {/* Status */}
           <aside className="p-4 sm:p-6 rounded-xl border shadow-lg" style={{ background: 'rgba(255,255,255,0.02)' }}>
-            <h3 className="text-lg font-semibold mb-4" style={{ color: 'var(--accent-700)' }}>Estado</h3>
+            <h3 className="text-lg font-semibold mb-4" style={{ color: 'var(--accent-700)' }}>{t("status.title")}</h3>
 
             <div className="space-y-4 text-sm">
               <div className="border-b border-white/5 pb-2">
-                <div className="text-xs text-gray-400">Inicio:</div>
+                <div className="text-xs text-gray-400">{t("status.start")}</div>
                 <div className="font-mono text-sm">{formatStartDate(startDateObj)}</div>
               </div>
 
+              {scheduleWarnings.length > 0 && (
+                <div className="border-b border-white/5 pb-2">
+                  <div className="text-xs font-extrabold text-white mb-1">{t("sanity.title")}</div>
+                  <SanityNotes warnings={scheduleWarnings} timeZone={zone} />
+                </div>
+              )}
+
               <div className="border-b border-white/5 pb-2 grid grid-cols-2 gap-4">
                 <div>
-                  <div className="text-xs font-extrabold" style={{ color: 'var(--superciclo-red)' }}>DÍAS SUPER CICLO</div>
+                  <div className="text-xs font-extrabold" style={{ color: 'var(--superciclo-red)' }}>{t("status.superCycleDays")}</div>
                   <div className="font-extrabold text-3xl" style={{ color: 'var(--superciclo-red)' }}>
                     {Math.max(0, customCycleDayIndex)}
                   </div>
-                  <div className="text-xs text-gray-400 mt-1">(Ciclos completos de {cycleLength.toFixed(1)}h)</div>
+                  <div className="text-xs text-gray-400 mt-1">{t("status.superCycleHint", { actual: useActualStats ? t("status.fromActual") : "", phase: currentState.phase.name, hours: number(cycleLength, 1) })}</div>
                 </div>
 
                 <div className="text-right">
-                  <div className="text-xs font-extrabold text-white">TIEMPO TRANSCURRIDO</div>
+                  <div className="text-xs font-extrabold text-white">{t("status.elapsed")}</div>
                   <div className="font-mono text-xl text-white mt-1">
                     {formattedTimeElapsed.display}
                   </div>
-                  <div className="text-xs text-gray-400 mt-1">(Equivalente en días 24h)</div>
+                  <div className="text-xs text-gray-400 mt-1">{t("status.elapsedHint")}</div>
                 </div>
               </div>
 
+              {resolvedMilestones.length > 0 && (
+                <div className="border-b border-white/5 pb-2">
+                  <div className="text-xs font-extrabold text-white">{t("milestones.status")}</div>
+                  {upcomingMilestones.length === 0 ? (
+                    <div className="text-xs text-gray-400 mt-1">{t("milestones.status.none")}</div>
+                  ) : (
+                    <ul className="mt-1 space-y-1">
+                      {upcomingMilestones.map((m) => (
+                        <li key={m.id} className="flex items-baseline justify-between gap-2">
+                          <span className="truncate">🚩 {m.name || t("milestones.unnamed")}</span>
+                          <span className="font-mono text-amber-300 whitespace-nowrap">{countdownText(m.hoursLeft, t)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <div className="text-xs text-gray-400 mt-1">
+                    {t("milestones.equivalentNow", {
+                      dark: number(equivalentDaysAt(schedule, hoursSinceStartNow, "dark"), 1),
+                      light: number(equivalentDaysAt(schedule, hoursSinceStartNow, "light"), 1),
+                    })}
+                  </div>
+                </div>
+              )}
+
               <div className="border-b border-white/5 pb-2">
-                <div className="text-xs text-gray-400 flex items-center gap-1"><Zap className="w-3 h-3 text-yellow-500"/> Balance Energético (vs 12L/12D):</div>
+                <div className="text-xs text-gray-400 flex items-center gap-1"><Zap className="w-3 h-3 text-yellow-500"/> {t("status.balance", { baseline: actualComparison.baselineLabel })}</div>
                 <div className={`font-extrabold text-xl ${balanceColor}`}>
-                  {balanceIcon} {Math.abs(energyBalance).toFixed(2)} hrs
+                  {balanceIcon} {t("status.balanceHours", { value: number(Math.abs(energyBalance), 2) })}
                 </div>
-                <div className="text-xs text-gray-400"> {balanceText} luz acumulado desde el inicio.</div>
+                <div className="text-xs text-gray-400">{t(balanceKey, { actual: useActualStats ? t("status.balanceActual") : "" })}</div>
               </div>
 
               <div className="border-b border-white/5 pb-2">
-                <div className="text-xs text-gray-400">Hora actual:</div>
-                <div className="font-mono text-lg text-white">{now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+                <div className="text-xs text-gray-400">{t("status.now")}</div>
+                <div className="font-mono text-lg text-white">{date(now, { hour: '2-digit', minute: '2-digit', timeZone: zone })}</div>
               </div>
 
               <div className="border-b border-white/5 pb-2">
-                <div className="text-xs text-gray-400">Estado del ciclo</div>
+                <div className="text-xs text-gray-400">{t("status.cycleState")}</div>
                 <div
                   className={`inline-block px-3 py-1 rounded-full text-sm font-bold transition-all duration-300 ease-out`}
                   style={{
@@ -438,129 +1036,212 @@ useEffect(() => {
                   }}
                 >
                   {isNowLight ? "ON 🔆" : "OFF 🌙"}
+                  {isNowLight && currentState.intensity < 1 && (
+                    <span className="ml-1 text-xs font-mono" title={t("status.intensity")}>{Math.round(currentState.intensity * 100)}%</span>
+                  )}
                 </div>
 
               </div>
 
               <div>
-                <div className="text-xs text-gray-400">Próximo evento ({nextChangeEvent.action})</div>
+                <div className="text-xs text-gray-400">{t("status.nextEvent", { action: nextChangeEvent.action })}</div>
                 <div className="font-semibold text-white text-base">{nextChangeEvent.nextState} — {nextChangeEvent.time} ({nextChangeEvent.date})</div>
-                <div className="text-xs text-gray-400">En {nextChangeEvent.hoursToNext?.toFixed(2) ?? '--'} hrs</div>
+                <div className="text-xs text-gray-400">{t("status.nextIn", { hours: nextChangeEvent.hoursToNext === null ? '--' : number(nextChangeEvent.hoursToNext, 2) })}</div>
+                {nextChangeEvent.phaseName && (
+                  <div className="text-xs text-gray-400">{t("status.phase", { name: nextChangeEvent.phaseName })}</div>
+                )}
+              </div>
+
+              <div className="border-t border-white/5 pt-2 space-y-2">
+                <div className="flex items-center justify-between">
+                  <div className="text-xs text-gray-400">{t("alerts.title")}</div>
+                  <button onClick={toggleAlerts}
+                    className={`flex items-center gap-1 px-2 py-1 text-xs rounded-lg transition ${alertsEnabled ? "bg-emerald-600 text-white" : "bg-gray-700 text-white hover:bg-gray-600"}`}>
+                    {alertsEnabled ? <Bell className="w-3 h-3"/> : <BellOff className="w-3 h-3"/>} {alertsEnabled ? t("alerts.enabled") : t("alerts.disabled")}
+                  </button>
+                </div>
+
+                <div className="flex items-center gap-2 text-xs">
+                  <input type="number" min="0" max="720" value={alertLeadMinutes}
+                    onChange={(e) => setAlertLeadMinutes(clamp(Number(e.target.value) || 0, 0, 720))}
+                    className="w-16 p-1 rounded-lg border border-transparent outline-none" style={{ background: 'rgba(255,255,255,0.02)' }} />
+                  <span className="text-gray-400">{t("alerts.minutesBefore")}</span>
+                  <label className="flex items-center gap-1 ml-auto text-gray-400">
+                    <input type="checkbox" checked={alertSound} onChange={(e) => setAlertSound(e.target.checked)} /> {t("alerts.sound")}
+                  </label>
+                  <button onClick={testAlert} className="px-2 py-1 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition">{t("alerts.test")}</button>
+                </div>
+
+                {alertsEnabled && alertPermission !== "granted" && (
+                  <div className="text-xs text-amber-300">
+                    {alertPermission === "unsupported"
+                      ? t("alerts.unsupported")
+                      : t("alerts.noPermission")}
+                  </div>
+                )}
+                {alertsEnabled && alertPermission === "granted" && !ALERT_TRIGGERS && (
+                  <div className="text-xs text-gray-400">{t("alerts.needsOpenTab")}</div>
+                )}
+
+                {alertLog.length > 0 && (
+                  <div>
+                    <div className="flex items-center justify-between text-xs text-gray-400">
+                      <span>{t("alerts.log")}</span>
+                      <button onClick={() => setAlertLog([])} className="underline">{t("common.clear")}</button>
+                    </div>
+                    <ul className="alert-log text-xs font-mono mt-1 space-y-0.5">
+                      {alertLog.slice(0, 10).map((entry) => (
+                        <li key={entry.id} className="text-gray-300">
+                          {date(new Date(entry.firedAt), { dateStyle: "short", timeStyle: "short", timeZone: zone })} — {entry.title}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
               </div>
             </div>
           </aside>
 
+          <DliPanel
+            days={calendarDayInfo}
+            cycles={dliCycles}
+            light={light}
+            onLightChange={setLight}
+            currentDayIndex={currentDayIndex24h}
+            currentCycleIndex={customCycleDayIndex}
+          />
+
+          <EnergyPanel
+            schedule={schedule}
+            durationDays={durationDays}
+            now={now}
+            energy={activeGrow.energy}
+            onEnergyChange={updateActiveEnergy}
+            tariff={tariff}
+            onTariffChange={setTariff}
+          />
+
+          <JournalPanel
+            schedule={schedule}
+            entries={activeGrow.journal}
+            onEntriesChange={updateActiveJournal}
+            filter={journalFilter}
+            onFilterChange={setJournalFilter}
+            pickedAt={journalPick}
+            now={now}
+            currentCycle={customCycleDayIndex}
+          />
+
+          <MilestonePanel
+            schedule={schedule}
+            milestones={activeGrow.milestones}
+            resolved={resolvedMilestones}
+            onMilestonesChange={updateActiveMilestones}
+            now={now}
+          />
+
+          <ActualPanel
+            schedule={schedule}
+            actual={activeGrow.actual}
+            onActualChange={updateActiveActual}
+            now={now}
+            comparison={actualComparison}
+          />
+
+          <ComparePanel
+            key={activeGrow.id}
+            schedule={schedule}
+            phases={phases}
+            durationDays={durationDays}
+            energy={activeGrow.energy}
+            tariff={tariff}
+            currentPhaseIndex={currentState.phaseIndex}
+            onApply={setPhases}
+          />
+
+          <ControllerPanel
+            schedule={schedule}
+            now={now}
+            growName={activeGrow.name}
+            onDownload={downloadText}
+          />
+
+          <PrintPanel
+            schedule={schedule}
+            durationDays={durationDays}
+            growName={activeGrow.name}
+            onDownload={downloadText}
+          />
+
           {/* Calendar full width below */}
 <section
   className="lg:col-span-3 mt-4 p-0 rounded-xl border shadow-lg overflow-hidden"
   style={{ background: "rgba(255,255,255,0.02)" }}
 >
   <div className="p-4 border-b flex items-center justify-between bg-slate-800/50">
-    <h4 className="font-semibold text-white text-lg">
-      Calendario (Día × Hora)
-    </h4>
+    <div className="flex flex-wrap items-center gap-3">
+      <h4 className="font-semibold text-white text-lg">
+        {t("calendar.title")}
+      </h4>
+      <div className="flex gap-1 text-xs" role="tablist" aria-label={t("calendar.views")}>
+        {CALENDAR_VIEWS.map((id) => (
+          <button key={id} role="tab" aria-selected={calendarView === id} onClick={() => setCalendarView(id)}
+            className={`px-2 py-1 rounded-lg transition ${calendarView === id ? 'bg-indigo-500 text-white' : 'bg-white/5 text-gray-400 hover:bg-white/10'}`}>
+            {t(`calendar.view.${id}`)}
+          </button>
+        ))}
+      </div>
+    </div>
 
     <div className="flex items-center gap-3">
-      <div className="text-sm text-gray-400">{durationDays} días</div>
+      <div className="text-sm text-gray-400">{t("common.days", { count: durationDays })}</div>
       <div className="flex gap-2">
+        <button
+          onClick={() => downloadCalendarImage("png")}
+          disabled={Boolean(imageProgress)}
+          className="flex items-center gap-2 px-3 py-2 text-sm bg-gray-700 text-gray-200 rounded-lg shadow-md hover:bg-gray-600 transition disabled:opacity-60"
+        >
+          <Download className="w-4 h-4" /> PNG
+        </button>
         <button
           onClick={() => downloadCalendarImage("jpeg")}
-          className="flex items-center gap-2 px-3 py-2 text-sm bg-pink-400 text-black rounded-lg shadow-md hover:brightness-95 transition"
+          disabled={Boolean(imageProgress)}
+          className="flex items-center gap-2 px-3 py-2 text-sm bg-pink-400 text-black rounded-lg shadow-md hover:brightness-95 transition disabled:opacity-60"
         >
-          <Download className="w-4 h-4" /> Descargar JPG
+          <Download className="w-4 h-4" />
+          {imageProgress ? t("calendar.exporting", { page: imageProgress.page, total: imageProgress.total }) : t("calendar.downloadJpg")}
         </button>
       </div>
     </div>
   </div>
 
-          {/* Contenedor con scroll controlado */}
-          <div className="calendar-wrapper calendar" ref={calendarRef}>
-            <table className="min-w-full text-xs">
-              <thead>
-                <tr>
-                  <th className="p-2 text-left sticky-col">Día</th>
-                  <th className="p-2 text-left sticky-col-2">Fecha</th>
-                  {Array.from({ length: 24 }).map((_, h) => (
-                    <th key={h} className="p-2 text-center text-sm text-gray-200 w-8">
-                      {h}h
-                    </th>
-                  ))}
-                </tr>
-              </thead>
-
-              <tbody>
-                {calendar.map((row, d) => (
-                  <tr
-                    key={d}
-                    className={`${
-                      d === currentDayIndex24h ? "bg-indigo-900/6" : ""
-                    } hover:bg-white/2 transition`}
-                  >
-                    {/* Columna fija: Día */}
-                    <td
-                      className="p-1 sticky-col font-semibold"
-                      style={{
-                        background:
-                          d === currentDayIndex24h
-                            ? "rgba(99,102,241,0.12)"
-                            : "rgba(15,15,35,0.9)",
-                      }}
-                    >
-                      {d + 1}
-                    </td>
-
-                    {/* Columna fija: Fecha */}
-                    <td
-                      className="p-1 sticky-col-2 font-semibold"
-                      style={{
-                        background:
-                          d === currentDayIndex24h
-                            ? "rgba(99,102,241,0.12)"
-                            : "rgba(15,15,35,0.9)",
-                      }}
-                    >
-                      {row[0].dateDisplay}
-                    </td>
-
-                    {/* Horas */}
-                    {row.map((cell, h) => {
-                      const isCurrent =
-                        d === currentDayIndex24h && h === currentHourIndex;
-                      return (
-                        <td key={h} className="p-0.5">
-                          <div
-                            className={`w-full h-7 rounded-sm flex items-center justify-center text-xs font-mono font-semibold calendar-cell-text ${
-                              isCurrent ? "now-cell" : ""
-                            }`}
-                            style={{
-                              background: cell.isLight
-                                ? "linear-gradient(90deg,#f59e0b,#f472b6)"
-                                : "linear-gradient(90deg,#4338ca,#4338ca99)",
-                              color: "#fff",
-                              transition: "all .12s ease",
-                            }}
-                          >
-                            {cell.isLight ? "L" : "D"}
-                          </div>
-                        </td>
-                      );
-                    })}
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
+          {/* Contenedor con scroll controlado (filas virtualizadas) */}
+          {calendarView === "grid" && (
+            <CalendarGrid
+              calendar={calendar}
+              currentDayIndex={currentDayIndex24h}
+              currentHourIndex={currentHourIndex}
+              journalCells={journalCells}
+              actualCells={actualCells}
+              milestoneDays={milestoneDays}
+              timeZone={zone}
+              onCellClick={pickCalendarCell}
+            />
+          )}
+          {calendarView === "cycles" && <CycleView schedule={schedule} durationDays={durationDays} now={now} />}
+          {calendarView === "month" && <MonthView schedule={schedule} days={calendarDayList} currentDayIndex={currentDayIndex24h} />}
+          {calendarView === "timeline" && <TimelineView schedule={schedule} durationDays={durationDays} now={now} />}
 
           <div className="p-3 text-xs text-gray-400 border-t">
-            Leyenda: L = Luz, D = Oscuridad. Celda actual marcada con contorno rosado
-            brillante. Podés descargar el calendario como imagen (PNG/JPG) para usarlo
-            de wallpaper.
+            {calendarView !== "grid" && t(`calendar.legend.${calendarView}`)}
+            {t("calendar.legend.grid", { light: t("grid.light"), dark: t("grid.dark"), minutes: MISMATCH_MINUTES, pageDays: CALENDAR_PAGE_DAYS, maxPages: CALENDAR_EXPORT_MAX_PAGES })}
           </div>
         </section>
 
         </main>
       </div>
     </div>
+    </I18nContext.Provider>
   );
 }
 
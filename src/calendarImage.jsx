@@ -0,0 +1,75 @@
+/**
+ * calendarImage.jsx — Export del calendario Día × Hora como imagen
+ * - La grilla en pantalla está virtualizada: el export monta la tabla completa
+ *   fuera de pantalla, de a CALENDAR_PAGE_DAYS días por imagen
+ * - Si todo entra en una página, un único archivo como siempre; si no, uno por
+ *   página (fotoperiodo_calendar_dias_001-060.jpg, ...), hasta
+ *   CALENDAR_EXPORT_MAX_PAGES desde el día actual: el cultivo completo va en el PDF
+ * - El root suelto no hereda el contexto de la app: el idioma llega en `i18n`
+ */
+
+import React from "react";
+import { flushSync } from "react-dom";
+import { createRoot } from "react-dom/client";
+import html2canvas from "html2canvas";
+import { CalendarTable } from "./components/CalendarGrid";
+import { CALENDAR_EXPORT_MAX_PAGES, CALENDAR_PAGE_DAYS, exportPages } from "./calendarLayout";
+import { I18nContext } from "./i18nContext";
+import { createI18n } from "./i18n";
+
+// Chrome descarta descargas disparadas demasiado seguidas
+const DOWNLOAD_GAP_MS = 400;
+
+function canvasBlob(canvas, format) {
+  const mime = format === "jpeg" ? "image/jpeg" : "image/png";
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("El navegador no pudo generar la imagen."))), mime, format === "jpeg" ? 0.92 : 1.0);
+  });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function pageFilename(page, pageCount, format) {
+  if (pageCount === 1) return `fotoperiodo_calendar.${format}`;
+  const pad = (n) => String(n).padStart(3, "0");
+  return `fotoperiodo_calendar_dias_${pad(page.start + 1)}-${pad(page.end)}.${format}`;
+}
+
+/**
+ * Descarga el calendario (ver createCalendarPages) en imágenes de `perPage` días,
+ * a lo sumo `maxPages` desde la página de `currentDay`.
+ * `tableProps` son las de CalendarTable (día/hora actual, bitácora, historial real);
+ * `i18n` es el valor de createI18n() con el que se rotula la tabla.
+ */
+export async function exportCalendarImages(calendar, { format = "png", scale = 3, perPage = CALENDAR_PAGE_DAYS, maxPages = CALENDAR_EXPORT_MAX_PAGES, currentDay = 0, tableProps, i18n = createI18n(), onProgress }) {
+  const pages = exportPages(calendar.length, currentDay, { perPage, maxPages });
+  const pageCount = Math.ceil(calendar.length / perPage);
+  const host = document.createElement("div");
+  host.className = "calendar calendar-export";
+  document.body.appendChild(host);
+  const root = createRoot(host);
+  try {
+    for (const [i, page] of pages.entries()) {
+      onProgress?.(i + 1, pages.length);
+      flushSync(() => root.render(
+        <I18nContext.Provider value={i18n}>
+          <CalendarTable {...tableProps} rows={calendar.rows(page.start, page.end)} firstDay={page.start} />
+        </I18nContext.Provider>,
+      ));
+      const canvas = await html2canvas(host, { backgroundColor: null, useCORS: true, scale });
+      downloadBlob(await canvasBlob(canvas, format), pageFilename(page, pageCount, format));
+      // Soltar la memoria del canvas antes de la página siguiente
+      canvas.width = 0;
+      canvas.height = 0;
+      if (i < pages.length - 1) await new Promise((resolve) => setTimeout(resolve, DOWNLOAD_GAP_MS));
+    }
+  } finally {
+    root.unmount();
+    host.remove();
+  }
+}
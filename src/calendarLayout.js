@@ -0,0 +1,77 @@
+/**
+ * calendarLayout.js — Cuentas de la grilla Día × Hora para duraciones largas
+ * - Virtualización: qué filas (días) montar según el scroll, con margen
+ * - Scroll para centrar una fila (la celda actual)
+ * - Filas armadas de a páginas de N días, solo las que se piden
+ * - Cortes del export de imagen en páginas de N días, con tope de páginas
+ */
+
+// Días por imagen: ~6000 px de alto a scale=3, por debajo del límite de canvas de los navegadores
+export const CALENDAR_PAGE_DAYS = 60;
+export const CALENDAR_OVERSCAN = 8;
+// Imágenes por export: más allá de eso, el calendario para imprimir (un solo PDF)
+export const CALENDAR_EXPORT_MAX_PAGES = 4;
+
+/**
+ * Filas a montar para la ventana visible: [start, end) y el alto de los
+ * espaciadores de arriba y abajo que mantienen la barra de scroll.
+ * `headerHeight` es el alto de la cabecera fija (queda encima de las filas).
+ */
+export function visibleRowRange({ scrollTop, viewportHeight, rowHeight, rowCount, headerHeight = 0, overscan = CALENDAR_OVERSCAN }) {
+  const top = Math.max(0, scrollTop - headerHeight);
+  const start = Math.max(0, Math.min(rowCount, Math.floor(top / rowHeight) - overscan));
+  const end = Math.max(start, Math.min(rowCount, Math.ceil((top + viewportHeight) / rowHeight) + overscan));
+  return { start, end, padTop: start * rowHeight, padBottom: (rowCount - end) * rowHeight };
+}
+
+/** scrollTop que deja la fila `index` centrada debajo de la cabecera */
+export function centeredScrollTop({ index, rowHeight, viewportHeight, headerHeight = 0 }) {
+  const rowCenter = headerHeight + index * rowHeight + rowHeight / 2;
+  return Math.max(0, Math.round(rowCenter - headerHeight / 2 - viewportHeight / 2));
+}
+
+/** Páginas [start, end) de a `perPage` días */
+export function calendarPages(totalDays, perPage = CALENDAR_PAGE_DAYS) {
+  const pages = [];
+  for (let start = 0; start < totalDays; start += perPage) {
+    pages.push({ start, end: Math.min(totalDays, start + perPage) });
+  }
+  return pages;
+}
+
+/**
+ * Calendario paginado: `rows(start, end)` arma (con `buildPage(start, end)`)
+ * y guarda solo las páginas que tocan [start, end). Las filas ya armadas se
+ * reusan tal cual, así las filas memoizadas de la grilla no se vuelven a pintar.
+ */
+export function createCalendarPages(totalDays, buildPage, perPage = CALENDAR_PAGE_DAYS) {
+  const built = new Map();
+  const page = (index) => {
+    if (!built.has(index)) built.set(index, buildPage(index * perPage, Math.min(totalDays, (index + 1) * perPage)));
+    return built.get(index);
+  };
+  return {
+    length: totalDays,
+    rows(start, end) {
+      const from = Math.max(0, start);
+      const to = Math.min(totalDays, end);
+      const rows = [];
+      for (let index = Math.floor(from / perPage); index * perPage < to; index++) {
+        const pageStart = index * perPage;
+        rows.push(...page(index).slice(Math.max(0, from - pageStart), to - pageStart));
+      }
+      return rows;
+    },
+  };
+}
+
+/**
+ * Páginas a exportar como imagen: hasta `maxPages`, desde la del día actual
+ * (corridas hacia atrás si no alcanzan al final; día antes del inicio → desde el principio)
+ */
+export function exportPages(totalDays, currentDay, { perPage = CALENDAR_PAGE_DAYS, maxPages = CALENDAR_EXPORT_MAX_PAGES } = {}) {
+  const pages = calendarPages(totalDays, perPage);
+  const current = Math.max(0, Math.floor(currentDay / perPage));
+  const first = Math.max(0, Math.min(current, pages.length - maxPages));
+  return pages.slice(first, first + maxPages);
+}
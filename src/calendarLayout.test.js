@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { calendarPages, centeredScrollTop, createCalendarPages, exportPages, visibleRowRange } from "./calendarLayout";
+
+describe("visibleRowRange", () => {
+  it("mounts only the rows in view plus the overscan", () => {
+    const range = visibleRowRange({ scrollTop: 3200 + 40, viewportHeight: 320, rowHeight: 32, rowCount: 9999, headerHeight: 40, overscan: 2 });
+    expect(range).toEqual({ start: 98, end: 112, padTop: 98 * 32, padBottom: (9999 - 112) * 32 });
+  });
+
+  it("clamps at both ends", () => {
+    expect(visibleRowRange({ scrollTop: 0, viewportHeight: 640, rowHeight: 32, rowCount: 5 })).toEqual({ start: 0, end: 5, padTop: 0, padBottom: 0 });
+    const last = visibleRowRange({ scrollTop: 1e6, viewportHeight: 640, rowHeight: 32, rowCount: 100, overscan: 0 });
+    expect(last).toMatchObject({ start: 100, end: 100, padBottom: 0 });
+  });
+});
+
+describe("centeredScrollTop", () => {
+  it("centers the row below the sticky header", () => {
+    // Fila 100: de 40 + 3200 a 40 + 3232; centro visible = 40 + (640 - 40) / 2
+    expect(centeredScrollTop({ index: 100, rowHeight: 32, viewportHeight: 640, headerHeight: 40 })).toBe(3216 + 40 - 340);
+    expect(centeredScrollTop({ index: 0, rowHeight: 32, viewportHeight: 640 })).toBe(0);
+  });
+});
+
+describe("calendarPages", () => {
+  it("splits long ranges into pages", () => {
+    expect(calendarPages(130, 60)).toEqual([{ start: 0, end: 60 }, { start: 60, end: 120 }, { start: 120, end: 130 }]);
+    expect(calendarPages(30)).toEqual([{ start: 0, end: 30 }]);
+  });
+});
+
+describe("createCalendarPages", () => {
+  it("builds only the pages that overlap the requested rows", () => {
+    const built = [];
+    const calendar = createCalendarPages(130, (start, end) => {
+      built.push([start, end]);
+      return Array.from({ length: end - start }, (_, i) => ({ day: start + i }));
+    }, 60);
+    expect(calendar.length).toBe(130);
+    expect(calendar.rows(55, 65).map((r) => r.day)).toEqual([55, 56, 57, 58, 59, 60, 61, 62, 63, 64]);
+    expect(built).toEqual([[0, 60], [60, 120]]);
+
+    // Las páginas ya armadas se reusan: mismas filas, sin volver a armar
+    const again = calendar.rows(58, 60);
+    expect(again[0]).toBe(calendar.rows(58, 59)[0]);
+    expect(calendar.rows(125, 200).map((r) => r.day)).toEqual([125, 126, 127, 128, 129]);
+    expect(built).toEqual([[0, 60], [60, 120], [120, 130]]);
+  });
+});
+
+describe("exportPages", () => {
+  it("caps the export to the pages from the current day on", () => {
+    expect(exportPages(9999, 5000)).toEqual([
+      { start: 4980, end: 5040 }, { start: 5040, end: 5100 }, { start: 5100, end: 5160 }, { start: 5160, end: 5220 },
+    ]);
+    expect(exportPages(130, 0, { maxPages: 4 })).toHaveLength(3);
+  });
+
+  it("clamps to the first and last pages", () => {
+    expect(exportPages(600, -3, { maxPages: 2 })).toEqual([{ start: 0, end: 60 }, { start: 60, end: 120 }]);
+    expect(exportPages(600, 590, { maxPages: 2 })).toEqual([{ start: 480, end: 540 }, { start: 540, end: 600 }]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * ActualPanel.jsx — Historial real de ON/OFF del cultivo activo
+ * - Registro manual (ahora o en una fecha) e importación de CSV de enchufes
+ *   inteligentes / Home Assistant
+ * - Resumen plan vs real (balance, superciclo, horas con desvío)
+ * - Opción para que el estado general use el historial en vez del plan
+ */
+
+import React, { useMemo, useState } from "react";
+import { Activity, Trash2, Upload } from "lucide-react";
+import { mergeActualEvents, parseActualCsv } from "../engine/actual";
+import { formatLocalDateTime, parseLocalDateTime } from "../engine/timezone";
+import { useI18n } from "../i18nContext";
+
+const inputStyle = { background: 'rgba(255,255,255,0.02)' };
+const LIST_LIMIT = 200;
+
+export default function ActualPanel({ schedule, actual, onActualChange, now, comparison }) {
+  const { lang, t, number, date } = useI18n();
+  const { events, useForStats } = actual;
+  const formatHours = (value) => `${value > 0 ? '▲' : value < 0 ? '▼' : '—'} ${number(Math.abs(value), 2)} h`;
+  const zone = schedule.timeZone;
+  const [at, setAt] = useState(() => formatLocalDateTime(now, zone));
+  const [isLight, setIsLight] = useState(true);
+  const [message, setMessage] = useState("");
+
+  const addEvents = (added) => onActualChange((prev) => ({ ...prev, events: mergeActualEvents(prev.events, added) }));
+
+  // El datetime-local se interpreta en la zona del esquema
+  const addManual = () => {
+    const date = at ? parseLocalDateTime(at.slice(0, 16), zone) : null;
+    if (!date || Number.isNaN(date.getTime())) return;
+    addEvents([{ at: date.toISOString(), isLight, source: "manual" }]);
+  };
+
+  const importCsv = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const { events: parsed, errors } = parseActualCsv(String(e.target.result), zone, lang);
+      addEvents(parsed);
+      const detail = errors.slice(0, 3).map((err) => t("actual.line", { line: err.line, message: err.message })).join(" · ");
+      const skipped = errors.length ? t("actual.skipped", { count: errors.length, detail: `${detail}${errors.length > 3 ? " …" : ""}` }) : "";
+      setMessage(t("actual.imported", { file: file.name, count: parsed.length, skipped }));
+    };
+    reader.readAsText(file);
+  };
+
+  const removeEvent = (event) => onActualChange((prev) => ({ ...prev, events: prev.events.filter((e) => e !== event) }));
+  const clearAll = () => {
+    if (window.confirm(t("actual.clearConfirm"))) onActualChange((prev) => ({ ...prev, events: [] }));
+  };
+
+  const recent = useMemo(() => events.slice(-LIST_LIMIT).reverse(), [events]);
+
+  return (
+    <section className="actual-panel lg:col-span-3 p-4 sm:p-6 rounded-xl border shadow-lg" style={{ background: 'rgba(255,255,255,0.02)' }}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2" style={{ color: 'var(--accent-700)' }}>
+          <Activity className="w-5 h-5 text-rose-400"/> {t("actual.title")}
+        </h3>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={useForStats} onChange={(e) => onActualChange((prev) => ({ ...prev, useForStats: e.target.checked }))} />
+          {t("actual.useForStats")}
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-2 mb-3">
+        <button onClick={() => addEvents([{ at: new Date().toISOString(), isLight: true, source: "manual" }])}
+          className="px-3 py-2 text-sm bg-amber-500 text-black rounded-lg shadow-md hover:bg-amber-600 transition">{t("actual.onNow")}</button>
+        <button onClick={() => addEvents([{ at: new Date().toISOString(), isLight: false, source: "manual" }])}
+          className="px-3 py-2 text-sm bg-indigo-600 text-white rounded-lg shadow-md hover:bg-indigo-700 transition">{t("actual.offNow")}</button>
+        <span className="text-xs text-gray-400 mx-1">{t("actual.or")}</span>
+        <input type="datetime-local" value={at} onChange={(e) => setAt(e.target.value)} className="p-2 text-sm rounded-lg border border-transparent outline-none" style={inputStyle} />
+        <select value={isLight ? "on" : "off"} onChange={(e) => setIsLight(e.target.value === "on")} className="p-2 rounded-lg text-sm" style={{ background: 'rgba(255,255,255,0.05)' }}>
+          <option value="on">ON</option>
+          <option value="off">OFF</option>
+        </select>
+        <button onClick={addManual} className="px-3 py-2 text-sm bg-emerald-600 text-white rounded-lg shadow-md hover:bg-emerald-700 transition">{t("common.add")}</button>
+        <label className="flex items-center gap-2 px-3 py-2 text-sm bg-gray-700 text-gray-200 rounded-lg cursor-pointer hover:bg-gray-600 transition">
+          <Upload className="w-4 h-4"/> {t("actual.importCsv")}
+          <input type="file" accept=".csv,text/csv,text/plain" onChange={(e) => { importCsv(e.target.files?.[0]); e.target.value = ""; }} className="hidden" />
+        </label>
+      </div>
+      <div className="text-xs text-gray-400 mb-3">
+        {t("actual.csvHint", { zone })}
+      </div>
+      {message && <div className="text-xs text-sky-300 mb-3">{message}</div>}
+
+      {events.length > 0 && (
+        <div className="grid sm:grid-cols-3 gap-3 text-sm mb-3">
+          <div className="p-2 rounded-lg" style={{ background: 'rgba(255,255,255,0.03)' }}>
+            <div className="text-xs text-gray-400">{t("actual.cycles")}</div>
+            <div className="font-mono text-white">{Math.max(0, comparison.planCycles)} / {Math.max(0, comparison.actualCycles)}</div>
+          </div>
+          <div className="p-2 rounded-lg" style={{ background: 'rgba(255,255,255,0.03)' }}>
+            <div className="text-xs text-gray-400">{t("actual.balance", { baseline: comparison.baselineLabel })}</div>
+            <div className="font-mono text-white">{formatHours(comparison.planBalance)} / {formatHours(comparison.actualBalance)}</div>
+          </div>
+          <div className="p-2 rounded-lg" style={{ background: 'rgba(255,255,255,0.03)' }}>
+            <div className="text-xs text-gray-400">{t("actual.mismatches")}</div>
+            <div className={`font-mono ${comparison.mismatches ? 'text-rose-400' : 'text-emerald-400'}`}>{comparison.mismatches}</div>
+          </div>
+        </div>
+      )}
+
+      {events.length === 0 ? (
+        <div className="text-xs text-gray-400">{t("actual.empty")}</div>
+      ) : (
+        <>
+          <ul className="actual-list text-xs font-mono space-y-1">
+            {recent.map((e) => (
+              <li key={`${e.at}|${e.isLight}`} className="flex items-center gap-3">
+                <span className="text-gray-300">{date(new Date(e.at), { dateStyle: "short", timeStyle: "short", timeZone: zone })}</span>
+                <span className={e.isLight ? "text-yellow-300" : "text-indigo-300"}>{e.isLight ? "ON" : "OFF"}</span>
+                <span className="text-gray-500">{e.source === "csv" ? "CSV" : t("actual.manual")}</span>
+                <button onClick={() => removeEvent(e)} title={t("actual.deleteEvent")} className="ml-auto p-1 text-gray-400 hover:text-red-400"><Trash2 className="w-3 h-3"/></button>
+              </li>
+            ))}
+          </ul>
+          <div className="flex items-center justify-between mt-2 text-xs text-gray-400">
+            <span>{t("actual.count", { count: events.length })}{events.length > LIST_LIMIT ? t("actual.limited", { limit: LIST_LIMIT }) : ""}</span>
+            <button onClick={clearAll} className="px-2 py-1 rounded bg-white/5 hover:bg-white/10">{t("actual.clear")}</button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
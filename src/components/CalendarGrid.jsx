@@ -0,0 +1,267 @@
+/**
+ * CalendarGrid.jsx — Grilla Día × Hora del calendario
+ * - Filas virtualizadas: solo se montan los días a la vista (más un margen),
+ *   con espaciadores arriba y abajo; aguanta los 9999 días de una madre
+ * - `calendar` es el de createCalendarPages: las celdas se arman al llegar el scroll
+ * - Columnas Día/Fecha y cabecera fijas; la celda actual se centra sola
+ * - Los hitos del día se marcan con 🚩 en la columna Fecha
+ * - CalendarTable es la tabla sin virtualizar que usa el export de imagen
+ */
+
+import React, { memo, useCallback, useEffect, useLayoutEffect, useRef, useState } from "react";
+import { journalType } from "../journal";
+import { mixColor } from "../engine/color";
+import { centeredScrollTop, visibleRowRange } from "../calendarLayout";
+import { useI18n } from "../i18nContext";
+
+// Alto de fila de .calendar-row (celda h-7 + p-0.5); se vuelve a medir al montar
+const DEFAULT_ROW_HEIGHT = 32;
+const DEFAULT_HEADER_HEIGHT = 36;
+// Columnas antes de las horas: Día, Fecha, DLI
+const HOUR_COLUMN_OFFSET = 3;
+const ROW_BACKGROUND = "rgba(15,15,35,0.9)";
+const TODAY_BACKGROUND = "rgba(99,102,241,0.12)";
+const NO_MILESTONES = new Map();
+
+/* ---------- Celdas ---------- */
+function journalTooltip(entries, t) {
+  return entries.map((e) => `${journalType(e.type).icon} ${t(`journal.type.${journalType(e.type).id}`)}${e.note ? `: ${e.note}` : ""}`).join("\n");
+}
+
+const CELL_LIGHT = "#f59e0b";
+const CELL_DARK = "#4338ca";
+
+// Fondo con cortes exactos: una celda 08:00–09:00 que apaga a las 08:30 queda mitad y mitad.
+// En las rampas el tramo con luz se tiñe según la intensidad media.
+function cellBackground(cell) {
+  if (cell.skipped) return "repeating-linear-gradient(45deg,#1f2937,#1f2937 4px,#111827 4px,#111827 8px)";
+  const lightColor = cell.ramped && cell.lightFraction > 0
+    ? mixColor(CELL_DARK, CELL_LIGHT, cell.output / cell.lightFraction)
+    : CELL_LIGHT;
+  if (cell.segments.length <= 1) {
+    if (cell.ramped) return lightColor;
+    return cell.isLight
+      ? "linear-gradient(90deg,#f59e0b,#f472b6)"
+      : "linear-gradient(90deg,#4338ca,#4338ca99)";
+  }
+  const stops = cell.segments.map((seg) => {
+    const color = seg.isLight ? lightColor : CELL_DARK;
+    return `${color} ${(seg.from * 100).toFixed(2)}%, ${color} ${(seg.to * 100).toFixed(2)}%`;
+  });
+  return `linear-gradient(90deg, ${stops.join(", ")})`;
+}
+
+function cellLabel(cell, t) {
+  if (cell.skipped) return "–";
+  if (cell.switches.length === 0) return cell.isLight ? t("grid.light") : t("grid.dark");
+  return `:${cell.switches[0].minute.toString().padStart(2, "0")}`;
+}
+
+function cellTooltip(cell, hour, t) {
+  const pad = (n) => n.toString().padStart(2, "0");
+  if (cell.skipped) return t("grid.skipped", { hour: `${pad(hour)}:00` });
+  const range = `${pad(hour)}:00–${pad((hour + 1) % 24)}:00${cell.repeated ? t("grid.repeated") : ""}`;
+  const parts = [range, t("grid.lightShare", { percent: Math.round(cell.lightFraction * 100) })];
+  if (cell.ramped) parts.push(t("grid.intensity", { percent: Math.round(cell.output * 100) }));
+  for (const sw of cell.switches) {
+    parts.push(`${sw.isLight ? "ON" : "OFF"} ${sw.time}`);
+  }
+  return parts.join(" · ");
+}
+
+function milestoneTooltip(milestones, t, date, timeZone) {
+  return milestones.map((m) => t("milestones.marker", {
+    name: m.name || t("milestones.unnamed"),
+    time: date(m.date, { timeStyle: "short", timeZone }),
+  })).join("\n");
+}
+
+function actualTooltip(real, t) {
+  const diff = real.diffMinutes
+    ? t("grid.actualDiff", { sign: real.diffMinutes > 0 ? "+" : "−", minutes: Math.abs(real.diffMinutes) })
+    : t("grid.actualSame");
+  return t("grid.actual", { percent: Math.round(real.lightFraction * 100), diff });
+}
+
+/* ---------- Grilla ---------- */
+const CalendarRow = memo(function CalendarRow({ row, d, isToday, nowHour, journalCells, actualCells, milestones, timeZone, onCellClick }) {
+  const { t, number, date } = useI18n();
+  const stickyStyle = { background: isToday ? TODAY_BACKGROUND : ROW_BACKGROUND };
+  return (
+    <tr className={`calendar-row ${isToday ? "bg-indigo-900/6" : ""} hover:bg-white/2 transition`}>
+      {/* Columna fija: Día */}
+      <td className="p-1 sticky-col font-semibold" style={stickyStyle}>
+        {d + 1}
+      </td>
+
+      {/* Columna fija: Fecha */}
+      <td className="p-1 sticky-col-2 font-semibold" style={stickyStyle}>
+        {row.dateDisplay}
+        {row.hoursInDay !== 24 && (
+          <span className="ml-1 text-[10px] text-amber-300" title={t("grid.dstDay")}>{row.hoursInDay}h</span>
+        )}
+        {milestones && (
+          <span className="milestone-marker ml-1" title={milestoneTooltip(milestones, t, date, timeZone)}>
+            🚩{milestones.length > 1 ? milestones.length : ""}
+          </span>
+        )}
+      </td>
+
+      {/* DLI del día (color si está fuera del rango objetivo) */}
+      <td className={`p-1 text-right font-mono dli-cell dli-${row.dliStatus || "none"}`}>
+        {number(row.dli, 1)}
+      </td>
+
+      {/* Horas */}
+      {row.cells.map((cell, h) => {
+        const marks = journalCells.get(`${d}:${h}`);
+        const real = actualCells.get(`${d}:${h}`);
+        const tooltip = [cellTooltip(cell, h, t), real && actualTooltip(real, t), marks && journalTooltip(marks, t)].filter(Boolean).join("\n");
+        return (
+          <td key={h} className="p-0.5">
+            <div
+              className={`relative w-full h-7 rounded-sm flex items-center justify-center text-xs font-mono font-semibold calendar-cell-text cursor-pointer ${
+                h === nowHour ? "now-cell" : ""
+              } ${real?.mismatch ? "actual-mismatch" : ""}`}
+              title={tooltip}
+              onClick={onCellClick ? () => onCellClick(row, h) : undefined}
+              style={{
+                background: cellBackground(cell),
+                color: "#fff",
+                transition: "all .12s ease",
+              }}
+            >
+              {cellLabel(cell, t)}
+              {real && <span className="actual-bar" style={{ "--actual": real.lightFraction }} />}
+              {marks && (
+                <span className="journal-marker">
+                  {journalType(marks[0].type).icon}{marks.length > 1 ? marks.length : ""}
+                </span>
+              )}
+            </div>
+          </td>
+        );
+      })}
+    </tr>
+  );
+});
+
+function Spacer({ height }) {
+  if (height <= 0) return null;
+  return (
+    <tr aria-hidden="true" style={{ height }}>
+      <td colSpan={HOUR_COLUMN_OFFSET + 24} className="p-0" />
+    </tr>
+  );
+}
+
+/**
+ * Tabla con las filas `rows` (días firstDay, firstDay + 1, ...). Los
+ * espaciadores ocupan el lugar de las filas no montadas.
+ */
+export function CalendarTable({ rows, firstDay = 0, padTop = 0, padBottom = 0, currentDayIndex, currentHourIndex, journalCells, actualCells, milestoneDays = NO_MILESTONES, timeZone, onCellClick }) {
+  const { t } = useI18n();
+  return (
+    <table className="min-w-full text-xs">
+      <thead>
+        <tr>
+          <th className="p-2 text-left sticky-col">{t("grid.day")}</th>
+          <th className="p-2 text-left sticky-col-2">{t("grid.date")}</th>
+          <th className="p-2 text-right" title={t("grid.dliHint")}>DLI</th>
+          {Array.from({ length: 24 }).map((_, h) => (
+            <th key={h} className="p-2 text-center text-sm text-gray-200 w-8">
+              {h}h
+            </th>
+          ))}
+        </tr>
+      </thead>
+
+      <tbody>
+        <Spacer height={padTop} />
+        {rows.map((row, i) => {
+          const d = firstDay + i;
+          const isToday = d === currentDayIndex;
+          return (
+            <CalendarRow
+              key={d}
+              row={row}
+              d={d}
+              isToday={isToday}
+              nowHour={isToday ? currentHourIndex : -1}
+              journalCells={journalCells}
+              actualCells={actualCells}
+              milestones={milestoneDays.get(d)}
+              timeZone={timeZone}
+              onCellClick={onCellClick}
+            />
+          );
+        })}
+        <Spacer height={padBottom} />
+      </tbody>
+    </table>
+  );
+}
+
+export default function CalendarGrid({ calendar, currentDayIndex, currentHourIndex, journalCells, actualCells, milestoneDays, timeZone, onCellClick }) {
+  const wrapperRef = useRef(null);
+  const metrics = useRef({ rowHeight: DEFAULT_ROW_HEIGHT, headerHeight: DEFAULT_HEADER_HEIGHT });
+  const rowCount = calendar.length;
+  const [range, setRange] = useState(() => visibleRowRange({
+    scrollTop: 0,
+    viewportHeight: typeof window !== "undefined" ? window.innerHeight : 800,
+    rowCount,
+    ...metrics.current,
+  }));
+
+  // Recalcula la ventana de filas; solo re-renderiza si cambió
+  const updateRange = useCallback(() => {
+    const el = wrapperRef.current;
+    if (!el) return;
+    const next = visibleRowRange({ scrollTop: el.scrollTop, viewportHeight: el.clientHeight, rowCount, ...metrics.current });
+    setRange((prev) => (prev.start === next.start && prev.end === next.end && prev.padBottom === next.padBottom ? prev : next));
+  }, [rowCount]);
+
+  // Alturas reales (dependen de la fuente y del zoom) antes de pintar
+  useLayoutEffect(() => {
+    const el = wrapperRef.current;
+    if (!el) return;
+    const rowHeight = el.querySelector("tbody tr.calendar-row")?.getBoundingClientRect().height;
+    const headerHeight = el.querySelector("thead")?.getBoundingClientRect().height;
+    if (rowHeight && Math.abs(rowHeight - metrics.current.rowHeight) > 0.5) metrics.current.rowHeight = rowHeight;
+    if (headerHeight) metrics.current.headerHeight = headerHeight;
+    updateRange();
+  }, [updateRange, range]);
+
+  useEffect(() => {
+    window.addEventListener("resize", updateRange);
+    return () => window.removeEventListener("resize", updateRange);
+  }, [updateRange]);
+
+  // Centrar la celda actual (aunque su fila todavía no esté montada)
+  useEffect(() => {
+    const el = wrapperRef.current;
+    if (!el || currentDayIndex < 0 || currentDayIndex >= rowCount) return;
+    const th = el.querySelectorAll("thead th")[HOUR_COLUMN_OFFSET + currentHourIndex];
+    const left = th ? Math.max(0, th.offsetLeft + th.offsetWidth / 2 - el.clientWidth / 2) : el.scrollLeft;
+    const top = centeredScrollTop({ index: currentDayIndex, viewportHeight: el.clientHeight, ...metrics.current });
+    el.scrollTo({ top, left, behavior: "smooth" });
+  }, [currentDayIndex, currentHourIndex, rowCount]);
+
+  return (
+    <div className="calendar-wrapper calendar" ref={wrapperRef} onScroll={updateRange}>
+      <CalendarTable
+        rows={calendar.rows(range.start, range.end)}
+        firstDay={range.start}
+        padTop={range.padTop}
+        padBottom={range.padBottom}
+        currentDayIndex={currentDayIndex}
+        currentHourIndex={currentHourIndex}
+        journalCells={journalCells}
+        actualCells={actualCells}
+        milestoneDays={milestoneDays}
+        timeZone={timeZone}
+        onCellClick={onCellClick}
+      />
+    </div>
+  );
+}
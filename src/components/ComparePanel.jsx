@@ -0,0 +1,223 @@
+/**
+ * ComparePanel.jsx — Comparar esquemas ("¿y si...?") con el mismo inicio
+ * - El esquema actual es siempre la referencia; se suman hasta 3 candidatos
+ * - Franja Día × Hora por candidato, luz acumulada, días hasta N ciclos y
+ *   balance/consumo con las luminarias y la referencia del cultivo
+ * - "Aplicar" reemplaza las fases del cultivo por las del candidato
+ */
+
+import React, { useMemo, useRef, useState } from "react";
+import { Check, GitCompare, Plus, Trash2 } from "lucide-react";
+import { buildCalendar } from "../engine/photoperiod";
+import { COMPARE_MAX_CANDIDATES, DEFAULT_HARVEST_CYCLES, compareSchedules } from "../engine/compare";
+import { useI18n } from "../i18nContext";
+
+const COLORS = ["#f472b6", "#38bdf8", "#a3e635", "#fbbf24"];
+const PRESETS = [[13, 14], [12, 13], [11, 13], [12, 12]];
+const STRIP_MAX_DAYS = 90;
+const CHART_HEIGHT = 120;
+
+const inputStyle = { background: 'rgba(255,255,255,0.02)' };
+const numberClass = "w-16 p-1 rounded border border-transparent outline-none font-mono text-xs";
+
+
+function signed(number, value, digits = 1, unit = "") {
+  if (value === null) return "—";
+  if (Math.abs(value) < 1e-9) return "=";
+  return `${value > 0 ? "+" : "−"}${number(Math.abs(value), digits)}${unit}`;
+}
+
+function phasesValid(phases) {
+  return phases.length > 0 && phases.every((p) => Number(p.hoursLight) + Number(p.hoursDark) > 0);
+}
+
+// Franja Día × Hora: todos los tramos con luz en un único <path>
+function Strip({ schedule, days, color }) {
+  const { t } = useI18n();
+  const d = useMemo(() => {
+    let path = "";
+    buildCalendar(schedule, days).forEach((row, x) => {
+      row.cells.forEach((cell, h) => {
+        for (const seg of cell.segments || []) {
+          if (seg.isLight) path += `M${x} ${h + seg.from}h1V${h + seg.to}h-1Z`;
+        }
+      });
+    });
+    return path;
+  }, [schedule, days]);
+  return (
+    <svg viewBox={`0 0 ${days} 24`} preserveAspectRatio="none" className="compare-strip w-full" role="img" aria-label={t("compare.stripLabel")}>
+      <rect width={days} height="24" fill="rgba(30,27,75,0.9)" />
+      <path d={d} fill={color} />
+    </svg>
+  );
+}
+
+function CumulativeChart({ rows, durationDays, colorOf }) {
+  const { t } = useI18n();
+  const max = Math.max(1, ...rows.map((r) => r.cumulative[r.cumulative.length - 1] || 0));
+  const y = (v) => CHART_HEIGHT - (v / max) * CHART_HEIGHT;
+  return (
+    <svg viewBox={`0 0 ${durationDays} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="compare-chart w-full" role="img" aria-label={t("compare.cumulative")}>
+      {rows.map((row) => (
+        <polyline key={row.id} fill="none" stroke={colorOf(row.id)} strokeWidth="1.5" vectorEffect="non-scaling-stroke"
+          points={`0,${CHART_HEIGHT} ${row.cumulative.map((v, d) => `${d + 1},${y(v)}`).join(" ")}`} />
+      ))}
+    </svg>
+  );
+}
+
+export default function ComparePanel({ schedule, phases, durationDays, energy, tariff, currentPhaseIndex, onApply }) {
+  const { t, number } = useI18n();
+  // Ids por panel montado: el primer candidato es c0
+  const nextCandidate = useRef(1);
+  const [candidates, setCandidates] = useState(() => [{ id: "c0", label: t("compare.candidateName", { letter: "B" }), phases }]);
+  const [harvestCycles, setHarvestCycles] = useState(DEFAULT_HARVEST_CYCLES);
+  const [applied, setApplied] = useState("");
+
+  const rows = useMemo(() => {
+    const valid = candidates.filter((c) => phasesValid(c.phases));
+    return compareSchedules(schedule, [{ id: "current", label: t("compare.current"), phases }, ...valid], { durationDays, harvestCycles, energy, tariff });
+  }, [schedule, phases, candidates, durationDays, harvestCycles, energy, tariff, t]);
+  const stripDays = Math.min(durationDays, STRIP_MAX_DAYS);
+  const phaseIndex = Math.min(Math.max(0, currentPhaseIndex), phases.length - 1);
+
+  const updateCandidate = (id, updater) => setCandidates((prev) => prev.map((c) => (c.id === id ? updater(c) : c)));
+  const updateCandidatePhase = (id, index, patch) => updateCandidate(id, (c) => ({
+    ...c,
+    phases: c.phases.map((p, i) => (i === index ? { ...p, ...patch } : p)),
+  }));
+  const addCandidate = (hours) => setCandidates((prev) => {
+    if (prev.length >= COMPARE_MAX_CANDIDATES - 1) return prev;
+    const letter = String.fromCharCode(66 + prev.length);
+    const copy = hours
+      ? phases.map((p, i) => (i === phaseIndex ? { ...p, hoursLight: hours[0], hoursDark: hours[1] } : p))
+      : phases;
+    return [...prev, { id: `c${nextCandidate.current++}`, label: hours ? `${hours[0]}/${hours[1]}` : t("compare.candidateName", { letter }), phases: copy }];
+  });
+  const apply = (candidate) => {
+    if (!window.confirm(t("compare.applyConfirm", { label: candidate.label }))) return;
+    setCandidates((prev) => prev.map((c) => (c.id === candidate.id ? { ...c, label: t("compare.previous"), phases } : c)));
+    onApply(candidate.phases);
+    setApplied(candidate.label);
+  };
+
+  // El color sigue al candidato aunque otro quede fuera por inválido
+  const colorOf = (id) => COLORS[id === "current" ? 0 : candidates.findIndex((c) => c.id === id) + 1];
+  const full = candidates.length >= COMPARE_MAX_CANDIDATES - 1;
+
+  return (
+    <section className="compare-panel lg:col-span-3 p-4 sm:p-6 rounded-xl border shadow-lg" style={{ background: 'rgba(255,255,255,0.02)' }}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2" style={{ color: 'var(--accent-700)' }}>
+          <GitCompare className="w-5 h-5 text-sky-400"/> {t("compare.title")}
+        </h3>
+        <div className="flex flex-wrap items-center gap-1 text-xs">
+          <span className="text-gray-400 mr-1">{t("compare.tryIn", { phase: phases[phaseIndex]?.name || t("compare.currentPhase") })}</span>
+          {PRESETS.map((p) => (
+            <button key={p.join("/")} onClick={() => addCandidate(p)} disabled={full}
+              className="px-2 py-1 rounded-lg bg-white/5 hover:bg-white/10 disabled:opacity-40">{p[0]}/{p[1]}</button>
+          ))}
+          <button onClick={() => addCandidate(null)} disabled={full} title={t("compare.copyCurrent")}
+            className="flex items-center gap-1 px-2 py-1 rounded-lg bg-indigo-500 text-white hover:bg-indigo-600 disabled:opacity-40">
+            <Plus className="w-3 h-3"/> {t("compare.candidate")}
+          </button>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-3 mb-4">
+        {candidates.map((c, ci) => (
+          <div key={c.id} className="p-3 rounded-lg text-xs" style={{ background: 'rgba(255,255,255,0.03)', borderLeft: `3px solid ${COLORS[ci + 1]}` }}>
+            <div className="flex items-center gap-2 mb-2">
+              <input value={c.label} onChange={(e) => updateCandidate(c.id, (x) => ({ ...x, label: e.target.value }))}
+                className="flex-1 p-1 rounded border border-transparent outline-none text-sm font-semibold" style={inputStyle} />
+              <button onClick={() => setCandidates((prev) => prev.filter((x) => x.id !== c.id))} disabled={candidates.length <= 1}
+                title={t("compare.remove")} className="p-1 text-gray-400 hover:text-red-400 disabled:opacity-30"><Trash2 className="w-4 h-4"/></button>
+            </div>
+            {c.phases.map((p, i) => (
+              <div key={i} className="flex items-center gap-1 mb-1">
+                <span className="flex-1 truncate text-gray-300" title={p.name}>{p.name}</span>
+                <input type="number" min="0" value={p.hoursLight} aria-label={t("compare.hoursLight")} className={numberClass} style={inputStyle}
+                  onChange={(e) => updateCandidatePhase(c.id, i, { hoursLight: Math.max(0, Number(e.target.value)) })} />
+                <span className="text-gray-500">/</span>
+                <input type="number" min="0" value={p.hoursDark} aria-label={t("compare.hoursDark")} className={numberClass} style={inputStyle}
+                  onChange={(e) => updateCandidatePhase(c.id, i, { hoursDark: Math.max(0, Number(e.target.value)) })} />
+                {i < c.phases.length - 1 && (
+                  <input type="number" min="0" value={p.length} aria-label={t("settings.length")} title={t(p.unit === "cycles" ? "common.unit.cycles" : "common.unit.days")} className={numberClass} style={inputStyle}
+                    onChange={(e) => updateCandidatePhase(c.id, i, { length: Math.max(0, Number(e.target.value)) })} />
+                )}
+              </div>
+            ))}
+            {!phasesValid(c.phases) && <div className="text-red-400 mt-1">{t("compare.invalid")}</div>}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 text-xs text-gray-400 mb-2">
+        <label htmlFor="harvest-cycles">{t("compare.harvest")}</label>
+        <input id="harvest-cycles" type="number" min="1" value={harvestCycles} className={numberClass} style={inputStyle}
+          onChange={(e) => setHarvestCycles(Math.max(1, Math.floor(Number(e.target.value)) || 1))} />
+        <span>{t("compare.harvestHint", { baseline: `${number(energy.baseline.hoursLight)}L/${number(energy.baseline.hoursDark)}D`, days: t("common.days", { count: durationDays }) })}</span>
+      </div>
+
+      <div className="overflow-x-auto mb-4">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-gray-400 text-left">
+              <th className="p-1">{t("compare.schedule")}</th>
+              <th className="p-1 text-right">{t("compare.totalLight")}</th>
+              <th className="p-1 text-right">{t("compare.cycles")}</th>
+              <th className="p-1 text-right">{t("compare.daysTo", { cycles: harvestCycles })}</th>
+              <th className="p-1 text-right">{t("compare.balance")}</th>
+              <th className="p-1 text-right">kWh</th>
+              {tariff.pricePerKwh > 0 && <th className="p-1 text-right">{t("energy.cost")}</th>}
+              <th className="p-1"></th>
+            </tr>
+          </thead>
+          <tbody className="font-mono">
+            {rows.map((row, i) => (
+              <tr key={row.id} className="border-t border-white/5">
+                <td className="p-1 font-sans font-semibold" style={{ color: colorOf(row.id) }}>{row.label}</td>
+                <td className="p-1 text-right">{number(row.lightHours, 1)} h{i > 0 && <div className="text-gray-400">{signed(number, row.delta.lightHours, 1, " h")}</div>}</td>
+                <td className="p-1 text-right">{row.cycles}{i > 0 && <div className="text-gray-400">{signed(number, row.delta.cycles, 0)}</div>}</td>
+                <td className="p-1 text-right">{row.harvestDays === null ? "—" : number(row.harvestDays, 1)}{i > 0 && <div className="text-gray-400">{signed(number, row.delta.harvestDays, 1, " d")}</div>}</td>
+                <td className={`p-1 text-right ${row.balance > 0 ? 'text-emerald-400' : row.balance < 0 ? 'text-rose-400' : ''}`}>
+                  {signed(number, row.balance, 1, " h")}{i > 0 && <div className="text-gray-400">{signed(number, row.delta.balance, 1, " h")}</div>}
+                </td>
+                <td className="p-1 text-right">{number(row.kWh, 1)}{i > 0 && <div className="text-gray-400">{signed(number, row.delta.kWh, 1)}</div>}</td>
+                {tariff.pricePerKwh > 0 && (
+                  <td className="p-1 text-right">{number(row.cost, 2)}{i > 0 && <div className="text-gray-400">{signed(number, row.delta.cost, 2)}</div>}</td>
+                )}
+                <td className="p-1 text-right font-sans">
+                  {i > 0 && (
+                    <button onClick={() => apply(candidates.find((c) => c.id === row.id))} className="flex items-center gap-1 ml-auto px-2 py-1 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700">
+                      <Check className="w-3 h-3"/> {t("compare.apply")}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {applied && (
+        <div className="flex items-center gap-1 text-xs text-emerald-300 mb-3">
+          <Check className="w-3 h-3"/> {t("compare.applied", { label: applied })}
+        </div>
+      )}
+
+      <div className="text-xs text-gray-400 mb-1">{t("compare.cumulative")}</div>
+      <CumulativeChart rows={rows} durationDays={durationDays} colorOf={colorOf} />
+
+      <div className="text-xs text-gray-400 mt-4 mb-1">{t("compare.strip", { days: t("common.days", { count: stripDays }) })}</div>
+      <div className="space-y-2">
+        {rows.map((row) => (
+          <div key={row.id} className="flex items-center gap-2">
+            <span className="w-24 shrink-0 truncate text-xs font-semibold" style={{ color: colorOf(row.id) }}>{row.label}</span>
+            <Strip schedule={row.schedule} days={stripDays} color={colorOf(row.id)} />
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,98 @@
+/**
+ * ControllerPanel.jsx — Programas para enchufes inteligentes y microcontroladores
+ * - Formato, cantidad de días y destino (entidad o comandos) elegibles
+ * - Vista previa del texto generado, copiar y descargar
+ * - Cubre los próximos N días desde ahora: hay que regenerarlo antes de que venza
+ */
+
+import React, { useMemo, useState } from "react";
+import { Cpu } from "lucide-react";
+import { CONTROLLER_FORMATS, DEFAULT_CONTROLLER_OPTIONS, buildControllerExport } from "../engine/controllers";
+import { useI18n } from "../i18nContext";
+
+const inputStyle = { background: 'rgba(255,255,255,0.02)' };
+const inputClass = "w-full p-2 rounded-lg border border-transparent outline-none";
+const MAX_DAYS = 365;
+
+export default function ControllerPanel({ schedule, now, growName, onDownload }) {
+  const { lang, t } = useI18n();
+  const [format, setFormat] = useState("homeassistant");
+  const [days, setDays] = useState(DEFAULT_CONTROLLER_OPTIONS.days);
+  const [entityId, setEntityId] = useState(DEFAULT_CONTROLLER_OPTIONS.entityId);
+  const [onCommand, setOnCommand] = useState(DEFAULT_CONTROLLER_OPTIONS.onCommand);
+  const [offCommand, setOffCommand] = useState(DEFAULT_CONTROLLER_OPTIONS.offCommand);
+  const [copied, setCopied] = useState(false);
+
+  // Se regenera una vez por minuto, no en cada tic del reloj
+  const fromMinute = Math.floor(now.getTime() / 60000);
+  const output = useMemo(
+    () => buildControllerExport(format, schedule, { from: new Date(fromMinute * 60000), days, name: growName, entityId, onCommand, offCommand, lang }),
+    [format, schedule, fromMinute, days, growName, entityId, onCommand, offCommand, lang],
+  );
+  const formatInfo = CONTROLLER_FORMATS.find((f) => f.id === format);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(output);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <section className="controller-panel lg:col-span-3 p-4 sm:p-6 rounded-xl border shadow-lg" style={{ background: 'rgba(255,255,255,0.02)' }}>
+      <h3 className="text-lg font-semibold flex items-center gap-2 mb-4" style={{ color: 'var(--accent-700)' }}>
+        <Cpu className="w-5 h-5 text-emerald-400"/> {t("controller.title")}
+      </h3>
+
+      <div className="grid sm:grid-cols-4 gap-3 mb-3">
+        <div>
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("controller.format")}</label>
+          <select value={format} onChange={(e) => setFormat(e.target.value)} className="w-full p-2 rounded-lg text-sm" style={{ background: 'rgba(255,255,255,0.05)' }}>
+            {CONTROLLER_FORMATS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("controller.days")}</label>
+          <input type="number" min="1" max={MAX_DAYS} value={days}
+            onChange={(e) => setDays(Math.max(1, Math.min(MAX_DAYS, Number(e.target.value) || 1)))}
+            className={inputClass} style={inputStyle} />
+        </div>
+        {(format === "homeassistant" || format === "esphome") && (
+          <div className="sm:col-span-2">
+            <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("controller.entity")}</label>
+            <input value={entityId} onChange={(e) => setEntityId(e.target.value.trim() || DEFAULT_CONTROLLER_OPTIONS.entityId)} className={inputClass} style={inputStyle} />
+          </div>
+        )}
+        {format === "crontab" && (
+          <>
+            <div>
+              <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("controller.onCommand")}</label>
+              <input value={onCommand} onChange={(e) => setOnCommand(e.target.value)} className={inputClass} style={inputStyle} />
+            </div>
+            <div>
+              <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("controller.offCommand")}</label>
+              <input value={offCommand} onChange={(e) => setOffCommand(e.target.value)} className={inputClass} style={inputStyle} />
+            </div>
+          </>
+        )}
+      </div>
+
+      <textarea readOnly value={output} rows={12} spellCheck="false" aria-label={t("controller.output")}
+        className="controller-output w-full p-2 rounded-lg font-mono text-xs outline-none" style={inputStyle} />
+
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        <button onClick={copy} className="px-3 py-2 text-sm bg-sky-600 text-white rounded-lg shadow-md hover:bg-sky-700 transition">
+          {copied ? t("common.copied") : t("common.copy")}
+        </button>
+        <button onClick={() => onDownload(output, formatInfo.mime, `fotoperiodo-${format}.${formatInfo.extension}`)}
+          className="px-3 py-2 text-sm bg-indigo-500 text-white rounded-lg shadow-md hover:bg-indigo-600 transition">
+          {t("controller.download", { extension: formatInfo.extension })}
+        </button>
+        <span className="text-xs text-gray-400">{t("controller.hint", { zone: schedule.timeZone, days: t("common.days", { count: days }) })}</span>
+      </div>
+    </section>
+  );
+}
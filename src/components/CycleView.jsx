@@ -0,0 +1,90 @@
+/**
+ * CycleView.jsx — Calendario alineado por ciclo
+ * - Una fila por ciclo del esquema: la barra arranca en la hora local de su
+ *   encendido, así un 13/14 se ve como una diagonal que se corre 3 h por ciclo
+ * - Eje de 0 h hasta 24 h + el ciclo más largo, con la medianoche marcada
+ * - Filas virtualizadas; la fila y la posición actuales quedan resaltadas
+ */
+
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { hoursSinceStart } from "../engine/photoperiod";
+import { zonedParts } from "../engine/timezone";
+import { cycleRows } from "../engine/calendarViews";
+import { centeredScrollTop, visibleRowRange } from "../calendarLayout";
+import { useI18n } from "../i18nContext";
+
+const ROW_HEIGHT = 24;
+const INITIAL_VIEWPORT = 600;
+
+function pad(n) { return n.toString().padStart(2, "0"); }
+
+function formatClock(hour) {
+  const minutes = Math.round(hour * 60);
+  return `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+}
+
+export default function CycleView({ schedule, durationDays, now }) {
+  const { t, dayMonth } = useI18n();
+  const wrapperRef = useRef(null);
+  const rows = useMemo(() => cycleRows(schedule, durationDays), [schedule, durationDays]);
+  const axisHours = useMemo(() => 24 + Math.ceil(Math.max(24, ...rows.map((r) => r.hours))), [rows]);
+  const [range, setRange] = useState(() => visibleRowRange({ scrollTop: 0, viewportHeight: INITIAL_VIEWPORT, rowHeight: ROW_HEIGHT, rowCount: rows.length }));
+
+  const nowHours = hoursSinceStart(schedule, now);
+  const currentIndex = rows.findIndex((r) => nowHours >= r.startHours && nowHours < r.startHours + r.hours);
+
+  const updateRange = useCallback(() => {
+    const el = wrapperRef.current;
+    if (!el) return;
+    const next = visibleRowRange({ scrollTop: el.scrollTop, viewportHeight: el.clientHeight, rowHeight: ROW_HEIGHT, rowCount: rows.length });
+    setRange((prev) => (prev.start === next.start && prev.end === next.end && prev.padBottom === next.padBottom ? prev : next));
+  }, [rows.length]);
+
+  useLayoutEffect(updateRange, [updateRange]);
+
+  // Centrar el ciclo actual (al abrir la vista y cuando empieza otro)
+  useEffect(() => {
+    const el = wrapperRef.current;
+    if (!el || currentIndex < 0) return;
+    el.scrollTo({ top: centeredScrollTop({ index: currentIndex, rowHeight: ROW_HEIGHT, viewportHeight: el.clientHeight }), behavior: "smooth" });
+  }, [currentIndex]);
+
+  const pct = (hours) => `${(hours / axisHours) * 100}%`;
+  const midnights = Array.from({ length: Math.floor(axisHours / 24) }, (_, i) => (i + 1) * 24);
+
+  return (
+    <div>
+      <div className="flex text-[10px] text-gray-400 border-b border-white/5">
+        <div className="cycle-label shrink-0 p-1">{t("cycles.header")}</div>
+        <div className="relative flex-1 h-5">
+          {Array.from({ length: Math.floor(axisHours / 6) + 1 }, (_, i) => i * 6).map((h) => (
+            <span key={h} className="absolute top-1 -translate-x-1/2" style={{ left: pct(h) }}>{h % 24}h</span>
+          ))}
+        </div>
+      </div>
+      <div className="calendar-wrapper" ref={wrapperRef} onScroll={updateRange}>
+        <div style={{ height: range.padTop }} />
+        {rows.slice(range.start, range.end).map((row) => {
+          const isCurrent = row.index === currentIndex;
+          const local = zonedParts(row.date, schedule.timeZone);
+          return (
+            <div key={row.index} className={`cycle-row flex items-center ${isCurrent ? "cycle-row-now" : ""}`} style={{ height: ROW_HEIGHT }}>
+              <div className="cycle-label shrink-0 px-1 text-xs font-mono truncate" title={row.phaseName}>
+                <span className="font-semibold text-white">{row.index + 1}</span>{" "}
+                <span className="text-gray-400">{dayMonth(local.year, local.month, local.day)}</span>{" "}
+                <span className="text-amber-300">{formatClock(row.clockHour)}</span>
+              </div>
+              <div className="relative flex-1 h-4">
+                {midnights.map((h) => <span key={h} className="cycle-midnight" style={{ left: pct(h) }} />)}
+                <span className="cycle-light" style={{ left: pct(row.clockHour), width: pct(row.hoursLight) }} />
+                <span className="cycle-dark" style={{ left: pct(row.clockHour + row.hoursLight), width: pct(row.hours - row.hoursLight) }} />
+                {isCurrent && <span className="cycle-now" style={{ left: pct(row.clockHour + nowHours - row.startHours) }} />}
+              </div>
+            </div>
+          );
+        })}
+        <div style={{ height: range.padBottom }} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+/**
+ * DliPanel.jsx — PPFD a nivel de canopia, rango objetivo de DLI y gráfico
+ * - Los ajustes viven en schedule.light (el PPFD por fase, en cada fase)
+ * - Gráfico por día de calendario o por ciclo del superciclo, con la franja
+ *   objetivo sombreada y las barras fuera de rango en color
+ */
+
+import React, { useMemo, useState } from "react";
+import { Sun } from "lucide-react";
+import { dliStatus, lightFromObject } from "../engine/dli";
+import { useI18n } from "../i18nContext";
+
+const STATUS_COLORS = { ok: "#34d399", low: "#60a5fa", high: "#f87171", none: "#fbbf24" };
+const CHART_HEIGHT = 140;
+
+const inputStyle = { background: 'rgba(255,255,255,0.02)' };
+const inputClass = "w-full p-2 rounded-lg border border-transparent outline-none";
+
+// Barras agrupadas por color en un único <path> cada una: aguanta miles de días
+function DliChart({ values, light, highlightIndex }) {
+  const { t } = useI18n();
+  const width = Math.max(1, values.length);
+  const maxValue = Math.max(1, light.dliMax ?? 0, light.dliMin ?? 0, ...values.map((v) => v.dli)) * 1.1;
+  const y = (v) => CHART_HEIGHT - (v / maxValue) * CHART_HEIGHT;
+  const paths = {};
+  values.forEach((v, i) => {
+    const key = v.status || "none";
+    paths[key] = (paths[key] || "") + `M${i + 0.1} ${CHART_HEIGHT}V${y(v.dli)}H${i + 0.9}V${CHART_HEIGHT}Z`;
+  });
+
+  return (
+    <svg viewBox={`0 0 ${width} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="dli-chart w-full" role="img" aria-label={t("dli.chart")}>
+      {(light.dliMin !== null || light.dliMax !== null) && (
+        <rect x="0" width={width}
+          y={y(light.dliMax ?? maxValue)}
+          height={y(light.dliMin ?? 0) - y(light.dliMax ?? maxValue)}
+          fill="rgba(52,211,153,0.12)" />
+      )}
+      {Object.entries(paths).map(([status, d]) => <path key={status} d={d} fill={STATUS_COLORS[status]} />)}
+      {highlightIndex >= 0 && highlightIndex < values.length && (
+        <rect x={highlightIndex} y="0" width="1" height={CHART_HEIGHT} fill="rgba(236,72,153,0.35)" />
+      )}
+    </svg>
+  );
+}
+
+export default function DliPanel({ days, cycles, light, onLightChange, currentDayIndex, currentCycleIndex }) {
+  const { t, number } = useI18n();
+  const [view, setView] = useState("days");
+  const formatDli = (value) => number(value, 1);
+
+  const dayValues = useMemo(
+    () => days.map((day) => ({ dli: day.dli, status: day.dliStatus, label: day.dateDisplay })),
+    [days],
+  );
+  const cycleValues = useMemo(
+    () => cycles.map((c) => ({ dli: c.dli, status: dliStatus(c.dli, light), label: t("dli.cycleLabel", { n: c.index + 1, phase: c.phaseName }) })),
+    [cycles, light, t],
+  );
+  const values = view === "days" ? dayValues : cycleValues;
+
+  const stats = useMemo(() => {
+    if (values.length === 0) return null;
+    const dlis = values.map((v) => v.dli);
+    const low = values.filter((v) => v.status === "low");
+    const high = values.filter((v) => v.status === "high");
+    return {
+      min: Math.min(...dlis),
+      max: Math.max(...dlis),
+      avg: dlis.reduce((a, b) => a + b, 0) / dlis.length,
+      low,
+      high,
+    };
+  }, [values]);
+
+  // PPFD borrado mientras se escribe: la caja queda vacía pero rige el valor anterior
+  const [ppfdEmpty, setPpfdEmpty] = useState(false);
+  const setField = (key) => (e) => {
+    const raw = e.target.value;
+    if (key === "ppfd") {
+      setPpfdEmpty(raw === "");
+      if (raw === "") return;
+    }
+    // Vacío = sin objetivo en los DLI
+    onLightChange((prev) => lightFromObject({ ...prev, [key]: raw === "" ? null : Number(raw) }));
+  };
+
+  const today = days[currentDayIndex];
+
+  return (
+    <section className="dli-panel lg:col-span-3 p-4 sm:p-6 rounded-xl border shadow-lg" style={{ background: 'rgba(255,255,255,0.02)' }}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2" style={{ color: 'var(--accent-700)' }}>
+          <Sun className="w-5 h-5 text-yellow-400"/> {t("dli.title")}
+        </h3>
+        <div className="flex rounded-lg overflow-hidden text-xs" role="group" aria-label={t("dli.group")}>
+          {[["days", t("dli.byDay")], ["cycles", t("dli.byCycle")]].map(([key, label]) => (
+            <button key={key} onClick={() => setView(key)} aria-pressed={view === key}
+              className={`px-3 py-1 transition ${view === key ? 'bg-indigo-500 text-white' : 'bg-white/5 text-gray-300 hover:bg-white/10'}`}>
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid sm:grid-cols-3 gap-3 mb-4">
+        <div>
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("dli.ppfd")}</label>
+          <input type="number" min="0" max="5000" value={ppfdEmpty ? "" : light.ppfd} placeholder={String(light.ppfd)} onChange={setField("ppfd")} onBlur={() => setPpfdEmpty(false)} className={inputClass} style={inputStyle} />
+        </div>
+        <div>
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("dli.min")}</label>
+          <input type="number" min="0" max="200" step="0.5" value={light.dliMin ?? ""} placeholder="—" onChange={setField("dliMin")} className={inputClass} style={inputStyle} />
+        </div>
+        <div>
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("dli.max")}</label>
+          <input type="number" min="0" max="200" step="0.5" value={light.dliMax ?? ""} placeholder="—" onChange={setField("dliMax")} className={inputClass} style={inputStyle} />
+        </div>
+      </div>
+
+      {stats && (
+        <div className="flex flex-wrap gap-4 text-sm mb-2">
+          {today && <div><span className="text-gray-400">{t("dli.today")}</span> <span className="font-mono text-white">{formatDli(today.dli)}</span></div>}
+          <div><span className="text-gray-400">{t("dli.average")}</span> <span className="font-mono text-white">{formatDli(stats.avg)}</span></div>
+          <div><span className="text-gray-400">{t("dli.minMax")}</span> <span className="font-mono text-white">{formatDli(stats.min)} / {formatDli(stats.max)}</span></div>
+          <div className="text-xs text-gray-400 self-center">{t("dli.hint")}</div>
+        </div>
+      )}
+
+      <DliChart values={values} light={light} highlightIndex={view === "days" ? currentDayIndex : currentCycleIndex} />
+
+      {stats && (stats.low.length > 0 || stats.high.length > 0) && (
+        <div className="mt-2 space-y-1 text-xs">
+          {stats.low.length > 0 && (
+            <div className="dli-warning p-2 rounded-lg text-sky-300">
+              {t(`dli.low.${view}`, { count: stats.low.length, limit: number(light.dliMin), from: stats.low[0].label })}
+            </div>
+          )}
+          {stats.high.length > 0 && (
+            <div className="dli-warning p-2 rounded-lg text-rose-300">
+              {t(`dli.high.${view}`, { count: stats.high.length, limit: number(light.dliMax), from: stats.high[0].label })}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,205 @@
+/**
+ * EnergyPanel.jsx — Luminarias, tarifa y consumo del cultivo activo
+ * - Luminarias y esquema de referencia son de cada cultivo; la tarifa es común
+ * - Muestra kWh y costo hasta ahora, proyectados a la duración total y la
+ *   diferencia contra la referencia elegida
+ */
+
+import React, { useMemo } from "react";
+import { Plus, Trash2, Zap } from "lucide-react";
+import { hoursSinceStart } from "../engine/photoperiod";
+import { BASELINE_PRESETS, DEFAULT_FIXTURE, addComparisons, baselineFromObject, energyComparison, fixturesKw } from "../engine/energy";
+import { useI18n } from "../i18nContext";
+
+const inputStyle = { background: 'rgba(255,255,255,0.02)' };
+const inputClass = "w-full p-2 rounded-lg border border-transparent outline-none";
+
+function SavingsValue({ value, format }) {
+  const color = value > 0 ? 'text-emerald-400' : value < 0 ? 'text-rose-400' : 'text-gray-400';
+  const icon = value > 0 ? '▲' : value < 0 ? '▼' : '—';
+  return <span className={`font-mono ${color}`}>{icon} {format(Math.abs(value))}</span>;
+}
+
+export default function EnergyPanel({ schedule, durationDays, now, energy, onEnergyChange, tariff, onTariffChange }) {
+  const { t, number } = useI18n();
+  const { fixtures, baseline } = energy;
+  const endHours = durationDays * 24;
+  const nowHours = Math.min(endHours, hoursSinceStart(schedule, now));
+
+  // El proyectado no depende de `now`: se recalcula solo si cambia la configuración
+  const projected = useMemo(
+    () => energyComparison(schedule, { fixtures, tariff, baseline }, endHours),
+    [schedule, fixtures, tariff, baseline, endHours],
+  );
+  // Lo "hasta ahora" se actualiza cada 30 s: los días cerrados se calculan una vez por día
+  // y en cada tick solo se suma lo que va del día
+  const dayStartHours = Math.max(0, Math.floor(nowHours / 24) * 24);
+  const closedDays = useMemo(
+    () => energyComparison(schedule, { fixtures, tariff, baseline }, dayStartHours),
+    [schedule, fixtures, tariff, baseline, dayStartHours],
+  );
+  const soFar = useMemo(
+    () => addComparisons(closedDays, energyComparison(schedule, { fixtures, tariff, baseline }, nowHours, dayStartHours)),
+    [closedDays, schedule, fixtures, tariff, baseline, nowHours, dayStartHours],
+  );
+
+  const kW = fixturesKw(fixtures);
+  const money = (v) => `${tariff.currency} ${number(v, 2)}`;
+  const formatKwh = (v) => `${number(v, { maximumFractionDigits: 1 })} kWh`;
+
+  const updateFixture = (index, patch) => onEnergyChange((e) => ({
+    ...e, fixtures: e.fixtures.map((f, i) => (i === index ? { ...f, ...patch } : f)),
+  }));
+  const addFixture = () => onEnergyChange((e) => ({ ...e, fixtures: [...e.fixtures, { ...DEFAULT_FIXTURE }] }));
+  const removeFixture = (index) => onEnergyChange((e) => ({ ...e, fixtures: e.fixtures.filter((_, i) => i !== index) }));
+
+  const setBaseline = (patch) => onEnergyChange((e) => ({ ...e, baseline: baselineFromObject({ ...e.baseline, ...patch }) }));
+
+  const updateBand = (index, patch) => onTariffChange((prev) => ({
+    ...prev, bands: prev.bands.map((b, i) => (i === index ? { ...b, ...patch } : b)),
+  }));
+  const addBand = () => onTariffChange((prev) => ({ ...prev, bands: [...prev.bands, { name: t("energy.bandDefault"), start: "18:00", end: "23:00", price: prev.pricePerKwh }] }));
+  const removeBand = (index) => onTariffChange((prev) => ({ ...prev, bands: prev.bands.filter((_, i) => i !== index) }));
+
+  const rows = [
+    { label: t("energy.soFar"), data: soFar },
+    { label: t("energy.projected", { days: t("common.days", { count: durationDays }) }), data: projected },
+  ];
+
+  return (
+    <section className="energy-panel lg:col-span-3 p-4 sm:p-6 rounded-xl border shadow-lg" style={{ background: 'rgba(255,255,255,0.02)' }}>
+      <h3 className="text-lg font-semibold mb-4 flex items-center gap-2" style={{ color: 'var(--accent-700)' }}>
+        <Zap className="w-5 h-5 text-yellow-500"/> {t("energy.title")}
+      </h3>
+
+      <div className="grid lg:grid-cols-2 gap-6">
+        <div className="space-y-4">
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="text-sm block" style={{ color: 'var(--muted)' }}>{t("energy.fixtures", { watts: number(kW * 1000) })}</label>
+              <button onClick={addFixture} className="flex items-center gap-1 px-2 py-1 text-xs bg-indigo-500 text-white rounded-lg shadow-md hover:bg-indigo-600 transition">
+                <Plus className="w-3 h-3"/> {t("common.add")}
+              </button>
+            </div>
+            {fixtures.length === 0 && <div className="text-xs text-gray-400">{t("energy.noFixtures")}</div>}
+            {fixtures.map((f, i) => (
+              <div key={i} className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-end mb-2">
+                <div className="col-span-2 sm:col-span-2">
+                  <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("common.name")}</label>
+                  <input type="text" value={f.name} onChange={(e) => updateFixture(i, { name: e.target.value })} className={inputClass} style={inputStyle} />
+                </div>
+                <div>
+                  <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>W</label>
+                  <input type="number" min="0" value={f.watts} onChange={(e) => updateFixture(i, { watts: Math.max(0, Number(e.target.value) || 0) })} className={inputClass} style={inputStyle} />
+                </div>
+                <div>
+                  <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("energy.count")}</label>
+                  <input type="number" min="0" step="1" value={f.count} onChange={(e) => updateFixture(i, { count: Math.max(0, Math.round(Number(e.target.value) || 0)) })} className={inputClass} style={inputStyle} />
+                </div>
+                <div className="flex gap-1 items-end">
+                  <div className="flex-1">
+                    <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("energy.dimming")}</label>
+                    <input type="number" min="0" max="100" value={f.dimming} onChange={(e) => updateFixture(i, { dimming: Math.min(100, Math.max(0, Number(e.target.value) || 0)) })} className={inputClass} style={inputStyle} />
+                  </div>
+                  <button onClick={() => removeFixture(i)} title={t("energy.removeFixture")} className="p-2 text-xs bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition">
+                    <Trash2 className="w-3 h-3"/>
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>{t("energy.tariff")}</label>
+            <div className="grid grid-cols-3 gap-2">
+              <div>
+                <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("energy.currency")}</label>
+                <input type="text" value={tariff.currency} onChange={(e) => onTariffChange((prev) => ({ ...prev, currency: e.target.value }))} className={inputClass} style={inputStyle} />
+              </div>
+              <div className="col-span-2">
+                <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("energy.basePrice")}</label>
+                <input type="number" min="0" step="0.01" value={tariff.pricePerKwh} onChange={(e) => onTariffChange((prev) => ({ ...prev, pricePerKwh: Math.max(0, Number(e.target.value) || 0) }))} className={inputClass} style={inputStyle} />
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between mt-3 mb-1">
+              <span className="text-xs" style={{ color: 'var(--muted)' }}>{t("energy.bands")}</span>
+              <button onClick={addBand} className="flex items-center gap-1 px-2 py-1 text-xs bg-indigo-500 text-white rounded-lg shadow-md hover:bg-indigo-600 transition">
+                <Plus className="w-3 h-3"/> {t("energy.band")}
+              </button>
+            </div>
+            {tariff.bands.map((b, i) => (
+              <div key={i} className="grid grid-cols-5 gap-2 items-center mb-1">
+                <input type="text" value={b.name} placeholder={t("common.name")} onChange={(e) => updateBand(i, { name: e.target.value })} className={`${inputClass} col-span-2 text-xs`} style={inputStyle} />
+                <input type="time" value={b.start} onChange={(e) => updateBand(i, { start: e.target.value })} className={`${inputClass} text-xs`} style={inputStyle} />
+                <input type="time" value={b.end} onChange={(e) => updateBand(i, { end: e.target.value })} className={`${inputClass} text-xs`} style={inputStyle} />
+                <div className="flex gap-1">
+                  <input type="number" min="0" step="0.01" value={b.price} title={t("energy.bandPrice")} onChange={(e) => updateBand(i, { price: Math.max(0, Number(e.target.value) || 0) })} className={`${inputClass} text-xs`} style={inputStyle} />
+                  <button onClick={() => removeBand(i)} title={t("energy.removeBand")} className="p-2 text-xs bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition">
+                    <Trash2 className="w-3 h-3"/>
+                  </button>
+                </div>
+              </div>
+            ))}
+            {tariff.bands.length > 0 && <div className="text-xs text-gray-400">{t("energy.bandsHint")}</div>}
+          </div>
+
+          <div>
+            <label className="text-sm block mb-1" style={{ color: 'var(--muted)' }}>{t("energy.compareWith")}</label>
+            <div className="flex flex-wrap gap-2 items-center">
+              <select value={baseline.preset} onChange={(e) => setBaseline({ preset: e.target.value })} className="p-2 rounded-lg text-sm" style={{ background: 'rgba(255,255,255,0.05)' }}>
+                {Object.keys(BASELINE_PRESETS).map((key) => <option key={key} value={key}>{key}</option>)}
+                <option value="custom">{t("energy.custom")}</option>
+              </select>
+              {baseline.preset === "custom" && (
+                <>
+                  <input type="number" min="0" step="0.5" value={baseline.hoursLight} title={t("settings.hoursOn")} onChange={(e) => setBaseline({ hoursLight: Math.max(0, Number(e.target.value) || 0) })} className="w-20 p-2 rounded-lg border border-transparent outline-none" style={inputStyle} />
+                  <span className="text-gray-400">/</span>
+                  <input type="number" min="0" step="0.5" value={baseline.hoursDark} title={t("settings.hoursOff")} onChange={(e) => setBaseline({ hoursDark: Math.max(0, Number(e.target.value) || 0) })} className="w-20 p-2 rounded-lg border border-transparent outline-none" style={inputStyle} />
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-400">
+                <th className="text-left p-1"></th>
+                <th className="text-right p-1">{t("energy.lightHours")}</th>
+                <th className="text-right p-1">kWh</th>
+                <th className="text-right p-1">{t("energy.cost")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ label, data }) => (
+                <React.Fragment key={label}>
+                  <tr className="border-t border-white/5">
+                    <td className="p-1 text-white font-semibold">{label}</td>
+                    <td className="p-1 text-right font-mono text-white">{number(data.actual.lightHours, 1)}</td>
+                    <td className="p-1 text-right font-mono text-white">{formatKwh(data.actual.kWh)}</td>
+                    <td className="p-1 text-right font-mono text-white">{money(data.actual.cost)}</td>
+                  </tr>
+                  <tr>
+                    <td className="p-1 text-xs text-gray-400">{t("energy.reference", { hours: `${number(baseline.hoursLight)}/${number(baseline.hoursDark)}` })}</td>
+                    <td className="p-1 text-right font-mono text-xs text-gray-400">{number(data.baseline.lightHours, 1)}</td>
+                    <td className="p-1 text-right font-mono text-xs text-gray-400">{formatKwh(data.baseline.kWh)}</td>
+                    <td className="p-1 text-right font-mono text-xs text-gray-400">{money(data.baseline.cost)}</td>
+                  </tr>
+                  <tr>
+                    <td className="p-1 text-xs text-gray-400">{t("energy.difference")}</td>
+                    <td className="p-1 text-right text-xs"><SavingsValue value={data.savings.lightHours} format={(v) => number(v, 1)} /></td>
+                    <td className="p-1 text-right text-xs"><SavingsValue value={data.savings.kWh} format={formatKwh} /></td>
+                    <td className="p-1 text-right text-xs"><SavingsValue value={data.savings.cost} format={money} /></td>
+                  </tr>
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+          <div className="text-xs text-gray-400 mt-2">{t("energy.hint")}</div>
+        </div>
+      </div>
+    </section>
+  );
+}
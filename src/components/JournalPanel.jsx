@@ -0,0 +1,176 @@
+/**
+ * JournalPanel.jsx — Bitácora del cultivo activo
+ * - Alta de entradas ancladas a un día/hora o a un ciclo del superciclo
+ * - Foto opcional, guardada como miniatura JPEG (entra en localStorage)
+ * - El filtro por tipo es el mismo que usan los marcadores del calendario
+ * - Tocar una celda del calendario (pickedAt) precarga el día y la hora
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { BookOpen, Trash2 } from "lucide-react";
+import { JOURNAL_TYPES, journalType, newEntryId, sortedJournal } from "../journal";
+import { formatLocalDateTime } from "../engine/timezone";
+import { useI18n } from "../i18nContext";
+
+const inputStyle = { background: 'rgba(255,255,255,0.02)' };
+const inputClass = "w-full p-2 rounded-lg border border-transparent outline-none";
+const PHOTO_MAX_SIZE = 480;
+
+// Achica la imagen para no llenar localStorage
+async function photoThumbnail(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  return canvas.toDataURL("image/jpeg", 0.7);
+}
+
+function emptyDraft(now, timeZone, currentCycle) {
+  return { type: "watering", anchor: "at", at: formatLocalDateTime(now, timeZone), cycle: Math.max(0, currentCycle), note: "", photo: null };
+}
+
+export default function JournalPanel({ schedule, entries, onEntriesChange, filter, onFilterChange, pickedAt, now, currentCycle }) {
+  const { t, date } = useI18n();
+  const typeLabel = (type) => t(`journal.type.${type.id}`);
+  const [draft, setDraft] = useState(() => emptyDraft(now, schedule.timeZone, currentCycle));
+  const [photoError, setPhotoError] = useState("");
+
+  useEffect(() => {
+    if (pickedAt) setDraft((d) => ({ ...d, anchor: "at", at: pickedAt }));
+  }, [pickedAt]);
+
+  const visible = useMemo(
+    () => sortedJournal(schedule, entries).filter((e) => filter.has(e.type)).reverse(),
+    [schedule, entries, filter],
+  );
+  const counts = useMemo(() => {
+    const out = {};
+    for (const e of entries) out[e.type] = (out[e.type] || 0) + 1;
+    return out;
+  }, [entries]);
+
+  const setField = (key) => (e) => setDraft((d) => ({ ...d, [key]: e.target.value }));
+
+  const pickPhoto = async (file) => {
+    setPhotoError("");
+    if (!file) return;
+    try {
+      const photo = await photoThumbnail(file);
+      setDraft((d) => ({ ...d, photo, type: d.type === "watering" && !d.note ? "photo" : d.type }));
+    } catch (e) {
+      setPhotoError(t("journal.photoError", { error: e.message }));
+    }
+  };
+
+  const addEntry = () => {
+    const entry = { id: newEntryId(), type: draft.type, note: draft.note.trim() };
+    if (draft.anchor === "cycle") entry.cycle = Math.max(0, Math.floor(Number(draft.cycle) || 0));
+    else if (draft.at) entry.at = draft.at.slice(0, 16);
+    else return;
+    if (draft.photo) entry.photo = draft.photo;
+    onEntriesChange((prev) => [...prev, entry]);
+    setDraft((d) => ({ ...emptyDraft(now, schedule.timeZone, currentCycle), type: d.type, anchor: d.anchor }));
+  };
+
+  const removeEntry = (id) => onEntriesChange((prev) => prev.filter((e) => e.id !== id));
+
+  const toggleType = (id) => {
+    const next = new Set(filter);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    onFilterChange(next);
+  };
+
+  return (
+    <section className="journal-panel lg:col-span-3 p-4 sm:p-6 rounded-xl border shadow-lg" style={{ background: 'rgba(255,255,255,0.02)' }}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2" style={{ color: 'var(--accent-700)' }}>
+          <BookOpen className="w-5 h-5 text-emerald-400"/> {t("journal.title")}
+        </h3>
+        <div className="flex flex-wrap gap-1 text-xs" role="group" aria-label={t("journal.filter")}>
+          {JOURNAL_TYPES.map((type) => (
+            <button key={type.id} onClick={() => toggleType(type.id)} aria-pressed={filter.has(type.id)}
+              className={`px-2 py-1 rounded-lg transition ${filter.has(type.id) ? 'bg-indigo-500 text-white' : 'bg-white/5 text-gray-400 hover:bg-white/10'}`}>
+              {type.icon} {typeLabel(type)}{counts[type.id] ? ` (${counts[type.id]})` : ""}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid sm:grid-cols-4 gap-3 mb-2">
+        <div>
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("journal.type")}</label>
+          <select value={draft.type} onChange={setField("type")} className="w-full p-2 rounded-lg text-sm" style={{ background: 'rgba(255,255,255,0.05)' }}>
+            {JOURNAL_TYPES.map((type) => <option key={type.id} value={type.id}>{type.icon} {typeLabel(type)}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("journal.anchor")}</label>
+          <select value={draft.anchor} onChange={setField("anchor")} className="w-full p-2 rounded-lg text-sm" style={{ background: 'rgba(255,255,255,0.05)' }}>
+            <option value="at">{t("journal.anchor.at")}</option>
+            <option value="cycle">{t("journal.anchor.cycle")}</option>
+          </select>
+        </div>
+        <div className="sm:col-span-2">
+          {draft.anchor === "at" ? (
+            <>
+              <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("journal.atHint", { zone: schedule.timeZone })}</label>
+              <input type="datetime-local" value={draft.at} onChange={setField("at")} className={inputClass} style={inputStyle} />
+            </>
+          ) : (
+            <>
+              <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("journal.cycleHint")}</label>
+              <input type="number" min="0" value={draft.cycle} onChange={setField("cycle")} className={inputClass} style={inputStyle} />
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3 mb-4">
+        <textarea value={draft.note} onChange={setField("note")} rows={2} maxLength={2000} placeholder={t("journal.notePlaceholder")}
+          className={`${inputClass} flex-1`} style={inputStyle} />
+        <div className="flex items-center gap-2">
+          {draft.photo && <img src={draft.photo} alt={t("journal.photoAttached")} className="journal-photo" />}
+          <label className="px-3 py-2 text-sm bg-gray-700 text-gray-200 rounded-lg cursor-pointer hover:bg-gray-600 transition">
+            📷 {t("journal.photo")}
+            <input type="file" accept="image/*" onChange={(e) => { pickPhoto(e.target.files?.[0]); e.target.value = ""; }} className="hidden" />
+          </label>
+          <button onClick={addEntry} className="px-3 py-2 text-sm bg-emerald-600 text-white rounded-lg shadow-md hover:bg-emerald-700 transition">
+            {t("common.add")}
+          </button>
+        </div>
+      </div>
+      {photoError && <div className="text-xs text-red-400 mb-2">{photoError}</div>}
+
+      {visible.length === 0 ? (
+        <div className="text-xs text-gray-400">{entries.length === 0 ? t("journal.empty") : t("journal.noneVisible")}</div>
+      ) : (
+        <ul className="journal-list space-y-2 text-sm">
+          {visible.map((entry) => {
+            const type = journalType(entry.type);
+            return (
+              <li key={entry.id} className="flex items-start gap-3 p-2 rounded-lg" style={{ background: 'rgba(255,255,255,0.03)' }}>
+                <span className="text-lg leading-none" title={typeLabel(type)}>{type.icon}</span>
+                <div className="flex-1 min-w-0">
+                  <div className="text-xs text-gray-400">
+                    {entry.date ? date(entry.date, { dateStyle: "short", timeStyle: "short", timeZone: schedule.timeZone }) : "—"}
+                    {entry.cycle !== undefined && <span className="ml-2 text-amber-300">{t("journal.cycle", { n: entry.cycle })}</span>}
+                    <span className="ml-2">{typeLabel(type)}</span>
+                  </div>
+                  {entry.note && <div className="text-white whitespace-pre-line break-words">{entry.note}</div>}
+                </div>
+                {entry.photo && <img src={entry.photo} alt={t("journal.photoAlt", { type: typeLabel(type) })} className="journal-photo" />}
+                <button onClick={() => removeEntry(entry.id)} title={t("journal.delete")} className="p-1 text-gray-400 hover:text-red-400">
+                  <Trash2 className="w-4 h-4"/>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,135 @@
+/**
+ * MilestonePanel.jsx — Hitos del cultivo activo (pasar a flora, lavado, cosecha)
+ * - Objetivo como fecha fija, días desde el inicio o días 12/12 equivalentes
+ * - Sugerencias de un toque; cada hito muestra su fecha y la cuenta regresiva
+ * - Los mismos hitos se marcan en la columna Fecha del calendario
+ */
+
+import React, { useState } from "react";
+import { Flag, Trash2 } from "lucide-react";
+import { MILESTONE_BASES, MILESTONE_DAYS_MAX, MILESTONE_KINDS, MILESTONE_NAME_MAX, MILESTONE_PRESETS, countdownText, milestoneTarget, newMilestoneId } from "../milestones";
+import { formatLocalDateTime } from "../engine/timezone";
+import { useI18n } from "../i18nContext";
+
+const inputStyle = { background: 'rgba(255,255,255,0.02)' };
+const inputClass = "w-full p-2 rounded-lg border border-transparent outline-none";
+
+function emptyDraft(now, timeZone) {
+  return { name: "", kind: "equivalent", at: formatLocalDateTime(now, timeZone), days: 63, basis: "dark" };
+}
+
+export default function MilestonePanel({ schedule, milestones, resolved, onMilestonesChange, now }) {
+  const { t, date } = useI18n();
+  const [draft, setDraft] = useState(() => emptyDraft(now, schedule.timeZone));
+
+  const setField = (key) => (e) => setDraft((d) => ({ ...d, [key]: e.target.value }));
+
+  const addMilestone = (source) => {
+    const milestone = { id: newMilestoneId(), name: source.name.trim().slice(0, MILESTONE_NAME_MAX), kind: source.kind };
+    if (source.kind === "date") {
+      if (!source.at) return;
+      milestone.at = source.at.slice(0, 16);
+    } else {
+      const days = Number(source.days);
+      if (!Number.isFinite(days) || days < 0 || days > MILESTONE_DAYS_MAX) return;
+      milestone.days = days;
+      if (source.kind === "equivalent") milestone.basis = source.basis;
+    }
+    onMilestonesChange((prev) => [...prev, milestone]);
+  };
+
+  const addDraft = () => {
+    addMilestone(draft);
+    setDraft((d) => ({ ...emptyDraft(now, schedule.timeZone), kind: d.kind, basis: d.basis }));
+  };
+
+  const addPreset = (preset) => addMilestone({ ...preset, name: t(`milestones.preset.${preset.id}`) });
+
+  const removeMilestone = (id) => onMilestonesChange((prev) => prev.filter((m) => m.id !== id));
+
+  return (
+    <section className="milestone-panel lg:col-span-3 p-4 sm:p-6 rounded-xl border shadow-lg" style={{ background: 'rgba(255,255,255,0.02)' }}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2" style={{ color: 'var(--accent-700)' }}>
+          <Flag className="w-5 h-5 text-emerald-400"/> {t("milestones.title")}
+        </h3>
+        <div className="flex flex-wrap items-center gap-1 text-xs">
+          <span className="text-gray-400">{t("milestones.presets")}</span>
+          {MILESTONE_PRESETS.map((preset) => (
+            <button key={preset.id} onClick={() => addPreset(preset)} title={milestoneTarget(preset, t)}
+              className="px-2 py-1 rounded-lg bg-white/5 text-gray-300 hover:bg-white/10 transition">
+              + {t(`milestones.preset.${preset.id}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid sm:grid-cols-5 gap-3 mb-2">
+        <div className="sm:col-span-2">
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("milestones.name")}</label>
+          <input value={draft.name} onChange={setField("name")} maxLength={MILESTONE_NAME_MAX} placeholder={t("milestones.namePlaceholder")}
+            className={inputClass} style={inputStyle} />
+        </div>
+        <div>
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("milestones.kind")}</label>
+          <select value={draft.kind} onChange={setField("kind")} className="w-full p-2 rounded-lg text-sm" style={{ background: 'rgba(255,255,255,0.05)' }}>
+            {MILESTONE_KINDS.map((kind) => <option key={kind} value={kind}>{t(`milestones.kind.${kind}`)}</option>)}
+          </select>
+        </div>
+        {draft.kind === "date" ? (
+          <div className="sm:col-span-2">
+            <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("milestones.at", { zone: schedule.timeZone })}</label>
+            <input type="datetime-local" value={draft.at} onChange={setField("at")} className={inputClass} style={inputStyle} />
+          </div>
+        ) : (
+          <>
+            <div>
+              <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("milestones.days")}</label>
+              <input type="number" min="0" max={MILESTONE_DAYS_MAX} step="0.5" value={draft.days} onChange={setField("days")} className={inputClass} style={inputStyle} />
+            </div>
+            {draft.kind === "equivalent" && (
+              <div>
+                <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("milestones.basis")}</label>
+                <select value={draft.basis} onChange={setField("basis")} className="w-full p-2 rounded-lg text-sm" style={{ background: 'rgba(255,255,255,0.05)' }}>
+                  {MILESTONE_BASES.map((basis) => <option key={basis} value={basis}>{t(`milestones.basis.${basis}`)}</option>)}
+                </select>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <span className="text-xs text-gray-400">{t("milestones.hint")}</span>
+        <button onClick={addDraft} className="px-3 py-2 text-sm bg-emerald-600 text-white rounded-lg shadow-md hover:bg-emerald-700 transition">
+          {t("common.add")}
+        </button>
+      </div>
+
+      {milestones.length === 0 ? (
+        <div className="text-xs text-gray-400">{t("milestones.empty")}</div>
+      ) : (
+        <ul className="milestone-list space-y-2 text-sm">
+          {resolved.map((m) => (
+            <li key={m.id} className={`flex items-start gap-3 p-2 rounded-lg ${m.passed ? "opacity-60" : ""}`} style={{ background: 'rgba(255,255,255,0.03)' }}>
+              <span className="text-lg leading-none">🚩</span>
+              <div className="flex-1 min-w-0">
+                <div className="text-white break-words">{m.name || t("milestones.unnamed")}</div>
+                <div className="text-xs text-gray-400">
+                  {m.date
+                    ? date(m.date, { dateStyle: "short", timeStyle: "short", timeZone: schedule.timeZone })
+                    : t("milestones.never")}
+                  {m.kind !== "date" && <span className="ml-2">{milestoneTarget(m, t)}</span>}
+                  {m.date && <span className={`ml-2 ${m.passed ? "" : "text-amber-300"}`}>{countdownText(m.hoursLeft, t)}</span>}
+                </div>
+              </div>
+              <button onClick={() => removeMilestone(m.id)} title={t("milestones.delete")} className="p-1 text-gray-400 hover:text-red-400">
+                <Trash2 className="w-4 h-4"/>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,51 @@
+/**
+ * MonthView.jsx — Vista mensual compacta
+ * - Un mes local por vez (lunes a domingo) con las horas de luz de cada día
+ * - El color se intensifica con las horas de luz; el día actual usa now-cell
+ */
+
+import React, { useMemo, useState } from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { monthGrid } from "../engine/calendarViews";
+import { useI18n } from "../i18nContext";
+
+export default function MonthView({ schedule, days, currentDayIndex }) {
+  const { t, number, weekdays, months: monthNames } = useI18n();
+  // La grilla va de lunes a domingo
+  const weekdayHeader = [...weekdays.slice(1), weekdays[0]];
+  const months = useMemo(() => monthGrid(schedule, days), [schedule, days]);
+  const currentMonth = Math.max(0, months.findIndex((m) => m.days.some((d) => d && d.day === currentDayIndex)));
+  const [picked, setPicked] = useState(null);
+  const index = Math.min(months.length - 1, picked ?? currentMonth);
+  const month = months[index];
+
+  return (
+    <div className="p-3">
+      <div className="flex items-center justify-between mb-3">
+        <button onClick={() => setPicked(Math.max(0, index - 1))} disabled={index === 0} aria-label={t("month.previous")}
+          className="p-1 rounded-lg bg-white/5 hover:bg-white/10 disabled:opacity-30"><ChevronLeft className="w-4 h-4"/></button>
+        <div className="text-sm font-semibold text-white">
+          {monthNames[month.month - 1]} {month.year}
+          {index !== currentMonth && (
+            <button onClick={() => setPicked(null)} className="ml-2 text-xs text-pink-300 underline">{t("month.today")}</button>
+          )}
+        </div>
+        <button onClick={() => setPicked(Math.min(months.length - 1, index + 1))} disabled={index === months.length - 1} aria-label={t("month.next")}
+          className="p-1 rounded-lg bg-white/5 hover:bg-white/10 disabled:opacity-30"><ChevronRight className="w-4 h-4"/></button>
+      </div>
+      <div className="grid grid-cols-7 gap-1 text-xs">
+        {weekdayHeader.map((w) => <div key={w} className="text-center text-gray-400 pb-1">{w}</div>)}
+        {Array.from({ length: month.offset }, (_, i) => <div key={`pad-${i}`} />)}
+        {month.days.map((cell, i) => (
+          <div key={i}
+            className={`month-cell rounded-md p-1 ${cell ? "" : "month-cell-out"} ${cell && cell.day === currentDayIndex ? "now-cell" : ""}`}
+            style={cell ? { "--light": cell.lightHours / 24 } : undefined}
+            title={cell ? t("month.dayHint", { day: cell.day + 1, hours: number(cell.lightHours, 2) }) : t("month.outside")}>
+            <div className="text-gray-300">{i + 1}</div>
+            {cell && <div className="font-mono font-semibold text-white text-right">{number(cell.lightHours, 1)} h</div>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+/**
+ * PrintPanel.jsx — Calendario imprimible en SVG o PDF (vectorial)
+ * - Rango de días, una semana o un mes por página, tema claro/oscuro,
+ *   leyenda, título con el cultivo y eje de horas 12h/24h
+ * - Se genera al descargar, armando solo los días del rango: no depende del
+ *   scroll ni del tamaño de la pantalla
+ */
+
+import React, { useState } from "react";
+import { Printer } from "lucide-react";
+import { buildCalendar } from "../engine/photoperiod";
+import { DEFAULT_PRINT_OPTIONS, pagesToSvg, printPages } from "../engine/printCalendar";
+import { buildPdf } from "../engine/pdf";
+import { useI18n } from "../i18nContext";
+
+const inputStyle = { background: 'rgba(255,255,255,0.02)' };
+const inputClass = "w-full p-2 rounded-lg border border-transparent outline-none";
+const selectStyle = { background: 'rgba(255,255,255,0.05)' };
+
+export default function PrintPanel({ schedule, durationDays, growName, onDownload }) {
+  const { lang, t } = useI18n();
+  const [options, setOptions] = useState({ ...DEFAULT_PRINT_OPTIONS, toDay: Math.min(durationDays, 28) });
+  const [busy, setBusy] = useState(false);
+  const setOption = (key) => (e) => {
+    const value = e.target.type === "checkbox" ? e.target.checked : e.target.value;
+    setOptions((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const fromDay = Math.min(durationDays, Math.max(1, Math.floor(Number(options.fromDay)) || 1));
+  const toDay = Math.min(durationDays, Math.max(fromDay, Math.floor(Number(options.toDay)) || durationDays));
+
+  const download = (format) => {
+    setBusy(true);
+    // Deja pintar el "Generando…" antes del trabajo pesado
+    setTimeout(() => {
+      try {
+        const rows = buildCalendar(schedule, toDay, fromDay - 1);
+        const pages = printPages(schedule, rows, { ...options, fromDay, toDay, firstDay: fromDay - 1, growName, lang });
+        const name = `fotoperiodo-calendario-${fromDay}-${toDay}`;
+        if (format === "pdf") onDownload(buildPdf(pages, { title: `${growName} — ${t("app.name")}` }), "application/pdf", `${name}.pdf`);
+        else onDownload(pagesToSvg(pages), "image/svg+xml", `${name}.svg`);
+      } finally {
+        setBusy(false);
+      }
+    }, 0);
+  };
+
+  return (
+    <section className="print-panel lg:col-span-3 p-4 sm:p-6 rounded-xl border shadow-lg" style={{ background: 'rgba(255,255,255,0.02)' }}>
+      <h3 className="text-lg font-semibold flex items-center gap-2 mb-4" style={{ color: 'var(--accent-700)' }}>
+        <Printer className="w-5 h-5 text-gray-300"/> {t("print.title")}
+      </h3>
+
+      <div className="grid sm:grid-cols-3 lg:grid-cols-6 gap-3 mb-3">
+        <div>
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("print.fromDay")}</label>
+          <input type="number" min="1" max={durationDays} value={options.fromDay} onChange={setOption("fromDay")} className={inputClass} style={inputStyle} />
+        </div>
+        <div>
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("print.toDay")}</label>
+          <input type="number" min="1" max={durationDays} value={options.toDay ?? durationDays} onChange={setOption("toDay")} className={inputClass} style={inputStyle} />
+        </div>
+        <div>
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("print.perPage")}</label>
+          <select value={options.layout} onChange={setOption("layout")} className="w-full p-2 rounded-lg text-sm" style={selectStyle}>
+            <option value="week">{t("print.layout.week")}</option>
+            <option value="month">{t("print.layout.month")}</option>
+          </select>
+        </div>
+        <div>
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("print.theme")}</label>
+          <select value={options.theme} onChange={setOption("theme")} className="w-full p-2 rounded-lg text-sm" style={selectStyle}>
+            <option value="light">{t("print.theme.light")}</option>
+            <option value="dark">{t("print.theme.dark")}</option>
+          </select>
+        </div>
+        <div>
+          <label className="text-xs block mb-1" style={{ color: 'var(--muted)' }}>{t("print.hourAxis")}</label>
+          <select value={options.hourFormat} onChange={setOption("hourFormat")} className="w-full p-2 rounded-lg text-sm" style={selectStyle}>
+            <option value="24">{t("print.hour.24")}</option>
+            <option value="12">{t("print.hour.12")}</option>
+          </select>
+        </div>
+        <div className="flex flex-col justify-end gap-1 text-sm">
+          <label className="flex items-center gap-2"><input type="checkbox" checked={options.title} onChange={setOption("title")} /> {t("print.withTitle")}</label>
+          <label className="flex items-center gap-2"><input type="checkbox" checked={options.legend} onChange={setOption("legend")} /> {t("print.withLegend")}</label>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={() => download("pdf")} disabled={busy}
+          className="px-3 py-2 text-sm bg-indigo-500 text-white rounded-lg shadow-md hover:bg-indigo-600 transition disabled:opacity-60">{t("print.downloadPdf")}</button>
+        <button onClick={() => download("svg")} disabled={busy}
+          className="px-3 py-2 text-sm bg-gray-700 text-gray-200 rounded-lg shadow-md hover:bg-gray-600 transition disabled:opacity-60">{t("print.downloadSvg")}</button>
+        <span className="text-xs text-gray-400">
+          {busy ? t("print.generating") : t("print.hint", { from: fromDay, to: toDay, name: growName })}
+        </span>
+      </div>
+    </section>
+  );
+}
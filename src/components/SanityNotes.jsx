@@ -0,0 +1,40 @@
+/**
+ * SanityNotes.jsx — Avisos del esquema (ver engine/sanity.js)
+ * - Se usa junto a cada campo (solo sus avisos) y en el panel de estado (todos)
+ * - El color e ícono dependen de la gravedad: crítico, advertencia, info
+ */
+
+import React from "react";
+import { useI18n } from "../i18nContext";
+
+const LEVEL_STYLE = {
+  critical: { icon: "⛔", className: "text-red-400" },
+  warning: { icon: "⚠", className: "text-amber-300" },
+  info: { icon: "ℹ", className: "text-sky-300" },
+};
+
+export default function SanityNotes({ warnings, timeZone, className = "" }) {
+  const { t, number, date } = useI18n();
+  if (!warnings || warnings.length === 0) return null;
+
+  const text = (w) => {
+    const params = { ...w.params };
+    if (params.hours !== undefined) {
+      params.hours = Array.isArray(params.hours)
+        ? params.hours.map((h) => `${String(h).padStart(2, "0")}:00`).join(", ")
+        : number(params.hours, 1);
+    }
+    if (params.date) params.date = date(params.date, { dateStyle: "short", timeZone });
+    return t(`sanity.${w.id}`, params);
+  };
+
+  return (
+    <ul className={`sanity-notes text-xs space-y-0.5 ${className}`}>
+      {warnings.map((w) => (
+        <li key={`${w.field}:${w.id}`} className={LEVEL_STYLE[w.level].className}>
+          <span title={t(`sanity.level.${w.level}`)}>{LEVEL_STYLE[w.level].icon}</span> {text(w)}
+        </li>
+      ))}
+    </ul>
+  );
+}
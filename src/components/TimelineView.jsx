@@ -0,0 +1,123 @@
+/**
+ * TimelineView.jsx — Línea de tiempo continua con zoom
+ * - Horas desde el inicio en el eje X; ON/OFF según el plan y franja de fases
+ * - Solo se dibuja el tramo visible (más un margen): el ancho total puede
+ *   superar lo que un SVG aguanta a zoom de horas
+ * - Línea rosada en "ahora", centrada al abrir y al cambiar el zoom
+ */
+
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { hoursSinceStart, lightProfileBetweenHours } from "../engine/photoperiod";
+import { useI18n } from "../i18nContext";
+
+const ZOOMS = [
+  { id: "hours", pxPerHour: 40, tickHours: 6 },
+  { id: "days", pxPerHour: 6, tickHours: 24 },
+  { id: "weeks", pxPerHour: 1, tickHours: 24 * 7 },
+  { id: "all", pxPerHour: null, tickHours: null },
+];
+const TRACK_HEIGHT = 48;
+const PHASE_HEIGHT = 8;
+const PHASE_COLORS = ["#34d399", "#f87171", "#60a5fa", "#fbbf24", "#a78bfa", "#f472b6"];
+
+function tickLabel(hours, tickHours, t) {
+  if (tickHours < 24) return `${Math.floor(hours / 24) + 1}·${hours % 24}h`;
+  return t("timeline.day", { day: hours / 24 + 1 });
+}
+
+export default function TimelineView({ schedule, durationDays, now }) {
+  const { t } = useI18n();
+  const wrapperRef = useRef(null);
+  const [zoomId, setZoomId] = useState("days");
+  const [view, setView] = useState({ scrollLeft: 0, width: 800 });
+  const totalHours = durationDays * 24;
+  const zoom = ZOOMS.find((z) => z.id === zoomId);
+  const pxPerHour = zoom.pxPerHour ?? Math.max(0.001, view.width / totalHours);
+  const tickHours = zoom.tickHours ?? Math.max(24, Math.ceil(totalHours / 24 / 10) * 24);
+
+  const updateView = useCallback(() => {
+    const el = wrapperRef.current;
+    if (el) setView({ scrollLeft: el.scrollLeft, width: el.clientWidth });
+  }, []);
+  useLayoutEffect(updateView, [updateView]);
+  useEffect(() => {
+    window.addEventListener("resize", updateView);
+    return () => window.removeEventListener("resize", updateView);
+  }, [updateView]);
+
+  const nowHours = hoursSinceStart(schedule, now);
+  const nowRef = useRef(nowHours);
+  nowRef.current = nowHours;
+
+  // Centrar "ahora" al abrir y al cambiar de zoom
+  useEffect(() => {
+    const el = wrapperRef.current;
+    if (!el) return;
+    el.scrollLeft = Math.max(0, nowRef.current * pxPerHour - el.clientWidth / 2);
+    updateView();
+  }, [pxPerHour, updateView]);
+
+  // Tramo a dibujar: de a pantallas enteras, con una de margen a cada lado,
+  // para no recalcular el perfil en cada evento de scroll
+  const screen = view.width / pxPerHour;
+  const first = Math.floor(view.scrollLeft / pxPerHour / screen);
+  const from = Math.max(0, (first - 1) * screen);
+  const to = Math.min(totalHours, (first + 3) * screen);
+
+  const lightPath = useMemo(() => {
+    if (to <= from) return "";
+    return lightProfileBetweenHours(schedule.timeline, from, to).segments
+      .filter((seg) => seg.isLight)
+      .map((seg) => `M${seg.from} ${PHASE_HEIGHT}H${seg.to}V${TRACK_HEIGHT}H${seg.from}Z`)
+      .join("");
+  }, [schedule, from, to]);
+
+  const phaseBands = schedule.timeline
+    .map((seg) => ({ seg, start: Math.max(from, seg.start), end: Math.min(to, seg.end) }))
+    .filter((b) => b.end > b.start);
+
+  const ticks = [];
+  for (let h = Math.ceil(from / tickHours) * tickHours; h <= to; h += tickHours) ticks.push(h);
+
+  return (
+    <div>
+      <div className="flex items-center gap-1 p-2 text-xs">
+        <span className="text-gray-400 mr-1">{t("timeline.zoom")}</span>
+        {ZOOMS.map((z) => (
+          <button key={z.id} onClick={() => setZoomId(z.id)} aria-pressed={z.id === zoomId}
+            className={`px-2 py-1 rounded-lg transition ${z.id === zoomId ? 'bg-indigo-500 text-white' : 'bg-white/5 text-gray-400 hover:bg-white/10'}`}>
+            {t(`timeline.zoom.${z.id}`)}
+          </button>
+        ))}
+        <span className="ml-auto flex flex-wrap gap-2">
+          {schedule.timeline.filter((seg) => seg.start < totalHours).map((seg) => (
+            <span key={seg.index} className="flex items-center gap-1 text-gray-300">
+              <span className="inline-block w-3 h-2 rounded-sm" style={{ background: PHASE_COLORS[seg.index % PHASE_COLORS.length] }} />
+              {seg.phase.name}
+            </span>
+          ))}
+        </span>
+      </div>
+      <div className="timeline-wrapper" ref={wrapperRef} onScroll={updateView}>
+        <div className="relative" style={{ width: totalHours * pxPerHour, height: TRACK_HEIGHT + 20 }}>
+          {to > from && (
+            <svg className="absolute top-0" style={{ left: from * pxPerHour, width: (to - from) * pxPerHour, height: TRACK_HEIGHT }}
+              viewBox={`${from} 0 ${to - from} ${TRACK_HEIGHT}`} preserveAspectRatio="none" role="img" aria-label={t("timeline.label")}>
+              <rect x={from} y={PHASE_HEIGHT} width={to - from} height={TRACK_HEIGHT - PHASE_HEIGHT} fill="#312e81" />
+              {phaseBands.map(({ seg, start, end }) => (
+                <rect key={seg.index} x={start} y="0" width={end - start} height={PHASE_HEIGHT - 1} fill={PHASE_COLORS[seg.index % PHASE_COLORS.length]} />
+              ))}
+              <path d={lightPath} fill="#f59e0b" />
+            </svg>
+          )}
+          {ticks.map((h) => (
+            <span key={h} className="timeline-tick" style={{ left: h * pxPerHour, top: TRACK_HEIGHT }}>{tickLabel(h, tickHours, t)}</span>
+          ))}
+          {nowHours >= 0 && nowHours <= totalHours && (
+            <span className="timeline-now" style={{ left: nowHours * pxPerHour, height: TRACK_HEIGHT }} title={t("timeline.now")} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
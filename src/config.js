@@ -0,0 +1,262 @@
+/**
+ * config.js — Formato versionado del archivo de configuración (Exportar/Importar JSON)
+ * - Esquema documentado en docs/config.md
+ * - migrateConfig: lleva cualquier versión conocida a la actual
+ * - validateConfig: errores por campo (bloquean) y advertencias (se ignoran)
+ * - diffConfig: vista previa de qué cambia antes de aplicar
+ * - Mensajes y etiquetas en el idioma pedido (claves config.error.* y
+ *   config.field.* de i18n.js); cada error trae también su `code` y `params`
+ */
+
+import { RAMP_CURVES } from "./engine/photoperiod.js";
+import { isValidTimeZone } from "./engine/timezone.js";
+import { journalFromObject, validateJournal } from "./journal.js";
+import { milestonesFromObject, validateMilestones } from "./milestones.js";
+import { DEFAULT_LANGUAGE, translate } from "./i18n.js";
+
+export const CONFIG_VERSION = 2;
+
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+const TOP_LEVEL_FIELDS = ["version", "startDate", "timeZone", "clockMode", "durationDays", "phases", "light", "grow", "journal", "milestones"];
+const PHASE_FIELDS = ["name", "hoursLight", "hoursDark", "length", "unit", "ppfd", "ramp"];
+const RAMP_FIELDS = ["up", "down", "curve"];
+const RAMP_MAX_MINUTES = 720;
+const LIGHT_FIELDS = ["ppfd", "dliMin", "dliMax"];
+const LIGHT_LIMITS = { ppfd: 5000, dliMin: 200, dliMax: 200 };
+const GROW_FIELDS = ["name", "room", "strain", "notes"];
+
+/** Config actual a partir de un cultivo ({ name, room, strain, notes, schedule, journal, milestones }) */
+export function configFromGrow(grow) {
+  const { startDate, timeZone, clockMode, durationDays, phases, light } = grow.schedule;
+  const config = {
+    version: CONFIG_VERSION,
+    startDate,
+    timeZone,
+    clockMode,
+    durationDays,
+    phases: phases.map((p) => {
+      const phase = { name: p.name, hoursLight: p.hoursLight, hoursDark: p.hoursDark, length: p.length, unit: p.unit };
+      if (p.ppfd !== undefined) phase.ppfd = p.ppfd;
+      if (p.ramp) phase.ramp = { ...p.ramp };
+      return phase;
+    }),
+    grow: { name: grow.name, room: grow.room, strain: grow.strain, notes: grow.notes },
+  };
+  if (light) config.light = { ...light };
+  if (grow.journal?.length) config.journal = grow.journal.map((entry) => ({ ...entry }));
+  if (grow.milestones?.length) config.milestones = grow.milestones.map((m) => ({ ...m }));
+  return config;
+}
+
+/**
+ * v1 (sin "version"): { startDate, hoursLight, hoursDark, durationDays }, con
+ * los campos opcionales phases/timeZone/clockMode que se fueron sumando.
+ * `notes` son claves config.error.* (las traduce validateConfig).
+ * @returns {{ config: object, from: number, notes: string[] }}
+ */
+export function migrateConfig(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { config: raw, from: null, notes: [] };
+  }
+  const from = raw.version === undefined ? 1 : Number(raw.version);
+  if (from !== 1) return { config: raw, from, notes: [] };
+
+  const notes = [];
+  const { hoursLight, hoursDark, ...rest } = raw;
+  const config = { ...rest, version: CONFIG_VERSION };
+  if (!Array.isArray(raw.phases) && (hoursLight !== undefined || hoursDark !== undefined)) {
+    config.phases = [{ name: "Fase 1", hoursLight, hoursDark, length: raw.durationDays ?? 0, unit: "days" }];
+    notes.push("legacyPhase");
+  } else if (hoursLight !== undefined || hoursDark !== undefined) {
+    notes.push("legacyIgnored");
+  }
+  return { config, from, notes };
+}
+
+function isNumberIn(value, min, max) {
+  return typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Los validadores reportan (path, code, params); el mensaje sale del catálogo.
+ * @returns {{ ok: boolean, config: object|null, errors: { path: string, code: string, params?: object, message: string }[],
+ *             warnings: { path: string, code: string, params?: object, message: string }[], migratedFrom: number|null }}
+ */
+export function validateConfig(raw, lang = DEFAULT_LANGUAGE) {
+  const errors = [];
+  const warnings = [];
+  const issue = (path, code, params) => ({ path, code, params, message: translate(lang, `config.error.${code}`, params) });
+  const err = (path, code, params) => errors.push(issue(path, code, params));
+  const warn = (path, code, params) => warnings.push(issue(path, code, params));
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    err("", "root");
+    return { ok: false, config: null, errors, warnings, migratedFrom: null };
+  }
+
+  const { config, from, notes } = migrateConfig(raw);
+  for (const note of notes) warn("version", note);
+  if (!Number.isInteger(from) || from < 1 || from > CONFIG_VERSION) {
+    err("version", "version", { version: raw.version, current: CONFIG_VERSION });
+    return { ok: false, config: null, errors, warnings, migratedFrom: null };
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!TOP_LEVEL_FIELDS.includes(key)) warn(key, "unknownField");
+  }
+
+  if (typeof config.startDate !== "string" || !DATETIME_RE.test(config.startDate)) {
+    err("startDate", "datetime");
+  } else if (isNaN(new Date(config.startDate).getTime())) {
+    err("startDate", "invalidDate");
+  }
+
+  if (config.timeZone !== undefined && !isValidTimeZone(config.timeZone)) {
+    err("timeZone", "timeZone", { zone: config.timeZone });
+  }
+  if (config.clockMode !== undefined && config.clockMode !== "elapsed" && config.clockMode !== "wallclock") {
+    err("clockMode", "oneOf", { options: '"elapsed", "wallclock"' });
+  }
+  if (!Number.isInteger(config.durationDays) || config.durationDays < 1 || config.durationDays > 9999) {
+    err("durationDays", "integerRange", { min: 1, max: 9999 });
+  }
+
+  if (!Array.isArray(config.phases) || config.phases.length === 0) {
+    err("phases", "noPhases");
+  } else {
+    config.phases.forEach((phase, i) => {
+      const path = `phases[${i}]`;
+      if (!phase || typeof phase !== "object") { err(path, "object"); return; }
+      const lightOk = isNumberIn(phase.hoursLight, 0, 9999);
+      const darkOk = isNumberIn(phase.hoursDark, 0, 9999);
+      if (!lightOk) err(`${path}.hoursLight`, "numberRange", { min: 0, max: 9999 });
+      if (!darkOk) err(`${path}.hoursDark`, "numberRange", { min: 0, max: 9999 });
+      if (lightOk && darkOk && phase.hoursLight + phase.hoursDark <= 0) err(path, "zeroCycle");
+      if (phase.length !== undefined && !isNumberIn(phase.length, 0, 9999)) err(`${path}.length`, "numberRange", { min: 0, max: 9999 });
+      if (phase.unit !== undefined && phase.unit !== "days" && phase.unit !== "cycles") err(`${path}.unit`, "oneOf", { options: '"days", "cycles"' });
+      if (phase.name !== undefined && typeof phase.name !== "string") err(`${path}.name`, "text");
+      if (phase.ppfd !== undefined && !isNumberIn(phase.ppfd, 0, LIGHT_LIMITS.ppfd)) err(`${path}.ppfd`, "numberRange", { min: 0, max: LIGHT_LIMITS.ppfd });
+      if (phase.ramp !== undefined) {
+        if (!phase.ramp || typeof phase.ramp !== "object" || Array.isArray(phase.ramp)) {
+          err(`${path}.ramp`, "object");
+        } else {
+          for (const key of ["up", "down"]) {
+            if (phase.ramp[key] !== undefined && !isNumberIn(phase.ramp[key], 0, RAMP_MAX_MINUTES)) err(`${path}.ramp.${key}`, "numberRange", { min: 0, max: RAMP_MAX_MINUTES });
+          }
+          if (phase.ramp.curve !== undefined && !RAMP_CURVES.includes(phase.ramp.curve)) err(`${path}.ramp.curve`, "oneOf", { options: RAMP_CURVES.map((c) => `"${c}"`).join(", ") });
+          for (const key of Object.keys(phase.ramp)) {
+            if (!RAMP_FIELDS.includes(key)) warn(`${path}.ramp.${key}`, "unknownField");
+          }
+        }
+      }
+      for (const key of Object.keys(phase)) {
+        if (!PHASE_FIELDS.includes(key)) warn(`${path}.${key}`, "unknownField");
+      }
+    });
+  }
+
+  if (config.light !== undefined) {
+    if (!config.light || typeof config.light !== "object" || Array.isArray(config.light)) {
+      err("light", "object");
+    } else {
+      for (const key of Object.keys(config.light)) {
+        const value = config.light[key];
+        if (!LIGHT_FIELDS.includes(key)) warn(`light.${key}`, "unknownField");
+        else if (value !== null && !isNumberIn(value, 0, LIGHT_LIMITS[key])) err(`light.${key}`, "numberRange", { min: 0, max: LIGHT_LIMITS[key] });
+      }
+      const { dliMin, dliMax } = config.light;
+      if (isNumberIn(dliMin, 0, Infinity) && isNumberIn(dliMax, 0, Infinity) && dliMin > dliMax) err("light", "dliRange");
+    }
+  }
+
+  if (config.grow !== undefined) {
+    if (!config.grow || typeof config.grow !== "object") {
+      err("grow", "object");
+    } else {
+      for (const key of Object.keys(config.grow)) {
+        if (!GROW_FIELDS.includes(key)) warn(`grow.${key}`, "unknownField");
+        else if (typeof config.grow[key] !== "string") err(`grow.${key}`, "text");
+      }
+    }
+  }
+
+  if (config.journal !== undefined) validateJournal(config.journal, err, warn);
+  if (config.milestones !== undefined) validateMilestones(config.milestones, err, warn);
+
+  if (errors.length > 0) return { ok: false, config: null, errors, warnings, migratedFrom: from };
+
+  const clean = {
+    version: CONFIG_VERSION,
+    startDate: config.startDate,
+    durationDays: config.durationDays,
+    phases: config.phases.map((p, i) => {
+      const phase = {
+        name: p.name || `Fase ${i + 1}`,
+        hoursLight: p.hoursLight,
+        hoursDark: p.hoursDark,
+        length: p.length ?? 0,
+        unit: p.unit || "days",
+      };
+      if (p.ppfd !== undefined) phase.ppfd = p.ppfd;
+      if (p.ramp && (p.ramp.up > 0 || p.ramp.down > 0)) {
+        phase.ramp = { up: p.ramp.up ?? 0, down: p.ramp.down ?? 0, curve: p.ramp.curve || "linear" };
+      }
+      return phase;
+    }),
+  };
+  if (config.timeZone !== undefined) clean.timeZone = config.timeZone;
+  if (config.clockMode !== undefined) clean.clockMode = config.clockMode;
+  if (config.light) {
+    clean.light = Object.fromEntries(LIGHT_FIELDS.filter((k) => config.light[k] !== undefined).map((k) => [k, config.light[k]]));
+  }
+  if (config.grow) {
+    clean.grow = Object.fromEntries(GROW_FIELDS.filter((k) => config.grow[k] !== undefined).map((k) => [k, config.grow[k]]));
+  }
+  if (config.journal) clean.journal = journalFromObject(config.journal);
+  if (config.milestones) clean.milestones = milestonesFromObject(config.milestones);
+  return { ok: true, config: clean, errors, warnings, migratedFrom: from };
+}
+
+function describePhases(phases) {
+  return phases.map((p) => {
+    const length = p.length ? ` ×${p.length}${p.unit === "cycles" ? "c" : "d"}` : "";
+    const ppfd = p.ppfd !== undefined ? ` @${p.ppfd}` : "";
+    const ramp = p.ramp ? ` ↗${p.ramp.up}↘${p.ramp.down}${p.ramp.curve === "sigmoid" ? "s" : ""}` : "";
+    return `${p.name} ${p.hoursLight}/${p.hoursDark}${length}${ppfd}${ramp}`;
+  }).join(", ");
+}
+
+function describeLight(light) {
+  if (!light) return undefined;
+  const range = light.dliMin != null || light.dliMax != null ? `, DLI ${light.dliMin ?? "–"}–${light.dliMax ?? "–"}` : "";
+  return `PPFD ${light.ppfd ?? "–"}${range}`;
+}
+
+/**
+ * Diferencias entre la config actual y la importada (solo campos presentes en `next`).
+ * @returns {{ field: string, label: string, before: string, after: string }[]}
+ */
+export function diffConfig(current, next, lang = DEFAULT_LANGUAGE) {
+  const rows = [];
+  const add = (field, before, after) => {
+    if (before !== after) rows.push({ field, label: translate(lang, `config.field.${field}`), before: before ?? "—", after: after ?? "—" });
+  };
+  const count = (key, list) => translate(lang, `config.count.${key}`, { count: list?.length ?? 0 });
+  for (const key of ["startDate", "timeZone", "clockMode", "durationDays"]) {
+    if (next[key] !== undefined) add(key, String(current[key] ?? ""), String(next[key]));
+  }
+  add("phases", describePhases(current.phases), describePhases(next.phases));
+  if (next.light) add("light", describeLight(current.light), describeLight(next.light));
+  if (next.grow) {
+    for (const key of GROW_FIELDS) {
+      if (next.grow[key] !== undefined) add(`grow.${key}`, current.grow?.[key] ?? "", next.grow[key]);
+    }
+  }
+  if (next.journal) add("journal", count("journal", current.journal), count("journal", next.journal));
+  if (next.milestones) add("milestones", count("milestones", current.milestones), count("milestones", next.milestones));
+  return rows;
+}
+
+export function formatValidationErrors(errors) {
+  return errors.map((e) => `• ${e.path ? `${e.path}: ` : ""}${e.message}`).join("\n");
+}
@@ -0,0 +1,107 @@
+import { describe, expect, it } from "vitest";
+import { CONFIG_VERSION, configFromGrow, diffConfig, formatValidationErrors, migrateConfig, validateConfig } from "./config";
+
+const v2 = {
+  version: 2,
+  startDate: "2024-05-01T08:00",
+  timeZone: "UTC",
+  clockMode: "elapsed",
+  durationDays: 90,
+  phases: [{ name: "Vege", hoursLight: 18, hoursDark: 6, length: 21, unit: "days" }, { name: "Flora", hoursLight: 12, hoursDark: 12, length: 0, unit: "days" }],
+};
+
+describe("migrateConfig", () => {
+  it("turns the legacy single pair into one phase", () => {
+    const { config, from } = migrateConfig({ startDate: "2024-05-01T08:00", hoursLight: 13, hoursDark: 14, durationDays: 60 });
+    expect(from).toBe(1);
+    expect(config.version).toBe(CONFIG_VERSION);
+    expect(config.phases).toEqual([{ name: "Fase 1", hoursLight: 13, hoursDark: 14, length: 60, unit: "days" }]);
+    expect(config).not.toHaveProperty("hoursLight");
+  });
+});
+
+describe("validateConfig", () => {
+  it("accepts a valid v2 config", () => {
+    const result = validateConfig(v2);
+    expect(result.ok).toBe(true);
+    expect(result.warnings).toEqual([]);
+    expect(result.config.phases).toHaveLength(2);
+  });
+
+  it("accepts and migrates a v1 export", () => {
+    const result = validateConfig({ startDate: "2024-05-01T08:00", hoursLight: 13, hoursDark: 14, durationDays: 60 });
+    expect(result.ok).toBe(true);
+    expect(result.migratedFrom).toBe(1);
+  });
+
+  it("reports every bad field with its path", () => {
+    const result = validateConfig({ ...v2, startDate: "ayer", durationDays: 0, phases: [{ hoursLight: -1, hoursDark: "6", unit: "weeks" }] });
+    expect(result.ok).toBe(false);
+    expect(result.errors.map((e) => e.path)).toEqual([
+      "startDate", "durationDays", "phases[0].hoursLight", "phases[0].hoursDark", "phases[0].unit",
+    ]);
+  });
+
+  it("warns about unknown fields instead of failing", () => {
+    const result = validateConfig({ ...v2, color: "rojo", phases: [{ ...v2.phases[0], lux: 800 }] });
+    expect(result.ok).toBe(true);
+    expect(result.warnings.map((w) => w.path)).toEqual(["color", "phases[0].lux"]);
+    expect(result.config).not.toHaveProperty("color");
+  });
+
+  it("checks PPFD and the DLI target range", () => {
+    const ok = validateConfig({ ...v2, phases: [{ ...v2.phases[0], ppfd: 800 }], light: { ppfd: 600, dliMin: 30, dliMax: null } });
+    expect(ok.ok).toBe(true);
+    expect(ok.config.phases[0].ppfd).toBe(800);
+    expect(ok.config.light).toEqual({ ppfd: 600, dliMin: 30, dliMax: null });
+    const bad = validateConfig({ ...v2, light: { ppfd: -1, dliMin: 40, dliMax: 30 } });
+    expect(bad.errors.map((e) => e.path)).toEqual(["light.ppfd", "light"]);
+  });
+
+  it("validates phase ramps", () => {
+    const bad = validateConfig({ ...v2, phases: [{ ...v2.phases[0], ramp: { up: -5, curve: "cubic" } }] });
+    expect(bad.errors.map((e) => e.path)).toEqual(["phases[0].ramp.up", "phases[0].ramp.curve"]);
+
+    const ok = validateConfig({ ...v2, phases: [v2.phases[0], { ...v2.phases[1], ramp: { up: 15, down: 0, curve: "sigmoid" } }] });
+    expect(ok.ok).toBe(true);
+    expect(ok.config.phases.map((p) => p.ramp)).toEqual([undefined, { up: 15, down: 0, curve: "sigmoid" }]);
+  });
+
+  it("rejects versions from the future and non-objects", () => {
+    expect(validateConfig({ ...v2, version: 99 }).errors[0].path).toBe("version");
+    expect(validateConfig([1, 2]).ok).toBe(false);
+  });
+
+  it("reports codes and writes the messages in the requested language", () => {
+    const raw = { ...v2, durationDays: 0, color: "rojo", journal: [{ type: "watering" }] };
+    const es = validateConfig(raw);
+    expect(es.errors[0]).toEqual({ path: "durationDays", code: "integerRange", params: { min: 1, max: 9999 }, message: "Debe ser un entero entre 1 y 9999." });
+    const en = validateConfig(raw, "en");
+    expect(en.errors.map((e) => e.code)).toEqual(es.errors.map((e) => e.code));
+    expect(formatValidationErrors(en.errors)).toBe([
+      "• durationDays: Must be an integer between 1 and 9999.",
+      '• journal[0]: Must have either "at" (date and time) or "cycle" (cycle number), not both.',
+    ].join("\n"));
+    expect(en.warnings[0].message).toBe("Unknown field: ignored.");
+  });
+});
+
+describe("diffConfig", () => {
+  it("lists only the fields that change", () => {
+    const grow = { name: "Carpa", room: "", strain: "", notes: "", schedule: { ...v2 } };
+    const current = configFromGrow(grow);
+    const rows = diffConfig(current, { ...current, durationDays: 120, grow: { name: "Carpa 2" } });
+    expect(rows.map((r) => [r.field, r.before, r.after])).toEqual([
+      ["durationDays", "90", "120"],
+      ["grow.name", "Carpa", "Carpa 2"],
+    ]);
+  });
+
+  it("labels fields and counts in the requested language", () => {
+    const grow = { name: "Carpa", room: "", strain: "", notes: "", schedule: { ...v2 } };
+    const current = configFromGrow(grow);
+    const next = { ...current, journal: [{ type: "watering", cycle: 1 }] };
+    expect(diffConfig(current, next)[0]).toMatchObject({ label: "Bitácora", before: "0 entradas", after: "1 entrada" });
+    expect(diffConfig(current, next, "en")[0]).toMatchObject({ label: "Journal", before: "0 entries", after: "1 entry" });
+  });
+});
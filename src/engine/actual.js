@@ -0,0 +1,253 @@
+/**
+ * actual.js — Historial real de encendidos/apagados frente al plan
+ * - Eventos { at (ISO UTC), isLight, source: "manual"|"csv" }, cargados a mano
+ *   o importados de un CSV (enchufe inteligente, Home Assistant, nuestro export)
+ * - Por celda del calendario: fracción de luz real y si difiere del plan
+ * - Balance energético y contador del superciclo "híbridos": el plan hasta el
+ *   primer evento registrado y el historial real desde ahí
+ * - Sin rampas: el historial registra potencia plena ON/OFF
+ */
+
+import { MS_PER_HOUR, cycleIndexAt, dateAtHours, energyBalance, hoursSinceStart, outputBetweenHours, stateAt } from "./photoperiod.js";
+import { DEFAULT_LANGUAGE, engineText } from "./locale.js";
+import { parseLocalDateTime, zonedDayDiff } from "./timezone.js";
+
+export const ACTUAL_SOURCES = ["manual", "csv"];
+// Diferencia tolerada por celda antes de marcarla como desvío
+export const MISMATCH_MINUTES = 5;
+
+const MS_PER_MINUTE = 60 * 1000;
+
+function eventFromObject(obj) {
+  if (!obj || typeof obj !== "object" || typeof obj.isLight !== "boolean") return null;
+  const ms = Date.parse(obj.at);
+  if (!Number.isFinite(ms)) return null;
+  return { at: new Date(ms).toISOString(), isLight: obj.isLight, source: ACTUAL_SOURCES.includes(obj.source) ? obj.source : "manual" };
+}
+
+// Orden cronológico; un mismo instante y estado repetido queda una vez
+export function mergeActualEvents(events, added = []) {
+  const seen = new Set();
+  return [...events, ...added]
+    .map(eventFromObject)
+    .filter(Boolean)
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .filter((e) => {
+      const key = `${e.at}|${e.isLight}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/** Historial guardado → { events, useForStats } */
+export function actualFromObject(obj) {
+  return {
+    events: mergeActualEvents(Array.isArray(obj?.events) ? obj.events : []),
+    useForStats: Boolean(obj?.useForStats),
+  };
+}
+
+/** Solo los cambios de estado reales: { ms, isLight }[] */
+export function actualTransitions(events) {
+  const out = [];
+  for (const e of events) {
+    const ms = Date.parse(e.at);
+    if (out.length && out[out.length - 1].isLight === e.isLight) continue;
+    out.push({ ms, isLight: e.isLight });
+  }
+  return out;
+}
+
+// Índice del último cambio en o antes de `ms` (-1 si no hay)
+function transitionIndexAt(transitions, ms) {
+  let lo = 0;
+  let hi = transitions.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (transitions[mid].ms <= ms) { found = mid; lo = mid + 1; } else hi = mid - 1;
+  }
+  return found;
+}
+
+/** Estado real en un instante; null antes del primer evento */
+export function actualStateAt(transitions, date) {
+  const i = transitionIndexAt(transitions, date.getTime());
+  return i < 0 ? null : transitions[i].isLight;
+}
+
+/** Milisegundos con luz real en [fromMs, toMs); antes del primer evento no suma */
+export function actualLightMs(transitions, fromMs, toMs) {
+  let total = 0;
+  let i = transitionIndexAt(transitions, fromMs);
+  let cursor = fromMs;
+  let state = i >= 0 ? transitions[i].isLight : false;
+  for (i += 1; i < transitions.length && transitions[i].ms < toMs; i++) {
+    if (state) total += transitions[i].ms - cursor;
+    cursor = transitions[i].ms;
+    state = transitions[i].isLight;
+  }
+  if (state) total += toMs - cursor;
+  return total;
+}
+
+/* ---------- CSV ---------- */
+const TIME_COLUMNS = ["timestamp_utc", "timestamp", "time", "datetime", "date", "at", "fecha", "hora", "last_changed", "last_updated"];
+const STATE_COLUMNS = ["state", "power", "status", "value", "estado", "relay"];
+const ON_VALUES = ["on", "1", "true", "encendido", "luz"];
+const OFF_VALUES = ["off", "0", "false", "apagado", "oscuridad"];
+
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cell += '"'; i++; } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delimiter) { cells.push(cell.trim()); cell = ""; } else cell += c;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// ISO con zona, epoch (s o ms) o "AAAA-MM-DD HH:mm[:ss]" en la zona del esquema
+function parseCsvTime(value, timeZone) {
+  if (/^\d{9,13}$/.test(value)) {
+    const n = Number(value);
+    return new Date(n < 1e11 ? n * 1000 : n);
+  }
+  const naive = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2})?)(\.\d+)?$/.exec(value);
+  if (naive) return parseLocalDateTime(`${naive[1]}T${naive[2]}`, timeZone);
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function parseCsvState(value) {
+  const v = value.toLowerCase();
+  if (ON_VALUES.includes(v)) return true;
+  if (OFF_VALUES.includes(v)) return false;
+  return null;
+}
+
+/**
+ * Texto CSV → eventos. Reconoce encabezados comunes (timestamp/state, el
+ * historial de Home Assistant, el CSV de "Programar controlador"); sin
+ * encabezado toma la 1.ª columna como fecha y la 2.ª como estado.
+ * Los mensajes de error salen en `lang`.
+ * @returns {{ events: object[], errors: { line: number, message: string }[] }}
+ */
+export function parseActualCsv(text, timeZone, lang = DEFAULT_LANGUAGE) {
+  const lines = String(text || "").split(/\r?\n/);
+  const events = [];
+  const errors = [];
+  let timeCol = 0;
+  let stateCol = 1;
+  let delimiter = null;
+  let headerDone = false;
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) return;
+    if (!delimiter) delimiter = line.includes(";") && !line.includes(",") ? ";" : line.includes("\t") && !line.includes(",") ? "\t" : ",";
+    const cells = splitCsvLine(line, delimiter);
+    if (!headerDone) {
+      headerDone = true;
+      const names = cells.map((c) => c.toLowerCase());
+      const t = names.findIndex((n) => TIME_COLUMNS.includes(n));
+      const s = names.findIndex((n) => STATE_COLUMNS.includes(n));
+      if (t >= 0 || s >= 0) {
+        if (t >= 0) timeCol = t;
+        if (s >= 0) stateCol = s;
+        return;
+      }
+    }
+    const date = parseCsvTime(cells[timeCol] ?? "", timeZone);
+    const isLight = parseCsvState(cells[stateCol] ?? "");
+    if (!date) errors.push({ line: index + 1, message: engineText(lang, "csv.badDate", { value: cells[timeCol] ?? "" }) });
+    else if (isLight === null) errors.push({ line: index + 1, message: engineText(lang, "csv.badState", { value: cells[stateCol] ?? "" }) });
+    else events.push({ at: date.toISOString(), isLight, source: "csv" });
+  });
+  return { events: mergeActualEvents(events), errors };
+}
+
+/* ---------- Plan vs real ---------- */
+/**
+ * Días del calendario [from, to) que puede cubrir el historial: del día del
+ * primer evento hasta hoy, dentro de los `dayCount` días del calendario.
+ */
+export function actualDayRange(schedule, transitions, now, dayCount) {
+  if (transitions.length === 0) return { from: 0, to: 0 };
+  const dayOf = (date) => zonedDayDiff(schedule.startDate, date, schedule.timeZone);
+  const from = Math.min(dayCount, Math.max(0, dayOf(new Date(transitions[0].ms))));
+  return { from, to: Math.max(from, Math.min(dayCount, dayOf(now) + 1)) };
+}
+
+/**
+ * Celdas del calendario cubiertas por el historial (entre el primer evento y
+ * `now`): clave "día:hora" → { lightFraction, mismatch, diffMinutes }.
+ * `rows` son las filas de buildCalendar desde el día `firstDay`.
+ */
+export function actualCellMap(schedule, rows, transitions, now, firstDay = 0) {
+  const cells = new Map();
+  if (transitions.length === 0) return cells;
+  const firstMs = transitions[0].ms;
+  const nowMs = now.getTime();
+  rows.forEach((row, d) => {
+    const dayEnd = row.date.getTime() + row.hoursInDay * MS_PER_HOUR;
+    if (dayEnd <= firstMs || row.date.getTime() >= nowMs) return;
+    row.cells.forEach((cell, h) => {
+      if (cell.skipped || !cell.hoursSpan) return;
+      const fromMs = dateAtHours(schedule, cell.hoursSinceStart).getTime();
+      const toMs = dateAtHours(schedule, cell.hoursSinceStart + cell.hoursSpan).getTime();
+      if (fromMs < firstMs || toMs > nowMs) return;
+      const span = toMs - fromMs;
+      const lightFraction = actualLightMs(transitions, fromMs, toMs) / span;
+      const diffMinutes = Math.round(((lightFraction - cell.lightFraction) * span) / MS_PER_MINUTE);
+      cells.set(`${firstDay + d}:${h}`, { lightFraction, diffMinutes, mismatch: Math.abs(diffMinutes) > MISMATCH_MINUTES });
+    });
+  });
+  return cells;
+}
+
+/**
+ * Balance contra la referencia con el historial real: el plan (con rampas)
+ * hasta el primer evento y las horas ON registradas desde ahí hasta `now`.
+ */
+export function actualEnergyBalance(schedule, transitions, now, baselineLightRatio = 0.5) {
+  const hours = hoursSinceStart(schedule, now);
+  if (hours < 0) return 0;
+  const firstMs = Math.max(transitions[0]?.ms ?? Infinity, schedule.startDate.getTime());
+  if (firstMs >= now.getTime()) return energyBalance(schedule, now, baselineLightRatio);
+  const planned = outputBetweenHours(schedule.timeline, 0, hoursSinceStart(schedule, new Date(firstMs))).outputHours;
+  const actual = actualLightMs(transitions, firstMs, now.getTime()) / MS_PER_HOUR;
+  return baselineLightRatio * hours - planned - actual;
+}
+
+/**
+ * Contador del superciclo con el historial real: los ciclos planificados
+ * hasta el primer evento y, desde ahí, uno por cada encendido que sigue a una
+ * noche de al menos la mitad de la oscuridad planificada (mín. 1 h). Así un
+ * corte de luz corto no cuenta como ciclo y una noche salteada resta uno.
+ */
+export function actualCycleIndex(schedule, transitions, now) {
+  const nowMs = now.getTime();
+  if (transitions.length === 0 || transitions[0].ms > nowMs) return cycleIndexAt(schedule, now);
+  const before = new Date(transitions[0].ms - 1);
+  let count = cycleIndexAt(schedule, before);
+  let previous = stateAt(schedule, before).isLight;
+  let offMs = -Infinity;
+  for (const tr of transitions) {
+    if (tr.ms > nowMs) break;
+    if (tr.isLight && !previous) {
+      const minDarkHours = Math.max(1, stateAt(schedule, new Date(tr.ms)).phase.hoursDark / 2);
+      if ((tr.ms - offMs) / MS_PER_HOUR >= minDarkHours) count++;
+    }
+    if (!tr.isLight) offMs = tr.ms;
+    previous = tr.isLight;
+  }
+  return count;
+}
@@ -0,0 +1,110 @@
+import { describe, expect, it } from "vitest";
+import { buildCalendar, createSchedule, cycleIndexAt, energyBalance } from "./photoperiod";
+import {
+  actualCellMap,
+  actualDayRange,
+  actualCycleIndex,
+  actualEnergyBalance,
+  actualFromObject,
+  actualLightMs,
+  actualTransitions,
+  mergeActualEvents,
+  parseActualCsv,
+} from "./actual";
+import { phase } from "./testPhases";
+
+const schedule = createSchedule({
+  startDate: "2024-01-01T06:00",
+  timeZone: "UTC",
+  phases: [phase(12, 12)],
+});
+const ev = (at, isLight) => ({ at, isLight, source: "manual" });
+
+describe("actual events", () => {
+  it("sorts, de-duplicates and drops invalid events", () => {
+    const { events, useForStats } = actualFromObject({
+      events: [ev("2024-01-01T18:00:00Z", false), ev("2024-01-01T06:00:00Z", true), ev("2024-01-01T06:00:00.000Z", true), { at: "x", isLight: true }],
+    });
+    expect(events.map((e) => e.at)).toEqual(["2024-01-01T06:00:00.000Z", "2024-01-01T18:00:00.000Z"]);
+    expect(useForStats).toBe(false);
+  });
+
+  it("measures light time between two instants", () => {
+    const tr = actualTransitions(mergeActualEvents([ev("2024-01-01T06:00:00Z", true), ev("2024-01-01T07:00:00Z", true), ev("2024-01-01T16:00:00Z", false)]));
+    expect(tr).toHaveLength(2);
+    expect(actualLightMs(tr, Date.parse("2024-01-01T00:00:00Z"), Date.parse("2024-01-02T00:00:00Z"))).toBe(10 * 3600 * 1000);
+    expect(actualLightMs(tr, Date.parse("2024-01-01T10:00:00Z"), Date.parse("2024-01-01T11:00:00Z"))).toBe(3600 * 1000);
+  });
+});
+
+describe("parseActualCsv", () => {
+  it("reads a Home Assistant history export", () => {
+    const csv = "entity_id,state,last_changed\nswitch.carpa,on,2024-01-01T06:00:30.000Z\nswitch.carpa,unavailable,2024-01-01T09:00:00.000Z\nswitch.carpa,off,2024-01-01T18:02:00.000Z\n";
+    const { events, errors } = parseActualCsv(csv, "UTC");
+    expect(events.map((e) => [e.at, e.isLight, e.source])).toEqual([
+      ["2024-01-01T06:00:30.000Z", true, "csv"],
+      ["2024-01-01T18:02:00.000Z", false, "csv"],
+    ]);
+    expect(errors).toEqual([{ line: 3, message: 'Estado no reconocido: "unavailable".' }]);
+  });
+
+  it("writes its errors in the requested language", () => {
+    const { errors } = parseActualCsv("timestamp,state\nmañana,on\n2024-01-01T06:00:00Z,maybe", "UTC", "en");
+    expect(errors).toEqual([
+      { line: 2, message: 'Unrecognized date: "mañana".' },
+      { line: 3, message: 'Unrecognized state: "maybe".' },
+    ]);
+  });
+
+  it("reads headerless rows with local times and epoch seconds", () => {
+    const { events } = parseActualCsv("2024-07-01 08:00;ON\n1719856800;0", "Europe/Madrid");
+    expect(events.map((e) => [e.at, e.isLight])).toEqual([
+      ["2024-07-01T06:00:00.000Z", true],
+      ["2024-07-01T18:00:00.000Z", false],
+    ]);
+  });
+});
+
+describe("plan vs actual", () => {
+  // Apagón de 2 h el día 2 y un encendido tardío de 30 min
+  const events = mergeActualEvents([
+    ev("2024-01-01T06:00:00Z", true), ev("2024-01-01T18:00:00Z", false),
+    ev("2024-01-02T06:30:00Z", true), ev("2024-01-02T10:00:00Z", false),
+    ev("2024-01-02T12:00:00Z", true), ev("2024-01-02T18:00:00Z", false),
+  ]);
+  const tr = actualTransitions(events);
+  const now = new Date("2024-01-03T00:00:00Z");
+
+  it("flags the calendar cells that differ from the plan", () => {
+    const cells = actualCellMap(schedule, buildCalendar(schedule, 3), tr, now);
+    expect(cells.get("0:10")).toEqual({ lightFraction: 1, diffMinutes: 0, mismatch: false });
+    expect(cells.get("1:6")).toMatchObject({ lightFraction: 0.5, diffMinutes: -30, mismatch: true });
+    expect(cells.get("1:11").mismatch).toBe(true);
+    expect(cells.get("1:12").mismatch).toBe(false);
+    expect(cells.has("2:6")).toBe(false);
+  });
+
+  it("only needs the days between the first event and today", () => {
+    const range = actualDayRange(schedule, tr, now, 10);
+    expect(range).toEqual({ from: 0, to: 3 });
+    expect(actualDayRange(schedule, [], now, 10)).toEqual({ from: 0, to: 0 });
+    const partial = actualCellMap(schedule, buildCalendar(schedule, 2, 1), tr, now, 1);
+    expect(partial.get("1:6")).toEqual(actualCellMap(schedule, buildCalendar(schedule, 3), tr, now).get("1:6"));
+    expect(partial.has("0:10")).toBe(false);
+  });
+
+  it("computes the balance and superciclo counter from the history", () => {
+    expect(energyBalance(schedule, now)).toBeCloseTo(-3);
+    expect(actualEnergyBalance(schedule, tr, now)).toBeCloseTo(-0.5);
+    // El corte de 2 h no es una noche: no suma ciclo
+    expect(actualCycleIndex(schedule, tr, now)).toBe(cycleIndexAt(schedule, now));
+    // Una noche salteada resta uno
+    const skipped = actualTransitions([ev("2024-01-01T06:00:00Z", true), ev("2024-01-02T18:00:00Z", false)]);
+    expect(actualCycleIndex(schedule, skipped, now)).toBe(cycleIndexAt(schedule, now) - 1);
+  });
+
+  it("falls back to the plan without history", () => {
+    expect(actualEnergyBalance(schedule, [], now)).toBe(energyBalance(schedule, now));
+    expect(actualCycleIndex(schedule, [], now)).toBe(cycleIndexAt(schedule, now));
+  });
+});
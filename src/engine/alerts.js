@@ -0,0 +1,39 @@
+/**
+ * alerts.js — Avisos previos a cada cambio de luz
+ * - Se derivan de transitionsBetween (la misma lógica que "Próximo evento")
+ * - Cada aviso tiene un id estable (instante + estado) para no repetirlo
+ * - El texto de la notificación sigue el idioma elegido (ver locale.js)
+ */
+
+import { MS_PER_HOUR, transitionsBetween } from "./photoperiod.js";
+import { engineText, formatDateTime } from "./locale.js";
+
+/**
+ * Avisos pendientes dentro de las próximas `horizonHours` horas.
+ * Los que ya deberían haber sonado (fireAt <= now) se descartan.
+ * @returns {{ id: string, fireAt: number, transitionAt: number, nextState: "ON"|"OFF", phaseName: string }[]}
+ */
+export function upcomingAlerts(schedule, now, { leadMinutes = 10, horizonHours = 48 } = {}) {
+  const lead = Math.max(0, Number(leadMinutes) || 0) * 60000;
+  const to = new Date(now.getTime() + horizonHours * MS_PER_HOUR + lead);
+  return transitionsBetween(schedule, now, to)
+    .map((tr) => ({
+      id: `${tr.date.getTime()}-${tr.isLight ? "on" : "off"}`,
+      fireAt: tr.date.getTime() - lead,
+      transitionAt: tr.date.getTime(),
+      nextState: tr.isLight ? "ON" : "OFF",
+      phaseName: tr.phase?.name ?? "",
+    }))
+    .filter((alert) => alert.fireAt > now.getTime());
+}
+
+export function alertMessage(alert, timeZone, lang) {
+  const time = formatDateTime(lang, new Date(alert.transitionAt), { hour: "2-digit", minute: "2-digit", timeZone });
+  const action = engineText(lang, alert.nextState === "ON" ? "state.on" : "state.off");
+  const minutes = Math.max(0, Math.round((alert.transitionAt - alert.fireAt) / 60000));
+  const phase = alert.phaseName;
+  return {
+    title: engineText(lang, "alert.title", { icon: alert.nextState === "ON" ? "🔆" : "🌙", action, time }),
+    body: minutes > 0 ? engineText(lang, "alert.body", { minutes, phase }) : engineText(lang, "alert.bodyNow", { phase }),
+  };
+}
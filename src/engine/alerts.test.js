@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { createSchedule } from "./photoperiod";
+import { alertMessage, upcomingAlerts } from "./alerts";
+import { phase } from "./testPhases";
+
+const schedule = createSchedule({
+  startDate: "2024-01-01T00:00",
+  phases: [phase(12, 12)],
+  timeZone: "UTC",
+});
+
+describe("upcomingAlerts", () => {
+  it("fires leadMinutes before each transition", () => {
+    const alerts = upcomingAlerts(schedule, new Date("2024-01-01T06:00:00Z"), { leadMinutes: 15, horizonHours: 24 });
+    expect(alerts.map((a) => [new Date(a.fireAt).toISOString(), a.nextState])).toEqual([
+      ["2024-01-01T11:45:00.000Z", "OFF"],
+      ["2024-01-01T23:45:00.000Z", "ON"],
+    ]);
+    expect(alerts[0].id).toBe(`${Date.parse("2024-01-01T12:00:00Z")}-off`);
+  });
+
+  it("drops alerts whose time already passed", () => {
+    const alerts = upcomingAlerts(schedule, new Date("2024-01-01T11:50:00Z"), { leadMinutes: 15, horizonHours: 1 });
+    expect(alerts).toEqual([]);
+  });
+});
+
+describe("alertMessage", () => {
+  it("describes the change and the time left", () => {
+    const [alert] = upcomingAlerts(schedule, new Date("2024-01-01T06:00:00Z"), { leadMinutes: 15, horizonHours: 12 });
+    const msg = alertMessage(alert, "UTC");
+    expect(msg.title).toContain("Apagado");
+    expect(msg.body).toBe("Faltan 15 min (Flora)");
+  });
+
+  it("follows the chosen language", () => {
+    const [alert] = upcomingAlerts(schedule, new Date("2024-01-01T06:00:00Z"), { leadMinutes: 15, horizonHours: 12 });
+    const msg = alertMessage(alert, "UTC", "en");
+    expect(msg.title).toBe("🌙 Lights off at 12:00 PM");
+    expect(msg.body).toBe("In 15 min (Flora)");
+  });
+});
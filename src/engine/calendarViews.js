@@ -0,0 +1,76 @@
+/**
+ * calendarViews.js — Datos de las vistas alternativas del calendario
+ * - Por ciclo: una fila por ciclo del esquema (cycleLength horas) con la hora
+ *   local a la que arranca, para ver cómo se corre por el reloj
+ * - Mes: horas de luz por día local, en semanas de lunes a domingo
+ * - La línea de tiempo usa directamente lightProfileBetweenHours
+ */
+
+import { EPS_HOURS, MS_PER_HOUR, dateAtHours, hoursSinceStart, outputBetweenHours } from "./photoperiod.js";
+import { zonedParts } from "./timezone.js";
+
+// Tope de filas de la vista por ciclo (un ciclo de minutos llenaría la memoria)
+export const CYCLE_ROWS_MAX = 20000;
+
+/**
+ * Ciclos que arrancan dentro de los primeros `durationDays` días.
+ * Un ciclo cortado por el cambio de fase queda con `hours` < cycleLength.
+ * @returns {{ index, phaseIndex, phaseName, startHours, hours, hoursLight, cycleLength, date, clockHour }[]}
+ */
+export function cycleRows(schedule, durationDays) {
+  const end = durationDays * 24;
+  const rows = [];
+  for (const seg of schedule.timeline) {
+    const segEnd = Math.min(seg.end, end);
+    for (let start = seg.start; start < segEnd - EPS_HOURS && rows.length < CYCLE_ROWS_MAX; start += seg.cycleLength) {
+      const hours = Math.min(seg.cycleLength, seg.end - start);
+      const date = dateAtHours(schedule, start);
+      const p = zonedParts(date, schedule.timeZone);
+      rows.push({
+        index: rows.length,
+        phaseIndex: seg.index,
+        phaseName: seg.phase.name,
+        startHours: start,
+        hours,
+        hoursLight: Math.min(seg.hoursLight, hours),
+        cycleLength: seg.cycleLength,
+        date,
+        clockHour: p.hour + p.minute / 60,
+      });
+    }
+    if (seg.end >= end) break;
+  }
+  return rows;
+}
+
+/** Horas con luz de un día de calendarDays (o una fila de buildCalendar), sin recorrer sus celdas */
+export function dailyLightHours(schedule, day) {
+  const from = hoursSinceStart(schedule, day.date);
+  const to = hoursSinceStart(schedule, new Date(day.date.getTime() + day.hoursInDay * MS_PER_HOUR));
+  return outputBetweenHours(schedule.timeline, from, to).lightHours;
+}
+
+/**
+ * Meses locales cubiertos por los días del calendario (calendarDays).
+ * `offset` es el día de la semana del 1.º (lunes = 0); `days[fecha - 1]` es
+ * { day (índice de fila), lightHours } o null fuera del rango.
+ */
+export function monthGrid(schedule, rows) {
+  const months = [];
+  rows.forEach((row, d) => {
+    const p = zonedParts(row.date, schedule.timeZone);
+    let month = months[months.length - 1];
+    if (!month || month.month !== p.month || month.year !== p.year) {
+      const daysInMonth = new Date(Date.UTC(p.year, p.month, 0)).getUTCDate();
+      month = {
+        year: p.year,
+        month: p.month,
+        offset: (new Date(Date.UTC(p.year, p.month - 1, 1)).getUTCDay() + 6) % 7,
+        days: Array(daysInMonth).fill(null),
+      };
+      months.push(month);
+    }
+    month.days[p.day - 1] = { day: d, lightHours: dailyLightHours(schedule, row) };
+  });
+  return months;
+}
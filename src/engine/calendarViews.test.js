@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { buildCalendar, calendarDays, createSchedule } from "./photoperiod";
+import { cycleRows, dailyLightHours, monthGrid } from "./calendarViews";
+import { phase } from "./testPhases";
+
+const schedule = createSchedule({
+  startDate: "2024-04-29T08:00",
+  phases: [
+    phase(18, 6, { name: "Vege", length: 2 }),
+    phase(13, 14, { name: "Superciclo" }),
+  ],
+  timeZone: "UTC",
+});
+
+describe("cycleRows", () => {
+  it("lists one row per cycle with its drifting start hour", () => {
+    const rows = cycleRows(schedule, 5);
+    expect(rows.map((r) => [r.phaseName, r.clockHour, r.hours, r.hoursLight])).toEqual([
+      ["Vege", 8, 24, 18],
+      ["Vege", 8, 24, 18],
+      ["Superciclo", 8, 27, 13],
+      ["Superciclo", 11, 27, 13],
+      // 5 días = 120 h: el ciclo que arranca en la hora 102 todavía entra
+      ["Superciclo", 14, 27, 13],
+    ]);
+    expect(rows[4].date.toISOString()).toBe("2024-05-03T14:00:00.000Z");
+  });
+
+  it("cuts the last cycle of a phase that is not a whole number of cycles", () => {
+    const sched = createSchedule({
+      startDate: "2024-04-29T08:00",
+      phases: [phase(13, 14, { name: "A", length: 2 }), { name: "B", hoursLight: 12, hoursDark: 12 }],
+      timeZone: "UTC",
+    });
+    const rows = cycleRows(sched, 3);
+    expect(rows.map((r) => [r.phaseName, r.hours, r.hoursLight])).toEqual([["A", 27, 13], ["A", 21, 13], ["B", 24, 12]]);
+  });
+});
+
+describe("monthGrid", () => {
+  it("places each day in its local month with its light hours", () => {
+    const days = calendarDays(schedule, 5);
+    expect(dailyLightHours(schedule, days[0])).toBe(16 + 2);
+    const cellHours = buildCalendar(schedule, 5).map((row) => row.cells.reduce((sum, c) => sum + c.lightFraction * c.hoursSpan, 0));
+    expect(days.map((day) => dailyLightHours(schedule, day))).toEqual(cellHours);
+    const months = monthGrid(schedule, days);
+    expect(months.map((m) => [m.year, m.month, m.offset, m.days.length])).toEqual([[2024, 4, 0, 30], [2024, 5, 2, 31]]);
+    expect(months[0].days[27]).toBeNull();
+    expect(months[0].days[28]).toEqual({ day: 0, lightHours: 18 });
+    expect(months[1].days[2]).toMatchObject({ day: 4 });
+    expect(months[1].days[3]).toBeNull();
+  });
+});
@@ -0,0 +1,11 @@
+/**
+ * color.js — Colores "#rrggbb" compartidos por la grilla y el calendario imprimible
+ * - mixColor en vez de color-mix(): html2canvas y el PDF necesitan el color final
+ */
+
+/** Mezcla dos colores "#rrggbb" (t = 0 → a, t = 1 → b) */
+export function mixColor(a, b, t) {
+  const channel = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+  const mixed = [0, 1, 2].map((i) => Math.round(channel(a, i) + (channel(b, i) - channel(a, i)) * t));
+  return `#${mixed.map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+}
@@ -0,0 +1,10 @@
+import { describe, expect, it } from "vitest";
+import { mixColor } from "./color";
+
+describe("mixColor", () => {
+  it("interpolates each channel between the two colors", () => {
+    expect(mixColor("#4338ca", "#f59e0b", 0)).toBe("#4338ca");
+    expect(mixColor("#4338ca", "#f59e0b", 1)).toBe("#f59e0b");
+    expect(mixColor("#000000", "#ffffff", 0.5)).toBe("#808080");
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * compare.js — Modo "¿y si...?": esquemas candidatos lado a lado
+ * - Todos parten del mismo inicio, zona y modo de reloj que el cultivo activo
+ * - Por candidato: horas de luz acumuladas por día, ciclos completos, días de
+ *   calendario hasta N ciclos (la cosecha equivalente) y balance vs la referencia
+ * - Las diferencias se miden contra el primer candidato (el esquema actual)
+ */
+
+import { completedCyclesUntil, createSchedule, cycleStartHours, lightHoursUntil } from "./photoperiod.js";
+import { energyComparison } from "./energy.js";
+
+export const COMPARE_MIN_CANDIDATES = 2;
+export const COMPARE_MAX_CANDIDATES = 4;
+// Ciclos de flora típicos de una genética a 12/12
+export const DEFAULT_HARVEST_CYCLES = 60;
+
+/** Mismo inicio, zona y modo de reloj que `schedule`, con otras fases */
+export function candidateSchedule(schedule, phases) {
+  return createSchedule({
+    startDate: schedule.startDate,
+    phases,
+    timeZone: schedule.timeZone,
+    clockMode: schedule.clockMode,
+  });
+}
+
+/** Horas de luz acumuladas al final de cada día transcurrido (días de 24 h desde el inicio) */
+export function lightHoursByDay(schedule, durationDays) {
+  return Array.from({ length: durationDays }, (_, d) => lightHoursUntil(schedule.timeline, (d + 1) * 24));
+}
+
+/** Días de calendario hasta completar `cycles` ciclos del superciclo; null si no se llega */
+export function daysToCycles(schedule, cycles) {
+  const hours = cycleStartHours(schedule.timeline, cycles);
+  return hours === null ? null : hours / 24;
+}
+
+/**
+ * Resumen de cada candidato { id, label, phases } hasta `durationDays`.
+ * `energy` es el del cultivo ({ fixtures, baseline }); el balance es el ahorro
+ * de horas de luz frente a esa referencia, como en "Energía y costo".
+ */
+export function compareSchedules(schedule, candidates, { durationDays, harvestCycles = DEFAULT_HARVEST_CYCLES, energy, tariff }) {
+  const end = durationDays * 24;
+  const rows = candidates.map((candidate) => {
+    const sched = candidateSchedule(schedule, candidate.phases);
+    const usage = energyComparison(sched, { fixtures: energy.fixtures, tariff, baseline: energy.baseline }, end);
+    return {
+      id: candidate.id,
+      label: candidate.label,
+      schedule: sched,
+      cumulative: lightHoursByDay(sched, durationDays),
+      lightHours: lightHoursUntil(sched.timeline, end),
+      cycles: completedCyclesUntil(sched.timeline, end),
+      harvestDays: daysToCycles(sched, harvestCycles),
+      balance: usage.savings.lightHours,
+      kWh: usage.actual.kWh,
+      cost: usage.actual.cost,
+    };
+  });
+  const [reference] = rows;
+  return rows.map((row) => ({
+    ...row,
+    delta: {
+      lightHours: row.lightHours - reference.lightHours,
+      cycles: row.cycles - reference.cycles,
+      harvestDays: row.harvestDays === null || reference.harvestDays === null ? null : row.harvestDays - reference.harvestDays,
+      balance: row.balance - reference.balance,
+      kWh: row.kWh - reference.kWh,
+      cost: row.cost - reference.cost,
+    },
+  }));
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { createSchedule } from "./photoperiod";
+import { DEFAULT_BASELINE, tariffFromObject } from "./energy";
+import { compareSchedules, daysToCycles, lightHoursByDay } from "./compare";
+import { phase } from "./testPhases";
+
+const schedule = createSchedule({ startDate: "2024-01-01T06:00", phases: [phase(12, 12)], timeZone: "UTC" });
+const energy = { fixtures: [{ name: "LED", watts: 1000, count: 1, dimming: 100 }], baseline: DEFAULT_BASELINE };
+const tariff = tariffFromObject({ pricePerKwh: 10 });
+
+describe("lightHoursByDay / daysToCycles", () => {
+  it("accumulates light per elapsed day", () => {
+    const sched = createSchedule({ startDate: "2024-01-01T06:00", phases: [phase(13, 14)], timeZone: "UTC" });
+    // Día 1: 13 h ON; día 2 (24–48 h): ON otra vez desde la hora 27 hasta la 40
+    expect(lightHoursByDay(sched, 2)).toEqual([13, 26]);
+    expect(daysToCycles(sched, 24)).toBe(27);
+  });
+});
+
+describe("compareSchedules", () => {
+  it("measures every candidate against the first one", () => {
+    const rows = compareSchedules(schedule, [
+      { id: "a", label: "12/12", phases: [phase(12, 12)] },
+      { id: "b", label: "13/14", phases: [phase(13, 14)] },
+    ], { durationDays: 27, harvestCycles: 24, energy, tariff });
+
+    expect(rows[0]).toMatchObject({ lightHours: 324, cycles: 27, harvestDays: 24, balance: 0, kWh: 324, cost: 3240 });
+    expect(rows[1]).toMatchObject({ lightHours: 312, cycles: 24, harvestDays: 27, balance: 12 });
+    expect(rows[1].delta).toEqual({ lightHours: -12, cycles: -3, harvestDays: 3, balance: 12, kWh: -12, cost: -120 });
+    expect(rows[1].schedule.startDate).toEqual(schedule.startDate);
+  });
+
+  it("counts harvest cycles across every phase", () => {
+    const phases = [
+      phase(18, 6, { name: "Vege", length: 2 }),
+      phase(13, 14, { name: "Superciclo" }),
+    ];
+    const rows = compareSchedules(schedule, [
+      { id: "a", label: "12/12", phases: [phase(12, 12)] },
+      { id: "b", label: "Vege + 13/14", phases },
+    ], { durationDays: 5, harvestCycles: 4, energy, tariff });
+    // 2 ciclos de vege (48 h) + 2 de 27 h
+    expect(rows[1].harvestDays).toBe(4.25);
+    expect(rows[1].delta.harvestDays).toBe(0.25);
+  });
+});
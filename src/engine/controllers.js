@@ -0,0 +1,265 @@
+/**
+ * controllers.js — Programas para timers inteligentes y microcontroladores
+ * - Un timer diario común no puede seguir un ciclo de 13/14: acá se listan los
+ *   encendidos/apagados absolutos de los próximos N días
+ * - Mismas transiciones que "Próximo evento" (transitionsBetween)
+ * - Formatos: CSV, JSON, crontab, Home Assistant, ESPHome y Tasmota (Berry)
+ * - Las rampas viajan como fundido (transition) donde la plataforma lo admite;
+ *   el fundido de apagado arranca `down` minutos antes del OFF
+ * - Los comentarios siguen `lang` (ver locale.js); los datos no se traducen
+ */
+
+import { MS_PER_DAY, stateAt, transitionsBetween } from "./photoperiod.js";
+import { offsetMs, zonedParts } from "./timezone.js";
+import { engineText } from "./locale.js";
+
+const MS_PER_MINUTE = 60 * 1000;
+
+export const CONTROLLER_FORMATS = [
+  { id: "csv", label: "CSV", extension: "csv", mime: "text/csv;charset=utf-8" },
+  { id: "json", label: "JSON", extension: "json", mime: "application/json" },
+  { id: "crontab", label: "crontab", extension: "cron", mime: "text/plain;charset=utf-8" },
+  { id: "homeassistant", label: "Home Assistant (automation YAML)", extension: "yaml", mime: "text/yaml;charset=utf-8" },
+  { id: "esphome", label: "ESPHome (on_time)", extension: "yaml", mime: "text/yaml;charset=utf-8" },
+  { id: "tasmota", label: "Tasmota (Berry)", extension: "be", mime: "text/plain;charset=utf-8" },
+];
+
+export const DEFAULT_CONTROLLER_OPTIONS = {
+  days: 14,
+  entityId: "light.carpa",
+  onCommand: "/usr/local/bin/luces on",
+  offCommand: "/usr/local/bin/luces off",
+};
+
+function pad(n) { return n.toString().padStart(2, "0"); }
+
+// Los timers trabajan al minuto: se redondea al más cercano
+function roundToMinute(date) {
+  return new Date(Math.round(date.getTime() / MS_PER_MINUTE) * MS_PER_MINUTE);
+}
+
+function localParts(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return { ...p, text: `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}` };
+}
+
+// "2024-01-01T07:30:00+01:00"
+function isoWithOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const offset = Math.round(offsetMs(date, timeZone) / MS_PER_MINUTE);
+  const sign = offset < 0 ? "-" : "+";
+  const abs = Math.abs(offset);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Cambios ON/OFF desde `from` durante `days` días, redondeados al minuto.
+ * `fadeAt` es cuándo debe empezar el fundido (igual a `at` salvo en un OFF con
+ * rampa de bajada) y `rampMinutes` su duración.
+ * @returns {{ at: Date, fadeAt: Date, isLight: boolean, phaseName: string, rampMinutes: number, curve: string|null, local: object }[]}
+ */
+export function controllerEvents(schedule, { from, days }) {
+  const to = new Date(from.getTime() + Math.max(1, Number(days) || 0) * MS_PER_DAY);
+  return transitionsBetween(schedule, from, to)
+    .filter((tr) => tr.date.getTime() < to.getTime())
+    .map((tr) => {
+      const at = roundToMinute(tr.date);
+      const ramp = tr.phase?.ramp;
+      const rampMinutes = Math.round((tr.isLight ? ramp?.up : ramp?.down) || 0);
+      const fadeAt = tr.isLight ? at : new Date(at.getTime() - rampMinutes * MS_PER_MINUTE);
+      return {
+        at,
+        fadeAt,
+        isLight: tr.isLight,
+        phaseName: tr.phase?.name ?? "",
+        rampMinutes,
+        curve: rampMinutes > 0 ? ramp.curve || "linear" : null,
+        local: localParts(at, schedule.timeZone),
+      };
+    });
+}
+
+function header(schedule, events, { from, days, name, lang }, comment) {
+  const first = localParts(from, schedule.timeZone).text;
+  const initial = stateAt(schedule, from);
+  return [
+    `${comment} ${engineText(lang, "controller.header", { name: name ? ` — ${name}` : "", count: events.length, days, from: first, zone: schedule.timeZone })}`,
+    `${comment} ${engineText(lang, "controller.initial", { state: initial.isLight ? "ON" : "OFF" })}`,
+  ];
+}
+
+function rampNote(ev, lang) {
+  if (!ev.rampMinutes) return "";
+  const curve = engineText(lang, ev.curve === "sigmoid" ? "curve.sigmoid" : "curve.linear");
+  return ` ${engineText(lang, ev.isLight ? "ramp.upShort" : "ramp.downShort", { minutes: ev.rampMinutes, curve })}`;
+}
+
+/* ---------- Formatos ---------- */
+function toCsv(schedule, events) {
+  const escape = (v) => (/[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+  const rows = events.map((ev) => [
+    ev.at.toISOString(),
+    isoWithOffset(ev.at, schedule.timeZone),
+    ev.isLight ? "ON" : "OFF",
+    escape(ev.phaseName),
+    String(ev.rampMinutes),
+    ev.curve || "",
+    isoWithOffset(ev.fadeAt, schedule.timeZone),
+  ].join(","));
+  return ["timestamp_utc,local_time,state,phase,ramp_minutes,ramp_curve,fade_start", ...rows].join("\n") + "\n";
+}
+
+function toJson(schedule, events, { from, days, name }) {
+  const initial = stateAt(schedule, from);
+  return JSON.stringify({
+    generator: "fotoperiodo",
+    name: name || undefined,
+    timeZone: schedule.timeZone,
+    from: from.toISOString(),
+    days,
+    initialState: initial.isLight ? "ON" : "OFF",
+    events: events.map((ev) => ({
+      at: ev.at.toISOString(),
+      local: isoWithOffset(ev.at, schedule.timeZone),
+      state: ev.isLight ? "ON" : "OFF",
+      phase: ev.phaseName,
+      ramp: ev.rampMinutes ? { minutes: ev.rampMinutes, curve: ev.curve, fadeStart: ev.fadeAt.toISOString() } : null,
+    })),
+  }, null, 2) + "\n";
+}
+
+// cron no tiene año: cada línea fija minuto, hora, día y mes (sirve hasta 1 año)
+function toCrontab(schedule, events, options) {
+  const lines = [
+    ...header(schedule, events, options, "#"),
+    `# ${engineText(options.lang, "controller.cron")}`,
+    `CRON_TZ=${schedule.timeZone}`,
+  ];
+  for (const ev of events) {
+    const { minute, hour, day, month, text } = ev.local;
+    lines.push(`${minute} ${hour} ${day} ${month} * ${ev.isLight ? options.onCommand : options.offCommand}  # ${text} ${ev.isLight ? "ON" : "OFF"}${rampNote(ev, options.lang)}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+function slug(text) {
+  return String(text || "cultivo").normalize("NFD").replace(/[̀-ͯ]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "") || "cultivo";
+}
+
+function yamlString(text) {
+  return JSON.stringify(String(text));
+}
+
+// Un trigger por cambio: la plantilla vale true durante el minuto del cambio
+function toHomeAssistant(schedule, events, options) {
+  const isLightEntity = options.entityId.startsWith("light.");
+  const lines = [
+    ...header(schedule, events, options, "#"),
+    `# ${engineText(options.lang, "controller.homeassistant")}`,
+    `- id: fotoperiodo_${slug(options.name)}`,
+    `  alias: ${yamlString(`${engineText(options.lang, "app.name")} — ${options.name || engineText(options.lang, "controller.growFallback")}`)}`,
+    "  mode: queued",
+    "  trigger:",
+  ];
+  for (const ev of events) {
+    const ts = Math.floor(ev.fadeAt.getTime() / 1000);
+    lines.push(
+      "    - platform: template",
+      `      id: "${ev.isLight ? "on" : "off"}_${ev.rampMinutes}"`,
+      `      value_template: "{{ ${ts} <= as_timestamp(now()) < ${ts + 60} }}"  # ${localParts(ev.fadeAt, schedule.timeZone).text}${rampNote(ev, options.lang)}`,
+    );
+  }
+  const variants = [...new Set(events.map((ev) => `${ev.isLight ? "on" : "off"}_${ev.rampMinutes}`))];
+  lines.push("  action:", "    - choose:");
+  for (const id of variants) {
+    const [state, minutes] = id.split("_");
+    const service = isLightEntity ? `light.turn_${state}` : `homeassistant.turn_${state}`;
+    lines.push(
+      "        - conditions:",
+      "            - condition: trigger",
+      `              id: "${id}"`,
+      "          sequence:",
+      `            - service: ${service}`,
+      "              target:",
+      `                entity_id: ${options.entityId}`,
+    );
+    if (isLightEntity && Number(minutes) > 0) {
+      lines.push("              data:", `                transition: ${Number(minutes) * 60}`);
+      if (state === "on") lines.push("                brightness_pct: 100");
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function entityIdName(entityId) {
+  return entityId.includes(".") ? entityId.split(".").slice(1).join(".") : entityId;
+}
+
+function toEsphome(schedule, events, options) {
+  const id = entityIdName(options.entityId);
+  const isLight = options.entityId.startsWith("light.");
+  const lines = [
+    ...header(schedule, events, options, "#"),
+    `# ${engineText(options.lang, "controller.esphome", { zone: schedule.timeZone })}`,
+    "on_time:",
+  ];
+  for (const ev of events) {
+    const p = localParts(ev.fadeAt, schedule.timeZone);
+    const action = `${isLight ? "light" : "switch"}.turn_${ev.isLight ? "on" : "off"}`;
+    lines.push(
+      `  - seconds: 0  # ${p.text} ${ev.isLight ? "ON" : "OFF"}${rampNote(ev, options.lang)}`,
+      `    minutes: ${p.minute}`,
+      `    hours: ${p.hour}`,
+      `    days_of_month: ${p.day}`,
+      `    months: ${p.month}`,
+      "    then:",
+    );
+    if (isLight && ev.rampMinutes > 0) {
+      lines.push(`      - ${action}:`, `          id: ${id}`, `          transition_length: ${ev.rampMinutes}min`);
+    } else {
+      lines.push(`      - ${action}: ${id}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Berry: tasmota.add_cron con segundos, minuto, hora, día y mes
+function toTasmota(schedule, events, options) {
+  const lines = [
+    ...header(schedule, events, options, "#"),
+    `# ${engineText(options.lang, "controller.tasmota")}`,
+    `# ${engineText(options.lang, "controller.tasmotaZone", { zone: schedule.timeZone })}`,
+    "tasmota.remove_cron(\"fotoperiodo\")",
+    "def programar(cron, encender)",
+    "  tasmota.add_cron(cron, def () tasmota.set_power(0, encender) end, \"fotoperiodo\")",
+    "end",
+  ];
+  for (const ev of events) {
+    const { minute, hour, day, month, text } = ev.local;
+    lines.push(`programar("0 ${minute} ${hour} ${day} ${month} *", ${ev.isLight ? "true" : "false"})  # ${text} ${ev.isLight ? "ON" : "OFF"}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+const BUILDERS = {
+  csv: toCsv,
+  json: toJson,
+  crontab: toCrontab,
+  homeassistant: toHomeAssistant,
+  esphome: toEsphome,
+  tasmota: toTasmota,
+};
+
+/**
+ * @param {string} format - id de CONTROLLER_FORMATS
+ * @param {object} schedule - ver createSchedule
+ * @param {{ from: Date, days: number, name?: string, entityId?: string, onCommand?: string, offCommand?: string, lang?: string }} options
+ * @returns {string}
+ */
+export function buildControllerExport(format, schedule, options) {
+  const build = BUILDERS[format];
+  if (!build) throw new Error(`Formato de controlador desconocido: ${format}`);
+  const opts = { ...DEFAULT_CONTROLLER_OPTIONS, ...options };
+  const events = controllerEvents(schedule, opts);
+  return build(schedule, events, opts);
+}
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import { createSchedule, transitionsBetween } from "./photoperiod";
+import { buildControllerExport, controllerEvents } from "./controllers";
+import { phase } from "./testPhases";
+
+const from = new Date("2024-01-01T00:00:00Z");
+
+describe("controllerEvents", () => {
+  it("uses the same transitions as the next-event computation", () => {
+    const schedule = createSchedule({ startDate: "2024-01-01T07:30", phases: [phase(13, 14)], timeZone: "UTC" });
+    const events = controllerEvents(schedule, { from, days: 2 });
+    const expected = transitionsBetween(schedule, from, new Date("2024-01-03T00:00:00Z"));
+    expect(events.map((e) => [e.at.toISOString(), e.isLight])).toEqual(expected.map((t) => [t.date.toISOString(), t.isLight]));
+    expect(events[0].local.text).toBe("2024-01-01 07:30");
+  });
+
+  it("starts the fade-out before an OFF with a down ramp", () => {
+    const schedule = createSchedule({
+      startDate: "2024-01-01T06:00", timeZone: "UTC",
+      phases: [phase(12, 12, { ramp: { up: 30, down: 45, curve: "sigmoid" } })],
+    });
+    const [on, off] = controllerEvents(schedule, { from, days: 1 });
+    expect(on.fadeAt.toISOString()).toBe("2024-01-01T06:00:00.000Z");
+    expect(off.at.toISOString()).toBe("2024-01-01T18:00:00.000Z");
+    expect(off.fadeAt.toISOString()).toBe("2024-01-01T17:15:00.000Z");
+    expect(off.curve).toBe("sigmoid");
+  });
+});
+
+describe("buildControllerExport", () => {
+  const schedule = createSchedule({ startDate: "2024-07-01T07:30", phases: [phase(13, 14)], timeZone: "Europe/Madrid" });
+  const options = { from: new Date("2024-07-01T00:00:00Z"), days: 3, name: "Carpa 1" };
+
+  it("writes a CSV with UTC and local timestamps", () => {
+    const lines = buildControllerExport("csv", schedule, options).trim().split("\n");
+    expect(lines[0]).toBe("timestamp_utc,local_time,state,phase,ramp_minutes,ramp_curve,fade_start");
+    expect(lines[1]).toBe("2024-07-01T05:30:00.000Z,2024-07-01T07:30:00+02:00,ON,Flora,0,,2024-07-01T07:30:00+02:00");
+    expect(lines).toHaveLength(1 + 5);
+  });
+
+  it("writes JSON with the initial state", () => {
+    const json = JSON.parse(buildControllerExport("json", schedule, options));
+    expect(json.initialState).toBe("OFF");
+    expect(json.timeZone).toBe("Europe/Madrid");
+    expect(json.events[1]).toMatchObject({ at: "2024-07-01T18:30:00.000Z", state: "OFF", ramp: null });
+  });
+
+  it("writes one crontab line per change in the schedule time zone", () => {
+    const cron = buildControllerExport("crontab", schedule, { ...options, onCommand: "on.sh", offCommand: "off.sh" });
+    expect(cron).toContain("CRON_TZ=Europe/Madrid");
+    expect(cron).toContain("30 7 1 7 * on.sh");
+    expect(cron).toContain("30 20 1 7 * off.sh");
+    expect(cron).toContain("30 10 2 7 * on.sh");
+  });
+
+  it("writes Home Assistant triggers with ramp transitions for lights", () => {
+    const ramped = createSchedule({
+      startDate: "2024-07-01T07:30", timeZone: "Europe/Madrid",
+      phases: [phase(13, 14, { ramp: { up: 20, down: 0, curve: "linear" } })],
+    });
+    const yaml = buildControllerExport("homeassistant", ramped, options);
+    expect(yaml).toContain("- id: fotoperiodo_carpa_1");
+    expect(yaml).toContain(`{{ ${Date.parse("2024-07-01T05:30:00Z") / 1000} <= as_timestamp(now())`);
+    expect(yaml).toContain("service: light.turn_on");
+    expect(yaml).toContain("transition: 1200");
+    expect(buildControllerExport("homeassistant", ramped, { ...options, entityId: "switch.carpa" })).toContain("homeassistant.turn_on");
+  });
+
+  it("writes ESPHome on_time entries and a Tasmota Berry script", () => {
+    const esphome = buildControllerExport("esphome", schedule, { ...options, entityId: "switch.rele" });
+    expect(esphome).toMatch(/minutes: 30\n {4}hours: 20\n {4}days_of_month: 1\n {4}months: 7/);
+    expect(esphome).toContain("- switch.turn_off: rele");
+    const berry = buildControllerExport("tasmota", schedule, options);
+    expect(berry).toContain('programar("0 30 7 1 7 *", true)');
+    expect(berry).toContain('programar("0 30 20 1 7 *", false)');
+  });
+
+  it("translates the comments but not the data", () => {
+    const cron = buildControllerExport("crontab", schedule, { ...options, lang: "en" });
+    expect(cron).toContain("# Photoperiod — Carpa 1: 5 switches over 3 days from 2024-07-01 02:00 (Europe/Madrid)");
+    expect(cron).toContain("# 2024-07-01 07:30 ON");
+    expect(buildControllerExport("csv", schedule, { ...options, lang: "en" })).toBe(buildControllerExport("csv", schedule, options));
+  });
+
+  it("rejects unknown formats", () => {
+    expect(() => buildControllerExport("x10", schedule, options)).toThrow(/desconocido/);
+  });
+});
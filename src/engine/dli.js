@@ -0,0 +1,91 @@
+/**
+ * dli.js — Integral de luz diaria (DLI) a partir del PPFD (sin React ni DOM)
+ * - DLI (mol/m²/día) = PPFD (µmol/m²/s) × segundos de luz / 1 000 000
+ * - PPFD a nivel de canopia: uno general y, opcionalmente, uno por fase
+ * - Las rampas de cada fase (ver photoperiod.js) escalan el PPFD según la
+ *   intensidad de salida
+ * - DLI por día de calendario (24 h de pared) y por ciclo del superciclo
+ */
+
+import { MS_PER_HOUR, hoursSinceStart, outputBetweenHours } from "./photoperiod.js";
+
+// µmol/m²/s durante una hora → mol/m²
+export const PPFD_HOUR_TO_MOL = 3600 / 1e6;
+
+export const DEFAULT_LIGHT = { ppfd: 600, dliMin: null, dliMax: null };
+
+function numberOrNull(value, min = 0, max = Infinity) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : null;
+}
+
+/** Ajustes de luz guardados → { ppfd, dliMin, dliMax } */
+export function lightFromObject(obj) {
+  if (!obj || typeof obj !== "object") return { ...DEFAULT_LIGHT };
+  return {
+    ppfd: numberOrNull(obj.ppfd, 0, 5000) ?? DEFAULT_LIGHT.ppfd,
+    dliMin: numberOrNull(obj.dliMin, 0, 200),
+    dliMax: numberOrNull(obj.dliMax, 0, 200),
+  };
+}
+
+export function phasePpfd(phase, light) {
+  const own = numberOrNull(phase.ppfd, 0, 5000);
+  return own ?? light.ppfd;
+}
+
+export function dliFromPpfd(ppfd, lightHours) {
+  return ppfd * lightHours * PPFD_HOUR_TO_MOL;
+}
+
+/**
+ * mol/m² recibidos entre dos puntos (horas desde el inicio). Antes del
+ * inicio se extrapola la primera fase, igual que el calendario.
+ * @returns {{ dli: number, lightHours: number }}
+ */
+export function lightIntegralBetweenHours(timeline, light, from, to) {
+  const { weighted, lightHours } = outputBetweenHours(timeline, from, to, (seg) => phasePpfd(seg.phase, light));
+  return { dli: weighted * PPFD_HOUR_TO_MOL, lightHours };
+}
+
+/** DLI de cada día de calendarDays (o fila de buildCalendar), de medianoche a medianoche local */
+export function dliPerCalendarDay(schedule, days, light) {
+  return days.map((day) => {
+    const from = hoursSinceStart(schedule, day.date);
+    const to = hoursSinceStart(schedule, new Date(day.date.getTime() + day.hoursInDay * MS_PER_HOUR));
+    return lightIntegralBetweenHours(schedule.timeline, light, from, to).dli;
+  });
+}
+
+/**
+ * DLI de cada ciclo completo o parcial dentro de los primeros `durationDays`.
+ * Útil cuando el ciclo no dura 24 h (p. ej. 13/14): el DLI "por día" oscila.
+ * @returns {{ index: number, phaseName: string, start: number, cycleLength: number, dli: number }[]}
+ */
+export function dliPerCycle(schedule, durationDays, light, limit = 5000) {
+  const end = durationDays * 24;
+  const out = [];
+  for (const seg of schedule.timeline) {
+    if (seg.start >= end) break;
+    for (let t = seg.start; t < Math.min(seg.end, end) && out.length < limit; t += seg.cycleLength) {
+      const cycleEnd = Math.min(t + seg.cycleLength, seg.end);
+      out.push({
+        index: out.length,
+        phaseName: seg.phase.name,
+        start: t,
+        cycleLength: cycleEnd - t,
+        dli: lightIntegralBetweenHours(schedule.timeline, light, t, cycleEnd).dli,
+      });
+    }
+  }
+  return out;
+}
+
+/** "low" | "high" | "ok" frente al rango objetivo; null si no hay objetivo */
+export function dliStatus(dli, light) {
+  if (light.dliMin === null && light.dliMax === null) return null;
+  if (light.dliMin !== null && dli < light.dliMin - 1e-9) return "low";
+  if (light.dliMax !== null && dli > light.dliMax + 1e-9) return "high";
+  return "ok";
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { calendarDays, createSchedule } from "./photoperiod";
+import { dliPerCalendarDay, dliPerCycle, dliStatus, lightFromObject, lightIntegralBetweenHours } from "./dli";
+import { phase } from "./testPhases";
+
+const schedule = createSchedule({
+  startDate: "2024-01-01T06:00",
+  phases: [
+    phase(18, 6, { name: "Vege", length: 2 }),
+    phase(12, 12, { ppfd: 900 }),
+  ],
+  timeZone: "UTC",
+});
+
+describe("lightIntegralBetweenHours", () => {
+  it("multiplies PPFD by the light seconds", () => {
+    const light = lightFromObject({ ppfd: 500 });
+    // 18 h × 500 µmol/m²/s = 32.4 mol/m²
+    expect(lightIntegralBetweenHours(schedule.timeline, light, 0, 24).dli).toBeCloseTo(32.4, 9);
+    // Flora usa su propio PPFD
+    expect(lightIntegralBetweenHours(schedule.timeline, light, 48, 72).dli).toBeCloseTo(900 * 12 * 0.0036, 9);
+  });
+
+  it("scales PPFD by the phase ramps", () => {
+    const ramped = createSchedule({
+      startDate: "2024-01-01T06:00",
+      phases: [phase(18, 6, { name: "Vege", ramp: { up: 60, down: 60, curve: "linear" } })],
+      timeZone: "UTC",
+    });
+    const light = lightFromObject({ ppfd: 500 });
+    // 18 h con rampas de 1 h a cada lado = 17 h equivalentes
+    expect(lightIntegralBetweenHours(ramped.timeline, light, 0, 24).dli).toBeCloseTo(500 * 17 * 0.0036, 9);
+    // Primera media hora de la rampa: 0.5² / 2 = 0.125 h equivalentes
+    expect(lightIntegralBetweenHours(ramped.timeline, light, 0, 0.5).dli).toBeCloseTo(500 * 0.125 * 0.0036, 9);
+  });
+});
+
+describe("per day and per cycle", () => {
+  const light = lightFromObject({ ppfd: 500, dliMin: 30, dliMax: 40 });
+
+  it("sums each calendar day from local midnight", () => {
+    const days = dliPerCalendarDay(schedule, calendarDays(schedule, 3), light);
+    // Día 1 y 2: luz de 06:00 a 24:00 (18 h de Vege)
+    expect(days[0]).toBeCloseTo(500 * 18 * 0.0036, 9);
+    expect(days[1]).toBeCloseTo(500 * 18 * 0.0036, 9);
+    // Día 3: 00:00–06:00 oscuridad de Vege; Flora desde 06:00 con 12 h a 900
+    expect(days[2]).toBeCloseTo(900 * 12 * 0.0036, 9);
+  });
+
+  it("lists cycles with their phase", () => {
+    const cycles = dliPerCycle(schedule, 3, light);
+    expect(cycles.map((c) => c.phaseName)).toEqual(["Vege", "Vege", "Flora"]);
+    expect(cycles[2].dli).toBeCloseTo(38.88, 9);
+  });
+
+  it("flags values outside the target range", () => {
+    expect(dliStatus(25, light)).toBe("low");
+    expect(dliStatus(35, light)).toBe("ok");
+    expect(dliStatus(45, light)).toBe("high");
+    expect(dliStatus(45, lightFromObject({}))).toBeNull();
+  });
+});
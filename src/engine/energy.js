@@ -0,0 +1,206 @@
+/**
+ * energy.js — Consumo eléctrico y costo de las luminarias (sin React ni DOM)
+ * - Luminarias: { name, watts, count, dimming (%) }; consumen solo con la luz
+ *   ON y, durante las rampas de la fase, en proporción a la intensidad
+ * - Tarifa: precio base por kWh y franjas horarias opcionales
+ *   ({ start: "HH:MM", end: "HH:MM", price }) en la hora local del esquema;
+ *   una franja puede cruzar la medianoche (22:00–06:00)
+ * - Referencia: otro esquema ON/OFF (12/12, 18/6 o a medida) contra el que
+ *   se compara el gasto en el mismo período
+ */
+
+import { MS_PER_HOUR, createSchedule, dateAtHours, hoursSinceStart, lightProfileBetweenHours, outputBetweenHours } from "./photoperiod.js";
+import { wallMsOf, wallMsToDate } from "./timezone.js";
+
+const MS_PER_MINUTE = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_RE = /^(\d{1,2}):(\d{2})$/;
+
+export const BASELINE_PRESETS = {
+  "12/12": { hoursLight: 12, hoursDark: 12 },
+  "18/6": { hoursLight: 18, hoursDark: 6 },
+};
+
+export const DEFAULT_FIXTURE = { name: "LED", watts: 240, count: 1, dimming: 100 };
+export const DEFAULT_TARIFF = { currency: "$", pricePerKwh: 0, bands: [] };
+export const DEFAULT_BASELINE = { preset: "12/12", ...BASELINE_PRESETS["12/12"] };
+
+function finiteOr(value, fallback, min = 0, max = Infinity) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+/* ---------- Normalización (datos guardados / formularios) ---------- */
+export function fixturesFromObject(list) {
+  if (!Array.isArray(list)) return [];
+  return list.filter((f) => f && typeof f === "object").map((f) => ({
+    name: f.name ? String(f.name) : DEFAULT_FIXTURE.name,
+    watts: finiteOr(f.watts, 0),
+    count: Math.round(finiteOr(f.count, 1)),
+    dimming: finiteOr(f.dimming, 100, 0, 100),
+  }));
+}
+
+export function tariffFromObject(obj) {
+  if (!obj || typeof obj !== "object") return { ...DEFAULT_TARIFF };
+  const bands = Array.isArray(obj.bands)
+    ? obj.bands
+      .filter((b) => b && TIME_RE.test(b.start) && TIME_RE.test(b.end))
+      .map((b) => ({ name: b.name ? String(b.name) : "", start: b.start, end: b.end, price: finiteOr(b.price, 0) }))
+    : [];
+  return {
+    currency: obj.currency ? String(obj.currency) : DEFAULT_TARIFF.currency,
+    pricePerKwh: finiteOr(obj.pricePerKwh, 0),
+    bands,
+  };
+}
+
+export function baselineFromObject(obj) {
+  if (obj && BASELINE_PRESETS[obj.preset]) return { preset: obj.preset, ...BASELINE_PRESETS[obj.preset] };
+  const hoursLight = finiteOr(obj?.hoursLight, NaN);
+  const hoursDark = finiteOr(obj?.hoursDark, NaN);
+  if (obj?.preset === "custom" && hoursLight + hoursDark > 0) return { preset: "custom", hoursLight, hoursDark };
+  return { ...DEFAULT_BASELINE };
+}
+
+/* ---------- Potencia y tarifa ---------- */
+// Potencia total con la luz encendida, en kW
+export function fixturesKw(fixtures) {
+  return fixtures.reduce((sum, f) => sum + (f.watts * f.count * f.dimming) / 100, 0) / 1000;
+}
+
+// NaN si la hora está incompleta (p. ej. mientras se edita el campo)
+function toMinutes(hhmm) {
+  const match = TIME_RE.exec(hhmm || "");
+  return match ? (Number(match[1]) % 24) * 60 + Number(match[2]) : NaN;
+}
+
+function bandContains(band, minute) {
+  const start = toMinutes(band.start);
+  const end = toMinutes(band.end);
+  if (Number.isNaN(start) || Number.isNaN(end)) return false;
+  if (start === end) return true; // franja de 24 h
+  return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+// Precio vigente a un minuto del día (la primera franja que lo contiene gana)
+export function priceAtMinute(tariff, minute) {
+  const band = tariff.bands.find((b) => bandContains(b, minute));
+  return band ? band.price : tariff.pricePerKwh;
+}
+
+// Minutos del día donde puede cambiar el precio, ordenados y con 1440 al final
+function bandEdges(tariff) {
+  const edges = new Set([MINUTES_PER_DAY]);
+  for (const b of tariff.bands) {
+    for (const edge of [toMinutes(b.start), toMinutes(b.end)]) {
+      if (!Number.isNaN(edge)) edges.add(edge);
+    }
+  }
+  edges.delete(0);
+  return [...edges].sort((a, b) => a - b);
+}
+
+/* ---------- Consumo ---------- */
+// Hora de pared (ms "como si fuera UTC") a `t` horas del inicio y viceversa.
+// En modo wallclock la relación es directa; en elapsed se prueba primero con
+// el desfase conocido y solo se resuelve el cambio de horario si no coincide.
+function wallAtHours(schedule, t) {
+  if (schedule.clockMode === "wallclock") return schedule.startWallMs + t * MS_PER_HOUR;
+  return wallMsOf(dateAtHours(schedule, t), schedule.timeZone);
+}
+
+function hoursAtWall(schedule, wall, from, fromWall) {
+  if (schedule.clockMode === "wallclock") return (wall - schedule.startWallMs) / MS_PER_HOUR;
+  const offset = fromWall - dateAtHours(schedule, from).getTime();
+  let date = new Date(wall - offset);
+  if (wallMsOf(date, schedule.timeZone) !== wall) date = wallMsToDate(wall, schedule.timeZone);
+  return hoursSinceStart(schedule, date);
+}
+
+/**
+ * Horas de luz, kWh y costo entre dos puntos (horas desde el inicio).
+ * Cada tramo encendido se corta en los bordes de las franjas, medidos en la
+ * hora local del esquema; las rampas cuentan por su salida real.
+ * @returns {{ lightHours: number, kWh: number, cost: number }}
+ */
+export function usageBetweenHours(schedule, { kW, tariff }, from, to) {
+  if (!(to > from)) return { lightHours: 0, kWh: 0, cost: 0 };
+  const { segments } = lightProfileBetweenHours(schedule.timeline, from, to);
+  const { lightHours, outputHours } = outputBetweenHours(schedule.timeline, from, to);
+  const output = (a, b) => outputBetweenHours(schedule.timeline, a, b).outputHours;
+  const edges = bandEdges(tariff);
+  const flat = tariff.bands.length === 0;
+  let cost = 0;
+
+  if (flat) return { lightHours, kWh: kW * outputHours, cost: kW * outputHours * tariff.pricePerKwh };
+
+  for (const seg of segments) {
+    if (!seg.isLight) continue;
+    let t = seg.from;
+    while (t < seg.to) {
+      const wall = wallAtHours(schedule, t);
+      const dayStart = Math.floor(wall / (MINUTES_PER_DAY * MS_PER_MINUTE)) * MINUTES_PER_DAY * MS_PER_MINUTE;
+      const minute = (wall - dayStart) / MS_PER_MINUTE + 1e-6;
+      const edge = edges.find((e) => e > minute);
+      const edgeHours = hoursAtWall(schedule, dayStart + edge * MS_PER_MINUTE, t, wall);
+      // Si la hora del borde no existe (cambio de horario) se avanza al menos un minuto
+      const next = Math.min(seg.to, Math.max(edgeHours, t + MS_PER_MINUTE / MS_PER_HOUR));
+      cost += kW * output(t, next) * priceAtMinute(tariff, Math.floor(minute));
+      t = next;
+    }
+  }
+  return { lightHours, kWh: kW * outputHours, cost };
+}
+
+/** Mismo inicio, zona y modo de reloj, con una única fase ON/OFF de referencia */
+export function baselineSchedule(schedule, baseline) {
+  return createSchedule({
+    startDate: schedule.startDate,
+    phases: [{ name: "Referencia", hoursLight: baseline.hoursLight, hoursDark: baseline.hoursDark, length: 0, unit: "days" }],
+    timeZone: schedule.timeZone,
+    clockMode: schedule.clockMode,
+  });
+}
+
+/**
+ * Consumo desde el inicio (o desde `fromHours`) hasta `untilHours`, propio y
+ * de la referencia. `savings` es positivo cuando el esquema gasta menos que
+ * la referencia.
+ */
+export function energyComparison(schedule, { fixtures, tariff, baseline }, untilHours, fromHours = 0) {
+  const opts = { kW: fixturesKw(fixtures), tariff };
+  const from = Math.max(0, fromHours);
+  const until = Math.max(from, untilHours);
+  const actual = usageBetweenHours(schedule, opts, from, until);
+  const reference = usageBetweenHours(baselineSchedule(schedule, baseline), opts, from, until);
+  return {
+    actual,
+    baseline: reference,
+    savings: {
+      lightHours: reference.lightHours - actual.lightHours,
+      kWh: reference.kWh - actual.kWh,
+      cost: reference.cost - actual.cost,
+    },
+  };
+}
+
+/**
+ * Suma de las comparaciones de dos tramos seguidos: lo "hasta ahora" se arma
+ * con los días cerrados (cambian una vez por día) más lo que va del día.
+ */
+export function addComparisons(a, b) {
+  const add = (x, y) => ({ lightHours: x.lightHours + y.lightHours, kWh: x.kWh + y.kWh, cost: x.cost + y.cost });
+  return { actual: add(a.actual, b.actual), baseline: add(a.baseline, b.baseline), savings: add(a.savings, b.savings) };
+}
+
+/** Comparación hasta `now` (sin pasar el final) y proyectada a `durationDays` */
+export function energySummary(schedule, { fixtures, tariff, baseline, durationDays, now }) {
+  const end = durationDays * 24;
+  const opts = { fixtures, tariff, baseline };
+  return {
+    kW: fixturesKw(fixtures),
+    soFar: energyComparison(schedule, opts, Math.min(end, hoursSinceStart(schedule, now))),
+    projected: energyComparison(schedule, opts, end),
+  };
+}
@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import { createSchedule } from "./photoperiod";
+import { addComparisons, baselineFromObject, energyComparison, energySummary, fixturesKw, priceAtMinute, tariffFromObject, usageBetweenHours } from "./energy";
+import { phase } from "./testPhases";
+
+const schedule = createSchedule({
+  startDate: "2024-01-01T06:00",
+  phases: [phase(18, 6, { name: "Vege" })],
+  timeZone: "UTC",
+});
+const fixtures = [{ name: "LED", watts: 500, count: 2, dimming: 50 }];
+
+describe("fixturesKw", () => {
+  it("applies count and dimming", () => {
+    expect(fixturesKw(fixtures)).toBe(0.5);
+  });
+});
+
+describe("tariff bands", () => {
+  const tariff = tariffFromObject({ pricePerKwh: 10, bands: [{ start: "22:00", end: "06:00", price: 4 }, { start: "18:00", end: "22:00", price: 20 }] });
+
+  it("wraps bands across midnight", () => {
+    expect(priceAtMinute(tariff, 23 * 60)).toBe(4);
+    expect(priceAtMinute(tariff, 5 * 60)).toBe(4);
+    expect(priceAtMinute(tariff, 19 * 60)).toBe(20);
+    expect(priceAtMinute(tariff, 12 * 60)).toBe(10);
+  });
+
+  it("splits each ON stretch at the band edges", () => {
+    // ON 06:00–24:00: 12 h a 10 + 4 h a 20 + 2 h a 4
+    const usage = usageBetweenHours(schedule, { kW: 1, tariff }, 0, 24);
+    expect(usage.lightHours).toBe(18);
+    expect(usage.kWh).toBe(18);
+    expect(usage.cost).toBeCloseTo(12 * 10 + 4 * 20 + 2 * 4, 6);
+  });
+});
+
+describe("energySummary", () => {
+  it("compares against the chosen baseline so far and for the whole period", () => {
+    const summary = energySummary(schedule, {
+      fixtures,
+      tariff: tariffFromObject({ pricePerKwh: 100 }),
+      baseline: baselineFromObject({ preset: "12/12" }),
+      durationDays: 10,
+      now: new Date("2024-01-02T06:00:00Z"),
+    });
+    expect(summary.soFar.actual).toEqual({ lightHours: 18, kWh: 9, cost: 900 });
+    expect(summary.projected.actual.kWh).toBe(90);
+    expect(summary.projected.baseline.kWh).toBe(60);
+    expect(summary.projected.savings.cost).toBeCloseTo(-3000, 6);
+  });
+
+  it("adds up closed days and the current day to the same total", () => {
+    const opts = { fixtures, tariff: tariffFromObject({ pricePerKwh: 10, bands: [{ start: "23:00", end: "06:00", price: 4 }] }), baseline: baselineFromObject({ preset: "12/12" }) };
+    const total = energyComparison(schedule, opts, 60);
+    const split = addComparisons(energyComparison(schedule, opts, 48), energyComparison(schedule, opts, 60, 48));
+    expect(split.actual.kWh).toBeCloseTo(total.actual.kWh, 9);
+    expect(split.actual.cost).toBeCloseTo(total.actual.cost, 9);
+    expect(split.savings.cost).toBeCloseTo(total.savings.cost, 9);
+  });
+
+  it("bills ramps by their partial output", () => {
+    const ramped = createSchedule({
+      startDate: "2024-01-01T06:00",
+      phases: [phase(18, 6, { name: "Vege", ramp: { up: 60, down: 60, curve: "linear" } })],
+      timeZone: "UTC",
+    });
+    const usage = usageBetweenHours(ramped, { kW: 1, tariff: tariffFromObject({ pricePerKwh: 10, bands: [{ start: "23:00", end: "06:00", price: 4 }] }) }, 0, 24);
+    expect(usage.lightHours).toBe(18);
+    expect(usage.kWh).toBeCloseTo(17, 9);
+    // 06:00–23:00 (16.5 h equivalentes con la rampa de subida) a 10; 23:00–24:00 (rampa de bajada, 0.5 h) a 4
+    expect(usage.cost).toBeCloseTo(16.5 * 10 + 0.5 * 4, 9);
+  });
+
+  it("accepts a custom baseline and falls back to 12/12 when it is invalid", () => {
+    expect(baselineFromObject({ preset: "custom", hoursLight: 20, hoursDark: 4 })).toEqual({ preset: "custom", hoursLight: 20, hoursDark: 4 });
+    expect(baselineFromObject({ preset: "custom", hoursLight: 0, hoursDark: 0 }).preset).toBe("12/12");
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * ics.js — Exporta los encendidos/apagados como calendario iCalendar (RFC 5545)
+ * - Un VEVENT por transición, usando la misma lógica que "Próximo evento"
+ * - Horas en UTC (sufijo Z): el teléfono las muestra en su hora local sin
+ *   depender de un VTIMEZONE; X-WR-TIMEZONE indica la zona del esquema
+ * - VALARM opcional N minutos antes de cada cambio
+ * - Si la fase tiene rampa, la descripción indica duración y curva del dimmer
+ * - Títulos y descripciones en el idioma elegido (`lang`, ver locale.js)
+ */
+
+import { calendarEnd, stateAt, transitionsBetween } from "./photoperiod.js";
+import { engineText, formatNumber } from "./locale.js";
+
+const EVENT_MINUTES = 1;
+
+function pad(n) { return n.toString().padStart(2, "0"); }
+
+export function formatIcsDate(date) {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+export function escapeIcsText(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Líneas de más de 75 octetos se pliegan con CRLF + espacio
+export function foldIcsLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const chSize = new TextEncoder().encode(ch).length;
+    if (size + chSize > (out.length === 0 ? 75 : 74)) {
+      out.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += chSize;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+/**
+ * Eventos ON/OFF desde el inicio hasta el final del calendario de
+ * `durationDays` días (medianoche local, como la grilla; no N × 24 h).
+ * Incluye el estado inicial en el instante de inicio.
+ */
+export function scheduleEvents(schedule, durationDays) {
+  const from = schedule.startDate;
+  const to = calendarEnd(schedule, durationDays);
+  const initial = stateAt(schedule, from);
+  return [
+    { date: from, isLight: initial.isLight, phase: initial.phase, phaseIndex: initial.phaseIndex },
+    ...transitionsBetween(schedule, from, to).filter((tr) => tr.date.getTime() < to.getTime()),
+  ];
+}
+
+// "rampa ↗ 30 min lineal (0→100%)" para el encendido, "↘" para el apagado
+export function rampDescription(phase, isLight, lang) {
+  const minutes = isLight ? phase?.ramp?.up : phase?.ramp?.down;
+  if (!(minutes > 0)) return "";
+  const curve = engineText(lang, phase.ramp.curve === "sigmoid" ? "curve.sigmoid" : "curve.linear");
+  return engineText(lang, isLight ? "ramp.up" : "ramp.down", { minutes, curve });
+}
+
+function formatHours(value, lang) {
+  return Number.isFinite(Number(value)) ? formatNumber(lang, Number(value), { maximumFractionDigits: 2 }) : "?";
+}
+
+/**
+ * @param {object} schedule - ver createSchedule
+ * @param {{ durationDays: number, alarmMinutes?: number, calendarName?: string, now?: Date, lang?: string }} options
+ * @returns {string} contenido .ics con saltos CRLF
+ */
+export function buildIcs(schedule, { durationDays, alarmMinutes = 0, calendarName, now = new Date(), lang }) {
+  const stamp = formatIcsDate(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Fotoperiodo//SuperCiclo//ES",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(calendarName ?? engineText(lang, "app.name"))}`,
+    `X-WR-TIMEZONE:${schedule.timeZone}`,
+  ];
+  for (const ev of scheduleEvents(schedule, durationDays)) {
+    const action = engineText(lang, ev.isLight ? "state.on" : "state.off");
+    const summary = engineText(lang, "ics.summary", { icon: ev.isLight ? "🔆 ON" : "🌙 OFF", action });
+    const end = new Date(ev.date.getTime() + EVENT_MINUTES * 60000);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${ev.date.getTime()}-${ev.isLight ? "on" : "off"}@fotoperiodo`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(ev.date)}`,
+      `DTEND:${formatIcsDate(end)}`,
+      `SUMMARY:${escapeIcsText(summary)}`,
+      `DESCRIPTION:${escapeIcsText([
+        `${ev.phase?.name ?? ""} (${formatHours(ev.phase?.hoursLight, lang)}/${formatHours(ev.phase?.hoursDark, lang)})`,
+        rampDescription(ev.phase, ev.isLight, lang),
+      ].filter(Boolean).join(" · "))}`,
+      "TRANSP:TRANSPARENT",
+    );
+    if (Number(alarmMinutes) > 0) {
+      lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `TRIGGER:-PT${Math.round(Number(alarmMinutes))}M`,
+        `DESCRIPTION:${escapeIcsText(engineText(lang, "ics.alarm", { action, minutes: Math.round(Number(alarmMinutes)) }))}`,
+        "END:VALARM",
+      );
+    }
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { calendarEnd, createSchedule } from "./photoperiod";
+import { buildIcs, foldIcsLine, scheduleEvents } from "./ics";
+import { phase } from "./testPhases";
+
+
+describe("scheduleEvents", () => {
+  it("starts with the initial state and covers durationDays", () => {
+    const schedule = createSchedule({ startDate: "2024-01-01T07:30", phases: [phase(13, 14)], timeZone: "UTC" });
+    const events = scheduleEvents(schedule, 2);
+    expect(events.map((e) => [e.date.toISOString(), e.isLight])).toEqual([
+      ["2024-01-01T07:30:00.000Z", true],
+      ["2024-01-01T20:30:00.000Z", false],
+      ["2024-01-02T10:30:00.000Z", true],
+      ["2024-01-02T23:30:00.000Z", false],
+    ]);
+  });
+
+  it("ends at the local midnight that closes the calendar across a DST change", () => {
+    // 27/10 en Madrid dura 25 h: el calendario de 2 días cierra a las 00:00 del 28 (23:00 UTC)
+    const schedule = createSchedule({ startDate: "2024-10-26T00:00", phases: [phase(12, 12)], timeZone: "Europe/Madrid", clockMode: "elapsed" });
+    const events = scheduleEvents(schedule, 2);
+    expect(events.map((e) => e.date.toISOString()).slice(-2)).toEqual(["2024-10-27T10:00:00.000Z", "2024-10-27T22:00:00.000Z"]);
+    expect(events.every((e) => e.date < calendarEnd(schedule, 2))).toBe(true);
+    expect(calendarEnd(schedule, 2).toISOString()).toBe("2024-10-27T23:00:00.000Z");
+  });
+});
+
+describe("buildIcs", () => {
+  const schedule = createSchedule({ startDate: "2024-07-01T07:30", phases: [phase(12, 12)], timeZone: "Europe/Madrid" });
+
+  it("writes UTC VEVENTs with CRLF line endings", () => {
+    const ics = buildIcs(schedule, { durationDays: 1, now: new Date("2024-06-01T00:00:00Z") });
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\n")).toBe(true);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(ics).toContain("DTSTART:20240701T053000Z");
+    expect(ics).toContain("DTSTART:20240701T173000Z");
+    expect(ics).toContain("X-WR-TIMEZONE:Europe/Madrid");
+    expect(ics).not.toContain("VALARM");
+  });
+
+  it("adds reminders when requested", () => {
+    const ics = buildIcs(schedule, { durationDays: 1, alarmMinutes: 15 });
+    expect(ics.match(/TRIGGER:-PT15M/g)).toHaveLength(2);
+  });
+
+  it("describes the dimming ramps", () => {
+    const ramped = createSchedule({
+      startDate: "2024-07-01T07:30",
+      phases: [phase(12, 12, { ramp: { up: 30, down: 0, curve: "sigmoid" } })],
+      timeZone: "UTC",
+    });
+    const ics = buildIcs(ramped, { durationDays: 1 }).replace(/\r\n /g, "");
+    expect(ics).toContain("DESCRIPTION:Flora (12/12) · rampa ↗ 30 min sigmoide (0→100%)");
+    expect(ics).toContain("DESCRIPTION:Flora (12/12)\r\n");
+  });
+
+  it("writes the texts in the chosen language", () => {
+    const half = createSchedule({ startDate: "2024-07-01T07:30", phases: [phase(12.5, 11.5)], timeZone: "UTC" });
+    const en = buildIcs(half, { durationDays: 1, alarmMinutes: 5, lang: "en" }).replace(/\r\n /g, "");
+    expect(en).toContain("X-WR-CALNAME:Photoperiod");
+    expect(en).toContain("SUMMARY:🔆 ON — Lights on");
+    expect(en).toContain("DESCRIPTION:Flora (12.5/11.5)");
+    expect(en).toContain("DESCRIPTION:Lights off in 5 min");
+    const es = buildIcs(half, { durationDays: 1 }).replace(/\r\n /g, "");
+    expect(es).toContain("DESCRIPTION:Flora (12\\,5/11\\,5)");
+  });
+});
+
+describe("foldIcsLine", () => {
+  it("folds long lines at 75 octets", () => {
+    const folded = foldIcsLine(`DESCRIPTION:${"x".repeat(100)}`);
+    expect(folded.split("\r\n ")[0]).toHaveLength(75);
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * locale.js — Idiomas, formato de números/fechas y textos de los exports
+ * - Idiomas soportados: es (predeterminado) y en; "en-US" → "en"
+ * - Catálogos { idioma: { clave: texto } }: {nombre} se reemplaza por
+ *   params.nombre y un texto { one, other } elige según params.count.
+ *   Si falta una clave se usa el español y, si tampoco está, la clave
+ * - Los textos de los archivos que genera el motor (.ics, controladores,
+ *   calendario imprimible, avisos, errores del CSV importado) y los de la CLI
+ *   viven acá; los de la interfaz en src/i18n.js
+ * - Los datos para máquinas (CSV, JSON, YAML) no se traducen ni se formatean
+ */
+
+export const LANGUAGES = [
+  { id: "es", label: "Español", locale: "es" },
+  { id: "en", label: "English", locale: "en" },
+];
+export const DEFAULT_LANGUAGE = "es";
+
+export function normalizeLanguage(value) {
+  const base = String(value || "").toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES.some((l) => l.id === base) ? base : DEFAULT_LANGUAGE;
+}
+
+/** Etiqueta BCP 47 para Intl */
+export function localeFor(lang) {
+  const id = normalizeLanguage(lang);
+  return LANGUAGES.find((l) => l.id === id).locale;
+}
+
+export function interpolate(text, params = {}) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+/** Texto de `catalogs` para `key` en `lang`, con los params aplicados */
+export function lookup(catalogs, lang, key, params) {
+  const id = normalizeLanguage(lang);
+  let text = catalogs[id]?.[key] ?? catalogs[DEFAULT_LANGUAGE]?.[key];
+  if (text === undefined) return key;
+  if (typeof text === "object") text = params?.count === 1 ? text.one : text.other;
+  return interpolate(text, params);
+}
+
+// Los Intl.*Format son caros de crear: uno por idioma y opciones
+const formatters = new Map();
+function cached(kind, lang, options) {
+  const key = `${kind}|${lang}|${JSON.stringify(options)}`;
+  let formatter = formatters.get(key);
+  if (!formatter) {
+    formatter = kind === "number" ? new Intl.NumberFormat(localeFor(lang), options) : new Intl.DateTimeFormat(localeFor(lang), options);
+    formatters.set(key, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Número con el separador decimal del idioma.
+ * @param {number|object} options cantidad fija de decimales u opciones de Intl.NumberFormat
+ */
+export function formatNumber(lang, value, options = {}) {
+  const opts = typeof options === "number" ? { minimumFractionDigits: options, maximumFractionDigits: options } : options;
+  return cached("number", lang, opts).format(value);
+}
+
+/** Fecha/hora con las opciones de Intl.DateTimeFormat (incluida timeZone) */
+export function formatDateTime(lang, date, options = {}) {
+  return cached("date", lang, options).format(date);
+}
+
+/**
+ * Día y mes numéricos con dos dígitos en el orden del idioma: "01/05" (es),
+ * "05/01" (en). Intl no siempre respeta "2-digit" en estos campos.
+ */
+export function formatDayMonth(lang, year, month, day) {
+  return cached("date", lang, { day: "numeric", month: "numeric", timeZone: "UTC" })
+    .formatToParts(new Date(Date.UTC(year, month - 1, day)))
+    .map((part) => (part.type === "day" || part.type === "month" ? part.value.padStart(2, "0") : part.value))
+    .join("");
+}
+
+/** Nombres de los días de la semana, empezando por el domingo */
+export function weekdayNames(lang, width = "short") {
+  return Array.from({ length: 7 }, (_, i) => formatDateTime(lang, new Date(Date.UTC(2024, 0, 7 + i)), { weekday: width, timeZone: "UTC" }));
+}
+
+/** Nombres de los meses con mayúscula inicial ("Enero", "January") */
+export function monthNames(lang, width = "long") {
+  return Array.from({ length: 12 }, (_, i) => {
+    const name = formatDateTime(lang, new Date(Date.UTC(2024, i, 15)), { month: width, timeZone: "UTC" });
+    return name.charAt(0).toLocaleUpperCase(localeFor(lang)) + name.slice(1);
+  });
+}
+
+/* ---------- Textos de los exports ---------- */
+export const ENGINE_MESSAGES = {
+  es: {
+    "app.name": "Fotoperiodo",
+    "state.on": "Encendido",
+    "state.off": "Apagado",
+    "curve.linear": "lineal",
+    "curve.sigmoid": "sigmoide",
+    "alert.title": "{icon} {action} a las {time}",
+    "alert.body": "Faltan {minutes} min ({phase})",
+    "alert.bodyNow": "Ahora ({phase})",
+    "ics.summary": "{icon} — {action} de luces",
+    "ics.alarm": "{action} en {minutes} min",
+    "ramp.up": "rampa ↗ {minutes} min {curve} (0→100%)",
+    "ramp.down": "rampa ↘ {minutes} min {curve} antes del apagado (100→0%)",
+    "ramp.upShort": "rampa ↗ {minutes} min {curve}",
+    "ramp.downShort": "rampa ↘ {minutes} min {curve}",
+    "controller.header": "Fotoperiodo{name}: {count} cambios en {days} días desde {from} ({zone})",
+    "controller.initial": "Estado al inicio: {state}. Regenerar antes de que termine el período.",
+    "controller.cron": "Una línea por cambio; cron no admite rampas (el fundido lo hace el driver).",
+    "controller.homeassistant": "Pegar en automations.yaml (o en el editor YAML de una automatización nueva).",
+    "controller.growFallback": "Cultivo",
+    "controller.esphome": "Agregar dentro de un componente \"time\" (p. ej. platform: sntp con timezone: {zone}).",
+    "controller.tasmota": "Guardar como autoexec.be (Tasmota con Berry). Usa la hora local del equipo:",
+    "controller.tasmotaZone": "configurar Timezone/TimeStd/TimeDst para {zone}. Sin rampas (Relay).",
+    "print.day": "Día {day}",
+    "print.week": "Semana del {date} · días {from}–{to}",
+    "print.page": "p. {page}/{total}",
+    "print.start": "inicio",
+    "print.wallclock": "reloj local",
+    "print.cycles": "ciclos",
+    "print.days": "d",
+    "print.legend.light": "Luz",
+    "print.legend.dark": "Oscuridad",
+    "print.legend.ramp": "Rampa del dimmer",
+    "print.legend.skipped": "Hora inexistente (cambio de horario)",
+    "print.legend.switch": "HH:MM = cambio dentro de la hora",
+    "csv.badDate": "Fecha no reconocida: \"{value}\".",
+    "csv.badState": "Estado no reconocido: \"{value}\".",
+    "config.invalid": "Configuración inválida:",
+    "config.badJson": "\"{path}\" no es un JSON válido ({error}).",
+    "cli.usage": `Uso: fotoperiodo [config.json] [opciones]
+
+Esquema (pisan lo que diga config.json):
+  --start AAAA-MM-DDTHH:mm   Inicio, hora local de --tz
+  --on H --off H             Horas de luz y de oscuridad (una sola fase)
+  --days N                   Días del calendario y de los exports
+  --tz Zona/IANA             Zona horaria
+  --wallclock                El timer sigue el reloj local (cambios de horario)
+  --name TEXTO               Nombre del cultivo
+
+Salida:
+  --now FECHA                Instante a consultar (por defecto, ahora)
+  --next N                   Próximos cambios a listar (5)
+  --baseline L/D             Referencia del balance energético (12/12)
+  --calendar                 Calendario Día × Hora
+  --no-color                 Sin colores ANSI (también NO_COLOR=1)
+  --lang es|en               Idioma de los textos y de los exports (es)
+
+Exports ("-" = salida estándar):
+  --json ARCHIVO             Configuración, igual que "Exportar JSON"
+  --ics ARCHIVO              iCalendar, igual que "Exportar .ics"
+  --alarm MIN                Aviso en el .ics N minutos antes (0)
+  --csv ARCHIVO              Lista de ON/OFF (formato de controladores)
+`,
+    "cli.badFlag": "--{name} inválido: \"{value}\".",
+    "cli.badBaseline": "--baseline inválido: \"{value}\" (usar L/D, p. ej. 12/12).",
+    "cli.oneFile": "Se esperaba un solo archivo de configuración.",
+    "cli.warning": "Aviso: {text}",
+    "cli.written": "Escrito {path}",
+    "cli.defaultGrow": "Cultivo",
+    "cli.defaultPhase": "Fase {n}",
+    "cli.wallclock": "reloj local",
+    "cli.elapsed": "horas reales",
+    "cli.start": "Inicio:",
+    "cli.notStarted": " (todavía no empezó)",
+    "cli.now": "Ahora:",
+    "cli.superDays": "Días super ciclo:",
+    "cli.superDaysValue": "{days} (ciclos de {hours} h)",
+    "cli.balance": "Balance (vs {baseline}): {icon} {hours} h {text}",
+    "cli.balance.saving": "ahorro de luz",
+    "cli.balance.extra": "gasto extra de luz",
+    "cli.balance.neutral": "balance neutral",
+    "cli.upcoming": { "one": "Próximo cambio:", "other": "Próximos {count} cambios:" },
+    "cli.noUpcoming": "Sin cambios por delante.",
+    "cli.col.day": "Día",
+    "cli.col.date": "Fecha",
+    "cli.col.phase": "Fase",
+    "cli.col.light": "Luz",
+    "cli.legend": "█ luz  ▒ cambio o rampa  · oscuridad  ◆ ahora",
+  },
+  en: {
+    "app.name": "Photoperiod",
+    "state.on": "Lights on",
+    "state.off": "Lights off",
+    "curve.linear": "linear",
+    "curve.sigmoid": "sigmoid",
+    "alert.title": "{icon} {action} at {time}",
+    "alert.body": "In {minutes} min ({phase})",
+    "alert.bodyNow": "Now ({phase})",
+    "ics.summary": "{icon} — {action}",
+    "ics.alarm": "{action} in {minutes} min",
+    "ramp.up": "ramp ↗ {minutes} min {curve} (0→100%)",
+    "ramp.down": "ramp ↘ {minutes} min {curve} before lights off (100→0%)",
+    "ramp.upShort": "ramp ↗ {minutes} min {curve}",
+    "ramp.downShort": "ramp ↘ {minutes} min {curve}",
+    "controller.header": "Photoperiod{name}: {count} switches over {days} days from {from} ({zone})",
+    "controller.initial": "Initial state: {state}. Regenerate before the period ends.",
+    "controller.cron": "One line per switch; cron has no ramps (the driver does the fade).",
+    "controller.homeassistant": "Paste into automations.yaml (or the YAML editor of a new automation).",
+    "controller.growFallback": "Grow",
+    "controller.esphome": "Add inside a \"time\" component (e.g. platform: sntp with timezone: {zone}).",
+    "controller.tasmota": "Save as autoexec.be (Tasmota with Berry). Uses the device's local time:",
+    "controller.tasmotaZone": "set Timezone/TimeStd/TimeDst for {zone}. No ramps (Relay).",
+    "print.day": "Day {day}",
+    "print.week": "Week of {date} · days {from}–{to}",
+    "print.page": "p. {page}/{total}",
+    "print.start": "start",
+    "print.wallclock": "wall clock",
+    "print.cycles": "cycles",
+    "print.days": "d",
+    "print.legend.light": "Light",
+    "print.legend.dark": "Dark",
+    "print.legend.ramp": "Dimmer ramp",
+    "print.legend.skipped": "Nonexistent hour (DST change)",
+    "print.legend.switch": "HH:MM = switch within the hour",
+    "csv.badDate": "Unrecognized date: \"{value}\".",
+    "csv.badState": "Unrecognized state: \"{value}\".",
+    "config.invalid": "Invalid configuration:",
+    "config.badJson": "\"{path}\" is not valid JSON ({error}).",
+    "cli.usage": `Usage: fotoperiodo [config.json] [options]
+
+Schedule (override what config.json says):
+  --start YYYY-MM-DDTHH:mm   Start, local time in --tz
+  --on H --off H             Light and dark hours (a single phase)
+  --days N                   Days of the calendar and the exports
+  --tz Zone/IANA             Time zone
+  --wallclock                The timer follows the wall clock (DST changes)
+  --name TEXT                Grow name
+
+Output:
+  --now DATE                 Instant to query (default: now)
+  --next N                   Upcoming switches to list (5)
+  --baseline L/D             Energy balance reference (12/12)
+  --calendar                 Day × Hour calendar
+  --no-color                 No ANSI colors (also NO_COLOR=1)
+  --lang es|en               Language of the text and the exports (es)
+
+Exports ("-" = standard output):
+  --json FILE                Config, same as "Export JSON"
+  --ics FILE                 iCalendar, same as "Export .ics"
+  --alarm MIN                .ics reminder N minutes before (0)
+  --csv FILE                 ON/OFF list (controller format)
+`,
+    "cli.badFlag": "Invalid --{name}: \"{value}\".",
+    "cli.badBaseline": "Invalid --baseline: \"{value}\" (use L/D, e.g. 12/12).",
+    "cli.oneFile": "Expected a single config file.",
+    "cli.warning": "Warning: {text}",
+    "cli.written": "Wrote {path}",
+    "cli.defaultGrow": "Grow",
+    "cli.defaultPhase": "Phase {n}",
+    "cli.wallclock": "wall clock",
+    "cli.elapsed": "elapsed hours",
+    "cli.start": "Start:",
+    "cli.notStarted": " (not started yet)",
+    "cli.now": "Now:",
+    "cli.superDays": "Superciclo days:",
+    "cli.superDaysValue": "{days} ({hours} h cycles)",
+    "cli.balance": "Balance (vs {baseline}): {icon} {hours} h {text}",
+    "cli.balance.saving": "light saved",
+    "cli.balance.extra": "extra light",
+    "cli.balance.neutral": "neutral balance",
+    "cli.upcoming": { "one": "Next switch:", "other": "Next {count} switches:" },
+    "cli.noUpcoming": "No switches ahead.",
+    "cli.col.day": "Day",
+    "cli.col.date": "Date",
+    "cli.col.phase": "Phase",
+    "cli.col.light": "Light",
+    "cli.legend": "█ light  ▒ switch or ramp  · dark  ◆ now",
+  },
+};
+
+export function engineText(lang, key, params) {
+  return lookup(ENGINE_MESSAGES, lang, key, params);
+}
@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { engineText, formatDayMonth, formatNumber, lookup, monthNames, normalizeLanguage, weekdayNames } from "./locale";
+
+describe("lookup", () => {
+  const catalogs = {
+    es: { hello: "Hola {name}", days: { one: "{count} día", other: "{count} días" } },
+    en: { hello: "Hello {name}" },
+  };
+
+  it("interpolates params and picks the plural form", () => {
+    expect(lookup(catalogs, "es", "hello", { name: "Ana" })).toBe("Hola Ana");
+    expect(lookup(catalogs, "es", "days", { count: 1 })).toBe("1 día");
+    expect(lookup(catalogs, "es", "days", { count: 3 })).toBe("3 días");
+  });
+
+  it("falls back to Spanish and then to the key", () => {
+    expect(lookup(catalogs, "en", "days", { count: 2 })).toBe("2 días");
+    expect(lookup(catalogs, "en", "missing")).toBe("missing");
+    expect(lookup(catalogs, "fr", "hello", { name: "Léa" })).toBe("Hola Léa");
+  });
+
+  it("normalizes browser language tags", () => {
+    expect(normalizeLanguage("en-US")).toBe("en");
+    expect(normalizeLanguage("es_AR")).toBe("es");
+    expect(normalizeLanguage(undefined)).toBe("es");
+  });
+});
+
+describe("formatting", () => {
+  it("uses the decimal separator of each language", () => {
+    expect(formatNumber("es", 12.5, 1)).toBe("12,5");
+    expect(formatNumber("en", 12.5, 2)).toBe("12.50");
+  });
+
+  it("orders and pads day and month per language", () => {
+    expect(formatDayMonth("es", 2024, 5, 1)).toBe("01/05");
+    expect(formatDayMonth("en", 2024, 5, 1)).toBe("05/01");
+  });
+
+  it("names weekdays from Sunday and capitalizes months", () => {
+    expect(weekdayNames("es")[1]).toBe("lun");
+    expect(weekdayNames("en")[0]).toBe("Sun");
+    expect(monthNames("es")[0]).toBe("Enero");
+    expect(monthNames("en")[11]).toBe("December");
+  });
+
+  it("translates the export texts", () => {
+    expect(engineText("en", "print.day", { day: 3 })).toBe("Day 3");
+    expect(engineText("es", "print.day", { day: 3 })).toBe("Día 3");
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * pdf.js — PDF mínimo y vectorial, sin dependencias
+ * - Convierte las páginas de printCalendar (rect y text, origen arriba a la
+ *   izquierda, en puntos) en un PDF 1.4 con una página por entrada
+ * - Texto en Helvetica / Helvetica-Bold (fuentes estándar, no se embeben) con
+ *   WinAnsiEncoding: cubre acentos, ñ, ·, × y los guiones – —
+ * - Anchos de Helvetica (AFM) para alinear texto al centro o a la derecha
+ */
+
+// Anchos por 1000 unidades de los caracteres 32..126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+// Fuera de Latin-1, los caracteres de WinAnsi que usamos
+// (Intl separa la hora de "AM"/"PM" con un espacio angosto: va como espacio)
+const WIN_ANSI_EXTRA = { "–": 0x96, "—": 0x97, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "€": 0x80, "\u202f": 0x20 };
+
+export function textWidth(text, size) {
+  let units = 0;
+  for (const ch of String(text)) {
+    const code = ch.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units / 1000) * size;
+}
+
+// Texto → bytes WinAnsi como string "binario", escapado para un literal (...)
+function pdfString(text) {
+  let out = "";
+  for (const ch of String(text)) {
+    const code = ch.charCodeAt(0);
+    const byte = WIN_ANSI_EXTRA[ch] ?? (code < 256 ? code : 0x3f);
+    const c = String.fromCharCode(byte);
+    out += c === "(" || c === ")" || c === "\\" ? `\\${c}` : c;
+  }
+  return `(${out})`;
+}
+
+function num(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+function rgb(hex) {
+  return [0, 1, 2].map((i) => num(parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16) / 255)).join(" ");
+}
+
+function pageContent(page) {
+  const ops = [];
+  for (const item of page.items) {
+    if (item.type === "rect") {
+      ops.push(`${rgb(item.fill)} rg ${num(item.x)} ${num(page.height - item.y - item.h)} ${num(item.w)} ${num(item.h)} re f`);
+    } else if (item.type === "text") {
+      const width = textWidth(item.text, item.size);
+      const x = item.anchor === "middle" ? item.x - width / 2 : item.anchor === "end" ? item.x - width : item.x;
+      ops.push(`BT ${rgb(item.fill)} rg /${item.bold ? "F2" : "F1"} ${num(item.size)} Tf ${num(x)} ${num(page.height - item.y)} Td ${pdfString(item.text)} Tj ET`);
+    }
+  }
+  return ops.join("\n");
+}
+
+/**
+ * Páginas → archivo PDF.
+ * @returns {Uint8Array}
+ */
+export function buildPdf(pages, { title = "" } = {}) {
+  const objects = [];
+  const add = (body) => { objects.push(body); return objects.length; };
+
+  const catalog = add(null);
+  const pagesId = add(null);
+  const font = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  const fontBold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+  const info = add(`<< /Title ${pdfString(title)} /Producer (Fotoperiodo) >>`);
+  const kids = pages.map((page) => {
+    const content = pageContent(page);
+    const stream = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] /Resources << /Font << /F1 ${font} 0 R /F2 ${fontBold} 0 R >> >> /Contents ${stream} 0 R >>`);
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids.map((id) => `${id} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+  // Todo es de un byte por carácter: la longitud del string es el offset en bytes
+  let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(out.length);
+  for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i);
+  return bytes;
+}
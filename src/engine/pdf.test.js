@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { buildPdf, textWidth } from "./pdf";
+
+const pages = [
+  { width: 842, height: 595, items: [{ type: "rect", x: 10, y: 20, w: 30, h: 40, fill: "#ff0000" }, { type: "text", x: 100, y: 50, text: "Año (1) – día", size: 10, fill: "#000000", anchor: "end" }] },
+  { width: 842, height: 595, items: [] },
+];
+
+function latin1(bytes) {
+  return Array.from(bytes, (b) => String.fromCharCode(b)).join("");
+}
+
+describe("buildPdf", () => {
+  const pdf = latin1(buildPdf(pages, { title: "Carpa" }));
+
+  it("writes one page per entry with a valid xref table", () => {
+    expect(pdf.startsWith("%PDF-1.4")).toBe(true);
+    expect(pdf).toContain("/Count 2");
+    const xref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+    expect(pdf.slice(xref, xref + 4)).toBe("xref");
+    const offsets = [...pdf.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map((m) => Number(m[1]));
+    offsets.forEach((offset, i) => expect(pdf.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true));
+  });
+
+  it("flips the y axis and encodes text as WinAnsi", () => {
+    expect(pdf).toContain("1 0 0 rg 10 535 30 40 re f");
+    expect(pdf).toContain("(A\xf1o \\(1\\) \x96 d\xeda) Tj");
+    const x = 100 - textWidth("Año (1) – día", 10);
+    expect(pdf).toContain(`${Number(x.toFixed(2))} 545 Td`);
+  });
+});
@@ -0,0 +1,557 @@
+/**
+ * photoperiod.js — Motor de fotoperiodo (sin React ni DOM)
+ * - Fases ordenadas, cada una con su par ON/OFF y duración en días o ciclos
+ * - La última fase queda abierta: se repite hasta el final del calendario
+ * - Funciones puras: estado en un instante, transiciones en un rango,
+ *   horas de luz acumuladas, índice de ciclo y calendario Día × Hora
+ * - Rampas opcionales por fase (amanecer/atardecer con dimmer): la luz sigue
+ *   siendo ON/OFF para transiciones y calendario, pero la intensidad (0..1)
+ *   sube y baja dentro del período ON
+ *
+ * Internamente todo se mide en "horas desde el inicio"; las funciones que
+ * reciben un `schedule` (ver createSchedule) trabajan con objetos Date.
+ * Esas horas se cuentan según `clockMode`:
+ * - "elapsed": tiempo absoluto transcurrido (un timer digital que cuenta horas)
+ * - "wallclock": hora de pared en `timeZone` (un timer que sigue el reloj local
+ *   y se corre una hora con el cambio de horario)
+ */
+
+import { localTimeZone, parseLocalDateTime, wallMsOf, wallMsToDate, zonedParts } from "./timezone.js";
+
+export const MS_PER_HOUR = 1000 * 60 * 60;
+export const MS_PER_DAY = MS_PER_HOUR * 24;
+
+export const CLOCK_MODES = ["elapsed", "wallclock"];
+export const RAMP_CURVES = ["linear", "sigmoid"];
+
+export const DEFAULT_PHASE = { name: "Fase 1", hoursLight: 13, hoursDark: 14, length: 60, unit: "days" };
+
+// Tolerancia para comparar bordes (3.6 µs): evita errores de coma flotante
+export const EPS_HOURS = 1e-9;
+
+// Límite de iteraciones al recorrer bordes (protege contra bucles infinitos)
+const MAX_EDGES = 1000000;
+
+/* ---------- Fases ---------- */
+export function phaseCycleLength(phase) {
+  const sum = Number(phase.hoursLight) + Number(phase.hoursDark);
+  return sum > 0 ? sum : 0.0000001; // avoid zero
+}
+
+export function phaseDurationHours(phase) {
+  const len = Math.max(0, Number(phase.length) || 0);
+  return phase.unit === "cycles" ? len * phaseCycleLength(phase) : len * 24;
+}
+
+// Acepta el formato nuevo ({ phases }) y el viejo ({ hoursLight, hoursDark })
+export function phasesFromObject(obj) {
+  if (Array.isArray(obj?.phases) && obj.phases.length > 0) {
+    return obj.phases.map((p, i) => {
+      const phase = {
+        name: p?.name ? String(p.name) : `Fase ${i + 1}`,
+        hoursLight: Number.isFinite(Number(p?.hoursLight)) ? Number(p.hoursLight) : DEFAULT_PHASE.hoursLight,
+        hoursDark: Number.isFinite(Number(p?.hoursDark)) ? Number(p.hoursDark) : DEFAULT_PHASE.hoursDark,
+        length: Number.isFinite(Number(p?.length)) ? Number(p.length) : DEFAULT_PHASE.length,
+        unit: p?.unit === "cycles" ? "cycles" : "days",
+      };
+      // PPFD propio de la fase (opcional; si falta rige el general, ver dli.js)
+      if (p?.ppfd !== undefined && p?.ppfd !== null && p?.ppfd !== "" && Number.isFinite(Number(p.ppfd))) phase.ppfd = Number(p.ppfd);
+      const ramp = rampFromObject(p?.ramp);
+      if (ramp) phase.ramp = ramp;
+      return phase;
+    });
+  }
+  if (Number.isFinite(Number(obj?.hoursLight)) || Number.isFinite(Number(obj?.hoursDark))) {
+    return [{
+      ...DEFAULT_PHASE,
+      hoursLight: Number.isFinite(Number(obj.hoursLight)) ? Number(obj.hoursLight) : DEFAULT_PHASE.hoursLight,
+      hoursDark: Number.isFinite(Number(obj.hoursDark)) ? Number(obj.hoursDark) : DEFAULT_PHASE.hoursDark,
+    }];
+  }
+  return null;
+}
+
+/** { up, down (minutos), curve } o null si no hay rampa */
+export function rampFromObject(obj) {
+  if (!obj || typeof obj !== "object") return null;
+  const minutes = (v) => (Number.isFinite(Number(v)) ? Math.min(720, Math.max(0, Number(v))) : 0);
+  const ramp = { up: minutes(obj.up), down: minutes(obj.down), curve: RAMP_CURVES.includes(obj.curve) ? obj.curve : "linear" };
+  return ramp.up + ramp.down > 0 ? ramp : null;
+}
+
+// Rampa en horas; si no entra en el período ON se achica en proporción
+function phaseRampHours(phase) {
+  const ramp = rampFromObject(phase.ramp);
+  const hoursLight = Number(phase.hoursLight);
+  if (!ramp || !(hoursLight > 0)) return null;
+  let up = ramp.up / 60;
+  let down = ramp.down / 60;
+  if (up + down > hoursLight) {
+    const k = hoursLight / (up + down);
+    up *= k;
+    down *= k;
+  }
+  return { up, down, curve: ramp.curve };
+}
+
+/* ---------- Curvas de rampa ---------- */
+// Sigmoide logística reescalada para ir exactamente de 0 a 1
+const SIGMOID_K = 10;
+const logistic = (x) => 1 / (1 + Math.exp(-SIGMOID_K * (x - 0.5)));
+const LOGISTIC_0 = logistic(0);
+const LOGISTIC_1 = logistic(1);
+
+// Nivel (0..1) a una fracción x (0..1) de la rampa
+function curveLevel(curve, x) {
+  if (curve === "sigmoid") return (logistic(x) - LOGISTIC_0) / (LOGISTIC_1 - LOGISTIC_0);
+  return x;
+}
+
+// Integral del nivel entre 0 y x (vale 0.5 en x = 1 para ambas curvas)
+function curveIntegral(curve, x) {
+  if (curve === "sigmoid") {
+    const primitive = (t) => t + Math.log1p(Math.exp(-SIGMOID_K * (t - 0.5))) / SIGMOID_K;
+    return (primitive(x) - primitive(0) - LOGISTIC_0 * x) / (LOGISTIC_1 - LOGISTIC_0);
+  }
+  return (x * x) / 2;
+}
+
+/* ---------- Línea de tiempo (horas desde el inicio) ---------- */
+// Tramos absolutos de cada fase; las fases de duración 0 quedan vacías (start === end)
+export function buildTimeline(phases) {
+  const list = phases && phases.length > 0 ? phases : [DEFAULT_PHASE];
+  let offset = 0;
+  return list.map((phase, index) => {
+    const start = offset;
+    const end = index === list.length - 1 ? Infinity : start + phaseDurationHours(phase);
+    offset = end;
+    return {
+      index, phase, start, end,
+      hoursLight: Number(phase.hoursLight),
+      cycleLength: phaseCycleLength(phase),
+      ramp: phaseRampHours(phase),
+    };
+  });
+}
+
+export function segmentAtHours(timeline, hoursSinceStart) {
+  for (const seg of timeline) {
+    if (hoursSinceStart < seg.end) return seg;
+  }
+  return timeline[timeline.length - 1];
+}
+
+// Antes del inicio se extrapola la primera fase hacia atrás (comportamiento original)
+export function positionAtHours(timeline, hoursSinceStart) {
+  const seg = segmentAtHours(timeline, hoursSinceStart);
+  const elapsed = hoursSinceStart - seg.start;
+  const inCycle = ((elapsed % seg.cycleLength) + seg.cycleLength) % seg.cycleLength;
+  return { seg, inCycle, isLight: inCycle < seg.hoursLight, cycleIndex: Math.floor(elapsed / seg.cycleLength) };
+}
+
+export function isLightAtHours(timeline, hoursSinceStart) {
+  return positionAtHours(timeline, hoursSinceStart).isLight;
+}
+
+// Intensidad (0..1) a `u` horas del comienzo del período ON, según la rampa
+function rampLevel(ramp, hoursLight, u) {
+  if (!ramp) return 1;
+  if (ramp.up > 0 && u < ramp.up) return curveLevel(ramp.curve, u / ramp.up);
+  if (ramp.down > 0 && u > hoursLight - ramp.down) return curveLevel(ramp.curve, (hoursLight - u) / ramp.down);
+  return 1;
+}
+
+// Horas a plena potencia equivalentes entre el comienzo del período ON y `u`
+function rampOutput(ramp, hoursLight, u) {
+  if (u <= 0) return 0;
+  if (!ramp) return Math.min(u, hoursLight);
+  const { up, down, curve } = ramp;
+  const upTotal = up * curveIntegral(curve, 1);
+  if (u <= up) return up * curveIntegral(curve, u / up);
+  const plateauEnd = hoursLight - down;
+  if (u <= plateauEnd) return upTotal + (u - up);
+  const downTotal = down * curveIntegral(curve, 1);
+  if (u >= hoursLight) return upTotal + (plateauEnd - up) + downTotal;
+  return upTotal + (plateauEnd - up) + downTotal - down * curveIntegral(curve, (hoursLight - u) / down);
+}
+
+/** Intensidad de salida (0..1): 0 en oscuridad, <1 durante las rampas */
+export function intensityAtHours(timeline, hoursSinceStart) {
+  const { seg, inCycle, isLight } = positionAtHours(timeline, hoursSinceStart);
+  return isLight ? rampLevel(seg.ramp, seg.hoursLight, inCycle) : 0;
+}
+
+/**
+ * Horas de luz y horas "a plena potencia" equivalentes en [from, to). Sin
+ * rampas ambas coinciden. `weight(seg)` pondera cada fase (p. ej. su PPFD).
+ * Antes del inicio se extrapola la primera fase, igual que positionAtHours.
+ * @returns {{ lightHours: number, outputHours: number, weighted: number }}
+ */
+export function outputBetweenHours(timeline, from, to, weight = () => 1) {
+  let lightHours = 0;
+  let outputHours = 0;
+  let weighted = 0;
+  for (const seg of timeline) {
+    const lo = Math.max(from, seg.index === 0 ? -Infinity : seg.start);
+    const hi = Math.min(to, seg.end);
+    if (hi <= lo || seg.hoursLight <= 0) continue;
+    const w = weight(seg);
+    for (let k = Math.floor((lo - seg.start) / seg.cycleLength); seg.start + k * seg.cycleLength < hi; k++) {
+      const onStart = seg.start + k * seg.cycleLength;
+      const a = Math.max(lo, onStart);
+      const b = Math.min(hi, onStart + seg.hoursLight, seg.end);
+      if (b <= a) continue;
+      const output = rampOutput(seg.ramp, seg.hoursLight, b - onStart) - rampOutput(seg.ramp, seg.hoursLight, a - onStart);
+      lightHours += b - a;
+      outputHours += output;
+      weighted += output * w;
+    }
+  }
+  return { lightHours, outputHours, weighted };
+}
+
+// Próximo borde (cambio de estado o fin de fase) estrictamente posterior a t
+function nextEdgeInSegment(seg, t) {
+  if (seg.hoursLight <= 0 || seg.hoursLight >= seg.cycleLength) return seg.end;
+  const k = Math.floor((t - seg.start) / seg.cycleLength);
+  const cycleStart = seg.start + k * seg.cycleLength;
+  const edge = cycleStart + seg.hoursLight > t + EPS_HOURS ? cycleStart + seg.hoursLight : cycleStart + seg.cycleLength;
+  return Math.min(edge, seg.end);
+}
+
+/**
+ * Transiciones reales (cambios de estado) en el intervalo (from, to].
+ * Los bordes de fase que no cambian el estado se omiten.
+ * @returns {{ hoursSinceStart: number, isLight: boolean, phaseIndex: number }[]}
+ */
+export function transitionsBetweenHours(timeline, from, to, limit = Infinity) {
+  const out = [];
+  let current = isLightAtHours(timeline, from);
+  let t = from;
+  for (let guard = 0; guard < MAX_EDGES && out.length < limit; guard++) {
+    const edge = nextEdgeInSegment(segmentAtHours(timeline, t), t);
+    if (!Number.isFinite(edge) || edge > to) break;
+    const after = positionAtHours(timeline, edge + EPS_HOURS);
+    if (after.isLight !== current) {
+      out.push({ hoursSinceStart: edge, isLight: after.isLight, phaseIndex: after.seg.index });
+      current = after.isLight;
+    }
+    t = edge;
+  }
+  return out;
+}
+
+export function nextTransitionAfter(timeline, hoursSinceStart) {
+  return transitionsBetweenHours(timeline, hoursSinceStart, Infinity, 1)[0] || null;
+}
+
+/**
+ * Perfil de luz dentro de [from, to): tramos con su estado y horas de luz totales.
+ * Sirve para pintar celdas parciales (p. ej. un apagado a las 08:30).
+ * @returns {{ lightHours: number, segments: { from: number, to: number, isLight: boolean }[] }}
+ */
+export function lightProfileBetweenHours(timeline, from, to) {
+  const segments = [];
+  let lightHours = 0;
+  let cursor = from;
+  let state = isLightAtHours(timeline, from);
+  for (const tr of transitionsBetweenHours(timeline, from, to)) {
+    if (tr.hoursSinceStart >= to) break;
+    segments.push({ from: cursor, to: tr.hoursSinceStart, isLight: state });
+    if (state) lightHours += tr.hoursSinceStart - cursor;
+    cursor = tr.hoursSinceStart;
+    state = tr.isLight;
+  }
+  segments.push({ from: cursor, to, isLight: state });
+  if (state) lightHours += to - cursor;
+  return { lightHours, segments };
+}
+
+// Horas de luz acumuladas entre el inicio y `hoursSinceStart` (0 antes del inicio)
+export function lightHoursUntil(timeline, hoursSinceStart) {
+  let total = 0;
+  for (const seg of timeline) {
+    const end = Math.min(seg.end, hoursSinceStart);
+    if (end <= seg.start) break;
+    const span = end - seg.start;
+    const fullCycles = Math.floor(span / seg.cycleLength);
+    total += fullCycles * seg.hoursLight + Math.min(span - fullCycles * seg.cycleLength, seg.hoursLight);
+  }
+  return total;
+}
+
+// Horas de oscuridad acumuladas entre el inicio y `hoursSinceStart`
+export function darkHoursUntil(timeline, hoursSinceStart) {
+  return Math.max(0, hoursSinceStart) - lightHoursUntil(timeline, hoursSinceStart);
+}
+
+/**
+ * Momento (horas desde el inicio) en que las horas de luz (isLight) u
+ * oscuridad acumuladas llegan a `target`: la inversa de lightHoursUntil /
+ * darkHoursUntil. null si no se llega nunca (p. ej. una última fase 24/0).
+ */
+export function hoursUntilAccumulated(timeline, target, isLight = true) {
+  if (!(target > 0)) return 0;
+  let remaining = target;
+  for (const seg of timeline) {
+    const perCycle = isLight ? seg.hoursLight : seg.cycleLength - seg.hoursLight;
+    let available = Infinity;
+    if (Number.isFinite(seg.end)) {
+      const span = seg.end - seg.start;
+      const full = Math.floor(span / seg.cycleLength);
+      const rest = span - full * seg.cycleLength;
+      available = full * perCycle + (isLight ? Math.min(rest, seg.hoursLight) : Math.max(0, rest - seg.hoursLight));
+    } else if (perCycle <= 0) {
+      return null;
+    }
+    if (perCycle > 0 && remaining <= available + EPS_HOURS) {
+      const cycles = Math.max(0, Math.ceil(remaining / perCycle - EPS_HOURS) - 1);
+      return seg.start + cycles * seg.cycleLength + (isLight ? 0 : seg.hoursLight) + remaining - cycles * perCycle;
+    }
+    remaining -= available;
+  }
+  return null;
+}
+
+// Ciclos completos sumando todas las fases transcurridas
+export function completedCyclesUntil(timeline, hoursSinceStart) {
+  let total = 0;
+  for (const seg of timeline) {
+    const end = Math.min(seg.end, hoursSinceStart);
+    if (end <= seg.start) break;
+    total += Math.floor((end - seg.start) / seg.cycleLength + EPS_HOURS);
+  }
+  return total;
+}
+
+/**
+ * Inicio del ciclo `cycleIndex` del superciclo: el momento en que
+ * completedCyclesUntil llega a ese número. null si no se alcanza nunca.
+ */
+export function cycleStartHours(timeline, cycleIndex) {
+  if (!Number.isInteger(cycleIndex) || cycleIndex < 0) return null;
+  let remaining = cycleIndex;
+  for (const seg of timeline) {
+    const full = Number.isFinite(seg.end) ? Math.floor((seg.end - seg.start) / seg.cycleLength + EPS_HOURS) : Infinity;
+    if (remaining <= full) return seg.start + remaining * seg.cycleLength;
+    remaining -= full;
+  }
+  return null;
+}
+
+/* ---------- API con fechas ---------- */
+// Los strings "YYYY-MM-DDTHH:mm" (datetime-local) se interpretan en la zona del esquema
+function toDate(value, timeZone) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : new Date(value.getTime());
+  const local = parseLocalDateTime(value, timeZone);
+  if (local) return local;
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Normaliza la configuración en un objeto reutilizable por el resto de funciones.
+ * @param {{ startDate: Date|string, phases?: object[], timeZone?: string, clockMode?: "elapsed"|"wallclock" }} config
+ */
+export function createSchedule({ startDate, phases, timeZone, clockMode }) {
+  const zone = timeZone || localTimeZone();
+  const start = toDate(startDate, zone) || new Date();
+  return {
+    startDate: start,
+    startWallMs: wallMsOf(start, zone),
+    timeZone: zone,
+    clockMode: clockMode === "wallclock" ? "wallclock" : "elapsed",
+    phases: phases || [DEFAULT_PHASE],
+    timeline: buildTimeline(phases || []),
+  };
+}
+
+export function hoursSinceStart(schedule, date) {
+  if (schedule.clockMode === "wallclock") {
+    return (wallMsOf(date, schedule.timeZone) - schedule.startWallMs) / MS_PER_HOUR;
+  }
+  return (date.getTime() - schedule.startDate.getTime()) / MS_PER_HOUR;
+}
+
+export function dateAtHours(schedule, hours) {
+  const ms = Math.round(hours * MS_PER_HOUR);
+  if (schedule.clockMode === "wallclock") return wallMsToDate(schedule.startWallMs + ms, schedule.timeZone);
+  return new Date(schedule.startDate.getTime() + ms);
+}
+
+// Estado completo en un instante
+export function stateAt(schedule, date) {
+  const hours = hoursSinceStart(schedule, date);
+  const { seg, inCycle, isLight, cycleIndex } = positionAtHours(schedule.timeline, hours);
+  return {
+    hoursSinceStart: hours,
+    started: hours >= 0,
+    isLight,
+    intensity: isLight ? rampLevel(seg.ramp, seg.hoursLight, inCycle) : 0,
+    inCycle,
+    cycleIndex,
+    phaseIndex: seg.index,
+    phase: seg.phase,
+    cycleLength: seg.cycleLength,
+  };
+}
+
+// Índice de ciclo "superciclo" (ciclos completos desde el inicio, todas las fases)
+export function cycleIndexAt(schedule, date) {
+  const hours = hoursSinceStart(schedule, date);
+  if (hours < 0) return Math.floor(hours / schedule.timeline[0].cycleLength);
+  return completedCyclesUntil(schedule.timeline, hours);
+}
+
+export function cumulativeLightHours(schedule, date) {
+  return lightHoursUntil(schedule.timeline, hoursSinceStart(schedule, date));
+}
+
+export function intensityAt(schedule, date) {
+  return intensityAtHours(schedule.timeline, hoursSinceStart(schedule, date));
+}
+
+// Balance vs un esquema de referencia (por defecto 12/12): positivo = ahorro de luz.
+// Las rampas cuentan por su salida real (horas a plena potencia equivalentes).
+export function energyBalance(schedule, date, baselineLightRatio = 0.5) {
+  const hours = hoursSinceStart(schedule, date);
+  if (hours < 0) return 0;
+  return baselineLightRatio * hours - outputBetweenHours(schedule.timeline, 0, hours).outputHours;
+}
+
+export function transitionsBetween(schedule, from, to, limit = Infinity) {
+  const fromH = hoursSinceStart(schedule, from);
+  const toH = hoursSinceStart(schedule, to);
+  return transitionsBetweenHours(schedule.timeline, fromH, toH, limit).map((tr) => ({
+    ...tr,
+    date: dateAtHours(schedule, tr.hoursSinceStart),
+    phase: schedule.timeline[tr.phaseIndex].phase,
+  }));
+}
+
+export function nextTransition(schedule, date) {
+  const [tr] = transitionsBetween(schedule, date, new Date(8.64e15), 1);
+  if (!tr) return null;
+  return { ...tr, hoursToNext: Math.max(0, tr.hoursSinceStart - hoursSinceStart(schedule, date)) };
+}
+
+// Describe el tramo [from, to) de horas del esquema como una celda del calendario
+function calendarCell(schedule, from, to, switchTime) {
+  const span = to - from;
+  const profile = lightProfileBetweenHours(schedule.timeline, from, to);
+  const segments = profile.segments.map((seg) => ({
+    from: (seg.from - from) / span,
+    to: (seg.to - from) / span,
+    isLight: seg.isLight,
+  }));
+  const { outputHours } = outputBetweenHours(schedule.timeline, from, to);
+  return {
+    hoursSinceStart: from,
+    hoursSpan: span,
+    isLight: segments[0].isLight,
+    lightFraction: profile.lightHours / span,
+    output: outputHours / span,
+    ramped: outputHours < profile.lightHours - EPS_HOURS,
+    segments,
+    switches: profile.segments.slice(1).map((seg) => ({ ...switchTime(seg.from), isLight: seg.isLight })),
+  };
+}
+
+// Cantidad de días del calendario (1..9999)
+function calendarLength(durationDays) {
+  return Math.max(1, Math.min(9999, Number(durationDays) || 0));
+}
+
+/** Medianoche local del día `day` del calendario (0 = día del inicio) */
+export function calendarDayStart(schedule, day) {
+  const first = zonedParts(schedule.startDate, schedule.timeZone);
+  return wallMsToDate(Date.UTC(first.year, first.month - 1, first.day + day), schedule.timeZone);
+}
+
+/** Fin del calendario de `durationDays` días: la medianoche local que cierra el último */
+export function calendarEnd(schedule, durationDays) {
+  return calendarDayStart(schedule, calendarLength(durationDays));
+}
+
+/**
+ * Días locales [fromDay, durationDays) del calendario, sin las celdas:
+ * medianoche local y horas reales del día (23/24/25). Alcanza para el DLI por
+ * día, la vista mensual o para ubicar un día sin armar toda la grilla.
+ * @returns {{ date: Date, hoursInDay: number }[]}
+ */
+export function calendarDays(schedule, durationDays, fromDay = 0) {
+  const days = [];
+  const end = calendarLength(durationDays);
+  let midnight = calendarDayStart(schedule, fromDay);
+  for (let d = Math.max(0, fromDay); d < end; d++) {
+    const nextMidnight = calendarDayStart(schedule, d + 1);
+    days.push({ date: midnight, hoursInDay: Math.round((nextMidnight.getTime() - midnight.getTime()) / MS_PER_HOUR) });
+    midnight = nextMidnight;
+  }
+  return days;
+}
+
+/**
+ * Tramo [from, to) en horas del esquema de la hora de pared `hour` de un día
+ * de calendarDays. `skipped`: la hora no existe (cambio de horario);
+ * `repeated`: la hora se repite y cubre 2 h reales.
+ */
+export function calendarHourRange(schedule, day, hour) {
+  if (day.hoursInDay === 24) {
+    const from = hoursSinceStart(schedule, day.date) + hour;
+    return { from, to: from + 1, skipped: false, repeated: false };
+  }
+  const p = zonedParts(day.date, schedule.timeZone);
+  const wallMidnight = Date.UTC(p.year, p.month - 1, p.day);
+  const a0 = wallMsToDate(wallMidnight + hour * MS_PER_HOUR, schedule.timeZone);
+  const a1 = wallMsToDate(wallMidnight + (hour + 1) * MS_PER_HOUR, schedule.timeZone);
+  const from = hoursSinceStart(schedule, a0);
+  const to = hoursSinceStart(schedule, a1);
+  return { from, to, skipped: a1.getTime() <= a0.getTime() || to <= from, repeated: a1.getTime() - a0.getTime() > MS_PER_HOUR };
+}
+
+/**
+ * Calendario Día × Hora con filas por día local en `schedule.timeZone`.
+ * Siempre hay 24 columnas (horas de pared); en los días de 23h la hora que no
+ * existe queda `skipped`, y en los de 25h la hora repetida cubre 2h reales.
+ * Cada celda describe su hora completa con precisión de minuto:
+ * - isLight: estado al comienzo de la hora
+ * - lightFraction: fracción de la hora con luz (0..1)
+ * - output: intensidad media de la hora (0..1, menor que lightFraction si hay rampa)
+ * - ramped: la hora cae (en parte) dentro de una rampa
+ * - segments: tramos { from, to, isLight } en fracciones de la hora
+ * - switches: cambios dentro de la hora { minute, time: "HH:MM", isLight }
+ * `fromDay` arma solo los días [fromDay, durationDays): la grilla y los
+ * exports piden de a páginas en vez de los 9999 días de una vez.
+ * @returns {{ date: Date, hoursInDay: number, cells: object[] }[]}
+ */
+export function buildCalendar(schedule, durationDays, fromDay = 0) {
+  const zone = schedule.timeZone;
+  const pad = (n) => n.toString().padStart(2, "0");
+  return calendarDays(schedule, durationDays, fromDay).map((day) => {
+    const cells = [];
+    const base = day.hoursInDay === 24 ? hoursSinceStart(schedule, day.date) : null;
+    for (let h = 0; h < 24; h++) {
+      const { from, to, skipped, repeated } = base === null
+        ? calendarHourRange(schedule, day, h)
+        : { from: base + h, to: base + h + 1, skipped: false };
+      if (skipped) {
+        cells.push({ hoursSinceStart: from, hoursSpan: 0, skipped: true, isLight: false, lightFraction: 0, segments: [], switches: [] });
+      } else if (day.hoursInDay === 24) {
+        // Día normal: horas de pared y horas reales coinciden
+        cells.push(calendarCell(schedule, from, to, (at) => {
+          const minute = Math.min(59, Math.round((at - from) * 60));
+          return { minute, time: `${pad(h)}:${pad(minute)}` };
+        }));
+      } else {
+        const cell = calendarCell(schedule, from, to, (at) => {
+          const p = zonedParts(dateAtHours(schedule, at), zone);
+          return { minute: p.minute, time: `${pad(p.hour)}:${pad(p.minute)}` };
+        });
+        cell.repeated = repeated;
+        cells.push(cell);
+      }
+    }
+    return { ...day, cells };
+  });
+}
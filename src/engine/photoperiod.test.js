@@ -0,0 +1,304 @@
+import { describe, expect, it } from "vitest";
+import {
+  MS_PER_HOUR,
+  buildCalendar,
+  calendarDays,
+  buildTimeline,
+  createSchedule,
+  cumulativeLightHours,
+  cycleIndexAt,
+  cycleStartHours,
+  darkHoursUntil,
+  energyBalance,
+  hoursUntilAccumulated,
+  intensityAtHours,
+  nextTransition,
+  outputBetweenHours,
+  phasesFromObject,
+  stateAt,
+  transitionsBetween,
+} from "./photoperiod";
+import { phase } from "./testPhases";
+
+const START = new Date(2024, 0, 1, 0, 0);
+const at = (hours) => new Date(START.getTime() + hours * MS_PER_HOUR);
+
+describe("stateAt", () => {
+  it("follows a single 13/14 cycle", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(13, 14)] });
+    expect(stateAt(schedule, at(0)).isLight).toBe(true);
+    expect(stateAt(schedule, at(12.99)).isLight).toBe(true);
+    expect(stateAt(schedule, at(13)).isLight).toBe(false);
+    expect(stateAt(schedule, at(27)).isLight).toBe(true);
+    expect(stateAt(schedule, at(27)).cycleIndex).toBe(1);
+  });
+
+  it("handles fractional hours", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(13.5, 10.25)] });
+    expect(stateAt(schedule, at(13.49)).isLight).toBe(true);
+    expect(stateAt(schedule, at(13.5)).isLight).toBe(false);
+    expect(stateAt(schedule, at(23.75)).isLight).toBe(true);
+  });
+
+  it("switches phases at the configured boundary", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(18, 6, { length: 2 }), phase(12, 12)] });
+    expect(stateAt(schedule, at(47)).phaseIndex).toBe(0);
+    expect(stateAt(schedule, at(48)).phaseIndex).toBe(1);
+    expect(stateAt(schedule, at(48 + 12)).isLight).toBe(false);
+  });
+
+  it("measures phase length in cycles", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(13, 14, { length: 2, unit: "cycles" }), phase(12, 12)] });
+    expect(stateAt(schedule, at(53.9)).phaseIndex).toBe(0);
+    expect(stateAt(schedule, at(54)).phaseIndex).toBe(1);
+  });
+
+  it("skips zero-length phases", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(18, 6, { length: 0 }), phase(12, 12)] });
+    expect(stateAt(schedule, at(0)).phaseIndex).toBe(1);
+    expect(stateAt(schedule, at(13)).isLight).toBe(false);
+  });
+
+  it("reports a start date in the future as not started", () => {
+    const schedule = createSchedule({ startDate: at(48), phases: [phase(12, 12)] });
+    const state = stateAt(schedule, START);
+    expect(state.started).toBe(false);
+    expect(state.hoursSinceStart).toBe(-48);
+  });
+});
+
+describe("transitionsBetween", () => {
+  it("lists ON/OFF changes in order", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(13, 14)] });
+    const list = transitionsBetween(schedule, at(0), at(54));
+    expect(list.map((t) => t.hoursSinceStart)).toEqual([13, 27, 40, 54]);
+    expect(list.map((t) => t.isLight)).toEqual([false, true, false, true]);
+    expect(list[0].date.getTime()).toBe(at(13).getTime());
+  });
+
+  it("emits an ON at a phase boundary that cuts a dark period", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(13, 14, { length: 1 }), phase(12, 12)] });
+    const list = transitionsBetween(schedule, at(0), at(40));
+    expect(list.map((t) => [t.hoursSinceStart, t.isLight, t.phaseIndex])).toEqual([
+      [13, false, 0],
+      [24, true, 1],
+      [36, false, 1],
+    ]);
+  });
+
+  it("omits phase boundaries that do not change the state", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(12, 12, { length: 1 }), phase(12, 12)] });
+    const list = transitionsBetween(schedule, at(0), at(30));
+    expect(list.map((t) => t.hoursSinceStart)).toEqual([12, 24]);
+  });
+
+  it("returns nothing for constant schedules", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(24, 0)] });
+    expect(transitionsBetween(schedule, at(0), at(500))).toEqual([]);
+    expect(nextTransition(schedule, at(0))).toBeNull();
+  });
+
+  it("stays exact over very long durations", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(13.5, 13.5)] });
+    const list = transitionsBetween(schedule, at(0), at(9999 * 24));
+    expect(list).toHaveLength(Math.floor((9999 * 24) / 13.5));
+    const last = list[list.length - 1];
+    expect(last.hoursSinceStart % 13.5).toBeCloseTo(0, 6);
+  });
+});
+
+describe("nextTransition", () => {
+  it("returns the time left to the next change", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(13, 14)] });
+    const next = nextTransition(schedule, at(10));
+    expect(next.isLight).toBe(false);
+    expect(next.hoursToNext).toBeCloseTo(3);
+  });
+
+  it("extrapolates the first phase before a future start", () => {
+    const schedule = createSchedule({ startDate: at(24), phases: [phase(12, 12)] });
+    expect(nextTransition(schedule, at(12)).date.getTime()).toBe(at(24).getTime());
+  });
+});
+
+describe("cumulative light and cycle index", () => {
+  it("sums light hours across phases", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(18, 6, { length: 1 }), phase(12, 12)] });
+    expect(cumulativeLightHours(schedule, at(24))).toBe(18);
+    expect(cumulativeLightHours(schedule, at(30))).toBe(24);
+    expect(cumulativeLightHours(schedule, at(-5))).toBe(0);
+  });
+
+  it("counts completed cycles across phases", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(13, 14, { length: 2, unit: "cycles" }), phase(12, 12)] });
+    expect(cycleIndexAt(schedule, at(53))).toBe(1);
+    expect(cycleIndexAt(schedule, at(54))).toBe(2);
+    expect(cycleIndexAt(schedule, at(54 + 24))).toBe(3);
+  });
+
+  it("finds where each superciclo cycle starts", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(13, 14, { length: 2.5, unit: "cycles" }), phase(12, 12)] });
+    expect(cycleStartHours(schedule.timeline, 0)).toBe(0);
+    expect(cycleStartHours(schedule.timeline, 2)).toBe(54);
+    // El medio ciclo al final de la primera fase no cuenta como completo
+    expect(cycleStartHours(schedule.timeline, 3)).toBeCloseTo(67.5 + 24);
+    expect(cycleIndexAt(schedule, at(67.5 + 24))).toBe(3);
+    expect(cycleStartHours(schedule.timeline, -1)).toBeNull();
+  });
+
+  it("finds when accumulated light or darkness reaches a target", () => {
+    const { timeline } = createSchedule({ startDate: START, phases: [phase(18, 6, { length: 1 }), phase(12, 12)] });
+    expect(darkHoursUntil(timeline, 30)).toBe(6);
+    expect(darkHoursUntil(timeline, -3)).toBe(0);
+    expect(hoursUntilAccumulated(timeline, 6, false)).toBe(24);
+    expect(hoursUntilAccumulated(timeline, 12, false)).toBe(42);
+    expect(hoursUntilAccumulated(timeline, 18, true)).toBe(18);
+    expect(hoursUntilAccumulated(timeline, 24, true)).toBe(30);
+    expect(hoursUntilAccumulated(timeline, 0, true)).toBe(0);
+    // Sin oscuridad en la última fase nunca se llega
+    expect(hoursUntilAccumulated(buildTimeline([phase(24, 0)]), 1, false)).toBeNull();
+  });
+
+  it("computes the balance against 12/12", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(13, 14)] });
+    expect(energyBalance(schedule, at(27))).toBeCloseTo(0.5);
+    expect(energyBalance(schedule, at(-1))).toBe(0);
+  });
+});
+
+describe("buildCalendar", () => {
+  it("aligns rows to midnight and honours a partial-hour start", () => {
+    const schedule = createSchedule({ startDate: new Date(2024, 0, 1, 7, 30), phases: [phase(12, 12)] });
+    const rows = buildCalendar(schedule, 2);
+    expect(rows).toHaveLength(2);
+    expect(rows[0].cells).toHaveLength(24);
+    expect(rows[0].cells[8].isLight).toBe(true);
+    expect(rows[0].cells[19].isLight).toBe(true);
+    expect(rows[0].cells[20].isLight).toBe(false);
+  });
+
+  it("clamps the number of days", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(12, 12)] });
+    expect(buildCalendar(schedule, 0)).toHaveLength(1);
+  });
+
+  it("splits a cell at the exact switch minute", () => {
+    const schedule = createSchedule({ startDate: START, phases: [phase(13.5, 14)] });
+    const cell = buildCalendar(schedule, 1)[0].cells[13];
+    expect(cell.lightFraction).toBeCloseTo(0.5);
+    expect(cell.switches).toEqual([{ minute: 30, time: "13:30", isLight: false }]);
+    expect(cell.segments.map((seg) => seg.isLight)).toEqual([true, false]);
+  });
+
+  it("marks whole cells with no switches", () => {
+    const schedule = createSchedule({ startDate: new Date(2024, 0, 1, 7, 30), phases: [phase(12, 12)] });
+    const [row] = buildCalendar(schedule, 1);
+    expect(row.cells[10]).toMatchObject({ lightFraction: 1, switches: [] });
+    expect(row.cells[7].switches).toEqual([{ minute: 30, time: "07:30", isLight: true }]);
+  });
+});
+
+describe("ramps", () => {
+  const ramped = (curve, up = 60, down = 120) => createSchedule({
+    startDate: START,
+    phases: [{ ...phase(12, 12), ramp: { up, down, curve } }],
+  });
+
+  it("dims up and down inside the ON period without moving the transitions", () => {
+    const schedule = ramped("linear");
+    expect(intensityAtHours(schedule.timeline, 0.5)).toBeCloseTo(0.5);
+    expect(intensityAtHours(schedule.timeline, 6)).toBe(1);
+    expect(intensityAtHours(schedule.timeline, 11)).toBeCloseTo(0.5);
+    expect(intensityAtHours(schedule.timeline, 12)).toBe(0);
+    expect(stateAt(schedule, at(0.25))).toMatchObject({ isLight: true, intensity: 0.25 });
+    expect(transitionsBetween(schedule, at(0), at(24)).map((t) => t.hoursSinceStart)).toEqual([12, 24]);
+  });
+
+  it("loses half of each ramp in output for both curves", () => {
+    for (const curve of ["linear", "sigmoid"]) {
+      const { lightHours, outputHours } = outputBetweenHours(ramped(curve).timeline, 0, 24);
+      expect(lightHours).toBe(12);
+      expect(outputHours).toBeCloseTo(12 - 0.5 - 1, 9);
+    }
+    // La sigmoide arranca más suave que la lineal
+    expect(intensityAtHours(ramped("sigmoid").timeline, 0.2)).toBeLessThan(0.2);
+  });
+
+  it("shrinks ramps that do not fit in the ON period", () => {
+    const schedule = ramped("linear", 600, 600);
+    expect(outputBetweenHours(schedule.timeline, 0, 24).outputHours).toBeCloseTo(6, 9);
+  });
+
+  it("shades calendar cells by their mean output", () => {
+    const [day] = buildCalendar(ramped("linear"), 1);
+    expect(day.cells[0]).toMatchObject({ lightFraction: 1, ramped: true });
+    expect(day.cells[0].output).toBeCloseTo(0.5);
+    expect(day.cells[5]).toMatchObject({ output: 1, ramped: false });
+  });
+
+  it("counts the partial output in the energy balance", () => {
+    expect(energyBalance(ramped("linear"), at(24))).toBeCloseTo(1.5);
+  });
+});
+
+describe("time zones and DST", () => {
+  const zone = "Europe/Madrid";
+
+  it("interprets the naive start string in the schedule time zone", () => {
+    const schedule = createSchedule({ startDate: "2024-01-15T08:00", phases: [phase(12, 12)], timeZone: zone });
+    expect(schedule.startDate.toISOString()).toBe("2024-01-15T07:00:00.000Z");
+  });
+
+  it("renders a 23-hour day with the missing hour skipped", () => {
+    const schedule = createSchedule({ startDate: "2024-03-30T00:00", phases: [phase(12, 12)], timeZone: zone });
+    const row = buildCalendar(schedule, 2)[1];
+    expect(row.hoursInDay).toBe(23);
+    expect(row.cells).toHaveLength(24);
+    expect(row.cells[2].skipped).toBe(true);
+    expect(row.cells[3].hoursSinceStart).toBe(26);
+  });
+
+  it("builds only the requested days, the same as the full calendar", () => {
+    const schedule = createSchedule({ startDate: "2024-03-28T06:00", phases: [phase(13, 14)], timeZone: zone });
+    const full = buildCalendar(schedule, 6);
+    expect(buildCalendar(schedule, 6, 2)).toEqual(full.slice(2));
+    expect(calendarDays(schedule, 6, 2)).toEqual(full.slice(2).map(({ date, hoursInDay }) => ({ date, hoursInDay })));
+  });
+
+  it("renders a 25-hour day with the repeated hour spanning two real hours", () => {
+    const schedule = createSchedule({ startDate: "2024-10-26T00:00", phases: [phase(12, 12)], timeZone: zone });
+    const row = buildCalendar(schedule, 2)[1];
+    expect(row.hoursInDay).toBe(25);
+    expect(row.cells[2]).toMatchObject({ repeated: true, hoursSpan: 2 });
+    expect(row.cells[10].isLight).toBe(true);
+    expect(row.cells[11].isLight).toBe(false);
+  });
+
+  it("shifts the switch by one hour on the wall clock in elapsed mode", () => {
+    const schedule = createSchedule({ startDate: "2024-03-30T08:00", phases: [phase(12, 12)], timeZone: zone });
+    const [, on] = transitionsBetween(schedule, schedule.startDate, new Date("2024-04-01T00:00:00Z"));
+    expect(on.date.toISOString()).toBe("2024-03-31T07:00:00.000Z"); // 09:00 CEST
+  });
+
+  it("keeps the wall-clock time across DST in wallclock mode", () => {
+    const schedule = createSchedule({ startDate: "2024-03-30T08:00", phases: [phase(12, 12)], timeZone: zone, clockMode: "wallclock" });
+    const [, on] = transitionsBetween(schedule, schedule.startDate, new Date("2024-04-01T00:00:00Z"));
+    expect(on.date.toISOString()).toBe("2024-03-31T06:00:00.000Z"); // 08:00 CEST
+  });
+});
+
+describe("phasesFromObject", () => {
+  it("migrates the legacy single-pair shape", () => {
+    expect(phasesFromObject({ hoursLight: 18, hoursDark: 6 })[0]).toMatchObject({ hoursLight: 18, hoursDark: 6 });
+  });
+
+  it("returns null when nothing usable is present", () => {
+    expect(phasesFromObject({})).toBeNull();
+  });
+
+  it("keeps only the last phase open-ended", () => {
+    const timeline = buildTimeline([phase(18, 6, { length: 21 }), phase(12, 12, { length: 5 })]);
+    expect(timeline[0].end).toBe(21 * 24);
+    expect(timeline[1].end).toBe(Infinity);
+  });
+});
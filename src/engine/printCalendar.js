@@ -0,0 +1,233 @@
+/**
+ * printCalendar.js — Calendario Día × Hora imprimible (vectorial)
+ * - No depende de la pantalla: dibuja las filas de buildCalendar en páginas A4
+ *   apaisadas, una semana (lunes a domingo) o un mes local por página
+ * - Las páginas son listas de primitivas (rect, text) en puntos con
+ *   origen arriba a la izquierda; pagesToSvg y pdf.js las convierten
+ * - Opciones: rango de días, tema claro/oscuro, leyenda, título con el cultivo
+ *   y los parámetros del esquema, eje de horas 12h/24h
+ * - Textos, nombres de días/meses, fechas y números en el idioma `lang`
+ */
+
+import { mixColor } from "./color.js";
+import { zonedParts } from "./timezone.js";
+import { engineText, formatDateTime, formatDayMonth, formatNumber, monthNames, weekdayNames } from "./locale.js";
+
+export const PAGE_WIDTH = 842;
+export const PAGE_HEIGHT = 595;
+export const PRINT_LAYOUTS = ["week", "month"];
+export const HOUR_FORMATS = ["24", "12"];
+
+export const PRINT_THEMES = {
+  light: { background: "#ffffff", text: "#111827", muted: "#6b7280", light: "#fbbf24", dark: "#c7d2fe", skipped: "#e5e7eb" },
+  dark: { background: "#0b1020", text: "#e5e7eb", muted: "#9ca3af", light: "#f59e0b", dark: "#4338ca", skipped: "#1f2937" },
+};
+
+export const DEFAULT_PRINT_OPTIONS = {
+  fromDay: 1,
+  toDay: null,
+  layout: "week",
+  theme: "light",
+  legend: true,
+  title: true,
+  hourFormat: "24",
+  lang: "es",
+};
+
+const MARGIN = 28;
+const LABEL_WIDTH = 84;
+const HEADER_HEIGHT = 14;
+const TITLE_HEIGHT = 38;
+const PAGE_LABEL_HEIGHT = 18;
+const LEGEND_HEIGHT = 22;
+// Por debajo de este alto de fila no entran los horarios de los cambios
+const SWITCH_LABEL_MIN_ROW = 20;
+
+function formatHours(n, lang) {
+  return formatNumber(lang, n, { maximumFractionDigits: 2, useGrouping: false });
+}
+
+function shortDate(item, lang) {
+  return formatDayMonth(lang, item.year, item.month, item.date);
+}
+
+export function hourLabel(hour, format = "24") {
+  if (format !== "12") return String(hour);
+  const h = hour % 12 === 0 ? 12 : hour % 12;
+  return `${h}${hour < 12 ? "a" : "p"}`;
+}
+
+/** "Vege 18/6 × 21 d · Flora 12/12" */
+export function scheduleSummary(schedule, lang) {
+  return schedule.phases.map((p, i) => {
+    const hours = `${formatHours(Number(p.hoursLight), lang)}/${formatHours(Number(p.hoursDark), lang)}`;
+    const last = i === schedule.phases.length - 1;
+    const length = last ? "" : ` × ${formatHours(Number(p.length), lang)} ${engineText(lang, p.unit === "cycles" ? "print.cycles" : "print.days")}`;
+    return `${p.name} ${hours}${length}`;
+  }).join(" · ");
+}
+
+// Filas del rango con su día (0 = inicio) y su fecha local
+function rangeRows(schedule, rows, { fromDay, toDay, firstDay = 0 }) {
+  const last = firstDay + rows.length;
+  const from = Math.max(firstDay + 1, Math.floor(Number(fromDay) || 1));
+  const to = Math.min(last, Math.floor(Number(toDay) || last));
+  const out = [];
+  for (let d = from - 1; d < to; d++) {
+    const row = rows[d - firstDay];
+    const p = zonedParts(row.date, schedule.timeZone);
+    const weekday = new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+    out.push({ row, day: d, year: p.year, month: p.month, date: p.day, weekday });
+  }
+  return out;
+}
+
+// Una página por semana (lunes a domingo) o por mes local
+function groupRows(items, layout) {
+  const groups = [];
+  for (const item of items) {
+    const last = groups[groups.length - 1];
+    const startsGroup = !last || (layout === "month"
+      ? item.month !== last[0].month || item.year !== last[0].year
+      : item.weekday === 1);
+    if (startsGroup) groups.push([item]);
+    else last.push(item);
+  }
+  return groups;
+}
+
+function pageLabel(group, layout, lang) {
+  const first = group[0];
+  const last = group[group.length - 1];
+  if (layout === "month") return `${monthNames(lang)[first.month - 1]} ${first.year}`;
+  return engineText(lang, "print.week", { date: shortDate(first, lang), from: first.day + 1, to: last.day + 1 });
+}
+
+function cellItems(cell, x, y, w, h, theme) {
+  if (cell.skipped) return [{ type: "rect", x, y, w, h, fill: theme.skipped }];
+  const lightColor = cell.ramped && cell.lightFraction > 0
+    ? mixColor(theme.dark, theme.light, cell.output / cell.lightFraction)
+    : theme.light;
+  return cell.segments.map((seg) => ({
+    type: "rect",
+    x: x + seg.from * w,
+    y,
+    w: (seg.to - seg.from) * w,
+    h,
+    fill: seg.isLight ? lightColor : theme.dark,
+  }));
+}
+
+function legendItems(y, theme, lang) {
+  const items = [];
+  let x = MARGIN;
+  const entry = (fill, label) => {
+    items.push({ type: "rect", x, y: y - 8, w: 14, h: 9, fill });
+    items.push({ type: "text", x: x + 18, y, text: label, size: 8, fill: theme.text });
+    x += 18 + label.length * 4.4 + 16;
+  };
+  entry(theme.light, engineText(lang, "print.legend.light"));
+  entry(theme.dark, engineText(lang, "print.legend.dark"));
+  entry(mixColor(theme.dark, theme.light, 0.5), engineText(lang, "print.legend.ramp"));
+  entry(theme.skipped, engineText(lang, "print.legend.skipped"));
+  items.push({ type: "text", x, y, text: engineText(lang, "print.legend.switch"), size: 8, fill: theme.muted });
+  return items;
+}
+
+/**
+ * Páginas del calendario imprimible.
+ * @param {object} schedule createSchedule(...)
+ * @param {object[]} rows buildCalendar(schedule, durationDays), o solo los
+ *   días desde `options.firstDay` (índice del día de rows[0])
+ * @param {object} options ver DEFAULT_PRINT_OPTIONS; `growName` para el título
+ * @returns {{ width: number, height: number, items: object[] }[]}
+ */
+export function printPages(schedule, rows, options = {}) {
+  const opts = { ...DEFAULT_PRINT_OPTIONS, ...options };
+  const theme = PRINT_THEMES[opts.theme] || PRINT_THEMES.light;
+  const layout = PRINT_LAYOUTS.includes(opts.layout) ? opts.layout : "week";
+  const groups = groupRows(rangeRows(schedule, rows, opts), layout);
+  const rowsPerPage = layout === "month" ? 31 : 7;
+
+  const gridTop = MARGIN + (opts.title ? TITLE_HEIGHT : PAGE_LABEL_HEIGHT) + HEADER_HEIGHT;
+  const gridBottom = PAGE_HEIGHT - MARGIN - (opts.legend ? LEGEND_HEIGHT : 0);
+  const rowHeight = Math.min(60, (gridBottom - gridTop) / rowsPerPage);
+  const hourWidth = (PAGE_WIDTH - 2 * MARGIN - LABEL_WIDTH) / 24;
+  const gap = Math.min(1, rowHeight * 0.08);
+  const { lang } = opts;
+  const weekdays = weekdayNames(lang);
+  const start = formatDateTime(lang, schedule.startDate, { dateStyle: "medium", timeStyle: "short", timeZone: schedule.timeZone });
+  const clock = schedule.clockMode === "wallclock" ? `, ${engineText(lang, "print.wallclock")}` : "";
+  const subtitle = `${scheduleSummary(schedule, lang)} — ${engineText(lang, "print.start")} ${start} (${schedule.timeZone}${clock})`;
+  const appName = engineText(lang, "app.name");
+
+  return groups.map((group, pageIndex) => {
+    const items = [{ type: "rect", x: 0, y: 0, w: PAGE_WIDTH, h: PAGE_HEIGHT, fill: theme.background }];
+    const right = PAGE_WIDTH - MARGIN;
+
+    if (opts.title) {
+      items.push({ type: "text", x: MARGIN, y: MARGIN + 12, text: opts.growName ? `${opts.growName} — ${appName}` : appName, size: 15, bold: true, fill: theme.text });
+      items.push({ type: "text", x: MARGIN, y: MARGIN + 27, text: subtitle, size: 8, fill: theme.muted });
+    }
+    items.push({ type: "text", x: right, y: MARGIN + 12, text: `${pageLabel(group, layout, lang)} · ${engineText(lang, "print.page", { page: pageIndex + 1, total: groups.length })}`, size: 9, bold: true, fill: theme.text, anchor: "end" });
+
+    // Eje de horas
+    for (let h = 0; h < 24; h++) {
+      items.push({ type: "text", x: MARGIN + LABEL_WIDTH + (h + 0.5) * hourWidth, y: gridTop - 4, text: hourLabel(h, opts.hourFormat), size: 7, fill: theme.muted, anchor: "middle" });
+    }
+
+    group.forEach((item, i) => {
+      const y = gridTop + i * rowHeight;
+      const h = rowHeight - gap;
+      const labelSize = Math.min(8, Math.max(5.5, rowHeight * 0.45));
+      items.push({ type: "text", x: MARGIN, y: y + h / 2 + labelSize * 0.35, text: engineText(lang, "print.day", { day: item.day + 1 }), size: labelSize, bold: true, fill: theme.text });
+      items.push({ type: "text", x: MARGIN + 38, y: y + h / 2 + labelSize * 0.35, text: `${weekdays[item.weekday]} ${shortDate(item, lang)}`, size: labelSize, fill: theme.muted });
+      item.row.cells.forEach((cell, hour) => {
+        const x = MARGIN + LABEL_WIDTH + hour * hourWidth;
+        items.push(...cellItems(cell, x, y, hourWidth - gap, h, theme));
+        if (rowHeight >= SWITCH_LABEL_MIN_ROW) {
+          cell.switches.forEach((sw, k) => {
+            items.push({ type: "text", x: x + (hourWidth - gap) / 2, y: y + h - 3 - k * 7, text: sw.time, size: 5.5, fill: theme.text, anchor: "middle" });
+          });
+        }
+      });
+    });
+
+    if (opts.legend) items.push(...legendItems(PAGE_HEIGHT - MARGIN, theme, lang));
+    return { width: PAGE_WIDTH, height: PAGE_HEIGHT, items };
+  });
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function num(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+function itemToSvg(item) {
+  if (item.type === "rect") return `<rect x="${num(item.x)}" y="${num(item.y)}" width="${num(item.w)}" height="${num(item.h)}" fill="${item.fill}"/>`;
+  const anchor = item.anchor ? ` text-anchor="${item.anchor}"` : "";
+  const weight = item.bold ? ` font-weight="bold"` : "";
+  return `<text x="${num(item.x)}" y="${num(item.y)}" font-size="${num(item.size)}"${weight}${anchor} fill="${item.fill}">${escapeXml(item.text)}</text>`;
+}
+
+/** Todas las páginas en un único SVG, una debajo de la otra */
+export function pagesToSvg(pages, gap = 16) {
+  const width = pages[0]?.width ?? PAGE_WIDTH;
+  const height = pages.reduce((sum, p) => sum + p.height, 0) + gap * Math.max(0, pages.length - 1);
+  let y = 0;
+  const body = pages.map((page) => {
+    const g = `<g transform="translate(0 ${num(y)})">\n${page.items.map(itemToSvg).join("\n")}\n</g>`;
+    y += page.height + gap;
+    return g;
+  });
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}pt" height="${height}pt" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+    ...body,
+    `</svg>`,
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { buildCalendar, createSchedule } from "./photoperiod";
+import { hourLabel, pagesToSvg, printPages, scheduleSummary } from "./printCalendar";
+import { phase } from "./testPhases";
+
+// 2024-05-01 es miércoles
+const schedule = createSchedule({
+  startDate: "2024-05-01T08:00",
+  phases: [
+    phase(18, 6, { name: "Vege", length: 21 }),
+    phase(12, 12),
+  ],
+  timeZone: "UTC",
+});
+const rows = buildCalendar(schedule, 45);
+const texts = (page) => page.items.filter((i) => i.type === "text").map((i) => i.text);
+
+describe("printPages", () => {
+  it("puts one Monday-to-Sunday week per page", () => {
+    const pages = printPages(schedule, rows, { growName: "Carpa <1>" });
+    expect(pages).toHaveLength(7);
+    expect(texts(pages[0])).toContain("Semana del 01/05 · días 1–5 · p. 1/7");
+    expect(texts(pages[1])).toContain("Semana del 06/05 · días 6–12 · p. 2/7");
+    expect(texts(pages[0])).toContain("Carpa <1> — Fotoperiodo");
+    expect(texts(pages[0])[1]).toBe("Vege 18/6 × 21 d · Flora 12/12 — inicio 1 may 2024, 8:00 (UTC)");
+  });
+
+  it("writes labels, dates and numbers in the chosen language", () => {
+    const pages = printPages(schedule, rows, { growName: "Tent", lang: "en" });
+    expect(texts(pages[0])).toContain("Week of 05/01 · days 1–5 · p. 1/7");
+    expect(texts(pages[0])).toContain("Tent — Photoperiod");
+    expect(texts(pages[0])).toEqual(expect.arrayContaining(["Day 1", "Wed 05/01", "Light", "Dark"]));
+    const [month] = printPages(schedule, rows, { layout: "month", toDay: 3, lang: "en" });
+    expect(texts(month)).toContain("May 2024 · p. 1/1");
+  });
+
+  it("groups by local month and honours the day range", () => {
+    const pages = printPages(schedule, rows, { layout: "month", fromDay: 10, toDay: 40, title: false, legend: false });
+    expect(pages.map((p) => texts(p).find((t) => t.includes(" · p. ")))).toEqual(["Mayo 2024 · p. 1/2", "Junio 2024 · p. 2/2"]);
+    expect(texts(pages[0])).toContain("Día 10");
+    expect(texts(pages[1])).toContain("Día 40");
+    expect(texts(pages[1])).not.toContain("Día 41");
+    expect(texts(pages[0])).not.toContain("Luz");
+  });
+
+  it("draws the same pages from only the rows of the range", () => {
+    const options = { layout: "month", fromDay: 10, toDay: 40 };
+    const partial = printPages(schedule, buildCalendar(schedule, 40, 9), { ...options, firstDay: 9 });
+    expect(partial).toEqual(printPages(schedule, rows, options));
+  });
+
+  it("splits each hour at the exact switch and labels it", () => {
+    const sched = createSchedule({ startDate: "2024-05-01T08:30", phases: [{ name: "Flora", hoursLight: 12, hoursDark: 12 }], timeZone: "UTC" });
+    const [page] = printPages(sched, buildCalendar(sched, 1), { theme: "dark" });
+    // ON 08:30–20:30: las horas 8 y 20 quedan partidas al medio
+    const light = page.items.filter((i) => i.type === "rect" && i.fill === "#f59e0b" && i.h > 20);
+    expect(light).toHaveLength(13);
+    expect(light[0].w).toBeCloseTo(light[1].w / 2, 6);
+    expect(light.reduce((sum, r) => sum + r.w, 0) / light[1].w).toBeCloseTo(12, 6);
+    expect(texts(page)).toEqual(expect.arrayContaining(["08:30", "20:30"]));
+  });
+});
+
+describe("labels", () => {
+  it("formats the hour axis in 12h or 24h", () => {
+    expect([0, 1, 11, 12, 13, 23].map((h) => hourLabel(h, "12"))).toEqual(["12a", "1a", "11a", "12p", "1p", "11p"]);
+    expect(hourLabel(13)).toBe("13");
+  });
+
+  it("summarizes fractional hours and cycle lengths", () => {
+    const sched = createSchedule({ startDate: "2024-05-01T08:00", phases: [{ name: "Super", hoursLight: 13.5, hoursDark: 14, length: 10, unit: "cycles" }, { name: "Final", hoursLight: 12, hoursDark: 12 }], timeZone: "UTC" });
+    expect(scheduleSummary(sched)).toBe("Super 13,5/14 × 10 ciclos · Final 12/12");
+    expect(scheduleSummary(sched, "en")).toBe("Super 13.5/14 × 10 cycles · Final 12/12");
+  });
+});
+
+describe("pagesToSvg", () => {
+  it("stacks the pages and escapes text", () => {
+    const pages = printPages(schedule, rows, { toDay: 12, growName: "Carpa <1>" });
+    const svg = pagesToSvg(pages);
+    expect(svg.startsWith("<?xml")).toBe(true);
+    expect(svg).toContain('viewBox="0 0 842 1206"');
+    expect(svg).toContain("Carpa &lt;1&gt; — Fotoperiodo");
+    expect(svg.match(/<g transform/g)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * sanity.js — Reglas de sentido común sobre el esquema (sin React ni DOM)
+ * - validateInputs solo frena lo imposible (números negativos, ciclos 0/0,
+ *   fechas vacías); estas reglas avisan de lo posible pero sospechoso: flora
+ *   con poca oscuridad, ciclos de 200 h, inicios lejanos, oscuridad en horas
+ *   ocupadas... (0/0 también figura acá, junto a la fase que lo tiene)
+ * - Cada aviso: { id, level, field, params }. `level` es "critical", "warning"
+ *   o "info"; `field` ubica el aviso junto a su campo ("startDate",
+ *   "durationDays", "busyHours" o "phases[i]"); el texto lo pone la interfaz
+ *   con la clave `sanity.<id>`
+ * - Horas ocupadas: horas del día (0–23) en que alguien entra a la sala o hay
+ *   luz/ruido afuera; si la oscuridad cae ahí hay riesgo de fuga de luz
+ */
+
+import { EPS_HOURS, MS_PER_DAY, calendarDays, calendarHourRange, outputBetweenHours } from "./photoperiod.js";
+import { zonedDayDiff } from "./timezone.js";
+
+export const SANITY_LEVELS = ["critical", "warning", "info"];
+
+export const SANITY_LIMITS = {
+  // Oscuridad seguida recomendada para florecer (por debajo de critical no florece)
+  flowerDarkHours: 11,
+  flowerDarkCriticalHours: 8,
+  minCycleHours: 6,
+  maxCycleHours: 48,
+  maxCycleCriticalHours: 96,
+  futureDays: 30,
+  futureWarningDays: 365,
+  pastYears: 2,
+  // Oscuridad en horas ocupadas dentro de estos días: warning (después, info)
+  busySoonDays: 3,
+};
+
+// Fase de flora: más oscuridad que luz, o así se llama
+const FLOWER_NAME_RE = /flor|flower|bloom/i;
+
+export function isFloweringPhase(phase) {
+  return Number(phase.hoursDark) >= Number(phase.hoursLight) || FLOWER_NAME_RE.test(phase.name || "");
+}
+
+/** Lista guardada de horas ocupadas → enteros 0–23 sin repetir, ordenados */
+export function busyHoursFromObject(list) {
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.filter((h) => Number.isInteger(h) && h >= 0 && h <= 23))].sort((a, b) => a - b);
+}
+
+function phaseWarnings(phases) {
+  const out = [];
+  phases.forEach((phase, i) => {
+    const field = `phases[${i}]`;
+    const light = Number(phase.hoursLight);
+    const dark = Number(phase.hoursDark);
+    if (!Number.isFinite(light) || !Number.isFinite(dark)) return;
+    const params = { phase: i + 1 };
+    const cycle = light + dark;
+    if (cycle <= 0) {
+      out.push({ id: "zeroCycle", level: "critical", field, params });
+      return;
+    }
+    if (light === 0) out.push({ id: "noLight", level: "warning", field, params });
+    if (isFloweringPhase(phase) && dark < SANITY_LIMITS.flowerDarkHours) {
+      const level = dark < SANITY_LIMITS.flowerDarkCriticalHours ? "critical" : "warning";
+      out.push({ id: "shortDark", level, field, params: { ...params, hours: dark, min: SANITY_LIMITS.flowerDarkHours } });
+    } else if (dark === 0) {
+      out.push({ id: "noDark", level: "info", field, params });
+    }
+    if (cycle > SANITY_LIMITS.maxCycleHours) {
+      const level = cycle > SANITY_LIMITS.maxCycleCriticalHours ? "critical" : "warning";
+      out.push({ id: "longCycle", level, field, params: { ...params, hours: cycle, max: SANITY_LIMITS.maxCycleHours } });
+    } else if (cycle < SANITY_LIMITS.minCycleHours) {
+      out.push({ id: "shortCycle", level: "warning", field, params: { ...params, hours: cycle, min: SANITY_LIMITS.minCycleHours } });
+    }
+  });
+  return out;
+}
+
+function dateWarnings(schedule, durationDays, now) {
+  const out = [];
+  const startMs = schedule.startDate.getTime();
+  const daysAhead = Math.floor((startMs - now.getTime()) / MS_PER_DAY);
+  if (daysAhead > SANITY_LIMITS.futureDays) {
+    const level = daysAhead > SANITY_LIMITS.futureWarningDays ? "warning" : "info";
+    out.push({ id: "startFuture", level, field: "startDate", params: { count: daysAhead } });
+  }
+  const yearsAgo = Math.floor(-daysAhead / 365);
+  if (yearsAgo >= SANITY_LIMITS.pastYears) {
+    out.push({ id: "startPast", level: "warning", field: "startDate", params: { count: yearsAgo } });
+  }
+  const end = new Date(startMs + durationDays * MS_PER_DAY);
+  if (end.getTime() < now.getTime()) {
+    out.push({ id: "calendarEnded", level: "info", field: "durationDays", params: { date: end } });
+  }
+  const firstCycle = schedule.timeline[0].cycleLength;
+  if (durationDays * 24 < firstCycle) {
+    out.push({ id: "durationShort", level: "warning", field: "durationDays", params: { days: durationDays, hours: firstCycle } });
+  }
+  return out;
+}
+
+/**
+ * Oscuridad en horas ocupadas desde hoy hasta el final del calendario.
+ * Con ciclos que no son de 24 h la oscuridad se corre de a poco: se avisa el
+ * primer día en que cae en esas horas y cuántos días del calendario lo hacen.
+ * Mira solo las horas ocupadas de cada día, sin armar la grilla completa.
+ */
+export function busyDarkOverlap(schedule, durationDays, busyHours, now) {
+  if (busyHours.length === 0) return null;
+  const today = Math.max(0, zonedDayDiff(schedule.startDate, now, schedule.timeZone));
+  let first = null;
+  let days = 0;
+  calendarDays(schedule, durationDays, today).forEach((day, i) => {
+    const hours = busyHours.filter((h) => {
+      const { from, to, skipped } = calendarHourRange(schedule, day, h);
+      return !skipped && outputBetweenHours(schedule.timeline, from, to).lightHours < to - from - EPS_HOURS;
+    });
+    if (hours.length === 0) return;
+    days++;
+    if (!first) first = { day: today + i, date: day.date, hours };
+  });
+  return first && { ...first, days, daysAway: first.day - today };
+}
+
+/**
+ * Todos los avisos del esquema, de más grave a menos grave.
+ * @param {{ schedule: object, durationDays: number, now: Date, busyHours?: number[] }} input
+ */
+export function checkSchedule({ schedule, durationDays, now, busyHours = [] }) {
+  const warnings = [...phaseWarnings(schedule.phases), ...dateWarnings(schedule, durationDays, now)];
+  const busy = busyDarkOverlap(schedule, durationDays, busyHours, now);
+  if (busy) {
+    warnings.push({
+      id: "busyDark",
+      level: busy.daysAway < SANITY_LIMITS.busySoonDays ? "warning" : "info",
+      field: "busyHours",
+      params: { date: busy.date, hours: busy.hours, count: busy.days },
+    });
+  }
+  return warnings.sort((a, b) => SANITY_LEVELS.indexOf(a.level) - SANITY_LEVELS.indexOf(b.level));
+}
+
+/** Avisos agrupados por campo (para mostrarlos junto a cada input) */
+export function warningsByField(warnings) {
+  const out = {};
+  for (const w of warnings) (out[w.field] ||= []).push(w);
+  return out;
+}
@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import { createSchedule } from "./photoperiod";
+import { busyDarkOverlap, busyHoursFromObject, checkSchedule, warningsByField } from "./sanity";
+import { phase } from "./testPhases";
+
+const NOW = new Date("2024-03-01T12:00:00Z");
+
+function check(phases, { startDate = "2024-03-01T06:00", durationDays = 10, now = NOW, busyHours } = {}) {
+  const schedule = createSchedule({ startDate, phases, timeZone: "UTC" });
+  return checkSchedule({ schedule, durationDays, now, busyHours });
+}
+const summary = (warnings) => warnings.map((w) => `${w.field}:${w.id}:${w.level}`);
+
+describe("phase rules", () => {
+  it("grades impossible and odd light/dark splits", () => {
+    const warnings = check([
+      phase(0, 0, { name: "Vege", length: 1 }),
+      phase(18, 6, { name: "Flora", length: 1 }),
+      phase(100, 100, { name: "Madre", length: 1 }),
+      phase(2, 2, { name: "Rápido", length: 1 }),
+      phase(24, 0, { name: "Vege", length: 1 }),
+      phase(0, 12, { name: "Oscuro", length: 1 }),
+    ]);
+    expect(summary(warnings)).toEqual([
+      "phases[0]:zeroCycle:critical",
+      "phases[1]:shortDark:critical",
+      "phases[2]:longCycle:critical",
+      "phases[3]:shortDark:critical",
+      "phases[3]:shortCycle:warning",
+      "phases[5]:noLight:warning",
+      "phases[4]:noDark:info",
+    ]);
+    expect(warnings[1].params).toEqual({ phase: 2, hours: 6, min: 11 });
+  });
+
+  it("accepts the usual schedules", () => {
+    expect(check([phase(18, 6, { name: "Vege", length: 1 }), phase(12, 12, { name: "Flora", length: 1 }), phase(13, 14, { name: "Superciclo", length: 1 })])).toEqual([]);
+  });
+
+  it("warns about short dark periods and long cycles below the critical limit", () => {
+    expect(summary(check([phase(14, 10, { name: "Flora", length: 1 }), phase(30, 30, { name: "Lento", length: 1 })]))).toEqual([
+      "phases[0]:shortDark:warning",
+      "phases[1]:longCycle:warning",
+    ]);
+  });
+});
+
+describe("date rules", () => {
+  it("flags starts far in the future or years in the past", () => {
+    const future = check([phase(18, 6, { name: "Vege", length: 1 })], { startDate: "2025-06-01T00:00" });
+    expect(summary(future)).toEqual(["startDate:startFuture:warning"]);
+    expect(future[0].params.count).toBe(456);
+    expect(summary(check([phase(18, 6, { name: "Vege", length: 1 })], { startDate: "2024-04-15T00:00" }))).toEqual(["startDate:startFuture:info"]);
+
+    const past = check([phase(18, 6, { name: "Vege", length: 1 })], { startDate: "2020-01-01T00:00" });
+    expect(summary(past)).toEqual(["startDate:startPast:warning", "durationDays:calendarEnded:info"]);
+    expect(past[0].params.count).toBe(4);
+    expect(past[1].params.date.toISOString()).toBe("2020-01-11T00:00:00.000Z");
+  });
+
+  it("flags a duration shorter than one cycle", () => {
+    const warnings = check([phase(40, 40, { name: "Lento", length: 1 })], { durationDays: 3 });
+    expect(summary(warnings)).toContain("durationDays:durationShort:warning");
+    expect(warnings.find((w) => w.id === "durationShort").params).toEqual({ days: 3, hours: 80 });
+  });
+});
+
+describe("busy hours", () => {
+  // Superciclo 13/14: la oscuridad se corre 3 h por día
+  const schedule = createSchedule({ startDate: "2024-03-01T06:00", phases: [phase(13, 14, { name: "Superciclo", length: 1 })], timeZone: "UTC" });
+
+  it("finds the first day the dark period drifts into busy hours", () => {
+    const overlap = busyDarkOverlap(schedule, 10, [15], NOW);
+    expect(overlap).toMatchObject({ day: 4, hours: [15], daysAway: 4 });
+    expect(overlap.date.toISOString()).toBe("2024-03-05T00:00:00.000Z");
+    expect(busyDarkOverlap(schedule, 10, [], NOW)).toBeNull();
+  });
+
+  it("is a warning when the overlap is close", () => {
+    const later = new Date("2024-03-03T12:00:00Z");
+    const [warning] = checkSchedule({ schedule, durationDays: 10, now: later, busyHours: [15] });
+    expect(warning).toMatchObject({ id: "busyDark", level: "warning", field: "busyHours" });
+    expect(checkSchedule({ schedule, durationDays: 10, now: NOW, busyHours: [15] })[0].level).toBe("info");
+  });
+
+  it("cleans the saved list and groups warnings by field", () => {
+    expect(busyHoursFromObject([23, 7, 7, -1, 24, 2.5, "3"])).toEqual([7, 23]);
+    expect(busyHoursFromObject(null)).toEqual([]);
+    const grouped = warningsByField(check([phase(0, 0, { name: "Vege", length: 1 }), phase(18, 6, { name: "Flora", length: 1 })], { durationDays: 1 }));
+    expect(Object.keys(grouped)).toEqual(["phases[0]", "phases[1]"]);
+  });
+});
@@ -0,0 +1,9 @@
+/**
+ * testPhases.js — Fases de ejemplo para los tests del motor
+ * - phase(ON, OFF) es una fase "Flora" de largo 0 (dura hasta el final)
+ * - `extra` pisa o agrega campos: { length, unit, name, ppfd, ramp }
+ */
+
+export function phase(hoursLight, hoursDark, extra = {}) {
+  return { name: "Flora", hoursLight, hoursDark, length: 0, unit: "days", ...extra };
+}
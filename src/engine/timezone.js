@@ -0,0 +1,95 @@
+/**
+ * timezone.js — Conversión entre instantes y hora de pared en una zona IANA
+ * - Usa solo Intl (sin dependencias)
+ * - "wallMs": la hora local expresada como si fuera UTC (Date.UTC de sus partes);
+ *   avanza 23h o 25h en los días con cambio de horario
+ * - Horas inexistentes (salto de primavera) se resuelven hacia adelante;
+ *   horas repetidas (otoño) toman la primera ocurrencia
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+    });
+    formatters.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+export function localTimeZone() {
+  try { return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC"; } catch { return "UTC"; }
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try { formatterFor(timeZone); return true; } catch { return false; }
+}
+
+// Lista para el selector; los navegadores viejos no tienen supportedValuesOf
+export function availableTimeZones() {
+  try {
+    if (typeof Intl.supportedValuesOf === "function") return Intl.supportedValuesOf("timeZone");
+  } catch { /* sin soporte */ }
+  return [localTimeZone(), "UTC"];
+}
+
+/** Partes de la hora local de `date` en `timeZone` ({ year, month (1-12), day, hour, minute, second }) */
+export function zonedParts(date, timeZone) {
+  const out = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    if (type !== "literal") out[type] = Number(value);
+  }
+  return { year: out.year, month: out.month, day: out.day, hour: out.hour % 24, minute: out.minute, second: out.second };
+}
+
+export function wallMsOf(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) + (date.getTime() % 1000 + 1000) % 1000;
+}
+
+export function offsetMs(date, timeZone) {
+  return wallMsOf(date, timeZone) - date.getTime();
+}
+
+/** Instante correspondiente a una hora de pared (ver reglas en la cabecera) */
+export function wallMsToDate(wallMs, timeZone) {
+  const before = offsetMs(new Date(wallMs - MS_PER_DAY), timeZone);
+  const after = offsetMs(new Date(wallMs + MS_PER_DAY), timeZone);
+  const candidates = [wallMs - before, wallMs - after]
+    .filter((ms) => wallMsOf(new Date(ms), timeZone) === wallMs)
+    .sort((a, b) => a - b);
+  if (candidates.length > 0) return new Date(candidates[0]);
+  // Hora inexistente: se mantiene el desfase previo al salto
+  return new Date(wallMs - before);
+}
+
+/** "YYYY-MM-DDTHH:mm" interpretado en `timeZone` */
+export function parseLocalDateTime(value, timeZone) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/.exec(String(value || ""));
+  if (!m) return null;
+  const wallMs = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5]), Number(m[6] || 0));
+  return wallMsToDate(wallMs, timeZone);
+}
+
+export function formatLocalDateTime(date, timeZone) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) return "";
+  const p = zonedParts(date, timeZone);
+  const pad = (n) => n.toString().padStart(2, "0");
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/** Días de calendario (en la zona) entre dos instantes */
+export function zonedDayDiff(from, to, timeZone) {
+  const a = zonedParts(from, timeZone);
+  const b = zonedParts(to, timeZone);
+  return Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / MS_PER_DAY);
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { formatLocalDateTime, isValidTimeZone, parseLocalDateTime, wallMsToDate, zonedDayDiff } from "./timezone";
+
+const zone = "Europe/Madrid";
+
+describe("timezone", () => {
+  it("round-trips datetime-local strings", () => {
+    const d = parseLocalDateTime("2024-07-01T07:30", zone);
+    expect(d.toISOString()).toBe("2024-07-01T05:30:00.000Z");
+    expect(formatLocalDateTime(d, zone)).toBe("2024-07-01T07:30");
+  });
+
+  it("moves nonexistent spring-forward times ahead", () => {
+    expect(wallMsToDate(Date.UTC(2024, 2, 31, 2, 0), zone).toISOString()).toBe("2024-03-31T01:00:00.000Z");
+  });
+
+  it("takes the first occurrence of a repeated autumn hour", () => {
+    expect(wallMsToDate(Date.UTC(2024, 9, 27, 2, 30), zone).toISOString()).toBe("2024-10-27T00:30:00.000Z");
+  });
+
+  it("counts local calendar days", () => {
+    expect(zonedDayDiff(new Date("2024-03-30T23:30:00Z"), new Date("2024-03-31T22:30:00Z"), zone)).toBe(1);
+  });
+
+  it("validates IANA names", () => {
+    expect(isValidTimeZone("America/Argentina/Buenos_Aires")).toBe(true);
+    expect(isValidTimeZone("Mars/Olympus")).toBe(false);
+  });
+});
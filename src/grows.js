@@ -0,0 +1,113 @@
+/**
+ * grows.js — Cultivos / salas guardados en localStorage
+ * - Cada cultivo: { id, name, room, strain, notes, schedule, energy, journal, actual, milestones }
+ * - schedule: { startDate, phases, durationDays, timeZone, clockMode, light }
+ * - energy: { fixtures, baseline } (la tarifa es común y vive en prefs.tariff)
+ * - journal: entradas de la bitácora (ver journal.js)
+ * - actual: historial real de ON/OFF { events, useForStats } (ver engine/actual.js)
+ * - milestones: hitos con cuenta regresiva (ver milestones.js)
+ * - Migra la configuración única anterior (fotoperiodo_settings_v1) al primer cultivo
+ */
+
+import { DEFAULT_PHASE, phasesFromObject } from "./engine/photoperiod.js";
+import { DEFAULT_LIGHT, lightFromObject } from "./engine/dli.js";
+import { DEFAULT_BASELINE, DEFAULT_FIXTURE, baselineFromObject, fixturesFromObject } from "./engine/energy.js";
+import { formatLocalDateTime, isValidTimeZone, localTimeZone } from "./engine/timezone.js";
+import { actualFromObject } from "./engine/actual.js";
+import { journalFromObject } from "./journal.js";
+import { milestonesFromObject } from "./milestones.js";
+
+export const GROWS_KEY = "fotoperiodo_grows_v1";
+export const LEGACY_SETTINGS_KEY = "fotoperiodo_settings_v1";
+
+function safeParseJSON(str, fallback) {
+  try { return JSON.parse(str); } catch { return fallback; }
+}
+
+export function newGrowId() {
+  return `g${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export function defaultSchedule(now = new Date()) {
+  const timeZone = localTimeZone();
+  return {
+    startDate: `${formatLocalDateTime(now, timeZone).slice(0, 10)}T00:00`,
+    phases: [{ ...DEFAULT_PHASE }],
+    durationDays: 60,
+    timeZone,
+    clockMode: "elapsed",
+    light: { ...DEFAULT_LIGHT },
+  };
+}
+
+// Completa un schedule parcial (formato de export/import o settings viejos)
+export function scheduleFromObject(obj, base = defaultSchedule()) {
+  const out = { ...base };
+  if (!obj || typeof obj !== "object") return out;
+  if (obj.startDate) out.startDate = String(obj.startDate);
+  const phases = phasesFromObject(obj);
+  if (phases) out.phases = phases;
+  if (Number.isFinite(Number(obj.durationDays))) out.durationDays = Number(obj.durationDays);
+  if (isValidTimeZone(obj.timeZone)) out.timeZone = obj.timeZone;
+  if (obj.clockMode === "wallclock" || obj.clockMode === "elapsed") out.clockMode = obj.clockMode;
+  if (obj.light && typeof obj.light === "object") out.light = lightFromObject(obj.light);
+  return out;
+}
+
+export function energyFromObject(obj) {
+  if (!obj || typeof obj !== "object") return { fixtures: [{ ...DEFAULT_FIXTURE }], baseline: { ...DEFAULT_BASELINE } };
+  return { fixtures: fixturesFromObject(obj.fixtures), baseline: baselineFromObject(obj.baseline) };
+}
+
+export function createGrow(overrides = {}, index = 0) {
+  return {
+    id: newGrowId(),
+    name: `Cultivo ${index + 1}`,
+    room: "",
+    strain: "",
+    notes: "",
+    ...overrides,
+    schedule: overrides.schedule || defaultSchedule(),
+    energy: overrides.energy || energyFromObject(null),
+    journal: overrides.journal || [],
+    actual: overrides.actual || actualFromObject(null),
+    milestones: overrides.milestones || [],
+  };
+}
+
+function normalizeGrow(raw, index) {
+  return {
+    id: raw?.id ? String(raw.id) : newGrowId(),
+    name: raw?.name ? String(raw.name) : `Cultivo ${index + 1}`,
+    room: raw?.room ? String(raw.room) : "",
+    strain: raw?.strain ? String(raw.strain) : "",
+    notes: raw?.notes ? String(raw.notes) : "",
+    schedule: scheduleFromObject(raw?.schedule),
+    energy: energyFromObject(raw?.energy),
+    journal: journalFromObject(raw?.journal),
+    actual: actualFromObject(raw?.actual),
+    milestones: milestonesFromObject(raw?.milestones),
+  };
+}
+
+/**
+ * Lee los cultivos guardados; si no hay, migra la configuración única anterior.
+ * @param {Storage} storage
+ * @returns {{ activeGrowId: string, grows: object[], prefs: object }}
+ */
+export function loadGrowStore(storage) {
+  const saved = safeParseJSON(storage.getItem(GROWS_KEY), null);
+  if (saved && Array.isArray(saved.grows) && saved.grows.length > 0) {
+    const grows = saved.grows.map(normalizeGrow);
+    const activeGrowId = grows.some((g) => g.id === saved.activeGrowId) ? saved.activeGrowId : grows[0].id;
+    return { activeGrowId, grows, prefs: saved.prefs || {} };
+  }
+
+  const legacy = safeParseJSON(storage.getItem(LEGACY_SETTINGS_KEY), null);
+  const first = createGrow({ schedule: scheduleFromObject(legacy) });
+  return { activeGrowId: first.id, grows: [first], prefs: legacy?.alerts ? { alerts: legacy.alerts } : {} };
+}
+
+export function saveGrowStore(storage, store) {
+  storage.setItem(GROWS_KEY, JSON.stringify(store));
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { GROWS_KEY, LEGACY_SETTINGS_KEY, loadGrowStore, saveGrowStore } from "./grows";
+
+function memoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    data,
+  };
+}
+
+describe("loadGrowStore", () => {
+  it("migrates the single legacy setting into the first grow", () => {
+    const storage = memoryStorage({
+      [LEGACY_SETTINGS_KEY]: JSON.stringify({
+        startDate: "2024-05-01T08:00", hoursLight: 18, hoursDark: 6, durationDays: 90,
+        alerts: { enabled: true, leadMinutes: 5, sound: false },
+      }),
+    });
+    const store = loadGrowStore(storage);
+    expect(store.grows).toHaveLength(1);
+    expect(store.activeGrowId).toBe(store.grows[0].id);
+    expect(store.grows[0].schedule).toMatchObject({ startDate: "2024-05-01T08:00", durationDays: 90 });
+    expect(store.grows[0].schedule.phases[0]).toMatchObject({ hoursLight: 18, hoursDark: 6 });
+    expect(store.prefs.alerts.leadMinutes).toBe(5);
+  });
+
+  it("starts with one default grow on a clean storage", () => {
+    const store = loadGrowStore(memoryStorage());
+    expect(store.grows).toHaveLength(1);
+    expect(store.grows[0].schedule.phases).toHaveLength(1);
+  });
+
+  it("round-trips saved grows and falls back to the first one when the active id is stale", () => {
+    const storage = memoryStorage();
+    const store = loadGrowStore(storage);
+    saveGrowStore(storage, { ...store, activeGrowId: "missing", grows: [...store.grows, { ...store.grows[0], id: "b", name: "Carpa 2" }] });
+    const loaded = loadGrowStore(storage);
+    expect(JSON.parse(storage.data[GROWS_KEY]).grows).toHaveLength(2);
+    expect(loaded.grows[1].name).toBe("Carpa 2");
+    expect(loaded.activeGrowId).toBe(store.grows[0].id);
+  });
+});
@@ -0,0 +1,869 @@
+/**
+ * i18n.js — Catálogo de textos de la interfaz (es / en)
+ * - Claves "área.texto"; mismas reglas que los catálogos del motor
+ *   (parámetros {nombre}, plurales { one, other }, fallback al español)
+ * - createI18n(lang) arma lo que usan los componentes: t(), number(), date()
+ *   y los nombres de días/meses; el idioma se guarda en prefs.lang
+ * - Sin React: el contexto está en i18nContext.js
+ */
+
+import {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  formatDateTime,
+  formatDayMonth,
+  formatNumber,
+  localeFor,
+  lookup,
+  monthNames,
+  normalizeLanguage,
+  weekdayNames,
+} from "./engine/locale.js";
+
+export { DEFAULT_LANGUAGE, LANGUAGES, normalizeLanguage };
+
+export const MESSAGES = {
+  es: {
+    // Comunes
+    "common.add": "Agregar",
+    "common.cancel": "Cancelar",
+    "common.copy": "Copiar",
+    "common.copied": "¡Copiado!",
+    "common.name": "Nombre",
+    "common.delete": "Borrar",
+    "common.clear": "Limpiar",
+    "common.days": { one: "{count} día", other: "{count} días" },
+    "common.hours": "{value} h",
+    "common.unit.days": "días",
+    "common.unit.cycles": "ciclos",
+    "common.curve.linear": "lineal",
+    "common.curve.sigmoid": "sigmoide",
+    "state.on": "Encendido",
+    "state.off": "Apagado",
+    "state.none": "sin cambios",
+
+    // Encabezado y tablero
+    "app.name": "Fotoperiodo",
+    "app.tagline": "Configura tu SuperCiclo y visualiza tu calendario",
+    "app.language": "Idioma",
+    "app.activeGrow": "Cultivo activo",
+    "app.newGrow": "Nuevo cultivo",
+    "app.deleteGrow": "Eliminar cultivo",
+    "app.deleteGrowConfirm": "¿Eliminar \"{name}\"? Esta acción no se puede deshacer.",
+    "app.offline": "Sin conexión",
+    "app.offlineHint": "La app sigue funcionando con los datos guardados",
+    "app.updateAvailable": "Hay una nueva versión disponible.",
+    "app.update": "Actualizar",
+    "app.later": "Más tarde",
+    "dashboard.cycleDay": "{phase} · día SC {day}",
+    "dashboard.notStarted": "Aún no comenzó",
+    "dashboard.next": "{state} {time} ({date}) · en {hours} h",
+    "dashboard.noChanges": "Sin cambios",
+
+    // Configuración
+    "settings.title": "Configuración",
+    "settings.growName": "Nombre del cultivo",
+    "settings.room": "Sala / carpa",
+    "settings.strain": "Genética",
+    "settings.notes": "Notas",
+    "settings.startDate": "Fecha y hora de inicio",
+    "settings.timeZone": "Zona horaria (IANA)",
+    "settings.clockMode": "El timer sigue",
+    "settings.clock.elapsed": "Tiempo transcurrido",
+    "settings.clock.wallclock": "Reloj local",
+    "settings.clock.wallclockHint": "Los horarios se mantienen en la hora local; con el cambio de horario un ciclo dura 1h más o menos.",
+    "settings.clock.elapsedHint": "Cuenta horas reales; con el cambio de horario los eventos se corren 1h en el reloj.",
+    "settings.phases": "Fases",
+    "settings.addPhase": "Agregar fase",
+    "settings.phaseName": "Fase {n}",
+    "settings.hoursOn": "ON (hs)",
+    "settings.hoursOff": "OFF (hs)",
+    "settings.phasePpfd": "PPFD de esta fase (vacío = el general)",
+    "settings.length": "Duración",
+    "settings.untilEnd": "Hasta el final",
+    "settings.removePhase": "Quitar fase",
+    "settings.ramp": "Rampa:",
+    "settings.rampHint": "Dimmer al encender y al apagar; el ON/OFF no cambia",
+    "settings.rampUp": "Subida (min)",
+    "settings.rampDown": "Bajada (min)",
+    "settings.durationDays": "Duración total (días)",
+    "settings.busyHours": "Horas ocupadas",
+    "settings.busyHoursHint": "Horas en que alguien entra a la sala o hay luz afuera: se avisa si la oscuridad cae ahí.",
+    "settings.importConfig": "Importar config",
+    "settings.exportJson": "Exportar JSON",
+    "settings.exportIcs": "Exportar .ics",
+    "settings.icsAlarm": "Aviso N minutos antes de cada cambio (0 = sin aviso)",
+    "settings.icsAlarmUnit": "min aviso",
+    "settings.copyLink": "Copiar enlace",
+    "settings.copyLinkPrompt": "Copiá el enlace:",
+    "settings.showQr": "Mostrar código QR del enlace",
+    "settings.qrAlt": "Código QR del enlace a esta configuración",
+    "settings.qrTooLong": "La configuración es demasiado larga para un QR; usá \"Copiar enlace\".",
+    "settings.reset": "Reset",
+
+    // Validación del formulario
+    "validation.startRequired": "La fecha de inicio es requerida.",
+    "validation.startInvalid": "Formato de fecha inválido.",
+    "validation.timeZone": "Zona horaria inválida (usar un nombre IANA, p. ej. America/Argentina/Buenos_Aires).",
+    "validation.hoursLight": "Fase {n}: horas de luz inválidas.",
+    "validation.hoursDark": "Fase {n}: horas de oscuridad inválidas.",
+    "validation.zeroCycle": "Fase {n}: ON + OFF debe ser mayor que 0.",
+    "validation.length": "Fase {n}: duración inválida.",
+    "validation.duration": "Duración debe ser >= 1 día.",
+
+    // Avisos del esquema (engine/sanity.js)
+    "sanity.title": "Avisos del esquema",
+    "sanity.level.critical": "Crítico",
+    "sanity.level.warning": "Advertencia",
+    "sanity.level.info": "Info",
+    "sanity.zeroCycle": "Fase {phase}: 0 h de luz y 0 h de oscuridad, el ciclo no existe.",
+    "sanity.noLight": "Fase {phase}: sin horas de luz, las plantas quedan a oscuras.",
+    "sanity.noDark": "Fase {phase}: luz continua. Sirve en vegetativo, pero no hace florecer.",
+    "sanity.shortDark": "Fase {phase}: {hours} h de oscuridad es poco para florecer (se recomiendan {min} h seguidas).",
+    "sanity.longCycle": "Fase {phase}: ciclo de {hours} h, muy largo (más de {max} h).",
+    "sanity.shortCycle": "Fase {phase}: ciclo de {hours} h, muy corto (menos de {min} h): muchos encendidos por día.",
+    "sanity.startFuture": { one: "El inicio es dentro de {count} día.", other: "El inicio es dentro de {count} días." },
+    "sanity.startPast": { one: "El inicio fue hace más de {count} año: ¿es la fecha correcta?", other: "El inicio fue hace más de {count} años: ¿es la fecha correcta?" },
+    "sanity.calendarEnded": "El calendario terminó el {date}: alargá la duración o cambiá el inicio.",
+    "sanity.durationShort": "La duración ({days} d) no alcanza para un ciclo de {hours} h.",
+    "sanity.busyDark": { one: "La oscuridad cae en horas ocupadas ({hours}) desde el {date}: riesgo de fuga de luz ({count} día del calendario).", other: "La oscuridad cae en horas ocupadas ({hours}) desde el {date}: riesgo de fuga de luz ({count} días del calendario)." },
+
+    // Importar
+    "import.title": "Importar {source}",
+    "import.sharedLink": "enlace compartido",
+    "import.migrated": "(migrado de v{from} a v{to})",
+    "import.noChanges": "No hay cambios respecto de la configuración actual.",
+    "import.field": "Campo",
+    "import.current": "Actual",
+    "import.new": "Nuevo",
+    "import.asNewGrow": "Crear cultivo nuevo",
+    "import.applyTo": "Aplicar a {name}",
+    "import.applyHint": "Reemplaza la configuración guardada de \"{name}\"",
+    "import.invalidJson": "No se pudo importar \"{name}\": no es un JSON válido ({error}).",
+    "import.invalid": "No se pudo importar \"{name}\":\n{errors}",
+    "import.invalidLink": "No se pudo cargar el enlace compartido:\n{errors}",
+    "config.field.startDate": "Inicio",
+    "config.field.timeZone": "Zona horaria",
+    "config.field.clockMode": "El timer sigue",
+    "config.field.durationDays": "Duración (días)",
+    "config.field.phases": "Fases",
+    "config.field.light": "Luz (PPFD/DLI)",
+    "config.field.grow.name": "Nombre",
+    "config.field.grow.room": "Sala",
+    "config.field.grow.strain": "Genética",
+    "config.field.grow.notes": "Notas",
+    "config.field.journal": "Bitácora",
+    "config.field.milestones": "Hitos",
+    "config.count.journal": { one: "{count} entrada", other: "{count} entradas" },
+    "config.count.milestones": { one: "{count} hito", other: "{count} hitos" },
+    // Errores y advertencias del archivo de configuración (config.js)
+    "config.error.root": "El archivo debe contener un objeto JSON.",
+    "config.error.version": "Versión {version} no soportada (actual: {current}).",
+    "config.error.legacyPhase": "hoursLight/hoursDark convertidos en una única fase.",
+    "config.error.legacyIgnored": "hoursLight/hoursDark ignorados: el archivo ya trae phases.",
+    "config.error.unknownField": "Campo desconocido: se ignora.",
+    "config.error.datetime": "Debe tener el formato \"AAAA-MM-DDTHH:mm\".",
+    "config.error.invalidDate": "Fecha inexistente.",
+    "config.error.timeZone": "\"{zone}\" no es una zona IANA válida.",
+    "config.error.oneOf": "Debe ser uno de: {options}.",
+    "config.error.integerRange": "Debe ser un entero entre {min} y {max}.",
+    "config.error.numberRange": "Debe ser un número entre {min} y {max}.",
+    "config.error.noPhases": "Debe haber al menos una fase.",
+    "config.error.object": "Debe ser un objeto.",
+    "config.error.list": "Debe ser una lista.",
+    "config.error.text": "Debe ser texto.",
+    "config.error.zeroCycle": "ON + OFF debe ser mayor que 0.",
+    "config.error.dliRange": "dliMin no puede ser mayor que dliMax.",
+    "config.error.truncated": "Se recorta a {max} caracteres.",
+    "config.error.journalAnchor": "Debe tener \"at\" (fecha y hora) o \"cycle\" (número de ciclo), no ambos.",
+    "config.error.photo": "No es una imagen JPEG/PNG/WebP en data URL: se ignora.",
+    "config.error.brokenLink": "El enlace está incompleto o dañado.",
+
+    // Estado
+    "status.title": "Estado",
+    "status.start": "Inicio:",
+    "status.superCycleDays": "DÍAS SUPER CICLO",
+    "status.superCycleHint": "(Ciclos completos{actual}; {phase}: {hours}h)",
+    "status.fromActual": ", según el historial real",
+    "status.elapsed": "TIEMPO TRANSCURRIDO",
+    "status.elapsedHint": "(Equivalente en días 24h)",
+    "status.elapsedJoin": " y ",
+    "status.balance": "Balance Energético (vs {baseline}):",
+    "status.balanceHours": "{value} hrs",
+    "status.balance.saving": "Ahorro de luz acumulado desde el inicio{actual}.",
+    "status.balance.extra": "Gasto Extra de luz acumulado desde el inicio{actual}.",
+    "status.balance.neutral": "Balance Neutral de luz acumulado desde el inicio{actual}.",
+    "status.balanceActual": " (según el historial real)",
+    "status.now": "Hora actual:",
+    "status.cycleState": "Estado del ciclo",
+    "status.intensity": "Intensidad actual (rampa)",
+    "status.nextEvent": "Próximo evento ({action})",
+    "status.nextIn": "En {hours} hrs",
+    "status.phase": "Fase: {name}",
+
+    // Avisos
+    "alerts.title": "Avisos antes de cada cambio",
+    "alerts.enabled": "Activados",
+    "alerts.disabled": "Desactivados",
+    "alerts.minutesBefore": "min antes",
+    "alerts.sound": "Sonido",
+    "alerts.test": "Probar",
+    "alerts.unsupported": "Este navegador no soporta notificaciones: solo sonará la alarma con la pestaña abierta.",
+    "alerts.noPermission": "Sin permiso de notificaciones: solo sonará la alarma con la pestaña abierta.",
+    "alerts.needsOpenTab": "Este navegador no programa notificaciones en el sistema: los avisos llegan mientras haya una pestaña de Fotoperiodo abierta (puede estar en segundo plano).",
+    "alerts.log": "Avisos disparados",
+
+    // Calendario
+    "calendar.title": "Calendario",
+    "calendar.views": "Vista del calendario",
+    "calendar.view.grid": "Día × Hora",
+    "calendar.view.cycles": "Por ciclo",
+    "calendar.view.month": "Mes",
+    "calendar.view.timeline": "Línea de tiempo",
+    "calendar.exporting": "Exportando {page}/{total}…",
+    "calendar.downloadJpg": "Descargar JPG",
+    "calendar.exportError": "No se pudo exportar la imagen. Ver consola para más info.",
+    "calendar.legend.cycles": "Cada fila es un ciclo del esquema: la barra arranca a la hora local del encendido (ámbar = luz, índigo = oscuridad) y las líneas verticales son la medianoche. Un ciclo de más de 24 h se ve como una diagonal. El ciclo actual queda resaltado con la posición de ahora. ",
+    "calendar.legend.month": "Horas de luz por día local (más claro = más luz); el día de hoy con contorno rosado. ",
+    "calendar.legend.timeline": "Horas desde el inicio: ámbar = luz, franja superior = fase; la línea rosada es ahora. ",
+    "calendar.legend.grid": "Leyenda de la grilla: {light} = Luz, {dark} = Oscuridad, :MM = cambio dentro de la hora (minuto exacto en el tooltip), – = hora inexistente por cambio de horario. Los tonos intermedios marcan las rampas del dimmer (intensidad media de la hora en el tooltip). DLI en mol/m²/día (azul = bajo, rojo = alto respecto del rango objetivo). Los íconos son entradas de la bitácora (tocá una celda para anotar en ese día y hora). La franja inferior es la luz real registrada y el borde rojo marca horas que difieren del plan en más de {minutes} min. Celda actual marcada con contorno rosado brillante. Podés descargar el calendario como imagen (PNG/JPG) para usarlo de wallpaper, o en PDF/SVG para imprimir desde \"Calendario para imprimir\"; los calendarios largos se descargan en hasta {maxPages} imágenes de {pageDays} días desde hoy (el cultivo completo va en el PDF).",
+    "grid.day": "Día",
+    "grid.date": "Fecha",
+    "grid.dliHint": "Integral de luz diaria (mol/m²/día)",
+    "grid.light": "L",
+    "grid.dark": "O",
+    "grid.dstDay": "Día con cambio de horario",
+    "grid.skipped": "{hour} no existe (cambio de horario)",
+    "grid.repeated": " (×2, cambio de horario)",
+    "grid.lightShare": "Luz {percent}%",
+    "grid.intensity": "Intensidad media {percent}% (rampa)",
+    "grid.actual": "Real: luz {percent}%{diff}",
+    "grid.actualDiff": " ({sign}{minutes} min de luz vs plan)",
+    "grid.actualSame": " (igual al plan)",
+    "cycles.header": "Ciclo · inicio",
+    "month.previous": "Mes anterior",
+    "month.next": "Mes siguiente",
+    "month.today": "hoy",
+    "month.dayHint": "Día {day}: {hours} h de luz",
+    "month.outside": "Fuera del calendario",
+    "timeline.zoom": "Zoom:",
+    "timeline.zoom.hours": "Horas",
+    "timeline.zoom.days": "Días",
+    "timeline.zoom.weeks": "Semanas",
+    "timeline.zoom.all": "Todo",
+    "timeline.day": "Día {day}",
+    "timeline.label": "Línea de tiempo ON/OFF",
+    "timeline.now": "Ahora",
+
+    // DLI
+    "dli.title": "Luz diaria (DLI)",
+    "dli.group": "Agrupar DLI",
+    "dli.byDay": "Por día",
+    "dli.byCycle": "Por ciclo",
+    "dli.ppfd": "PPFD en canopia (µmol/m²/s)",
+    "dli.min": "DLI mínimo (mol/m²/d)",
+    "dli.max": "DLI máximo (mol/m²/d)",
+    "dli.today": "Hoy:",
+    "dli.average": "Promedio:",
+    "dli.minMax": "Mín / máx:",
+    "dli.hint": "mol/m²/día · PPFD y rampas por fase en el editor de fases",
+    "dli.chart": "Gráfico de DLI",
+    "dli.cycleLabel": "Ciclo {n} ({phase})",
+    "dli.low.days": { one: "⚠ {count} día por debajo de {limit} mol/m²/d (desde {from}).", other: "⚠ {count} días por debajo de {limit} mol/m²/d (desde {from})." },
+    "dli.low.cycles": { one: "⚠ {count} ciclo por debajo de {limit} mol/m²/d (desde {from}).", other: "⚠ {count} ciclos por debajo de {limit} mol/m²/d (desde {from})." },
+    "dli.high.days": { one: "⚠ {count} día por encima de {limit} mol/m²/d (desde {from}).", other: "⚠ {count} días por encima de {limit} mol/m²/d (desde {from})." },
+    "dli.high.cycles": { one: "⚠ {count} ciclo por encima de {limit} mol/m²/d (desde {from}).", other: "⚠ {count} ciclos por encima de {limit} mol/m²/d (desde {from})." },
+
+    // Energía
+    "energy.title": "Energía y costo",
+    "energy.fixtures": "Luminarias ({watts} W con luz ON)",
+    "energy.noFixtures": "Sin luminarias cargadas.",
+    "energy.count": "Cant.",
+    "energy.dimming": "Dimmer %",
+    "energy.removeFixture": "Quitar luminaria",
+    "energy.tariff": "Tarifa (común a todos los cultivos)",
+    "energy.currency": "Moneda",
+    "energy.basePrice": "Precio base por kWh",
+    "energy.bands": "Franjas horarias (hora local del cultivo)",
+    "energy.band": "Franja",
+    "energy.bandDefault": "Pico",
+    "energy.bandPrice": "Precio por kWh en esta franja",
+    "energy.removeBand": "Quitar franja",
+    "energy.bandsHint": "Fuera de las franjas rige el precio base; si se superponen, gana la primera.",
+    "energy.compareWith": "Comparar contra",
+    "energy.custom": "A medida",
+    "energy.lightHours": "Horas luz",
+    "energy.cost": "Costo",
+    "energy.soFar": "Hasta ahora",
+    "energy.projected": "Proyectado ({days})",
+    "energy.reference": "Referencia {hours}",
+    "energy.difference": "Diferencia",
+    "energy.hint": "▲ ahorro / ▼ gasto extra frente a la referencia. Las luminarias consumen solo con la luz encendida.",
+
+    // Bitácora
+    "journal.title": "Bitácora",
+    "journal.filter": "Filtrar bitácora por tipo",
+    "journal.type": "Tipo",
+    "journal.anchor": "Ubicar en",
+    "journal.anchor.at": "Día y hora",
+    "journal.anchor.cycle": "Ciclo del superciclo",
+    "journal.atHint": "Día y hora ({zone}) — o tocá una celda del calendario",
+    "journal.cycleHint": "Ciclo (como en \"Días super ciclo\")",
+    "journal.notePlaceholder": "Nota (p. ej. 2 L, EC 1.4, pH 6.2)",
+    "journal.photo": "Foto",
+    "journal.photoAttached": "Foto adjunta",
+    "journal.photoAlt": "Foto {type}",
+    "journal.photoError": "No se pudo leer la imagen ({error}).",
+    "journal.empty": "Sin entradas todavía.",
+    "journal.noneVisible": "Ninguna entrada con los tipos elegidos.",
+    "journal.cycle": "ciclo {n}",
+    "journal.delete": "Borrar entrada",
+    "journal.type.watering": "Riego",
+    "journal.type.feeding": "Abono",
+    "journal.type.defoliation": "Defoliación",
+    "journal.type.lightLeak": "Fuga de luz",
+    "journal.type.photo": "Foto",
+    "journal.type.note": "Nota",
+
+    // Hitos
+    "milestones.title": "Hitos",
+    "milestones.name": "Nombre",
+    "milestones.namePlaceholder": "p. ej. Pasar a flora",
+    "milestones.kind": "Objetivo",
+    "milestones.kind.date": "Fecha fija",
+    "milestones.kind.elapsed": "Días desde el inicio",
+    "milestones.kind.equivalent": "Días 12/12 equivalentes",
+    "milestones.at": "Día y hora ({zone})",
+    "milestones.days": "Días",
+    "milestones.basis": "Contando",
+    "milestones.basis.dark": "Oscuridad",
+    "milestones.basis.light": "Luz",
+    "milestones.presets": "Sugerencias:",
+    "milestones.preset.flip": "Pasar a flora",
+    "milestones.preset.flush": "Inicio del lavado",
+    "milestones.preset.harvest": "Cosecha estimada",
+    "milestones.hint": "Un día 12/12 equivalente son 12 h de oscuridad (o de luz) acumuladas desde el inicio.",
+    "milestones.empty": "Sin hitos todavía.",
+    "milestones.unnamed": "Hito",
+    "milestones.delete": "Borrar hito",
+    "milestones.never": "No se alcanza con este esquema",
+    "milestones.target.elapsed": { one: "{count} día desde el inicio", other: "{count} días desde el inicio" },
+    "milestones.target.equivalent.dark": { one: "{count} día 12/12 de oscuridad", other: "{count} días 12/12 de oscuridad" },
+    "milestones.target.equivalent.light": { one: "{count} día 12/12 de luz", other: "{count} días 12/12 de luz" },
+    "milestones.in": "en {time}",
+    "milestones.ago": "hace {time}",
+    "milestones.countdown.days": "{days} d {hours} h",
+    "milestones.countdown.hours": "{hours} h {minutes} m",
+    "milestones.status": "PRÓXIMOS HITOS",
+    "milestones.status.none": "Todos los hitos ya pasaron.",
+    "milestones.equivalentNow": "Días 12/12 equivalentes: {dark} por oscuridad · {light} por luz",
+    "milestones.marker": "Hito: {name} ({time})",
+
+    // Historial real
+    "actual.title": "Historial real vs plan",
+    "actual.useForStats": "Usar el historial real para balance y superciclo",
+    "actual.onNow": "Se prendió ahora",
+    "actual.offNow": "Se apagó ahora",
+    "actual.or": "o",
+    "actual.importCsv": "Importar CSV",
+    "actual.csvHint": "CSV con columnas de fecha y estado (p. ej. timestamp,state o el historial de Home Assistant). Fechas sin zona se toman en {zone}. Estados: on/off, 1/0, true/false.",
+    "actual.imported": "\"{file}\": {count} eventos importados{skipped}.",
+    "actual.skipped": ", {count} líneas ignoradas ({detail})",
+    "actual.line": "línea {line}: {message}",
+    "actual.clearConfirm": "¿Borrar todo el historial real de este cultivo?",
+    "actual.cycles": "Días super ciclo (plan / real)",
+    "actual.balance": "Balance vs {baseline} (plan / real)",
+    "actual.mismatches": "Horas con desvío en el calendario",
+    "actual.empty": "Sin eventos registrados: el calendario y el estado muestran solo el plan.",
+    "actual.manual": "manual",
+    "actual.deleteEvent": "Borrar evento",
+    "actual.count": { one: "{count} evento", other: "{count} eventos" },
+    "actual.limited": " (se muestran los últimos {limit})",
+    "actual.clear": "Borrar historial",
+
+    // Comparar
+    "compare.title": "Comparar esquemas",
+    "compare.tryIn": "Probar en {phase}:",
+    "compare.currentPhase": "la fase actual",
+    "compare.candidate": "Candidato",
+    "compare.candidateName": "Candidato {letter}",
+    "compare.copyCurrent": "Copiar el esquema actual",
+    "compare.current": "Actual",
+    "compare.previous": "Anterior",
+    "compare.remove": "Quitar candidato",
+    "compare.hoursLight": "Horas de luz",
+    "compare.hoursDark": "Horas de oscuridad",
+    "compare.invalid": "Cada fase necesita luz + oscuridad > 0.",
+    "compare.harvest": "Cosecha equivalente a",
+    "compare.harvestHint": "ciclos (días de planta). Balance vs {baseline} en {days}.",
+    "compare.schedule": "Esquema",
+    "compare.totalLight": "Luz total",
+    "compare.cycles": "Ciclos",
+    "compare.daysTo": "Días a {cycles} ciclos",
+    "compare.balance": "Balance",
+    "compare.apply": "Aplicar",
+    "compare.applyConfirm": "¿Reemplazar las fases del cultivo por las de \"{label}\"? El esquema actual queda como candidato.",
+    "compare.applied": "Se aplicó \"{label}\"; el esquema anterior quedó como candidato.",
+    "compare.cumulative": "Horas de luz acumuladas",
+    "compare.strip": "Día × Hora (primeros {days}; arriba 00:00, abajo 23:00)",
+    "compare.stripLabel": "Franja Día × Hora",
+
+    // Controlador
+    "controller.title": "Programar controlador",
+    "controller.format": "Formato",
+    "controller.days": "Próximos días",
+    "controller.entity": "Entidad (light.* admite rampas; switch.* solo ON/OFF)",
+    "controller.onCommand": "Comando ON",
+    "controller.offCommand": "Comando OFF",
+    "controller.output": "Programa generado",
+    "controller.download": "Descargar .{extension}",
+    "controller.hint": "Horas redondeadas al minuto, en {zone}. Regenerar antes de que pasen {days}.",
+
+    // Imprimir
+    "print.title": "Calendario para imprimir",
+    "print.fromDay": "Desde el día",
+    "print.toDay": "Hasta el día",
+    "print.perPage": "Por página",
+    "print.layout.week": "Una semana",
+    "print.layout.month": "Un mes",
+    "print.theme": "Tema",
+    "print.theme.light": "Claro (impresión)",
+    "print.theme.dark": "Oscuro",
+    "print.hourAxis": "Eje de horas",
+    "print.hour.24": "24 h",
+    "print.hour.12": "12 h (a/p)",
+    "print.withTitle": "Título",
+    "print.withLegend": "Leyenda",
+    "print.downloadPdf": "Descargar PDF",
+    "print.downloadSvg": "Descargar SVG",
+    "print.generating": "Generando…",
+    "print.hint": "Días {from}–{to}, A4 apaisado. El título incluye \"{name}\" y las fases.",
+  },
+  en: {
+    "common.add": "Add",
+    "common.cancel": "Cancel",
+    "common.copy": "Copy",
+    "common.copied": "Copied!",
+    "common.name": "Name",
+    "common.delete": "Delete",
+    "common.clear": "Clear",
+    "common.days": { one: "{count} day", other: "{count} days" },
+    "common.hours": "{value} h",
+    "common.unit.days": "days",
+    "common.unit.cycles": "cycles",
+    "common.curve.linear": "linear",
+    "common.curve.sigmoid": "sigmoid",
+    "state.on": "Lights on",
+    "state.off": "Lights off",
+    "state.none": "no changes",
+
+    "app.name": "Photoperiod",
+    "app.tagline": "Set up your SuperCycle and view your calendar",
+    "app.language": "Language",
+    "app.activeGrow": "Active grow",
+    "app.newGrow": "New grow",
+    "app.deleteGrow": "Delete grow",
+    "app.deleteGrowConfirm": "Delete \"{name}\"? This cannot be undone.",
+    "app.offline": "Offline",
+    "app.offlineHint": "The app keeps working with the saved data",
+    "app.updateAvailable": "A new version is available.",
+    "app.update": "Update",
+    "app.later": "Later",
+    "dashboard.cycleDay": "{phase} · SC day {day}",
+    "dashboard.notStarted": "Not started yet",
+    "dashboard.next": "{state} {time} ({date}) · in {hours} h",
+    "dashboard.noChanges": "No changes",
+
+    "settings.title": "Settings",
+    "settings.growName": "Grow name",
+    "settings.room": "Room / tent",
+    "settings.strain": "Strain",
+    "settings.notes": "Notes",
+    "settings.startDate": "Start date and time",
+    "settings.timeZone": "Time zone (IANA)",
+    "settings.clockMode": "The timer follows",
+    "settings.clock.elapsed": "Elapsed time",
+    "settings.clock.wallclock": "Wall clock",
+    "settings.clock.wallclockHint": "Times stay at the same local hour; on a DST change one cycle lasts 1h more or less.",
+    "settings.clock.elapsedHint": "Counts real hours; on a DST change the events shift 1h on the clock.",
+    "settings.phases": "Phases",
+    "settings.addPhase": "Add phase",
+    "settings.phaseName": "Phase {n}",
+    "settings.hoursOn": "ON (h)",
+    "settings.hoursOff": "OFF (h)",
+    "settings.phasePpfd": "PPFD for this phase (empty = the general one)",
+    "settings.length": "Length",
+    "settings.untilEnd": "Until the end",
+    "settings.removePhase": "Remove phase",
+    "settings.ramp": "Ramp:",
+    "settings.rampHint": "Dimmer when switching on and off; ON/OFF times do not change",
+    "settings.rampUp": "Ramp up (min)",
+    "settings.rampDown": "Ramp down (min)",
+    "settings.durationDays": "Total length (days)",
+    "settings.busyHours": "Busy hours",
+    "settings.busyHoursHint": "Hours when someone enters the room or there is light outside: you are warned if the dark period falls there.",
+    "settings.importConfig": "Import config",
+    "settings.exportJson": "Export JSON",
+    "settings.exportIcs": "Export .ics",
+    "settings.icsAlarm": "Reminder N minutes before each switch (0 = none)",
+    "settings.icsAlarmUnit": "min reminder",
+    "settings.copyLink": "Copy link",
+    "settings.copyLinkPrompt": "Copy the link:",
+    "settings.showQr": "Show the link as a QR code",
+    "settings.qrAlt": "QR code of the link to this configuration",
+    "settings.qrTooLong": "The configuration is too long for a QR code; use \"Copy link\".",
+    "settings.reset": "Reset",
+
+    "validation.startRequired": "The start date is required.",
+    "validation.startInvalid": "Invalid date format.",
+    "validation.timeZone": "Invalid time zone (use an IANA name, e.g. America/New_York).",
+    "validation.hoursLight": "Phase {n}: invalid light hours.",
+    "validation.hoursDark": "Phase {n}: invalid dark hours.",
+    "validation.zeroCycle": "Phase {n}: ON + OFF must be greater than 0.",
+    "validation.length": "Phase {n}: invalid length.",
+    "validation.duration": "Length must be >= 1 day.",
+    "sanity.title": "Schedule warnings",
+    "sanity.level.critical": "Critical",
+    "sanity.level.warning": "Warning",
+    "sanity.level.info": "Info",
+    "sanity.zeroCycle": "Phase {phase}: 0 h of light and 0 h of darkness, the cycle does not exist.",
+    "sanity.noLight": "Phase {phase}: no light hours, the plants stay in the dark.",
+    "sanity.noDark": "Phase {phase}: continuous light. Fine for veg, but it will not flower.",
+    "sanity.shortDark": "Phase {phase}: {hours} h of darkness is too short to flower ({min} uninterrupted hours recommended).",
+    "sanity.longCycle": "Phase {phase}: {hours} h cycle, very long (over {max} h).",
+    "sanity.shortCycle": "Phase {phase}: {hours} h cycle, very short (under {min} h): many switches per day.",
+    "sanity.startFuture": { one: "The start is {count} day from now.", other: "The start is {count} days from now." },
+    "sanity.startPast": { one: "The start was over {count} year ago: is the date right?", other: "The start was over {count} years ago: is the date right?" },
+    "sanity.calendarEnded": "The calendar ended on {date}: extend the length or change the start.",
+    "sanity.durationShort": "The length ({days} d) does not cover one {hours} h cycle.",
+    "sanity.busyDark": { one: "The dark period falls in busy hours ({hours}) from {date}: light-leak risk ({count} calendar day).", other: "The dark period falls in busy hours ({hours}) from {date}: light-leak risk ({count} calendar days)." },
+
+    "import.title": "Import {source}",
+    "import.sharedLink": "shared link",
+    "import.migrated": "(migrated from v{from} to v{to})",
+    "import.noChanges": "No changes compared to the current configuration.",
+    "import.field": "Field",
+    "import.current": "Current",
+    "import.new": "New",
+    "import.asNewGrow": "Create new grow",
+    "import.applyTo": "Apply to {name}",
+    "import.applyHint": "Replaces the saved configuration of \"{name}\"",
+    "import.invalidJson": "Could not import \"{name}\": not valid JSON ({error}).",
+    "import.invalid": "Could not import \"{name}\":\n{errors}",
+    "import.invalidLink": "Could not load the shared link:\n{errors}",
+    "config.field.startDate": "Start",
+    "config.field.timeZone": "Time zone",
+    "config.field.clockMode": "The timer follows",
+    "config.field.durationDays": "Length (days)",
+    "config.field.phases": "Phases",
+    "config.field.light": "Light (PPFD/DLI)",
+    "config.field.grow.name": "Name",
+    "config.field.grow.room": "Room",
+    "config.field.grow.strain": "Strain",
+    "config.field.grow.notes": "Notes",
+    "config.field.journal": "Journal",
+    "config.field.milestones": "Milestones",
+    "config.count.journal": { one: "{count} entry", other: "{count} entries" },
+    "config.count.milestones": { one: "{count} milestone", other: "{count} milestones" },
+    "config.error.root": "The file must contain a JSON object.",
+    "config.error.version": "Version {version} is not supported (current: {current}).",
+    "config.error.legacyPhase": "hoursLight/hoursDark turned into a single phase.",
+    "config.error.legacyIgnored": "hoursLight/hoursDark ignored: the file already has phases.",
+    "config.error.unknownField": "Unknown field: ignored.",
+    "config.error.datetime": "Must use the format \"YYYY-MM-DDTHH:mm\".",
+    "config.error.invalidDate": "That date does not exist.",
+    "config.error.timeZone": "\"{zone}\" is not a valid IANA time zone.",
+    "config.error.oneOf": "Must be one of: {options}.",
+    "config.error.integerRange": "Must be an integer between {min} and {max}.",
+    "config.error.numberRange": "Must be a number between {min} and {max}.",
+    "config.error.noPhases": "There must be at least one phase.",
+    "config.error.object": "Must be an object.",
+    "config.error.list": "Must be a list.",
+    "config.error.text": "Must be text.",
+    "config.error.zeroCycle": "ON + OFF must be greater than 0.",
+    "config.error.dliRange": "dliMin cannot be greater than dliMax.",
+    "config.error.truncated": "Trimmed to {max} characters.",
+    "config.error.journalAnchor": "Must have either \"at\" (date and time) or \"cycle\" (cycle number), not both.",
+    "config.error.photo": "Not a JPEG/PNG/WebP image data URL: ignored.",
+    "config.error.brokenLink": "The link is incomplete or damaged.",
+
+    "status.title": "Status",
+    "status.start": "Start:",
+    "status.superCycleDays": "SUPER CYCLE DAYS",
+    "status.superCycleHint": "(Completed cycles{actual}; {phase}: {hours}h)",
+    "status.fromActual": ", from the actual history",
+    "status.elapsed": "TIME ELAPSED",
+    "status.elapsedHint": "(In 24h days)",
+    "status.elapsedJoin": " and ",
+    "status.balance": "Energy balance (vs {baseline}):",
+    "status.balanceHours": "{value} hrs",
+    "status.balance.saving": "Light saved since the start{actual}.",
+    "status.balance.extra": "Extra light used since the start{actual}.",
+    "status.balance.neutral": "Neutral light balance since the start{actual}.",
+    "status.balanceActual": " (from the actual history)",
+    "status.now": "Current time:",
+    "status.cycleState": "Cycle state",
+    "status.intensity": "Current intensity (ramp)",
+    "status.nextEvent": "Next event ({action})",
+    "status.nextIn": "In {hours} hrs",
+    "status.phase": "Phase: {name}",
+
+    "alerts.title": "Alerts before each switch",
+    "alerts.enabled": "On",
+    "alerts.disabled": "Off",
+    "alerts.minutesBefore": "min before",
+    "alerts.sound": "Sound",
+    "alerts.test": "Test",
+    "alerts.unsupported": "This browser does not support notifications: the alarm only sounds with the tab open.",
+    "alerts.noPermission": "No notification permission: the alarm only sounds with the tab open.",
+    "alerts.needsOpenTab": "This browser cannot schedule system notifications: alerts arrive while a Photoperiod tab is open (it can be in the background).",
+    "alerts.log": "Fired alerts",
+
+    "calendar.title": "Calendar",
+    "calendar.views": "Calendar view",
+    "calendar.view.grid": "Day × Hour",
+    "calendar.view.cycles": "By cycle",
+    "calendar.view.month": "Month",
+    "calendar.view.timeline": "Timeline",
+    "calendar.exporting": "Exporting {page}/{total}…",
+    "calendar.downloadJpg": "Download JPG",
+    "calendar.exportError": "Could not export the image. See the console for details.",
+    "calendar.legend.cycles": "Each row is a cycle of the schedule: the bar starts at the local time the lights switch on (amber = light, indigo = dark) and the vertical lines are midnight. A cycle longer than 24 h shows up as a diagonal. The current cycle is highlighted with the current position. ",
+    "calendar.legend.month": "Light hours per local day (lighter = more light); today has a pink outline. ",
+    "calendar.legend.timeline": "Hours since the start: amber = light, top band = phase; the pink line is now. ",
+    "calendar.legend.grid": "Grid legend: {light} = Light, {dark} = Dark, :MM = switch within the hour (exact minute in the tooltip), – = nonexistent hour due to a DST change. Intermediate shades mark the dimmer ramps (average intensity of the hour in the tooltip). DLI in mol/m²/day (blue = low, red = high compared to the target range). Icons are journal entries (tap a cell to add a note at that day and hour). The bottom stripe is the recorded actual light and a red border marks hours that differ from the plan by more than {minutes} min. The current cell has a bright pink outline. You can download the calendar as an image (PNG/JPG) to use as a wallpaper, or as PDF/SVG for printing from \"Printable calendar\"; long calendars are downloaded as up to {maxPages} images of {pageDays} days from today (the PDF holds the whole grow).",
+    "grid.day": "Day",
+    "grid.date": "Date",
+    "grid.dliHint": "Daily light integral (mol/m²/day)",
+    "grid.light": "L",
+    "grid.dark": "D",
+    "grid.dstDay": "Day with a DST change",
+    "grid.skipped": "{hour} does not exist (DST change)",
+    "grid.repeated": " (×2, DST change)",
+    "grid.lightShare": "Light {percent}%",
+    "grid.intensity": "Average intensity {percent}% (ramp)",
+    "grid.actual": "Actual: light {percent}%{diff}",
+    "grid.actualDiff": " ({sign}{minutes} min of light vs plan)",
+    "grid.actualSame": " (same as the plan)",
+    "cycles.header": "Cycle · start",
+    "month.previous": "Previous month",
+    "month.next": "Next month",
+    "month.today": "today",
+    "month.dayHint": "Day {day}: {hours} h of light",
+    "month.outside": "Outside the calendar",
+    "timeline.zoom": "Zoom:",
+    "timeline.zoom.hours": "Hours",
+    "timeline.zoom.days": "Days",
+    "timeline.zoom.weeks": "Weeks",
+    "timeline.zoom.all": "All",
+    "timeline.day": "Day {day}",
+    "timeline.label": "ON/OFF timeline",
+    "timeline.now": "Now",
+
+    "dli.title": "Daily light (DLI)",
+    "dli.group": "Group DLI",
+    "dli.byDay": "By day",
+    "dli.byCycle": "By cycle",
+    "dli.ppfd": "Canopy PPFD (µmol/m²/s)",
+    "dli.min": "Minimum DLI (mol/m²/d)",
+    "dli.max": "Maximum DLI (mol/m²/d)",
+    "dli.today": "Today:",
+    "dli.average": "Average:",
+    "dli.minMax": "Min / max:",
+    "dli.hint": "mol/m²/day · per-phase PPFD and ramps in the phase editor",
+    "dli.chart": "DLI chart",
+    "dli.cycleLabel": "Cycle {n} ({phase})",
+    "dli.low.days": { one: "⚠ {count} day below {limit} mol/m²/d (from {from}).", other: "⚠ {count} days below {limit} mol/m²/d (from {from})." },
+    "dli.low.cycles": { one: "⚠ {count} cycle below {limit} mol/m²/d (from {from}).", other: "⚠ {count} cycles below {limit} mol/m²/d (from {from})." },
+    "dli.high.days": { one: "⚠ {count} day above {limit} mol/m²/d (from {from}).", other: "⚠ {count} days above {limit} mol/m²/d (from {from})." },
+    "dli.high.cycles": { one: "⚠ {count} cycle above {limit} mol/m²/d (from {from}).", other: "⚠ {count} cycles above {limit} mol/m²/d (from {from})." },
+
+    "energy.title": "Energy and cost",
+    "energy.fixtures": "Fixtures ({watts} W with lights ON)",
+    "energy.noFixtures": "No fixtures yet.",
+    "energy.count": "Qty.",
+    "energy.dimming": "Dimmer %",
+    "energy.removeFixture": "Remove fixture",
+    "energy.tariff": "Tariff (shared by all grows)",
+    "energy.currency": "Currency",
+    "energy.basePrice": "Base price per kWh",
+    "energy.bands": "Time-of-use bands (grow local time)",
+    "energy.band": "Band",
+    "energy.bandDefault": "Peak",
+    "energy.bandPrice": "Price per kWh in this band",
+    "energy.removeBand": "Remove band",
+    "energy.bandsHint": "Outside the bands the base price applies; if they overlap, the first one wins.",
+    "energy.compareWith": "Compare against",
+    "energy.custom": "Custom",
+    "energy.lightHours": "Light hours",
+    "energy.cost": "Cost",
+    "energy.soFar": "So far",
+    "energy.projected": "Projected ({days})",
+    "energy.reference": "Reference {hours}",
+    "energy.difference": "Difference",
+    "energy.hint": "▲ savings / ▼ extra use compared to the reference. Fixtures only draw power with the lights on.",
+
+    "journal.title": "Journal",
+    "journal.filter": "Filter journal by type",
+    "journal.type": "Type",
+    "journal.anchor": "Place at",
+    "journal.anchor.at": "Day and time",
+    "journal.anchor.cycle": "Super cycle cycle",
+    "journal.atHint": "Day and time ({zone}) — or tap a calendar cell",
+    "journal.cycleHint": "Cycle (as in \"Super cycle days\")",
+    "journal.notePlaceholder": "Note (e.g. 2 L, EC 1.4, pH 6.2)",
+    "journal.photo": "Photo",
+    "journal.photoAttached": "Attached photo",
+    "journal.photoAlt": "Photo {type}",
+    "journal.photoError": "Could not read the image ({error}).",
+    "journal.empty": "No entries yet.",
+    "journal.noneVisible": "No entries of the selected types.",
+    "journal.cycle": "cycle {n}",
+    "journal.delete": "Delete entry",
+    "journal.type.watering": "Watering",
+    "journal.type.feeding": "Feeding",
+    "journal.type.defoliation": "Defoliation",
+    "journal.type.lightLeak": "Light leak",
+    "journal.type.photo": "Photo",
+    "journal.type.note": "Note",
+    "milestones.title": "Milestones",
+    "milestones.name": "Name",
+    "milestones.namePlaceholder": "e.g. Flip to flower",
+    "milestones.kind": "Target",
+    "milestones.kind.date": "Fixed date",
+    "milestones.kind.elapsed": "Days since start",
+    "milestones.kind.equivalent": "Equivalent 12/12 days",
+    "milestones.at": "Day and time ({zone})",
+    "milestones.days": "Days",
+    "milestones.basis": "Counting",
+    "milestones.basis.dark": "Darkness",
+    "milestones.basis.light": "Light",
+    "milestones.presets": "Suggestions:",
+    "milestones.preset.flip": "Flip to flower",
+    "milestones.preset.flush": "Flush start",
+    "milestones.preset.harvest": "Expected harvest",
+    "milestones.hint": "One equivalent 12/12 day is 12 h of darkness (or light) accumulated since the start.",
+    "milestones.empty": "No milestones yet.",
+    "milestones.unnamed": "Milestone",
+    "milestones.delete": "Delete milestone",
+    "milestones.never": "Never reached with this schedule",
+    "milestones.target.elapsed": { one: "{count} day since the start", other: "{count} days since the start" },
+    "milestones.target.equivalent.dark": { one: "{count} 12/12 day of darkness", other: "{count} 12/12 days of darkness" },
+    "milestones.target.equivalent.light": { one: "{count} 12/12 day of light", other: "{count} 12/12 days of light" },
+    "milestones.in": "in {time}",
+    "milestones.ago": "{time} ago",
+    "milestones.countdown.days": "{days} d {hours} h",
+    "milestones.countdown.hours": "{hours} h {minutes} m",
+    "milestones.status": "UPCOMING MILESTONES",
+    "milestones.status.none": "All milestones have passed.",
+    "milestones.equivalentNow": "Equivalent 12/12 days: {dark} from darkness · {light} from light",
+    "milestones.marker": "Milestone: {name} ({time})",
+
+    "actual.title": "Actual history vs plan",
+    "actual.useForStats": "Use the actual history for the balance and the super cycle",
+    "actual.onNow": "Switched on now",
+    "actual.offNow": "Switched off now",
+    "actual.or": "or",
+    "actual.importCsv": "Import CSV",
+    "actual.csvHint": "CSV with date and state columns (e.g. timestamp,state or the Home Assistant history). Dates without a zone are read in {zone}. States: on/off, 1/0, true/false.",
+    "actual.imported": "\"{file}\": {count} events imported{skipped}.",
+    "actual.skipped": ", {count} lines skipped ({detail})",
+    "actual.line": "line {line}: {message}",
+    "actual.clearConfirm": "Delete the whole actual history of this grow?",
+    "actual.cycles": "Super cycle days (plan / actual)",
+    "actual.balance": "Balance vs {baseline} (plan / actual)",
+    "actual.mismatches": "Hours off-plan in the calendar",
+    "actual.empty": "No events recorded: the calendar and the status show only the plan.",
+    "actual.manual": "manual",
+    "actual.deleteEvent": "Delete event",
+    "actual.count": { one: "{count} event", other: "{count} events" },
+    "actual.limited": " (showing the last {limit})",
+    "actual.clear": "Delete history",
+
+    "compare.title": "Compare schedules",
+    "compare.tryIn": "Try in {phase}:",
+    "compare.currentPhase": "the current phase",
+    "compare.candidate": "Candidate",
+    "compare.candidateName": "Candidate {letter}",
+    "compare.copyCurrent": "Copy the current schedule",
+    "compare.current": "Current",
+    "compare.previous": "Previous",
+    "compare.remove": "Remove candidate",
+    "compare.hoursLight": "Light hours",
+    "compare.hoursDark": "Dark hours",
+    "compare.invalid": "Each phase needs light + dark > 0.",
+    "compare.harvest": "Harvest equivalent to",
+    "compare.harvestHint": "cycles (plant days). Balance vs {baseline} over {days}.",
+    "compare.schedule": "Schedule",
+    "compare.totalLight": "Total light",
+    "compare.cycles": "Cycles",
+    "compare.daysTo": "Days to {cycles} cycles",
+    "compare.balance": "Balance",
+    "compare.apply": "Apply",
+    "compare.applyConfirm": "Replace the grow's phases with those of \"{label}\"? The current schedule is kept as a candidate.",
+    "compare.applied": "Applied \"{label}\"; the previous schedule was kept as a candidate.",
+    "compare.cumulative": "Cumulative light hours",
+    "compare.strip": "Day × Hour (first {days}; top 00:00, bottom 23:00)",
+    "compare.stripLabel": "Day × Hour strip",
+
+    "controller.title": "Program a controller",
+    "controller.format": "Format",
+    "controller.days": "Next days",
+    "controller.entity": "Entity (light.* supports ramps; switch.* ON/OFF only)",
+    "controller.onCommand": "ON command",
+    "controller.offCommand": "OFF command",
+    "controller.output": "Generated program",
+    "controller.download": "Download .{extension}",
+    "controller.hint": "Times rounded to the minute, in {zone}. Regenerate before {days} have passed.",
+
+    "print.title": "Printable calendar",
+    "print.fromDay": "From day",
+    "print.toDay": "To day",
+    "print.perPage": "Per page",
+    "print.layout.week": "One week",
+    "print.layout.month": "One month",
+    "print.theme": "Theme",
+    "print.theme.light": "Light (print)",
+    "print.theme.dark": "Dark",
+    "print.hourAxis": "Hour axis",
+    "print.hour.24": "24 h",
+    "print.hour.12": "12 h (a/p)",
+    "print.withTitle": "Title",
+    "print.withLegend": "Legend",
+    "print.downloadPdf": "Download PDF",
+    "print.downloadSvg": "Download SVG",
+    "print.generating": "Generating…",
+    "print.hint": "Days {from}–{to}, A4 landscape. The title includes \"{name}\" and the phases.",
+  },
+};
+
+export function translate(lang, key, params) {
+  return lookup(MESSAGES, lang, key, params);
+}
+
+/** Idioma preferido del navegador entre los soportados */
+export function browserLanguage() {
+  const candidates = typeof navigator !== "undefined" ? [...(navigator.languages || []), navigator.language] : [];
+  const match = candidates.map((tag) => String(tag || "").toLowerCase().split(/[-_]/)[0]).find((id) => LANGUAGES.some((l) => l.id === id));
+  return match || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Todo lo que necesita la interfaz para un idioma.
+ * - t(key, params): texto traducido
+ * - number(value, digits|options), date(date, options): formato del idioma
+ * - dayMonth(year, month, day): "01/05" / "05/01"
+ */
+export function createI18n(lang) {
+  const id = normalizeLanguage(lang);
+  return {
+    lang: id,
+    locale: localeFor(id),
+    t: (key, params) => translate(id, key, params),
+    number: (value, options) => formatNumber(id, value, options),
+    date: (date, options) => formatDateTime(id, date, options),
+    dayMonth: (year, month, day) => formatDayMonth(id, year, month, day),
+    weekdays: weekdayNames(id),
+    months: monthNames(id),
+  };
+}
@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import { MESSAGES, createI18n, translate } from "./i18n";
+import { JOURNAL_TYPE_IDS } from "./journal";
+
+describe("UI catalog", () => {
+  it("has the same keys in every language", () => {
+    const es = Object.keys(MESSAGES.es).sort();
+    expect(Object.keys(MESSAGES.en).sort()).toEqual(es);
+  });
+
+  it("translates journal types and the L/D cell labels", () => {
+    for (const id of JOURNAL_TYPE_IDS) expect(translate("en", `journal.type.${id}`)).not.toBe(`journal.type.${id}`);
+    expect([translate("es", "grid.light"), translate("es", "grid.dark")]).toEqual(["L", "O"]);
+    expect([translate("en", "grid.light"), translate("en", "grid.dark")]).toEqual(["L", "D"]);
+  });
+
+  it("formats numbers and plurals per language", () => {
+    const en = createI18n("en-GB");
+    expect(en.lang).toBe("en");
+    expect(en.t("common.days", { count: 1 })).toBe("1 day");
+    expect(en.number(1234.5, 1)).toBe("1,234.5");
+    expect(createI18n("es").t("actual.count", { count: 3 })).toBe("3 eventos");
+    expect(createI18n("es").number(12.25, 2)).toBe("12,25");
+  });
+});
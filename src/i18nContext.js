@@ -0,0 +1,14 @@
+/**
+ * i18nContext.js — Idioma actual para los componentes
+ * - App provee createI18n(prefs.lang); el valor por defecto es el español
+ *   (sirve también para montajes sueltos, p. ej. el export de imagen)
+ */
+
+import { createContext, useContext } from "react";
+import { DEFAULT_LANGUAGE, createI18n } from "./i18n";
+
+export const I18nContext = createContext(createI18n(DEFAULT_LANGUAGE));
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,110 @@
+/**
+ * journal.js — Bitácora del cultivo (riegos, abonos, defoliaciones, fugas de luz, fotos)
+ * - Cada entrada: { id, type, at | cycle, note, photo? }
+ *   - at: "AAAA-MM-DDTHH:mm" en la zona del esquema (día y hora del calendario)
+ *   - cycle: número de ciclo del superciclo (el contador "Días super ciclo")
+ *   - photo: miniatura JPEG como data URL
+ * - Viaja en el export/import JSON (campo "journal", ver docs/config.md)
+ */
+
+import { cycleStartHours, dateAtHours } from "./engine/photoperiod.js";
+import { parseLocalDateTime, zonedDayDiff, zonedParts } from "./engine/timezone.js";
+
+export const JOURNAL_TYPES = [
+  { id: "watering", label: "Riego", icon: "💧" },
+  { id: "feeding", label: "Abono", icon: "🧪" },
+  { id: "defoliation", label: "Defoliación", icon: "✂️" },
+  { id: "lightLeak", label: "Fuga de luz", icon: "⚠️" },
+  { id: "photo", label: "Foto", icon: "📷" },
+  { id: "note", label: "Nota", icon: "📝" },
+];
+
+export const JOURNAL_TYPE_IDS = JOURNAL_TYPES.map((t) => t.id);
+export const JOURNAL_NOTE_MAX = 2000;
+export const JOURNAL_CYCLE_MAX = 99999;
+
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+const PHOTO_RE = /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/=]+$/;
+
+export function journalType(id) {
+  return JOURNAL_TYPES.find((t) => t.id === id) || JOURNAL_TYPES[JOURNAL_TYPES.length - 1];
+}
+
+export function newEntryId() {
+  return `j${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/** Una entrada guardada o importada → entrada válida, o null si no tiene ancla */
+export function entryFromObject(obj) {
+  if (!obj || typeof obj !== "object") return null;
+  const entry = {
+    id: obj.id ? String(obj.id) : newEntryId(),
+    type: JOURNAL_TYPE_IDS.includes(obj.type) ? obj.type : "note",
+    note: typeof obj.note === "string" ? obj.note.slice(0, JOURNAL_NOTE_MAX) : "",
+  };
+  if (typeof obj.at === "string" && DATETIME_RE.test(obj.at)) entry.at = obj.at;
+  else if (Number.isInteger(obj.cycle) && obj.cycle >= 0 && obj.cycle <= JOURNAL_CYCLE_MAX) entry.cycle = obj.cycle;
+  else return null;
+  if (typeof obj.photo === "string" && PHOTO_RE.test(obj.photo)) entry.photo = obj.photo;
+  return entry;
+}
+
+export function journalFromObject(list) {
+  if (!Array.isArray(list)) return [];
+  return list.map(entryFromObject).filter(Boolean);
+}
+
+/**
+ * Errores y advertencias de la lista "journal" de un archivo importado,
+ * con los mismos códigos (claves config.error.*) que validateConfig.
+ */
+export function validateJournal(list, err, warn) {
+  if (!Array.isArray(list)) { err("journal", "list"); return; }
+  list.forEach((entry, i) => {
+    const path = `journal[${i}]`;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) { err(path, "object"); return; }
+    if (!JOURNAL_TYPE_IDS.includes(entry.type)) err(`${path}.type`, "oneOf", { options: JOURNAL_TYPE_IDS.join(", ") });
+    const hasAt = entry.at !== undefined;
+    const hasCycle = entry.cycle !== undefined;
+    if (hasAt === hasCycle) err(path, "journalAnchor");
+    if (hasAt && (typeof entry.at !== "string" || !DATETIME_RE.test(entry.at))) err(`${path}.at`, "datetime");
+    if (hasCycle && (!Number.isInteger(entry.cycle) || entry.cycle < 0 || entry.cycle > JOURNAL_CYCLE_MAX)) err(`${path}.cycle`, "integerRange", { min: 0, max: JOURNAL_CYCLE_MAX });
+    if (entry.note !== undefined && typeof entry.note !== "string") err(`${path}.note`, "text");
+    else if (entry.note?.length > JOURNAL_NOTE_MAX) warn(`${path}.note`, "truncated", { max: JOURNAL_NOTE_MAX });
+    if (entry.photo !== undefined && (typeof entry.photo !== "string" || !PHOTO_RE.test(entry.photo))) warn(`${path}.photo`, "photo");
+    for (const key of Object.keys(entry)) {
+      if (!["id", "type", "at", "cycle", "note", "photo"].includes(key)) warn(`${path}.${key}`, "unknownField");
+    }
+  });
+}
+
+/** Instante de una entrada según el esquema; null si el ciclo no existe */
+export function entryDate(schedule, entry) {
+  if (entry.at) return parseLocalDateTime(entry.at, schedule.timeZone);
+  const hours = cycleStartHours(schedule.timeline, entry.cycle);
+  return hours === null ? null : dateAtHours(schedule, hours);
+}
+
+/** Entradas ordenadas por fecha, con `date` resuelta */
+export function sortedJournal(schedule, entries) {
+  return entries
+    .map((entry) => ({ ...entry, date: entryDate(schedule, entry) }))
+    .sort((a, b) => (a.date?.getTime() ?? Infinity) - (b.date?.getTime() ?? Infinity));
+}
+
+/**
+ * Entradas ubicadas en el calendario Día × Hora: clave "día:hora" → entradas.
+ * `types` filtra por tipo (Set de ids); fuera del calendario no se incluyen.
+ */
+export function journalByCell(schedule, entries, durationDays, types = null) {
+  const cells = new Map();
+  for (const entry of sortedJournal(schedule, entries)) {
+    if (!entry.date || (types && !types.has(entry.type))) continue;
+    const day = zonedDayDiff(schedule.startDate, entry.date, schedule.timeZone);
+    if (day < 0 || day >= durationDays) continue;
+    const key = `${day}:${zonedParts(entry.date, schedule.timeZone).hour}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(entry);
+  }
+  return cells;
+}
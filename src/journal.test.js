@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import { createSchedule } from "./engine/photoperiod";
+import { entryDate, journalByCell, journalFromObject } from "./journal";
+import { configFromGrow, validateConfig } from "./config";
+import { createGrow, defaultSchedule } from "./grows";
+
+const schedule = createSchedule({
+  startDate: "2024-03-01T06:00",
+  timeZone: "Europe/Madrid",
+  phases: [{ name: "Flora", hoursLight: 13, hoursDark: 14, length: 0, unit: "days" }],
+});
+
+describe("journal entries", () => {
+  it("drops entries without a day/hour or cycle and fixes unknown types", () => {
+    expect(journalFromObject([
+      { id: "a", type: "watering", at: "2024-03-02T10:15", note: "2 L" },
+      { type: "otro", cycle: 3 },
+      { type: "note" },
+      null,
+    ])).toEqual([
+      { id: "a", type: "watering", at: "2024-03-02T10:15", note: "2 L" },
+      expect.objectContaining({ type: "note", cycle: 3, note: "" }),
+    ]);
+  });
+
+  it("places day/hour and cycle entries on the calendar", () => {
+    expect(entryDate(schedule, { cycle: 2 }).toISOString()).toBe("2024-03-03T11:00:00.000Z");
+    const cells = journalByCell(schedule, [
+      { id: "a", type: "watering", at: "2024-03-02T10:15" },
+      { id: "b", type: "defoliation", cycle: 2 },
+      { id: "c", type: "feeding", at: "2024-03-02T10:45" },
+      { id: "d", type: "note", at: "2024-02-01T10:00" },
+    ], 10);
+    expect([...cells.keys()]).toEqual(["1:10", "2:12"]);
+    expect(cells.get("1:10").map((e) => e.id)).toEqual(["a", "c"]);
+  });
+
+  it("filters markers by type", () => {
+    const entries = [{ id: "a", type: "watering", at: "2024-03-02T10:15" }, { id: "b", type: "lightLeak", at: "2024-03-02T23:00" }];
+    const cells = journalByCell(schedule, entries, 10, new Set(["lightLeak"]));
+    expect([...cells.keys()]).toEqual(["1:23"]);
+  });
+});
+
+describe("journal in the config file", () => {
+  const journal = [{ id: "a", type: "photo", at: "2024-03-02T10:15", note: "", photo: "data:image/jpeg;base64,AAAA" }];
+
+  it("is exported and imported with the config", () => {
+    const grow = createGrow({ schedule: defaultSchedule(new Date("2024-03-01T00:00:00Z")), journal });
+    const result = validateConfig(configFromGrow(grow));
+    expect(result.ok).toBe(true);
+    expect(result.config.journal).toEqual(journal);
+  });
+
+  it("reports invalid entries", () => {
+    const base = configFromGrow(createGrow());
+    const result = validateConfig({ ...base, journal: [{ type: "riego", at: "ayer", cycle: 1 }] });
+    expect(result.ok).toBe(false);
+    expect(result.errors.map((e) => e.path)).toEqual(["journal[0].type", "journal[0]", "journal[0].at"]);
+  });
+});
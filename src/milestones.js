@@ -0,0 +1,146 @@
+/**
+ * milestones.js — Hitos del cultivo (pasar a flora, cosecha, lavado) con cuenta regresiva
+ * - Cada hito: { id, name, kind, at | days, basis? }
+ *   - kind "date": at = "AAAA-MM-DDTHH:mm" en la zona del esquema
+ *   - kind "elapsed": days = días de 24 h desde el inicio
+ *   - kind "equivalent": days = días 12/12 equivalentes, contando las horas de
+ *     oscuridad (basis "dark") o de luz (basis "light") acumuladas de a 12
+ * - Viaja en el export/import JSON (campo "milestones", ver docs/config.md)
+ */
+
+import { darkHoursUntil, dateAtHours, hoursSinceStart, hoursUntilAccumulated, lightHoursUntil } from "./engine/photoperiod.js";
+import { parseLocalDateTime, zonedDayDiff } from "./engine/timezone.js";
+
+export const MILESTONE_KINDS = ["date", "elapsed", "equivalent"];
+export const MILESTONE_BASES = ["dark", "light"];
+export const MILESTONE_NAME_MAX = 80;
+export const MILESTONE_DAYS_MAX = 9999;
+// Un día 12/12: 12 h de luz y 12 de oscuridad
+export const EQUIVALENT_DAY_HOURS = 12;
+
+// Sugerencias para el alta (el nombre lo pone la interfaz en el idioma elegido)
+export const MILESTONE_PRESETS = [
+  { id: "flip", kind: "elapsed", days: 21 },
+  { id: "flush", kind: "equivalent", days: 53, basis: "dark" },
+  { id: "harvest", kind: "equivalent", days: 63, basis: "dark" },
+];
+
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+const MILESTONE_FIELDS = ["id", "name", "kind", "at", "days", "basis"];
+
+export function newMilestoneId() {
+  return `m${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+const validDays = (days) => Number.isFinite(days) && days >= 0 && days <= MILESTONE_DAYS_MAX;
+
+/** Un hito guardado o importado → hito válido, o null si le falta el objetivo */
+export function milestoneFromObject(obj) {
+  if (!obj || typeof obj !== "object" || !MILESTONE_KINDS.includes(obj.kind)) return null;
+  const milestone = {
+    id: obj.id ? String(obj.id) : newMilestoneId(),
+    name: typeof obj.name === "string" ? obj.name.slice(0, MILESTONE_NAME_MAX) : "",
+    kind: obj.kind,
+  };
+  if (obj.kind === "date") {
+    if (typeof obj.at !== "string" || !DATETIME_RE.test(obj.at)) return null;
+    milestone.at = obj.at;
+  } else {
+    if (!validDays(obj.days)) return null;
+    milestone.days = obj.days;
+    if (obj.kind === "equivalent") milestone.basis = MILESTONE_BASES.includes(obj.basis) ? obj.basis : "dark";
+  }
+  return milestone;
+}
+
+export function milestonesFromObject(list) {
+  if (!Array.isArray(list)) return [];
+  return list.map(milestoneFromObject).filter(Boolean);
+}
+
+/**
+ * Errores y advertencias de la lista "milestones" de un archivo importado,
+ * con los mismos códigos (claves config.error.*) que validateConfig.
+ */
+export function validateMilestones(list, err, warn) {
+  if (!Array.isArray(list)) { err("milestones", "list"); return; }
+  list.forEach((m, i) => {
+    const path = `milestones[${i}]`;
+    if (!m || typeof m !== "object" || Array.isArray(m)) { err(path, "object"); return; }
+    if (!MILESTONE_KINDS.includes(m.kind)) { err(`${path}.kind`, "oneOf", { options: MILESTONE_KINDS.join(", ") }); return; }
+    if (m.kind === "date" && (typeof m.at !== "string" || !DATETIME_RE.test(m.at))) err(`${path}.at`, "datetime");
+    if (m.kind !== "date" && !validDays(m.days)) err(`${path}.days`, "numberRange", { min: 0, max: MILESTONE_DAYS_MAX });
+    if (m.kind === "equivalent" && m.basis !== undefined && !MILESTONE_BASES.includes(m.basis)) err(`${path}.basis`, "oneOf", { options: MILESTONE_BASES.join(", ") });
+    if (m.name !== undefined && typeof m.name !== "string") err(`${path}.name`, "text");
+    else if (m.name?.length > MILESTONE_NAME_MAX) warn(`${path}.name`, "truncated", { max: MILESTONE_NAME_MAX });
+    for (const key of Object.keys(m)) {
+      if (!MILESTONE_FIELDS.includes(key)) warn(`${path}.${key}`, "unknownField");
+    }
+  });
+}
+
+/** Días 12/12 equivalentes acumulados a `hours` horas del inicio */
+export function equivalentDaysAt(schedule, hours, basis = "dark") {
+  const accumulated = basis === "light" ? lightHoursUntil(schedule.timeline, hours) : darkHoursUntil(schedule.timeline, hours);
+  return accumulated / EQUIVALENT_DAY_HOURS;
+}
+
+/** Horas desde el inicio en que se cumple el hito; null si no se llega nunca */
+export function milestoneHours(schedule, milestone) {
+  if (milestone.kind === "date") {
+    const date = parseLocalDateTime(milestone.at, schedule.timeZone);
+    return date ? hoursSinceStart(schedule, date) : null;
+  }
+  if (milestone.kind === "elapsed") return milestone.days * 24;
+  return hoursUntilAccumulated(schedule.timeline, milestone.days * EQUIVALENT_DAY_HOURS, milestone.basis === "light");
+}
+
+/**
+ * Hitos ordenados por fecha con `date`, `hoursLeft` (negativo si ya pasó) y
+ * `passed`; los que no se alcanzan nunca van al final con date null.
+ */
+export function resolveMilestones(schedule, milestones, now) {
+  const nowHours = hoursSinceStart(schedule, now);
+  return milestones
+    .map((m) => {
+      const hours = milestoneHours(schedule, m);
+      if (hours === null) return { ...m, hours, date: null, hoursLeft: null, passed: false };
+      return { ...m, hours, date: dateAtHours(schedule, hours), hoursLeft: hours - nowHours, passed: hours <= nowHours };
+    })
+    .sort((a, b) => (a.hours ?? Infinity) - (b.hours ?? Infinity));
+}
+
+/** Hitos resueltos por día del calendario (índice → hitos); fuera del calendario no se incluyen */
+export function milestonesByDay(schedule, resolved, durationDays) {
+  const days = new Map();
+  for (const m of resolved) {
+    if (!m.date) continue;
+    const day = zonedDayDiff(schedule.startDate, m.date, schedule.timeZone);
+    if (day < 0 || day >= durationDays) continue;
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(m);
+  }
+  return days;
+}
+
+/** Horas → { days, hours, minutes } para la cuenta regresiva (redondeado al minuto) */
+export function countdownParts(hours) {
+  const totalMinutes = Math.round(Math.abs(hours) * 60);
+  return { days: Math.floor(totalMinutes / 1440), hours: Math.floor((totalMinutes % 1440) / 60), minutes: totalMinutes % 60 };
+}
+
+/** "en 3 d 4 h" / "hace 2 h 10 m" para un hito resuelto */
+export function countdownText(hoursLeft, t) {
+  const parts = countdownParts(hoursLeft);
+  const time = parts.days > 0
+    ? t("milestones.countdown.days", { days: parts.days, hours: parts.hours })
+    : t("milestones.countdown.hours", { hours: parts.hours, minutes: parts.minutes });
+  return t(hoursLeft >= 0 ? "milestones.in" : "milestones.ago", { time });
+}
+
+/** Texto del objetivo: la fecha la da la lista, acá va lo que se cuenta */
+export function milestoneTarget(milestone, t) {
+  if (milestone.kind === "elapsed") return t("milestones.target.elapsed", { count: milestone.days });
+  if (milestone.kind === "equivalent") return t(`milestones.target.equivalent.${milestone.basis}`, { count: milestone.days });
+  return t("milestones.kind.date");
+}
@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { createSchedule } from "./engine/photoperiod";
+import { countdownParts, countdownText, equivalentDaysAt, milestoneFromObject, milestonesByDay, resolveMilestones } from "./milestones";
+import { configFromGrow, diffConfig, validateConfig } from "./config";
+import { createGrow, defaultSchedule } from "./grows";
+import { createI18n } from "./i18n";
+
+// Un día de vege 18/6 y después 12/12 indefinido
+const schedule = createSchedule({
+  startDate: "2024-03-01T00:00",
+  timeZone: "UTC",
+  phases: [
+    { name: "Vege", hoursLight: 18, hoursDark: 6, length: 1, unit: "days" },
+    { name: "Flora", hoursLight: 12, hoursDark: 12, length: 0, unit: "days" },
+  ],
+});
+const at = (hours) => new Date(Date.UTC(2024, 2, 1) + hours * 3600000);
+
+describe("milestones", () => {
+  it("drops milestones without a valid target and defaults the basis", () => {
+    expect(milestoneFromObject({ kind: "date", at: "mañana" })).toBeNull();
+    expect(milestoneFromObject({ kind: "elapsed", days: -1 })).toBeNull();
+    expect(milestoneFromObject({ kind: "otro", days: 3 })).toBeNull();
+    expect(milestoneFromObject({ id: "a", kind: "equivalent", days: 60, basis: "x", extra: 1 }))
+      .toEqual({ id: "a", name: "", kind: "equivalent", days: 60, basis: "dark" });
+  });
+
+  it("resolves each kind of target and sorts by date", () => {
+    const resolved = resolveMilestones(schedule, [
+      { id: "harvest", kind: "equivalent", days: 1, basis: "dark" },
+      { id: "fixed", kind: "date", at: "2024-03-01T12:00" },
+      { id: "flip", kind: "elapsed", days: 1 },
+      { id: "light", kind: "equivalent", days: 2, basis: "light" },
+    ], at(20));
+    expect(resolved.map((m) => [m.id, m.hours])).toEqual([["fixed", 12], ["flip", 24], ["light", 30], ["harvest", 42]]);
+    expect(resolved[0]).toMatchObject({ passed: true, hoursLeft: -8 });
+    expect(resolved[3].date.toISOString()).toBe("2024-03-02T18:00:00.000Z");
+    expect(resolved[3]).toMatchObject({ passed: false, hoursLeft: 22 });
+  });
+
+  it("puts unreachable milestones last", () => {
+    const vege = createSchedule({ startDate: "2024-03-01T00:00", timeZone: "UTC", phases: [{ name: "Vege", hoursLight: 24, hoursDark: 0, length: 0, unit: "days" }] });
+    const resolved = resolveMilestones(vege, [{ id: "a", kind: "equivalent", days: 1, basis: "dark" }, { id: "b", kind: "elapsed", days: 2 }], at(0));
+    expect(resolved.map((m) => m.id)).toEqual(["b", "a"]);
+    expect(resolved[1]).toMatchObject({ date: null, hoursLeft: null, passed: false });
+  });
+
+  it("counts equivalent 12/12 days from darkness or light", () => {
+    expect(equivalentDaysAt(schedule, 42, "dark")).toBe(1);
+    expect(equivalentDaysAt(schedule, 42, "light")).toBe(2.5);
+  });
+
+  it("groups milestones by calendar day", () => {
+    const resolved = resolveMilestones(schedule, [
+      { id: "a", kind: "elapsed", days: 1 },
+      { id: "b", kind: "equivalent", days: 1 },
+      { id: "c", kind: "elapsed", days: 30 },
+    ], at(0));
+    const days = milestonesByDay(schedule, resolved, 10);
+    expect([...days.keys()]).toEqual([1]);
+    expect(days.get(1).map((m) => m.id)).toEqual(["a", "b"]);
+  });
+
+  it("splits a countdown into days, hours and minutes", () => {
+    expect(countdownParts(50.5)).toEqual({ days: 2, hours: 2, minutes: 30 });
+    expect(countdownParts(-0.25)).toEqual({ days: 0, hours: 0, minutes: 15 });
+  });
+
+  it("words the countdown in the chosen language", () => {
+    expect(countdownText(50.5, createI18n("en").t)).toBe("in 2 d 2 h");
+    expect(countdownText(-0.25, createI18n("es").t)).toBe("hace 0 h 15 m");
+  });
+});
+
+describe("milestones in the config file", () => {
+  const milestones = [{ id: "a", name: "Cosecha", kind: "equivalent", days: 63, basis: "dark" }];
+
+  it("are exported, imported and shown in the diff", () => {
+    const grow = createGrow({ schedule: defaultSchedule(new Date("2024-03-01T00:00:00Z")), milestones });
+    const result = validateConfig(configFromGrow(grow));
+    expect(result.ok).toBe(true);
+    expect(result.config.milestones).toEqual(milestones);
+    expect(diffConfig(configFromGrow(createGrow()), result.config).find((row) => row.field === "milestones"))
+      .toMatchObject({ before: "0 hitos", after: "1 hito" });
+  });
+
+  it("reports invalid milestones", () => {
+    const base = configFromGrow(createGrow());
+    const result = validateConfig({ ...base, milestones: [{ kind: "date", at: "ayer" }, { kind: "equivalent", days: 10, basis: "luz" }, "x"] });
+    expect(result.ok).toBe(false);
+    expect(result.errors.map((e) => e.path)).toEqual(["milestones[0].at", "milestones[1].basis", "milestones[2]"]);
+  });
+});
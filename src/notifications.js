@@ -0,0 +1,62 @@
+/**
+ * notifications.js — Avisos del navegador antes de cada cambio de luz
+ * - Permiso de Notification API bajo demanda (opt-in)
+ * - Entrega vía service worker; si no hay SW, timers en la página
+ * - Alarma sonora generada con Web Audio (sin archivos externos)
+ */
+
+import { registerServiceWorker } from "./serviceWorker";
+
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  if (Notification.permission === "granted" || Notification.permission === "denied") return Notification.permission;
+  return Notification.requestPermission();
+}
+
+// Programa los avisos; devuelve una función para cancelarlos
+export async function scheduleAlerts(alerts, onFire) {
+  const registration = await registerServiceWorker();
+  if (registration?.active) {
+    registration.active.postMessage({ type: "SCHEDULE_ALERTS", alerts });
+    return () => registration.active?.postMessage({ type: "CANCEL_ALERTS" });
+  }
+
+  // Sin service worker: solo funciona con la pestaña abierta
+  const ids = alerts.map((alert) => setTimeout(() => {
+    if (notificationsSupported() && Notification.permission === "granted") {
+      new Notification(alert.title, { body: alert.body, icon: "/favicon.png", tag: alert.id });
+    }
+    onFire(alert, Date.now());
+  }, Math.max(0, alert.fireAt - Date.now())));
+  return () => ids.forEach(clearTimeout);
+}
+
+let audioCtx = null;
+
+// Tres pitidos cortos
+export function playAlarmSound() {
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    audioCtx = audioCtx || new Ctx();
+    const t0 = audioCtx.currentTime;
+    for (let i = 0; i < 3; i++) {
+      const osc = audioCtx.createOscillator();
+      const gain = audioCtx.createGain();
+      osc.type = "sine";
+      osc.frequency.value = 880;
+      gain.gain.setValueAtTime(0.0001, t0 + i * 0.35);
+      gain.gain.exponentialRampToValueAtTime(0.3, t0 + i * 0.35 + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, t0 + i * 0.35 + 0.25);
+      osc.connect(gain).connect(audioCtx.destination);
+      osc.start(t0 + i * 0.35);
+      osc.stop(t0 + i * 0.35 + 0.3);
+    }
+  } catch (e) {
+    console.warn("No se pudo reproducir la alarma:", e);
+  }
+}
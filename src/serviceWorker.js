@@ -0,0 +1,70 @@
+/**
+ * serviceWorker.js — Registro del service worker (public/sw.js)
+ * - Una sola registración compartida por toda la app
+ * - Devuelve null si el navegador no lo soporta (o en contextos no seguros)
+ * - Detecta versiones nuevas en espera y las activa a pedido del usuario
+ */
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+let registrationPromise = null;
+
+export function registerServiceWorker() {
+  if (registrationPromise) return registrationPromise;
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) {
+    registrationPromise = Promise.resolve(null);
+    return registrationPromise;
+  }
+  registrationPromise = navigator.serviceWorker
+    .register("/sw.js")
+    .then(() => navigator.serviceWorker.ready)
+    .catch((err) => {
+      console.warn("No se pudo registrar el service worker:", err);
+      return null;
+    });
+  return registrationPromise;
+}
+
+export function onServiceWorkerMessage(handler) {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return () => {};
+  const listener = (event) => handler(event.data || {});
+  navigator.serviceWorker.addEventListener("message", listener);
+  // addEventListener no habilita la cola de mensajes por sí solo (a diferencia de onmessage)
+  navigator.serviceWorker.startMessages();
+  return () => navigator.serviceWorker.removeEventListener("message", listener);
+}
+
+/**
+ * Llama a `callback` cuando hay una versión nueva instalada esperando.
+ * Solo aplica si ya había una versión controlando la página (no en la primera visita).
+ */
+export function onServiceWorkerUpdate(callback) {
+  let stopped = false;
+  let intervalId = null;
+  registerServiceWorker().then((registration) => {
+    if (!registration || stopped) return;
+    const notify = () => {
+      if (!stopped && registration.waiting && navigator.serviceWorker.controller) callback(registration.waiting);
+    };
+    notify();
+    registration.addEventListener("updatefound", () => {
+      const installing = registration.installing;
+      if (!installing) return;
+      installing.addEventListener("statechange", () => {
+        if (installing.state === "installed") notify();
+      });
+    });
+    intervalId = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+  });
+  return () => {
+    stopped = true;
+    if (intervalId) clearInterval(intervalId);
+  };
+}
+
+// Activa la versión en espera y recarga cuando toma el control
+export function applyServiceWorkerUpdate(waiting) {
+  if (!waiting) return;
+  navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+  waiting.postMessage({ type: "SKIP_WAITING" });
+}
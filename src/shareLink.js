@@ -0,0 +1,100 @@
+/**
+ * shareLink.js — Configuración codificada en el hash de la URL (#s=...)
+ * - Forma compacta: [versión, inicio, zona, modo, duración, fases, nombre, luz]
+ *   con cada fase como [nombre, ON, OFF, largo, "d"|"c", ppfd?, rampa?],
+ *   la rampa como [subida, bajada, "l"|"s"] y la luz como
+ *   [ppfd, dliMin, dliMax]; los elementos opcionales del final se omiten
+ * - JSON → UTF-8 → base64url, sin dependencias
+ * - Al decodificar pasa por validateConfig, igual que un archivo importado
+ */
+
+import { CONFIG_VERSION, validateConfig } from "./config.js";
+import { DEFAULT_LANGUAGE, translate } from "./i18n.js";
+
+export const SHARE_HASH_PARAM = "s";
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(encoded) {
+  const b64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+}
+
+/** Config (formato de config.js) → texto compacto para la URL */
+export function encodeShareConfig(config) {
+  const compact = [
+    CONFIG_VERSION,
+    config.startDate,
+    config.timeZone ?? null,
+    config.clockMode ?? null,
+    config.durationDays,
+    config.phases.map((p) => {
+      const phase = [p.name, p.hoursLight, p.hoursDark, p.length, p.unit === "cycles" ? "c" : "d", p.ppfd ?? null];
+      if (p.ramp) phase.push([p.ramp.up, p.ramp.down, p.ramp.curve === "sigmoid" ? "s" : "l"]);
+      while (phase[phase.length - 1] === null) phase.pop();
+      return phase;
+    }),
+    config.grow?.name || null,
+    config.light ? [config.light.ppfd, config.light.dliMin, config.light.dliMax] : null,
+  ];
+  while (compact[compact.length - 1] === null) compact.pop();
+  return toBase64Url(JSON.stringify(compact));
+}
+
+function phaseFromTuple([name, hoursLight, hoursDark, length, unit, ppfd, ramp]) {
+  const phase = { name, hoursLight, hoursDark, length, unit: unit === "c" ? "cycles" : "days" };
+  if (ppfd !== undefined && ppfd !== null) phase.ppfd = ppfd;
+  if (Array.isArray(ramp)) phase.ramp = { up: ramp[0], down: ramp[1], curve: ramp[2] === "s" ? "sigmoid" : "linear" };
+  return phase;
+}
+
+/**
+ * Texto de la URL → resultado de validateConfig (ok/config/errors/warnings).
+ * Un texto ilegible se informa como error en vez de lanzar.
+ */
+export function decodeShareConfig(encoded, lang = DEFAULT_LANGUAGE) {
+  let compact;
+  try {
+    compact = JSON.parse(fromBase64Url(encoded));
+  } catch {
+    return { ok: false, config: null, errors: [{ path: "", code: "brokenLink", message: translate(lang, "config.error.brokenLink") }], warnings: [], migratedFrom: null };
+  }
+  if (!Array.isArray(compact)) return validateConfig(compact, lang);
+
+  const [version, startDate, timeZone, clockMode, durationDays, phases, name, light] = compact;
+  const config = {
+    version,
+    startDate,
+    durationDays,
+    phases: Array.isArray(phases)
+      ? phases.map((p) => (Array.isArray(p)
+        ? phaseFromTuple(p)
+        : p))
+      : phases,
+  };
+  if (timeZone !== null && timeZone !== undefined) config.timeZone = timeZone;
+  if (clockMode !== null && clockMode !== undefined) config.clockMode = clockMode;
+  if (name !== undefined && name !== null) config.grow = { name };
+  if (Array.isArray(light)) config.light = { ppfd: light[0], dliMin: light[1] ?? null, dliMax: light[2] ?? null };
+  return validateConfig(config, lang);
+}
+
+/** URL completa para compartir, conservando origen y ruta de `baseHref` */
+export function shareUrl(baseHref, config) {
+  const url = new URL(baseHref);
+  url.search = "";
+  url.hash = `${SHARE_HASH_PARAM}=${encodeShareConfig(config)}`;
+  return url.toString();
+}
+
+/** Extrae el texto codificado de un hash ("#s=...") o null si no hay */
+export function readShareHash(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  return params.get(SHARE_HASH_PARAM) || null;
+}
@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+import { decodeShareConfig, encodeShareConfig, readShareHash, shareUrl } from "./shareLink";
+
+const config = {
+  version: 2,
+  startDate: "2024-05-01T08:00",
+  timeZone: "America/Argentina/Buenos_Aires",
+  clockMode: "wallclock",
+  durationDays: 90,
+  phases: [
+    { name: "Vegetación", hoursLight: 18, hoursDark: 6, length: 21, unit: "days", ramp: { up: 30, down: 15, curve: "sigmoid" } },
+    { name: "Flora", hoursLight: 12, hoursDark: 12, length: 30, unit: "cycles", ppfd: 900 },
+  ],
+  light: { ppfd: 600, dliMin: 25, dliMax: null },
+  grow: { name: "Carpa ñ" },
+};
+
+describe("share links", () => {
+  it("round-trips a config through the URL hash", () => {
+    const url = shareUrl("https://example.com/app/?x=1#old", config);
+    expect(url.startsWith("https://example.com/app/#s=")).toBe(true);
+    const result = decodeShareConfig(readShareHash(new URL(url).hash));
+    expect(result.ok).toBe(true);
+    expect(result.config).toEqual(config);
+  });
+
+  it("uses only URL-safe characters", () => {
+    expect(encodeShareConfig(config)).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it("reports damaged or invalid links instead of throwing", () => {
+    expect(decodeShareConfig("%%%").ok).toBe(false);
+    expect(decodeShareConfig("%%%", "en").errors[0].message).toBe("The link is incomplete or damaged.");
+    expect(decodeShareConfig(encodeShareConfig({ ...config, durationDays: 0 })).errors[0].path).toBe("durationDays");
+  });
+
+  it("returns null when the hash has no schedule", () => {
+    expect(readShareHash("")).toBeNull();
+    expect(readShareHash("#foo=1")).toBeNull();
+  });
+});
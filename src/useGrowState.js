@@ -0,0 +1,76 @@
+/**
+ * useGrowState.js — Estado de los cultivos y setters del cultivo activo
+ * - Todos los setters escriben en el cultivo que está en pantalla: dependen de
+ *   activeGrow.id, así que cambian al agregar o cambiar de cultivo
+ * - Los del esquema aceptan valor o updater, como los de useState
+ * - setGrows y setActiveGrowId son los de useState: estables entre renders
+ * - Edición de fases (agregar, quitar, cambiar campos o rampa)
+ */
+
+import { useCallback, useMemo, useState } from "react";
+import { DEFAULT_PHASE } from "./engine/photoperiod.js";
+
+/**
+ * @param {{ grows: object[], activeGrowId: string }} initialStore ver loadGrowStore
+ * @param {(n: number) => string} phaseName nombre de la fase n nueva
+ */
+export function useGrowState(initialStore, phaseName) {
+  const [grows, setGrows] = useState(initialStore.grows);
+  const [activeGrowId, setActiveGrowId] = useState(initialStore.activeGrowId);
+  const activeGrow = grows.find((g) => g.id === activeGrowId) || grows[0];
+
+  const updateActiveGrow = useCallback((updater) => {
+    setGrows((prev) => prev.map((g) => (g.id === activeGrow.id ? updater(g) : g)));
+  }, [activeGrow.id]);
+
+  const fieldSetter = useCallback((key) => (updater) => {
+    updateActiveGrow((g) => ({ ...g, [key]: updater(g[key]) }));
+  }, [updateActiveGrow]);
+
+  const scheduleSetter = useCallback((key) => (value) => {
+    updateActiveGrow((g) => ({
+      ...g,
+      schedule: { ...g.schedule, [key]: typeof value === "function" ? value(g.schedule[key]) : value },
+    }));
+  }, [updateActiveGrow]);
+
+  const setPhases = useMemo(() => scheduleSetter("phases"), [scheduleSetter]);
+
+  const updatePhase = useCallback((index, patch) => {
+    setPhases((prev) => prev.map((p, i) => (i === index ? { ...p, ...patch } : p)));
+  }, [setPhases]);
+
+  const updateRamp = useCallback((index, patch) => {
+    setPhases((prev) => prev.map((p, i) => (
+      i === index ? { ...p, ramp: { up: 0, down: 0, curve: "linear", ...p.ramp, ...patch } } : p
+    )));
+  }, [setPhases]);
+
+  const addPhase = useCallback(() => {
+    setPhases((prev) => {
+      const last = prev[prev.length - 1] || DEFAULT_PHASE;
+      return [...prev, { ...last, name: phaseName(prev.length + 1) }];
+    });
+  }, [setPhases, phaseName]);
+
+  const removePhase = useCallback((index) => {
+    setPhases((prev) => (prev.length > 1 ? prev.filter((_, i) => i !== index) : prev));
+  }, [setPhases]);
+
+  const updateActiveEnergy = useMemo(() => fieldSetter("energy"), [fieldSetter]);
+  const updateActiveJournal = useMemo(() => fieldSetter("journal"), [fieldSetter]);
+  const updateActiveMilestones = useMemo(() => fieldSetter("milestones"), [fieldSetter]);
+  const updateActiveActual = useMemo(() => fieldSetter("actual"), [fieldSetter]);
+  const setStartDate = useMemo(() => scheduleSetter("startDate"), [scheduleSetter]);
+  const setDurationDays = useMemo(() => scheduleSetter("durationDays"), [scheduleSetter]);
+  const setTimeZone = useMemo(() => scheduleSetter("timeZone"), [scheduleSetter]);
+  const setClockMode = useMemo(() => scheduleSetter("clockMode"), [scheduleSetter]);
+  const setLight = useMemo(() => scheduleSetter("light"), [scheduleSetter]);
+
+  return {
+    grows, setGrows, activeGrow, setActiveGrowId, updateActiveGrow,
+    updateActiveEnergy, updateActiveJournal, updateActiveMilestones, updateActiveActual,
+    setStartDate, setPhases, setDurationDays, setTimeZone, setClockMode, setLight,
+    updatePhase, updateRamp, addPhase, removePhase,
+  };
+}
@@ -0,0 +1,72 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it } from "vitest";
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import { useGrowState } from "./useGrowState";
+import { createGrow } from "./grows";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const phaseName = (n) => `Fase ${n}`;
+let root = null;
+
+// Monta el hook y devuelve una función que lee su último valor
+function renderGrowState(initialStore) {
+  const latest = { current: null };
+  function Harness() {
+    latest.current = useGrowState(initialStore, phaseName);
+    return null;
+  }
+  root = createRoot(document.createElement("div"));
+  act(() => root.render(React.createElement(Harness)));
+  return () => latest.current;
+}
+
+afterEach(() => {
+  act(() => root.unmount());
+});
+
+describe("useGrowState", () => {
+  const first = createGrow({ name: "A" }, 0);
+  const second = createGrow({ name: "B" }, 1);
+  const initialStore = { grows: [first, second], activeGrowId: first.id };
+  const phasesOf = (state, id) => state.grows.find((g) => g.id === id).schedule.phases;
+
+  it("edits the phases of the grow on screen after switching grows", () => {
+    const state = renderGrowState(initialStore);
+    act(() => state().setActiveGrowId(second.id));
+    act(() => state().updatePhase(0, { hoursLight: 20 }));
+    act(() => state().updateRamp(0, { up: 30 }));
+    act(() => state().addPhase());
+
+    expect(phasesOf(state(), second.id)).toEqual([
+      { ...second.schedule.phases[0], hoursLight: 20, ramp: { up: 30, down: 0, curve: "linear" } },
+      expect.objectContaining({ name: "Fase 2", hoursLight: 20 }),
+    ]);
+    expect(phasesOf(state(), first.id)).toEqual(first.schedule.phases);
+
+    act(() => state().removePhase(1));
+    expect(phasesOf(state(), second.id)).toHaveLength(1);
+  });
+
+  it("writes to a newly added grow", () => {
+    const state = renderGrowState(initialStore);
+    const third = createGrow({ name: "C" }, 2);
+    act(() => {
+      state().setGrows((prev) => [...prev, third]);
+      state().setActiveGrowId(third.id);
+    });
+    act(() => state().setDurationDays(90));
+    expect(state().activeGrow.id).toBe(third.id);
+    expect(state().grows.map((g) => g.schedule.durationDays)).toEqual([60, 60, 90]);
+  });
+
+  it("keeps the store setters stable across renders", () => {
+    const state = renderGrowState(initialStore);
+    const { setGrows, setActiveGrowId } = state();
+    act(() => state().setActiveGrowId(second.id));
+    act(() => state().setDurationDays(90));
+    expect(state().setGrows).toBe(setGrows);
+    expect(state().setActiveGrowId).toBe(setActiveGrowId);
+  });
+});
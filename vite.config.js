@@ -1,8 +1,39 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readdirSync, readFileSync, statSync, writeFileSync } from 'node:fs'
+import { join, relative } from 'node:path'
+
+// Inyecta en dist/sw.js la lista de archivos del build y una versión única,
+// así el navegador detecta el service worker nuevo en cada deploy.
+function precacheManifest() {
+  let outDir = 'dist'
+  return {
+    name: 'fotoperiodo-precache-manifest',
+    apply: 'build',
+    configResolved(config) { outDir = config.build.outDir },
+    closeBundle() {
+      const files = []
+      const walk = (dir) => {
+        for (const name of readdirSync(dir)) {
+          const full = join(dir, name)
+          if (statSync(full).isDirectory()) walk(full)
+          else files.push('/' + relative(outDir, full).split('\\').join('/'))
+        }
+      }
+      walk(outDir)
+      const precache = files.filter((f) => f !== '/sw.js' && !f.endsWith('.map') && f !== '/preview.png')
+      const swPath = join(outDir, 'sw.js')
+      const version = Date.now().toString(36)
+      const source = readFileSync(swPath, 'utf8')
+        .replace('const BUILD_VERSION = "dev";', `const BUILD_VERSION = ${JSON.stringify(version)};`)
+        .replace('const PRECACHE_MANIFEST = [];', `const PRECACHE_MANIFEST = ${JSON.stringify(precache)};`)
+      writeFileSync(swPath, source)
+    }
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
   build: {
     rollupOptions: {
       output: {
@@ -10,4 +41,4 @@ export default defineConfig({
       }
     }
   }
-})
\ No newline at end of file
+})